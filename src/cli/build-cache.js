@@ -5,35 +5,233 @@
  *
  * This script pre-fetches Unsplash image data during build time and generates
  * a static manifest file to eliminate runtime API calls in production.
+ *
+ * Progress is saved to a checkpoint file after every photo, so an interrupted
+ * run resumes where it stopped. Photos that failed are remembered and skipped
+ * on the next run unless --retry-failed is given.
+ *
+ * Photos are fetched by a pool of parallel workers (--concurrency, default
+ * from the project config); requests still go through the shared rate
+ * limiter, which spaces them out and pauses when the budget runs low.
+ *
+ * Photos already in the manifest are reused as they are, unless they are
+ * older than --max-age or named with --refresh. Refreshed photos that the API
+ * no longer has (404) are kept, but flagged as unavailable in the manifest
+ * and reported; only the run that flags them fails because of them.
+ *
+ * Paths come from the project config (unsplash.config.js / .unsplashrc.json),
+ * environment variables or the flags below.
+ *
+ * With --json, one JSON object per photo and a final summary are written to
+ * stdout instead of the usual output. Exits with 2 when some photos failed,
+ * 1 when all of them did.
+ *
+ * Usage:
+ *   unsplash-build-cache [--retry-failed] [--max-age=<duration>] [--refresh <id...>]
+ *                        [--concurrency=<n>] [--json] [--config=<path>] [--content-dir=<dir>] [--manifest=<path>]
  */
 
-const fs = require("fs").promises;
 const path = require("path");
 const {
   extractUnsplashPhotoId,
-  scanMdxFiles,
-  fetchImageData,
+  scanContent,
+  getFetchablePhotos,
+  getReferenceIndexPath,
+  buildReferenceIndex,
+  writeReferenceIndex,
+  fetchImageDataWithStatus,
+  runPool,
+  createManifest,
+  readManifest,
+  writeManifest,
+  BuildCheckpoint,
+  getDefaultClient,
+  getRateLimitStatus,
+  formatDuration,
+  parseDuration,
+  loadCliConfig,
+  Reporter,
   checkFetchAvailable,
 } = require("../lib/index.js");
 
 require("dotenv").config();
 
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🚀 Build-time Unsplash Image Caching Tool
+
+Usage: unsplash-build-cache [options]
+
+Options:
+  --retry-failed        Retry photos that failed in a previous run
+  --max-age=<duration>  Refetch manifest entries cached longer ago than this,
+                        e.g. 30d, 12h or 2w (default: reuse them forever)
+  --refresh <id...>     Refetch these photos (IDs or URLs) even if they are in
+                        the manifest; also --refresh=<id>,<id>
+  --concurrency=<n>     Photos fetched in parallel (default: concurrency from
+                        the project config, 3)
+  --config=<path>       Project config file (default: nearest unsplash.config.js
+                        or .unsplashrc.json)
+  --content-dir=<dir>   Directory scanned for images (default: content)
+  --manifest=<path>     Manifest to write (default: public/unsplash-manifest.json)
+  --json                Write NDJSON events and a summary instead of logs
+  --help, -h            Show this help message
+
+Progress is checkpointed next to the manifest (unsplash-manifest.checkpoint.json),
+so an interrupted run picks up where it stopped when started again.
+
+Refreshed photos that no longer exist on Unsplash (404) stay in the manifest,
+flagged with "unavailable", and are listed at the end of every run. Only the
+run that finds them gone counts them as failures.
+`);
+    process.exit(0);
+  }
+
+  const options = {
+    retryFailed: false,
+    maxAge: null,
+    refresh: [],
+    json: false,
+    config: null,
+    overrides: {},
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [key, ...rest] = arg.replace(/^--/, "").split("=");
+    const value = rest.join("=");
+
+    switch (key) {
+      case "retry-failed":
+        options.retryFailed = true;
+        break;
+      case "max-age":
+        options.maxAge = parseDuration(value);
+        if (!options.maxAge) {
+          console.error(`❌ --max-age must be a duration such as 30d, 12h or 2w, got "${value}"`);
+          process.exit(1);
+        }
+        break;
+      case "concurrency":
+        options.overrides.concurrency = parseInt(value, 10);
+        if (!(options.overrides.concurrency > 0)) {
+          console.error(`❌ --concurrency must be a positive number, got "${value}"`);
+          process.exit(1);
+        }
+        break;
+      case "refresh": {
+        // --refresh=a,b or --refresh a b (up to the next flag)
+        const inputs = rest.length > 0 ? value.split(",") : [];
+        while (rest.length === 0 && i + 1 < args.length && !args[i + 1].startsWith("-")) {
+          inputs.push(args[++i]);
+        }
+        for (const input of inputs.filter(Boolean)) {
+          options.refresh.push(extractUnsplashPhotoId(input) || input.trim());
+        }
+        if (options.refresh.length === 0) {
+          console.error("❌ --refresh needs at least one photo ID or URL");
+          process.exit(1);
+        }
+        break;
+      }
+      case "json":
+        options.json = true;
+        break;
+      case "config":
+        options.config = value;
+        break;
+      case "content-dir":
+        options.overrides.contentDir = value;
+        break;
+      case "manifest":
+        options.overrides.manifestPath = value;
+        break;
+      default:
+        console.warn(`⚠️  Unknown option: ${arg}`);
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Why a photo that is already in the manifest should be fetched again
+ * @param {string} photoId - The photo ID
+ * @param {object} entry - Its manifest entry
+ * @param {object} options - Parsed command line options
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {string|null} - "requested" (--refresh), "stale" (older than
+ *   --max-age, or without cached_at) or null to reuse the entry
+ */
+function getRefreshReason(photoId, entry, options, now = Date.now()) {
+  if (options.refresh.includes(photoId)) {
+    return "requested";
+  }
+  if (options.maxAge && !(typeof entry.cached_at === "number" && now - entry.cached_at <= options.maxAge)) {
+    return "stale";
+  }
+  return null;
+}
+
+/**
+ * Flag a manifest entry whose photo the API no longer returns
+ * @param {object} entry - Its manifest entry
+ * @param {object} result - Failed result of fetchImageDataWithStatus
+ * @returns {object} - The entry, marked unavailable since it was first found
+ *   missing
+ */
+function markUnavailable(entry, result) {
+  return {
+    ...entry,
+    unavailable: {
+      status: result.status,
+      error: result.error,
+      since: entry.unavailable?.since || new Date().toISOString(),
+    },
+  };
+}
+
 // Main function
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArguments(argv);
+  const reporter = new Reporter({ command: "build-cache", json: options.json });
+
   console.log("🚀 Build-time Unsplash Image Caching Tool\n");
 
+  const config = await loadCliConfig({
+    configPath: options.config,
+    overrides: options.overrides,
+  });
+  if (!config) {
+    process.exit(1);
+  }
+
   // Check if manifest already exists
-  const manifestPath = path.join(process.cwd(), "public", "unsplash-manifest.json");
+  const manifestPath = config.manifestPath;
+  const checkpointPath = manifestPath.replace(/(\.json)?$/, ".checkpoint.json");
   let existingManifest = null;
   let existingImages = {};
   
   try {
-    const manifestContent = await fs.readFile(manifestPath, "utf-8");
-    existingManifest = JSON.parse(manifestContent);
-    existingImages = existingManifest.images || {};
-    console.log(`📋 Found existing manifest with ${Object.keys(existingImages).length} cached images`);
+    // A bad entry only costs its own photo, which is fetched again
+    existingManifest = await readManifest(manifestPath, "build", {
+      onInvalidImage: (id, problems) => {
+        console.warn(`⚠️  Refetching ${id}, its manifest entry is invalid: ${problems.join("; ")}`);
+      },
+    });
   } catch (error) {
-    // Manifest doesn't exist or can't be read, which is fine
+    // An unreadable manifest is rebuilt from scratch
+    console.warn(`⚠️  Ignoring existing manifest: ${error.message}`);
+  }
+  if (existingManifest) {
+    existingImages = existingManifest.images;
+    console.log(`📋 Found existing manifest with ${Object.keys(existingImages).length} cached images`);
+  } else {
     console.log("📋 No existing manifest found or it couldn't be read");
   }
 
@@ -43,10 +241,7 @@ async function main() {
     console.log("🔧 Running in fallback mode - creating empty manifest");
 
     // Create empty manifest for CI builds without API keys
-    const manifest = {
-      generated_at: new Date().toISOString(),
-      build_version: "2.0.0",
-      images: {},
+    const manifest = createManifest("build", {
       stats: {
         total_found: 0,
         successfully_cached: 0,
@@ -60,102 +255,247 @@ async function main() {
         fallback_mode: true,
         reason: "No API key configured",
       },
-    };
+    });
 
-    const manifestDir = path.join(process.cwd(), "public");
-    await fs.mkdir(manifestDir, { recursive: true });
-    await fs.writeFile(
-      path.join(manifestDir, "unsplash-manifest.json"),
-      JSON.stringify(manifest, null, 2)
-    );
+    await writeManifest(manifestPath, manifest, "build");
 
     console.log("📄 Fallback manifest created successfully");
     console.log(
       "💡 To enable image caching, set UNSPLASH_ACCESS_KEY environment variable"
     );
+    reporter.summary(
+      { succeeded: 0, failed: 0 },
+      { total: 0, manifest: manifestPath, fallback_mode: true, reason: "No API key configured" }
+    );
     return;
   }
 
   console.log("✅ Unsplash API key configured");
 
   // Scan for images
-  console.log("🔍 Scanning MDX files for Unsplash images...");
-  const imageUrls = await scanMdxFiles();
+  console.log("🔍 Scanning content for Unsplash images...");
+  const scan = await scanContent(config.contentDir, {
+    ...config.scan,
+    onReference: (reference) => {
+      console.log(`📄 Found image in ${reference.file}:${reference.line}: ${reference.url}`);
+    },
+  });
+  for (const { file, message } of scan.warnings) {
+    console.warn(`⚠️  ${file}: ${message}`);
+  }
+  const { urls: imageUrls, unfetchable } = getFetchablePhotos(scan);
+  for (const { url, references } of unfetchable) {
+    const { file, line } = references[0];
+    console.warn(`⚠️  Skipping ${url} (${file}:${line}): CDN image URLs don't name the photo, use its unsplash.com/photos/ URL`);
+  }
+
+  // Remember which files use which photo, for `unsplash where`
+  const referenceIndexPath = getReferenceIndexPath(manifestPath);
+  await writeReferenceIndex(referenceIndexPath, buildReferenceIndex(scan, referenceIndexPath));
+  console.log(`🗂️  Reference index written to ${referenceIndexPath}`);
 
   if (imageUrls.length === 0) {
     console.log("⚠️  No Unsplash images found in your content");
 
     // Create empty manifest
-    const manifest = {
-      generated_at: new Date().toISOString(),
-      images: {},
+    const manifest = createManifest("build", {
       stats: {
         total_found: 0,
         successfully_cached: 0,
         failed_to_cache: 0,
+        success_rate: "0%",
       },
-    };
+    });
 
-    const manifestDir = path.join(process.cwd(), "public");
-    await fs.mkdir(manifestDir, { recursive: true });
-    await fs.writeFile(
-      path.join(manifestDir, "unsplash-manifest.json"),
-      JSON.stringify(manifest, null, 2)
-    );
+    await writeManifest(manifestPath, manifest, "build");
 
     console.log("📄 Empty manifest created");
+    reporter.summary(
+      { succeeded: 0, failed: 0 },
+      { total: 0, manifest: manifestPath, references: referenceIndexPath }
+    );
     return;
   }
 
+  reporter.event("start", { total: imageUrls.length, content_dir: config.contentDir });
   console.log(`\n📊 Found ${imageUrls.length} unique Unsplash images:`);
   imageUrls.forEach((url, index) => {
     console.log(`   ${index + 1}. ${url}`);
   });
 
+  // Report when the shared scheduler pauses to wait for the rate limit budget
+  getDefaultClient().rateLimiter.on("wait", ({ ms, status }) => {
+    reporter.event("rate_limit_wait", { ms, limit: status.limit, remaining: status.remaining });
+    console.log(
+      `⏳ Rate limit budget exhausted (${Math.max(status.remaining, 0)}/${status.limit} remaining), ` +
+        `pausing ${formatDuration(ms)} until it resets`
+    );
+  });
+
+  // Pick up the progress of an interrupted run
+  const checkpoint = await BuildCheckpoint.load(checkpointPath);
+  if (checkpoint.resumed) {
+    console.log(
+      `\n♻️  Resuming from checkpoint: ${Object.keys(checkpoint.images).length} fetched, ` +
+        `${Object.keys(checkpoint.failed).length} failed previously`
+    );
+  }
+
+  // Everything fetched so far is already in the checkpoint, so an interrupt
+  // loses nothing
+  process.on("SIGINT", () => {
+    console.log("\n\n⏹️  Interrupted - progress is saved, run again to resume");
+    process.exit(130);
+  });
+
+  const contentPhotoIds = new Set(imageUrls.map((url) => extractUnsplashPhotoId(url)));
+  for (const photoId of options.refresh.filter((id) => !contentPhotoIds.has(id))) {
+    console.warn(`⚠️  --refresh ${photoId}: not used in the content, ignored`);
+  }
+
   // Fetch all images
   console.log("\n🚀 Starting build-time fetch...");
   const imageManifest = {};
+  const unavailable = [];
   let cached = 0;
+  let refreshed = 0;
   let failed = 0;
+  // Photos found gone on this run; ones flagged before don't fail it again
+  let newlyUnavailable = 0;
+  let skippedFailures = 0;
 
-  for (const imageUrl of imageUrls) {
-    const photoId = extractUnsplashPhotoId(imageUrl);
-    if (!photoId) {
-      console.log(`⚠️  Could not extract photo ID from: ${imageUrl}`);
-      failed++;
-      continue;
-    }
+  console.log(`🔧 Concurrency: ${config.concurrency} parallel fetches`);
 
-    // Check if we already have this image in the existing manifest
-    if (existingImages && existingImages[photoId]) {
-      console.log(`🔄 Using cached data for photo: ${photoId}`);
-      imageManifest[photoId] = existingImages[photoId];
-      cached++;
-      continue;
-    }
+  await runPool(
+    imageUrls,
+    async (imageUrl) => {
+      const photoId = extractUnsplashPhotoId(imageUrl);
+      if (!photoId) {
+        console.log(`⚠️  Could not extract photo ID from: ${imageUrl}`);
+        reporter.event("photo", { id: null, url: imageUrl, status: "failed", error: "Could not extract photo ID" });
+        failed++;
+        return;
+      }
 
-    // If not in cache, fetch from API
-    const imageData = await fetchImageData(photoId);
-    if (imageData) {
-      imageManifest[photoId] = imageData;
-      cached++;
-    } else {
-      failed++;
-    }
+      // Check if we already have this image in the existing manifest, and
+      // whether it is due for a refresh
+      const existing = existingImages && existingImages[photoId];
+      const refreshReason = existing ? getRefreshReason(photoId, existing, options) : null;
+      if (existing && !refreshReason) {
+        imageManifest[photoId] = existing;
+        if (existing.unavailable) {
+          console.log(`🚫 Using cached data for photo no longer on Unsplash: ${photoId}`);
+          reporter.event("photo", { id: photoId, url: imageUrl, status: "unavailable", source: "manifest" });
+          unavailable.push(photoId);
+          return;
+        }
+        console.log(`🔄 Using cached data for photo: ${photoId}`);
+        reporter.event("photo", { id: photoId, url: imageUrl, status: "cached", source: "manifest" });
+        cached++;
+        return;
+      }
 
-    // Add small delay to avoid overwhelming the API
-    await new Promise((resolve) => setTimeout(resolve, 100));
-  }
+      // Or if an interrupted run already fetched it
+      if (checkpoint.images[photoId]) {
+        console.log(`♻️  Using checkpointed data for photo: ${photoId}`);
+        reporter.event("photo", { id: photoId, url: imageUrl, status: "cached", source: "checkpoint" });
+        imageManifest[photoId] = checkpoint.images[photoId];
+        cached++;
+        return;
+      }
+
+      // Photos that failed before are only retried on request; rate limited
+      // ones never reached the API, so they are always retried
+      const previousFailure = !existing && checkpoint.getFailure(photoId);
+      if (previousFailure && !previousFailure.rate_limited && !options.retryFailed) {
+        console.log(
+          `⏭️  Skipping previously failed photo: ${photoId} (${previousFailure.reason})`
+        );
+        reporter.event("photo", {
+          id: photoId,
+          url: imageUrl,
+          status: "skipped",
+          error: previousFailure.reason,
+          attempts: previousFailure.attempts,
+        });
+        failed++;
+        skippedFailures++;
+        return;
+      }
+
+      if (refreshReason) {
+        const age = typeof existing.cached_at === "number" ? Date.now() - existing.cached_at : null;
+        console.log(
+          refreshReason === "requested"
+            ? `🔁 Refreshing photo: ${photoId}`
+            : `🔁 Refreshing stale photo: ${photoId} (cached ${age === null ? "at an unknown time" : `${formatDuration(age)} ago`})`
+        );
+      }
+
+      // If not in cache (or due for a refresh), fetch from API
+      const result = await fetchImageDataWithStatus(photoId);
+      if (result.imageData) {
+        imageManifest[photoId] = result.imageData;
+        checkpoint.recordSuccess(photoId, result.imageData);
+        reporter.event("photo", {
+          id: photoId,
+          url: imageUrl,
+          status: existing ? "refreshed" : "fetched",
+          ...(refreshReason ? { reason: refreshReason } : {}),
+        });
+        cached++;
+        if (existing) refreshed++;
+      } else if (existing && result.status === 404) {
+        // Keep the data so pages still render, but don't pass it off as current
+        console.log(`🚫 Photo no longer on Unsplash: ${photoId}`);
+        imageManifest[photoId] = markUnavailable(existing, result);
+        reporter.event("photo", { id: photoId, url: imageUrl, status: "unavailable", http_status: 404 });
+        unavailable.push(photoId);
+        if (!existing.unavailable) newlyUnavailable++;
+      } else if (existing) {
+        // Keep the old data until a refresh gets through
+        console.log(`⚠️  Could not refresh ${photoId}, keeping the cached data: ${result.error}`);
+        imageManifest[photoId] = existing;
+        reporter.event("photo", {
+          id: photoId,
+          url: imageUrl,
+          status: "cached",
+          source: "manifest",
+          error: result.error,
+          http_status: result.status ?? null,
+          rate_limited: !!result.rateLimited,
+        });
+        cached++;
+      } else {
+        checkpoint.recordFailure(photoId, {
+          reason: result.error,
+          status: result.status,
+          rateLimited: result.rateLimited,
+        });
+        reporter.event("photo", {
+          id: photoId,
+          url: imageUrl,
+          status: "failed",
+          error: result.error,
+          http_status: result.status ?? null,
+          rate_limited: !!result.rateLimited,
+        });
+        failed++;
+      }
+
+      await checkpoint.save();
+    },
+    { concurrency: config.concurrency }
+  );
 
   // Generate comprehensive manifest file
-  const manifest = {
-    generated_at: new Date().toISOString(),
-    build_version: "2.0.0",
+  const manifest = createManifest("build", {
     images: imageManifest,
     stats: {
       total_found: imageUrls.length,
       successfully_cached: cached,
       failed_to_cache: failed,
+      unavailable: unavailable.length,
       success_rate:
         imageUrls.length > 0
           ? ((cached / imageUrls.length) * 100).toFixed(1) + "%"
@@ -167,22 +507,67 @@ async function main() {
       environment: process.env.NODE_ENV || "development",
       has_secret_key: !!process.env.UNSPLASH_SECRET_KEY,
     },
-  };
+  });
 
-  const manifestDir = path.join(process.cwd(), "public");
-  await fs.mkdir(manifestDir, { recursive: true });
-  await fs.writeFile(
-    path.join(manifestDir, "unsplash-manifest.json"),
-    JSON.stringify(manifest, null, 2)
-  );
+  await writeManifest(manifestPath, manifest, "build");
+
+  // Keep the checkpoint while there are failures to retry
+  const remainingFailures = imageUrls
+    .map((url) => extractUnsplashPhotoId(url))
+    .filter((photoId) => photoId && checkpoint.getFailure(photoId));
+  if (remainingFailures.length === 0) {
+    await checkpoint.remove();
+  } else {
+    checkpoint.keepFailuresOnly();
+    await checkpoint.save();
+  }
 
   console.log(`\n📊 Build-time Cache Results:`);
   console.log(`   ✅ Successfully cached: ${cached}`);
+  if (refreshed > 0) {
+    console.log(`   🔁 Refreshed: ${refreshed}`);
+  }
   console.log(`   ❌ Failed to cache: ${failed}`);
+  if (unavailable.length > 0) {
+    console.log(`   🚫 No longer on Unsplash: ${unavailable.length}`);
+  }
   console.log(
     `   📈 Success rate: ${((cached / imageUrls.length) * 100).toFixed(1)}%`
   );
-  console.log(`   📄 Manifest generated at: public/unsplash-manifest.json`);
+  console.log(`   📄 Manifest generated at: ${path.relative(process.cwd(), manifestPath)}`);
+
+  if (remainingFailures.length > 0) {
+    console.log(
+      `\n❌ Failed photos (recorded in ${path.relative(process.cwd(), checkpointPath)}):`
+    );
+    remainingFailures.forEach((photoId) => {
+      const failure = checkpoint.getFailure(photoId);
+      console.log(`   • ${photoId}: ${failure.reason} (${failure.attempts} attempt(s))`);
+    });
+    if (skippedFailures > 0) {
+      console.log(
+        `   ${skippedFailures} of these were skipped - run with --retry-failed to try them again`
+      );
+    }
+  }
+
+  if (unavailable.length > 0) {
+    console.log("\n🚫 Photos no longer on Unsplash (flagged in the manifest, replace them in your content):");
+    for (const photoId of unavailable.sort()) {
+      console.log(`   • ${photoId} (since ${imageManifest[photoId].unavailable.since})`);
+    }
+    console.log("   Run 'unsplash where <id>' to find the posts that use them");
+  }
+
+  const rateLimit = getRateLimitStatus();
+  if (rateLimit && rateLimit.limit !== null) {
+    console.log(
+      `   🚦 API budget: ${Math.max(rateLimit.remaining, 0)}/${rateLimit.limit} requests remaining` +
+        (rateLimit.msUntilReset > 0
+          ? `, resets in ${formatDuration(rateLimit.msUntilReset)}`
+          : "")
+    );
+  }
 
   console.log("\n🎉 Build-time caching complete!");
   console.log("\n💡 Tips:");
@@ -195,14 +580,36 @@ async function main() {
   console.log(
     "   • Run this script again when you add new images to your content"
   );
+
+  process.exitCode = reporter.summary(
+    { succeeded: cached, failed: failed + newlyUnavailable },
+    {
+      total: imageUrls.length,
+      refreshed,
+      unavailable: unavailable.length,
+      skipped_failures: skippedFailures,
+      manifest: manifestPath,
+      references: referenceIndexPath,
+      checkpoint: remainingFailures.length > 0 ? checkpointPath : null,
+      rate_limit: rateLimit,
+    }
+  );
 }
 
-// Check if fetch is available (Node.js 18+)
-if (!checkFetchAvailable()) {
-  process.exit(1);
+if (require.main === module) {
+  // Check if fetch is available (Node.js 18+)
+  if (!checkFetchAvailable()) {
+    process.exit(1);
+  }
+
+  main().catch((error) => {
+    console.error("❌ Script failed:", error);
+    process.exit(1);
+  });
 }
 
-main().catch((error) => {
-  console.error("❌ Script failed:", error);
-  process.exit(1);
-});
+module.exports = {
+  parseArguments,
+  getRefreshReason,
+  main,
+};
@@ -3,32 +3,201 @@
 /**
  * Pre-cache Unsplash Images Script
  *
- * This script scans all MDX files for Unsplash image URLs,
+ * This script scans the content files for Unsplash image URLs,
  * fetches them from the API, and caches them to reduce runtime API calls.
+ *
+ * By default the cache is populated directly through the library (file, Redis
+ * or Upstash backend). Pass --server=<url> to populate the runtime cache of a
+ * running Next.js dev server instead; its route names can be changed with
+ * --cache-route and --photo-route.
+ *
+ * Defaults for all of these come from the project config (unsplash.config.js /
+ * .unsplashrc.json) and environment variables.
+ *
+ * With --json, one JSON object per photo and a final summary are written to
+ * stdout instead of the usual output.
+ *
+ * Usage:
+ *   unsplash-cache [--cache=<backend>] [--ttl=<seconds>] [--json] [--config=<path>]
+ *   unsplash-cache --server=http://localhost:3000 [--cache-route=/api/cache] [--photo-route=/api/unsplash]
+ *   unsplash-cache --scaffold-next-route
  */
 
 const fs = require("fs").promises;
 const path = require("path");
 const {
   extractUnsplashPhotoId,
-  scanMdxFiles,
+  scanContent,
+  getFetchablePhotos,
+  fetchImageDataWithStatus,
+  createCache,
+  readManifest,
+  DEFAULT_PROJECT_CONFIG,
+  loadCliConfig,
+  Reporter,
   checkFetchAvailable,
 } = require("../lib/index.js");
 
 require("dotenv").config();
 
+const CACHE_BACKEND_NAMES = ["auto", "file", "memory", "redis", "upstash"];
+
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🔍 Unsplash Image Pre-Caching Tool
+
+Usage: unsplash-cache [options]
+
+Options:
+  --cache=<backend>       Cache backend: ${CACHE_BACKEND_NAMES.join(", ")}
+                          Default: auto (Redis if REDIS_URL is set, Upstash if
+                          UPSTASH_REDIS_REST_URL is set, otherwise file)
+  --cache-file=<path>     File used by the file backend
+                          (default: ${DEFAULT_PROJECT_CONFIG.cache.file})
+  --ttl=<seconds>         How long cached photo data stays valid
+                          (default: ${DEFAULT_PROJECT_CONFIG.cache.ttl})
+  --server=<url>          Populate the runtime cache of a running Next.js app
+                          instead, e.g. --server=http://localhost:3000/blog
+                          (env: UNSPLASH_CACHE_SERVER)
+  --cache-route=<path>    Cache management route on the server
+                          (default: /api/cache, env: UNSPLASH_CACHE_ROUTE)
+  --photo-route=<path>    Photo API route on the server
+                          (default: /api/unsplash, env: UNSPLASH_PHOTO_ROUTE)
+  --scaffold-next-route   Write a cache management route to
+                          src/app/api/cache/route.ts in this project, then
+                          exit without caching anything
+  --config=<path>         Project config file (default: nearest
+                          unsplash.config.js or .unsplashrc.json)
+  --content-dir=<dir>     Directory scanned for images (default: content)
+  --json                  Write NDJSON events and a summary instead of logs
+  --help, -h              Show this help message
+`);
+    process.exit(0);
+  }
+
+  // Only flags that were given are set, the rest comes from the project config
+  const options = {
+    config: null,
+    json: false,
+    scaffoldNextRoute: false,
+    overrides: { cache: {}, server: {} },
+  };
+
+  for (const arg of args) {
+    const [key, ...rest] = arg.replace(/^--/, "").split("=");
+    const value = rest.join("=");
+
+    switch (key) {
+      case "cache":
+        if (!CACHE_BACKEND_NAMES.includes(value)) {
+          console.error(`❌ Invalid cache backend: ${value}. Valid: ${CACHE_BACKEND_NAMES.join(", ")}`);
+          process.exit(1);
+        }
+        options.overrides.cache.backend = value;
+        break;
+      case "cache-file":
+        options.overrides.cache.file = value;
+        break;
+      case "ttl":
+        options.overrides.cache.ttl = parseInt(value, 10);
+        if (isNaN(options.overrides.cache.ttl) || options.overrides.cache.ttl <= 0) {
+          console.error("❌ TTL must be a positive number of seconds");
+          process.exit(1);
+        }
+        break;
+      case "server":
+        if (!value) {
+          console.error("❌ --server requires a URL, e.g. --server=http://localhost:3000");
+          process.exit(1);
+        }
+        options.overrides.server.url = value;
+        break;
+      case "cache-route":
+      case "photo-route":
+        if (!value) {
+          console.error(`❌ --${key} requires a path, e.g. --${key}=/api/${key.split("-")[0]}`);
+          process.exit(1);
+        }
+        options.overrides.server[key === "cache-route" ? "cacheRoute" : "photoRoute"] = value;
+        break;
+      case "scaffold-next-route":
+        options.scaffoldNextRoute = true;
+        break;
+      case "config":
+        options.config = value;
+        break;
+      case "json":
+        options.json = true;
+        break;
+      case "content-dir":
+        options.overrides.contentDir = value;
+        break;
+      default:
+        console.warn(`⚠️  Unknown option: ${arg}`);
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Combine the parsed flags with the project config
+ * @param {object} args - Parsed command line arguments
+ * @param {object} config - Project config, with the flags applied as overrides
+ * @returns {object} - Options used by the rest of the script
+ */
+function resolveOptions(args, config) {
+  return {
+    scaffoldNextRoute: args.scaffoldNextRoute,
+    contentDir: config.contentDir,
+    scan: config.scan,
+    manifestPath: config.manifestPath,
+    cache: config.cache.backend,
+    cacheFile: config.cache.file,
+    ttl: config.cache.ttl,
+    server: config.server.url ? config.server.url.replace(/\/+$/, "") : null,
+    cacheRoute: config.server.cacheRoute,
+    photoRoute: config.server.photoRoute,
+  };
+}
+
+/**
+ * Build the URLs of the dev server routes
+ * @param {object} options - Parsed options with server, cacheRoute and photoRoute
+ * @returns {object} - Object with cacheUrl, photoUrl, cache(params) and photo(params)
+ */
+function createEndpoints(options) {
+  const join = (route) => `${options.server}/${route.replace(/^\/+/, "")}`;
+  const cacheUrl = join(options.cacheRoute);
+  const photoUrl = join(options.photoRoute);
+
+  return {
+    cacheUrl,
+    photoUrl,
+    cache: (params) => `${cacheUrl}?${new URLSearchParams(params)}`,
+    photo: (params) => `${photoUrl}?${new URLSearchParams(params)}`,
+  };
+}
+
 // Check if image is already cached
-async function isImageCached(photoId, existingManifest) {
+async function isImageCached(photoId, existingManifest, endpoints) {
   // Check static manifest first
   if (existingManifest && existingManifest.images && existingManifest.images[photoId]) {
     return { cached: true, source: 'manifest', data: existingManifest.images[photoId] };
   }
   
   // Check runtime cache via API
+  if (!endpoints.cacheAvailable) {
+    return { cached: false };
+  }
+
   try {
-    const response = await fetch(
-      `http://localhost:3000/api/cache?action=check&id=${photoId}`
-    );
+    const response = await fetch(endpoints.cache({ action: "check", id: photoId }));
     
     if (response.ok) {
       const data = await response.json();
@@ -44,48 +213,89 @@ async function isImageCached(photoId, existingManifest) {
   return { cached: false };
 }
 
-// Call local API to cache images
-async function cacheImage(imageUrl, existingManifest = null) {
+// Call the dev server API to cache images. Resolves with
+// { success, photoId, status, source, error } for the run's report
+async function cacheImageViaServer(imageUrl, existingManifest, endpoints) {
   const photoId = extractUnsplashPhotoId(imageUrl);
   if (!photoId) {
     console.log(`⚠️  Could not extract photo ID from: ${imageUrl}`);
-    return false;
+    return { success: false, photoId: null, status: "failed", error: "Could not extract photo ID" };
   }
 
   // Check if already cached
-  const cacheStatus = await isImageCached(photoId, existingManifest);
+  const cacheStatus = await isImageCached(photoId, existingManifest, endpoints);
   if (cacheStatus.cached) {
     console.log(`✅ Already cached: ${photoId} (from ${cacheStatus.source})`);
-    return true;
+    return { success: true, photoId, status: "already_cached", source: cacheStatus.source };
   }
 
   try {
     console.log(`🔄 Caching photo: ${photoId}`);
-    const response = await fetch(
-      `http://localhost:3000/api/unsplash?action=get-photo&id=${photoId}`
-    );
+    const response = await fetch(endpoints.photo({ action: "get-photo", id: photoId }));
 
     if (response.ok) {
       const data = await response.json();
       console.log(`✅ Cached photo: ${photoId} - ${data.image_author}`);
-      return true;
+      return { success: true, photoId, status: "cached", source: "server" };
     } else {
       const error = await response.json();
       console.log(
         `❌ Failed to cache ${photoId}: ${error.error || "Unknown error"}`
       );
-      return false;
+      return { success: false, photoId, status: "failed", error: error.error || "Unknown error" };
     }
   } catch (error) {
     console.log(`❌ Error caching ${photoId}: ${error.message}`);
-    return false;
+    return { success: false, photoId, status: "failed", error: error.message };
   }
 }
 
-// Add cache management endpoints to the API
+// Cache an image directly through the library cache (same result shape as above)
+async function cacheImageDirect(imageUrl, existingManifest, cache, ttl) {
+  const photoId = extractUnsplashPhotoId(imageUrl);
+  if (!photoId) {
+    console.log(`⚠️  Could not extract photo ID from: ${imageUrl}`);
+    return { success: false, photoId: null, status: "failed", error: "Could not extract photo ID" };
+  }
+
+  // Photos in the static manifest never hit the runtime cache
+  if (existingManifest && existingManifest.images && existingManifest.images[photoId]) {
+    console.log(`✅ Already cached: ${photoId} (from manifest)`);
+    return { success: true, photoId, status: "already_cached", source: "manifest" };
+  }
+
+  let result;
+  try {
+    result = await fetchImageDataWithStatus(photoId, { cache, cacheTtl: ttl });
+  } catch (error) {
+    // The cache itself failed (e.g. Redis unreachable); move on to the next photo
+    console.log(`❌ Cache error for ${photoId}: ${error.message}`);
+    return { success: false, photoId, status: "failed", error: error.message };
+  }
+  if (!result.imageData) {
+    return { success: false, photoId, status: "failed", error: result.error };
+  }
+  return {
+    success: true,
+    photoId,
+    status: result.fromCache ? "already_cached" : "cached",
+    source: cache.backend,
+  };
+}
+
+// Add cache management endpoints to the API, resolving with the route file
+// (null if it could not be written)
 async function addCacheManagementEndpoint() {
   const routePath = path.join(process.cwd(), "src/app/api/cache/route.ts");
 
+  try {
+    await fs.access(routePath);
+    console.log(`⚠️  ${path.relative(process.cwd(), routePath)} already exists, leaving it untouched`);
+    return routePath;
+  } catch {
+    // Route doesn't exist yet, create it
+  }
+
   const cacheApiContent = `import { NextRequest, NextResponse } from "next/server";
 import { unsplashCache } from "@/lib/cache/unsplash-cache";
 
@@ -149,63 +359,230 @@ export async function GET(request: NextRequest) {
     await fs.mkdir(path.dirname(routePath), { recursive: true });
     await fs.writeFile(routePath, cacheApiContent);
     console.log("✅ Created cache management API endpoint");
+    return routePath;
   } catch (error) {
-    console.log("⚠️  Could not create cache API endpoint:", error.message);
+    console.error("❌ Could not create cache API endpoint:", error.message);
+    return null;
   }
 }
 
-// Main function
-async function main() {
-  console.log("🔍 Unsplash Image Pre-Caching Tool\n");
-
-  // Check if server is running
+/**
+ * Probe one dev server route
+ * @param {string} url - URL to request
+ * @returns {Promise<object>} - Object with ok, and status/reason when it failed
+ */
+async function probeEndpoint(url) {
+  let response;
   try {
-    const response = await fetch(
-      "http://localhost:3000/api/unsplash?action=extract-id&url=https://unsplash.com/photos/test-123"
+    response = await fetch(url, { headers: { Accept: "application/json" } });
+  } catch (error) {
+    return { ok: false, reason: `connection failed (${error.cause?.code || error.message})` };
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  // A missing route still answers, usually with an HTML 404 page
+  if (response.status === 404) {
+    return { ok: false, status: 404, reason: "route not found (HTTP 404)" };
+  }
+  if (!contentType.includes("application/json")) {
+    return { ok: false, status: response.status, reason: `expected JSON but got ${contentType || "no content type"} (HTTP ${response.status})` };
+  }
+  // 400 is how the photo route answers a test request it considers invalid
+  if (!response.ok && response.status !== 400) {
+    return { ok: false, status: response.status, reason: `HTTP ${response.status}` };
+  }
+  return { ok: true, status: response.status };
+}
+
+// Check that the dev server and both of its routes answer, resolving with
+// false when the photo route doesn't
+async function checkServer(options, endpoints) {
+  console.log(`🔌 Checking server at ${options.server}...`);
+
+  const photo = await probeEndpoint(
+    endpoints.photo({ action: "extract-id", url: "https://unsplash.com/photos/test-123" })
+  );
+  if (!photo.ok) {
+    console.error(`❌ Photo route failed: ${endpoints.photoUrl}`);
+    console.error(`   ${photo.reason}`);
+    if (photo.status === undefined) {
+      console.error("💡 Is the server running? Start it with: pnpm dev");
+    } else {
+      console.error("💡 Point --photo-route (or UNSPLASH_PHOTO_ROUTE) at your photo API route");
+    }
+    return false;
+  }
+  console.log(`✅ Photo route: ${endpoints.photoUrl}`);
+
+  const cache = await probeEndpoint(endpoints.cache({ action: "stats" }));
+  if (!cache.ok) {
+    console.warn(`⚠️  Cache route failed: ${endpoints.cacheUrl}`);
+    console.warn(`   ${cache.reason}`);
+    console.warn(
+      "💡 Point --cache-route (or UNSPLASH_CACHE_ROUTE) at your cache route, or create one with --scaffold-next-route"
     );
-    if (!response.ok && response.status !== 400) {
-      console.log(
-        "❌ Development server is not running. Please start it with:"
-      );
-      console.log("   pnpm dev");
-      process.exit(1);
+    console.warn("   Continuing without runtime cache checks or statistics");
+  } else {
+    console.log(`✅ Cache route: ${endpoints.cacheUrl}`);
+  }
+  endpoints.cacheAvailable = cache.ok;
+  return true;
+}
+
+// Show the dev server's runtime cache statistics, resolving with them
+async function showServerStats(endpoints) {
+  if (!endpoints.cacheAvailable) return null;
+
+  try {
+    const statsResponse = await fetch(endpoints.cache({ action: "stats" }));
+    if (statsResponse.ok) {
+      const stats = await statsResponse.json();
+      console.log(`\n💾 Cache Statistics:`);
+      console.log(`   🎯 Hit rate: ${stats.hit_rate}`);
+      console.log(`   📦 Memory cache size: ${stats.memory_cache_size}`);
+      console.log(`   📊 Total requests: ${stats.stats.total_requests}`);
+      return stats;
     }
   } catch (error) {
-    console.log(
-      "❌ Cannot connect to development server. Please start it with:"
+    console.log("⚠️  Could not fetch cache stats");
+  }
+  return null;
+}
+
+// Show the library cache statistics, resolving with them
+async function showCacheStats(cache) {
+  try {
+    const stats = await cache.stats();
+    console.log(`\n💾 Cache Statistics:`);
+    console.log(`   🗄️  Backend: ${stats.backend}`);
+    console.log(`   📦 Entries: ${stats.size}`);
+    console.log(`   🎯 Hit rate: ${stats.hit_rate}`);
+    return stats;
+  } catch (error) {
+    console.log(`⚠️  Could not fetch cache stats: ${error.message}`);
+    return null;
+  }
+}
+
+// Create the library cache selected on the command line
+function openCache(options) {
+  // An in-memory cache would be gone when this process exits
+  return createCache({ backend: options.cache, fallback: "file", filePath: options.cacheFile });
+}
+
+// Main function
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArguments(argv);
+  const reporter = new Reporter({ command: "cache", json: args.json });
+
+  // Failures still end with a summary, so --json consumers always get one
+  const fail = () => {
+    process.exitCode = reporter.summary({ succeeded: 0, failed: 1 }, { total: 0 });
+  };
+
+  try {
+    await cacheImages(args, reporter, fail);
+  } catch (error) {
+    console.error("❌ Script failed:", error);
+    fail();
+  }
+}
+
+// Cache every photo the content references
+async function cacheImages(args, reporter, fail) {
+  // Check if fetch is available (Node.js 18+)
+  if (!checkFetchAvailable()) {
+    return fail();
+  }
+
+  console.log("🔍 Unsplash Image Pre-Caching Tool\n");
+
+  const config = await loadCliConfig({ configPath: args.config, overrides: args.overrides });
+  if (!config) {
+    return fail();
+  }
+  const options = resolveOptions(args, config);
+
+  // Scaffolding the route needs no API key or cache, and fetches nothing
+  if (options.scaffoldNextRoute) {
+    const routePath = await addCacheManagementEndpoint();
+    process.exitCode = reporter.summary(
+      { succeeded: routePath ? 1 : 0, failed: routePath ? 0 : 1 },
+      { route: routePath }
     );
-    console.log("   pnpm dev");
-    process.exit(1);
+    return;
   }
 
-  console.log("✅ Development server is running");
+  let cache = null;
+  const endpoints = options.server ? createEndpoints(options) : null;
+
+  if (options.server) {
+    if (!(await checkServer(options, endpoints))) {
+      return fail();
+    }
+  } else {
+    if (!process.env.UNSPLASH_ACCESS_KEY) {
+      console.error("❌ UNSPLASH_ACCESS_KEY environment variable not configured");
+      console.error(
+        "💡 Set it, or use --server=<url> to cache through a running Next.js app"
+      );
+      return fail();
+    }
+
+    try {
+      cache = openCache(options);
+    } catch (error) {
+      console.error(`❌ Could not open cache: ${error.message}`);
+      return fail();
+    }
+    console.log(`✅ Using ${cache.backend} cache`);
+  }
 
   // Check if manifest already exists
-  const manifestPath = path.join(process.cwd(), "public", "unsplash-manifest.json");
+  const manifestPath = options.manifestPath;
   let existingManifest = null;
   
   try {
-    const manifestContent = await fs.readFile(manifestPath, "utf-8");
-    existingManifest = JSON.parse(manifestContent);
-    const existingCount = existingManifest.images ? Object.keys(existingManifest.images).length : 0;
-    console.log(`📋 Found existing manifest with ${existingCount} cached images`);
+    existingManifest = await readManifest(manifestPath, "build");
   } catch (error) {
-    // Manifest doesn't exist or can't be read, which is fine
+    // Without a usable manifest every photo goes through the runtime cache
+    console.warn(`⚠️  Ignoring existing manifest: ${error.message}`);
+  }
+  if (existingManifest) {
+    console.log(`📋 Found existing manifest with ${Object.keys(existingManifest.images).length} cached images`);
+  } else {
     console.log("📋 No existing manifest found or it couldn't be read");
   }
 
-  // Create cache management API
-  await addCacheManagementEndpoint();
-
   // Scan for images
-  console.log("🔍 Scanning MDX files for Unsplash images...");
-  const imageUrls = await scanMdxFiles();
+  console.log("🔍 Scanning content for Unsplash images...");
+  const scan = await scanContent(options.contentDir, {
+    ...options.scan,
+    onReference: (reference) => {
+      console.log(`📄 Found image in ${reference.file}:${reference.line}: ${reference.url}`);
+    },
+  });
+  for (const { file, message } of scan.warnings) {
+    console.warn(`⚠️  ${file}: ${message}`);
+  }
+  const { urls: imageUrls, unfetchable } = getFetchablePhotos(scan);
+  for (const { url, references } of unfetchable) {
+    const { file, line } = references[0];
+    console.warn(`⚠️  Skipping ${url} (${file}:${line}): CDN image URLs don't name the photo, use its unsplash.com/photos/ URL`);
+  }
 
   if (imageUrls.length === 0) {
     console.log("⚠️  No Unsplash images found in your content");
+    if (cache) await cache.close();
+    reporter.summary({ succeeded: 0, failed: 0 }, { total: 0 });
     return;
   }
 
+  reporter.event("start", {
+    total: imageUrls.length,
+    target: options.server ? endpoints.photoUrl : cache.backend,
+  });
+
   console.log(`\n📊 Found ${imageUrls.length} unique Unsplash images:`);
   imageUrls.forEach((url, index) => {
     console.log(`   ${index + 1}. ${url}`);
@@ -217,15 +594,26 @@ async function main() {
   let failed = 0;
 
   for (const imageUrl of imageUrls) {
-    const success = await cacheImage(imageUrl, existingManifest);
-    if (success) {
+    const result = options.server
+      ? await cacheImageViaServer(imageUrl, existingManifest, endpoints)
+      : await cacheImageDirect(imageUrl, existingManifest, cache, options.ttl);
+    reporter.event("photo", {
+      id: result.photoId,
+      url: imageUrl,
+      status: result.status,
+      ...(result.source ? { source: result.source } : {}),
+      ...(result.error ? { error: result.error } : {}),
+    });
+    if (result.success) {
       cached++;
     } else {
       failed++;
     }
 
-    // Add small delay to avoid overwhelming the API
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    if (options.server) {
+      // Add small delay to avoid overwhelming the dev server
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
   }
 
   console.log(`\n📊 Cache Population Results:`);
@@ -236,38 +624,41 @@ async function main() {
   );
 
   // Show cache stats
-  try {
-    const statsResponse = await fetch(
-      "http://localhost:3000/api/cache?action=stats"
-    );
-    if (statsResponse.ok) {
-      const stats = await statsResponse.json();
-      console.log(`\n💾 Cache Statistics:`);
-      console.log(`   🎯 Hit rate: ${stats.hit_rate}`);
-      console.log(`   📦 Memory cache size: ${stats.memory_cache_size}`);
-      console.log(`   📊 Total requests: ${stats.stats.total_requests}`);
-    }
-  } catch (error) {
-    console.log("⚠️  Could not fetch cache stats");
+  let stats;
+  if (options.server) {
+    stats = await showServerStats(endpoints);
+  } else {
+    stats = await showCacheStats(cache);
+    await cache.close();
   }
 
   console.log("\n🎉 Pre-caching complete!");
   console.log("\n💡 Tips:");
   console.log("   • Run this script after adding new images to your content");
-  console.log(
-    "   • Check cache stats at: http://localhost:3000/api/cache?action=stats"
-  );
-  console.log(
-    "   • Clear cache with: http://localhost:3000/api/cache?action=clear"
+  if (options.server) {
+    console.log(
+      `   • Check cache stats at: ${endpoints.cache({ action: "stats" })}`
+    );
+    console.log(
+      `   • Clear cache with: ${endpoints.cache({ action: "clear" })}`
+    );
+  } else {
+    console.log(
+      "   • Share the cache with your app by pointing both at the same REDIS_URL or Upstash database"
+    );
+  }
+
+  process.exitCode = reporter.summary(
+    { succeeded: cached, failed },
+    { total: imageUrls.length, cache_stats: stats }
   );
 }
 
-// Check if fetch is available (Node.js 18+)
-if (!checkFetchAvailable()) {
-  process.exit(1);
+if (require.main === module) {
+  main();
 }
 
-main().catch((error) => {
-  console.error("❌ Script failed:", error);
-  process.exit(1);
-});
+module.exports = {
+  parseArguments,
+  main,
+};
@@ -5,190 +5,636 @@
  *
  * This script removes all downloaded images and their local manifest
  * to allow for a fresh download when running the download script.
+ *
+ * With --orphans, the content is scanned again and only the images no longer
+ * referenced anywhere are removed, together with their entries in the build
+ * manifest and the local manifest.
+ *
+ * Before anything is removed the plan is printed; --dry-run stops there.
+ * When run in a terminal the plan has to be confirmed, unless --yes is given.
+ * With --trash, files are moved into <downloadDir>/.trash/<timestamp> instead
+ * of being deleted, and --restore <timestamp> puts them back.
+ *
+ * The download directory comes from the project config (downloadDir).
+ *
+ * With --json, one JSON object per removed file and a final summary are
+ * written to stdout instead of the usual output.
+ *
+ * Usage:
+ *   unsplash-clean [--orphans] [--dry-run] [--yes] [--trash] [--json] [--config=<path>]
+ *   unsplash-clean --restore [<timestamp>|latest] [--json] [--config=<path>]
  */
 
 const fs = require("fs").promises;
 const path = require("path");
+const readline = require("readline");
+const {
+  scanContent,
+  sanitizeFilename,
+  parseRenditionFilename,
+  readManifest,
+  writeManifest,
+  getLocalManifestPath,
+  LEGACY_LOCAL_MANIFEST_FILENAME,
+  Trash,
+  formatFileSize,
+  loadCliConfig,
+  Reporter,
+} = require("../lib/index.js");
 
-// Configuration
+// Configuration, filled in from the project config by main()
 const CONFIG = {
-  downloadDir: path.join(process.cwd(), "public", "images", "unsplash"),
-  localManifestPath: path.join(
-    process.cwd(),
-    "public",
-    "images",
-    "unsplash",
-    "local-manifest.json"
-  ),
+  downloadDir: null,
+  localManifestPath: null,
 };
 
-// Utility function to format file size
-function formatFileSize(bytes) {
-  if (bytes === 0) return "0 B";
-  const k = 1024;
-  const sizes = ["B", "KB", "MB", "GB"];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
-}
+// Files in the download directory that --orphans considers images
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".avif", ".gif"];
 
-// Get directory size recursively
-async function getDirectorySize(dirPath) {
-  let totalSize = 0;
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🧹 Unsplash Images Cleanup Tool
 
-  try {
-    const items = await fs.readdir(dirPath, { withFileTypes: true });
+Usage: unsplash-clean [options]
 
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item.name);
+Options:
+  --orphans           Only remove images (and manifest entries) that are no
+                      longer referenced by any content file
+  --dry-run           Print what would be removed and the space it would
+                      free, without removing anything
+  --yes, -y           Don't ask for confirmation (only asked in a terminal)
+  --trash             Move files to <downloadDir>/.trash/<timestamp> instead
+                      of deleting them
+  --restore [<ts>]    Put back the files of a trash folder ("latest" for the
+                      newest); without a timestamp, list the trash folders
+  --config=<path>     Project config file (default: nearest unsplash.config.js
+                      or .unsplashrc.json)
+  --json              Write NDJSON events and a summary instead of logs
+  --help, -h          Show this help message
 
-      if (item.isDirectory()) {
-        totalSize += await getDirectorySize(itemPath);
-      } else if (item.isFile()) {
-        const stats = await fs.stat(itemPath);
-        totalSize += stats.size;
-      }
+Examples:
+  unsplash-clean --orphans --dry-run
+  unsplash-clean --orphans --trash --yes
+  unsplash-clean --restore latest
+`);
+    process.exit(0);
+  }
+
+  const options = {
+    config: null,
+    json: false,
+    orphans: false,
+    dryRun: false,
+    yes: false,
+    trash: false,
+    restore: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === "--orphans") {
+      options.orphans = true;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--yes" || arg === "-y") {
+      options.yes = true;
+    } else if (arg === "--trash") {
+      options.trash = true;
+    } else if (arg === "--restore") {
+      // The timestamp is optional; without one the trash folders are listed
+      options.restore = args[i + 1] && !args[i + 1].startsWith("-") ? args[++i] : "";
+    } else if (arg.startsWith("--restore=")) {
+      options.restore = arg.slice("--restore=".length);
+    } else if (arg.startsWith("--config=")) {
+      options.config = arg.slice("--config=".length);
+    } else if (arg === "--json") {
+      options.json = true;
+    } else {
+      console.warn(`⚠️  Unknown option: ${arg}`);
     }
-  } catch (error) {
-    // Directory might not exist or be accessible
-    return 0;
   }
 
-  return totalSize;
+  if (options.restore !== null && (options.orphans || options.dryRun || options.trash)) {
+    console.error("❌ --restore can't be combined with --orphans, --dry-run or --trash");
+    process.exit(1);
+  }
+
+  return options;
 }
 
-// Count files in directory
-async function countFiles(dirPath) {
-  let fileCount = 0;
+/**
+ * Ask a yes/no question on the terminal. The prompt goes to stderr so it
+ * doesn't end up in --json output.
+ * @param {string} question - The question
+ * @returns {Promise<boolean>} - True if the answer was yes
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
 
-  try {
-    const items = await fs.readdir(dirPath, { withFileTypes: true });
-
-    for (const item of items) {
-      if (
-        item.isFile() &&
-        !item.name.startsWith(".") &&
-        item.name !== "local-manifest.json"
-      ) {
-        fileCount++;
-      }
+  return new Promise((resolve) => {
+    rl.on("SIGINT", () => {
+      rl.close();
+      resolve(false);
+    });
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Plan removing everything in the download directory
+ * @returns {Promise<object>} - Plan with files (name, path, bytes and manifest
+ *   for the local manifest) and manifests (always empty)
+ */
+async function planFullClean() {
+  const files = [];
+  const items = await fs.readdir(CONFIG.downloadDir, { withFileTypes: true });
+
+  for (const item of items) {
+    // Dot files are kept, and with them the .trash directory
+    if (!item.isFile() || item.name.startsWith(".")) {
+      continue;
     }
-  } catch (error) {
-    return 0;
+
+    const filePath = path.join(CONFIG.downloadDir, item.name);
+    const stats = await fs.stat(filePath);
+    const isManifest = filePath === CONFIG.localManifestPath || item.name === LEGACY_LOCAL_MANIFEST_FILENAME;
+    files.push({
+      name: item.name,
+      path: filePath,
+      bytes: stats.size,
+      ...(isManifest ? { manifest: true } : {}),
+    });
   }
 
-  return fileCount;
+  return { orphans: false, files, manifests: [] };
 }
 
-// Main cleaning function
-async function main() {
-  console.log("🧹 Unsplash Images Cleanup Tool\n");
+/**
+ * Work out which downloaded images and manifest entries are no longer used
+ * @param {object} config - Project config
+ * @returns {Promise<object>} - Plan with scan, referenced (photo IDs still in
+ *   use), files (orphaned images with name, path and bytes) and manifests
+ *   (path, kind, data and the orphaned photo IDs of each manifest that has any)
+ */
+async function findOrphans(config) {
+  let scan = { files: [], photos: {} };
+  try {
+    scan = await scanContent(config.contentDir, config.scan);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  const referenced = new Set(Object.keys(scan.photos));
+  const referencedNames = new Set([...referenced].map((photoId) => sanitizeFilename(photoId)));
 
-  // Check if download directory exists
+  const files = [];
+  let items = [];
   try {
-    await fs.access(CONFIG.downloadDir);
+    items = await fs.readdir(CONFIG.downloadDir, { withFileTypes: true });
   } catch (error) {
-    console.log("✅ No images directory found - nothing to clean!");
-    console.log(`📁 Directory would be: ${CONFIG.downloadDir}`);
-    return;
+    if (error.code !== "ENOENT") throw error;
   }
 
-  // Get stats before cleaning
-  console.log("📊 Analyzing current state...");
-  const directorySize = await getDirectorySize(CONFIG.downloadDir);
-  const fileCount = await countFiles(CONFIG.downloadDir);
-  const manifestExists = await fs
-    .access(CONFIG.localManifestPath)
-    .then(() => true)
-    .catch(() => false);
+  for (const item of items) {
+    const extension = path.extname(item.name).toLowerCase();
+    if (!item.isFile() || item.name.startsWith(".") || !IMAGE_EXTENSIONS.includes(extension)) {
+      continue;
+    }
+    // Renditions (<photo-id>-<width>w.<format>) belong to their photo
+    const baseName = path.basename(item.name, path.extname(item.name));
+    const rendition = parseRenditionFilename(item.name);
+    if (referencedNames.has(baseName) || (rendition && referencedNames.has(rendition.baseName))) {
+      continue;
+    }
 
-  console.log(`📁 Directory: ${CONFIG.downloadDir}`);
-  console.log(`📄 Files found: ${fileCount}`);
-  console.log(`💾 Total size: ${formatFileSize(directorySize)}`);
-  console.log(`📋 Local manifest: ${manifestExists ? "exists" : "not found"}`);
+    const filePath = path.join(CONFIG.downloadDir, item.name);
+    const stats = await fs.stat(filePath);
+    files.push({ name: item.name, path: filePath, bytes: stats.size });
+  }
 
-  if (fileCount === 0 && !manifestExists) {
-    console.log("\n✅ Directory is already clean - nothing to remove!");
-    return;
+  const manifests = [];
+  for (const [manifestPath, kind] of [
+    [config.manifestPath, "build"],
+    [CONFIG.localManifestPath, "local"],
+  ]) {
+    const data = await readManifest(manifestPath, kind);
+    const photoIds = Object.keys(data?.images || {}).filter((photoId) => !referenced.has(photoId));
+    if (photoIds.length > 0) {
+      manifests.push({ path: manifestPath, kind, data, photoIds });
+    }
   }
 
-  console.log("\n🧹 Starting cleanup...");
+  return { orphans: true, scan, referenced, files, manifests };
+}
 
-  let removedFiles = 0;
-  let freedSpace = 0;
+/**
+ * Print the files and manifest entries a plan removes
+ * @param {object} plan - Plan from planFullClean or findOrphans
+ */
+function printPlan(plan) {
+  const totalBytes = plan.files.reduce((sum, file) => sum + file.bytes, 0);
+  const label = plan.orphans ? "Orphaned images" : "Files";
 
-  try {
-    // Remove all image files (keep directory structure)
-    const items = await fs.readdir(CONFIG.downloadDir, { withFileTypes: true });
-
-    for (const item of items) {
-      if (
-        item.isFile() &&
-        !item.name.startsWith(".") &&
-        item.name !== "local-manifest.json"
-      ) {
-        const filePath = path.join(CONFIG.downloadDir, item.name);
-
-        try {
-          const stats = await fs.stat(filePath);
-          await fs.unlink(filePath);
-          removedFiles++;
-          freedSpace += stats.size;
-
-          // Show progress for every 10 files
-          if (removedFiles % 10 === 0) {
-            process.stdout.write(`\r🗑️  Removed ${removedFiles} files...`);
-          }
-        } catch (error) {
-          console.warn(`\n⚠️  Could not remove ${item.name}: ${error.message}`);
-        }
+  if (plan.files.length > 0) {
+    console.log(`\n🗑️  ${label} (${plan.files.length}, ${formatFileSize(totalBytes)}):`);
+    for (const file of plan.files) {
+      console.log(`   ${file.name} (${formatFileSize(file.bytes)})`);
+    }
+  }
+  for (const manifest of plan.manifests) {
+    console.log(`\n📋 Orphaned entries in ${path.basename(manifest.path)} (${manifest.photoIds.length}):`);
+    console.log(`   ${manifest.photoIds.join(", ")}`);
+  }
+}
+
+/**
+ * Remove (or move to the trash) everything in a plan
+ * @param {object} plan - Plan from planFullClean or findOrphans
+ * @param {object} options - Parsed command line options
+ * @param {Reporter} reporter - Reporter for --json output
+ * @returns {Promise<object>} - Object with removed (files, not counting the
+ *   local manifest), manifestRemoved, entriesRemoved, failed, bytes and trash
+ */
+async function executePlan(plan, options, reporter) {
+  const results = { removed: 0, manifestRemoved: false, entriesRemoved: 0, failed: 0, bytes: 0, trash: null };
+  const status = options.trash ? "trashed" : "removed";
+
+  if (options.trash) {
+    results.trash = await Trash.create(CONFIG.downloadDir);
+  }
+
+  for (const file of plan.files) {
+    try {
+      const trashed = results.trash ? await results.trash.moveFile(file.path, file.bytes) : null;
+      if (!trashed) {
+        await fs.unlink(file.path);
       }
+
+      if (file.manifest) {
+        results.manifestRemoved = true;
+      } else {
+        results.removed++;
+      }
+      results.bytes += file.bytes;
+      reporter.event("file", {
+        path: file.path,
+        status,
+        bytes: file.bytes,
+        ...(file.manifest ? { manifest: true } : {}),
+        ...(trashed ? { trash_path: trashed } : {}),
+      });
+
+      // Show progress for every 10 files
+      if (results.removed > 0 && results.removed % 10 === 0) {
+        process.stdout.write(`\r🗑️  Removed ${results.removed} files...`);
+      }
+    } catch (error) {
+      results.failed++;
+      console.warn(`\n⚠️  Could not remove ${file.name}: ${error.message}`);
+      reporter.event("file", {
+        path: file.path,
+        status: "failed",
+        ...(file.manifest ? { manifest: true } : {}),
+        error: error.message,
+      });
     }
+  }
 
-    if (removedFiles > 0) {
-      process.stdout.write(`\r🗑️  Removed ${removedFiles} files`);
-      console.log(); // New line
+  if (results.removed >= 10) {
+    process.stdout.write(`\r🗑️  Removed ${results.removed} files`);
+    console.log(); // New line
+  }
+
+  for (const manifest of plan.manifests) {
+    const images = { ...manifest.data.images };
+    const removedEntries = {};
+    for (const photoId of manifest.photoIds) {
+      removedEntries[photoId] = images[photoId];
+      delete images[photoId];
     }
 
-    // Remove local manifest if it exists
-    if (manifestExists) {
-      try {
-        await fs.unlink(CONFIG.localManifestPath);
-        console.log("📋 Removed local manifest");
-      } catch (error) {
-        console.warn(`⚠️  Could not remove manifest: ${error.message}`);
+    const trashed = await results.trash?.addManifestEntries(manifest.path, removedEntries, manifest.kind);
+    try {
+      await writeManifest(manifest.path, { ...manifest.data, images }, manifest.kind);
+      results.entriesRemoved += manifest.photoIds.length;
+      for (const photoId of manifest.photoIds) {
+        reporter.event("manifest_entry", { photo_id: photoId, manifest: manifest.path, status });
+      }
+    } catch (error) {
+      if (trashed) await results.trash.removeManifestEntries(trashed);
+      results.failed += manifest.photoIds.length;
+      console.warn(`⚠️  Could not update ${manifest.path}: ${error.message}`);
+      for (const photoId of manifest.photoIds) {
+        reporter.event("manifest_entry", {
+          photo_id: photoId,
+          manifest: manifest.path,
+          status: "failed",
+          error: error.message,
+        });
       }
     }
+  }
+
+  return results;
+}
+
+/**
+ * Print a plan, then carry it out unless it's a dry run or not confirmed
+ * @param {object} plan - Plan from planFullClean or findOrphans
+ * @param {object} options - Parsed command line options
+ * @param {Reporter} reporter - Reporter for --json output
+ * @returns {Promise<void>}
+ */
+async function runPlan(plan, options, reporter) {
+  const totalBytes = plan.files.reduce((sum, file) => sum + file.bytes, 0);
+  const entryCount = plan.manifests.reduce((sum, manifest) => sum + manifest.photoIds.length, 0);
+  const imageCount = plan.files.filter((file) => !file.manifest).length;
+  const totals = (removed, bytes, entries, trash = null) => ({
+    orphans: plan.orphans,
+    dry_run: options.dryRun,
+    removed,
+    bytes_freed: bytes,
+    manifest_entries_removed: entries,
+    directory: CONFIG.downloadDir,
+    trash,
+  });
+
+  if (plan.files.length === 0 && entryCount === 0) {
+    console.log(
+      plan.orphans
+        ? "\n✅ No orphaned images - nothing to remove!"
+        : "\n✅ Directory is already clean - nothing to remove!"
+    );
+    process.exitCode = reporter.summary({ succeeded: 0, failed: 0 }, totals(0, 0, 0));
+    return;
+  }
 
-    console.log("\n📊 Cleanup Results:");
-    console.log(`   🗑️  Files removed: ${removedFiles}`);
-    console.log(`   💾 Space freed: ${formatFileSize(freedSpace)}`);
-    console.log(`   📁 Directory: ${CONFIG.downloadDir}`);
+  // The full list is shown whenever it's the thing being decided on
+  const needsConfirmation = !options.dryRun && !options.yes && process.stdin.isTTY && process.stdout.isTTY;
+  if (plan.orphans || options.dryRun || needsConfirmation) {
+    printPlan(plan);
+  }
 
+  if (options.dryRun) {
+    for (const file of plan.files) {
+      reporter.event("file", {
+        path: file.path,
+        status: "would_remove",
+        bytes: file.bytes,
+        ...(file.manifest ? { manifest: true } : {}),
+      });
+    }
+    for (const manifest of plan.manifests) {
+      for (const photoId of manifest.photoIds) {
+        reporter.event("manifest_entry", { photo_id: photoId, manifest: manifest.path, status: "would_remove" });
+      }
+    }
+
+    console.log(`\n🔎 Dry run - nothing was removed. This would free ${formatFileSize(totalBytes)}.`);
+    process.exitCode = reporter.summary(
+      { succeeded: plan.files.length + entryCount, failed: 0 },
+      totals(imageCount, totalBytes, entryCount)
+    );
+    return;
+  }
+
+  if (needsConfirmation) {
+    const action = options.trash ? "Move" : "Permanently remove";
+    const what = [
+      plan.files.length > 0 ? `${plan.files.length} files (${formatFileSize(totalBytes)})` : null,
+      entryCount > 0 ? `${entryCount} manifest entries` : null,
+    ].filter(Boolean);
+
+    if (!(await confirm(`\n❓ ${action} ${what.join(" and ")}${options.trash ? " to the trash" : ""}?`))) {
+      console.log("\n⏹️  Cancelled - nothing was removed");
+      process.exitCode = reporter.summary({ succeeded: 0, failed: 0 }, { ...totals(0, 0, 0), cancelled: true });
+      return;
+    }
+  }
+
+  console.log(options.trash ? "\n🗑️  Moving to trash..." : "\n🧹 Starting cleanup...");
+  const results = await executePlan(plan, options, reporter);
+
+  console.log("\n📊 Cleanup Results:");
+  console.log(`   🗑️  ${plan.orphans ? "Orphaned images" : "Files"} removed: ${results.removed}`);
+  if (plan.orphans) {
+    console.log(`   📋 Manifest entries removed: ${results.entriesRemoved}`);
+  } else if (results.manifestRemoved) {
+    console.log("   📋 Removed local manifest");
+  }
+  console.log(`   💾 ${results.trash ? "Moved to trash" : "Space freed"}: ${formatFileSize(results.bytes)}`);
+  console.log(`   📁 Directory: ${CONFIG.downloadDir}`);
+
+  if (results.trash) {
+    console.log(`\n♻️  Trash: ${results.trash.dir}`);
+    console.log(`   Undo with: unsplash clean --restore ${results.trash.timestamp}`);
+  }
+
+  if (!plan.orphans) {
     console.log("\n✅ Cleanup complete!");
     console.log("\n💡 Next steps:");
     console.log("   • Run 'pnpm run download:images' to download fresh images");
     console.log(
       "   • Or run 'pnpm run build:cache-images' to rebuild the cache first"
     );
-  } catch (error) {
-    console.error(`\n❌ Cleanup failed: ${error.message}`);
+  }
+
+  process.exitCode = reporter.summary(
+    {
+      succeeded: results.removed + (results.manifestRemoved ? 1 : 0) + results.entriesRemoved,
+      failed: results.failed,
+    },
+    totals(results.removed, results.bytes, results.entriesRemoved, results.trash?.timestamp || null)
+  );
+}
+
+/**
+ * Remove the images and manifest entries no longer referenced by any content
+ * @param {object} config - Project config
+ * @param {object} options - Parsed command line options
+ * @param {Reporter} reporter - Reporter for --json output
+ * @returns {Promise<void>}
+ */
+async function cleanOrphans(config, options, reporter) {
+  console.log(`🔍 Scanning ${config.contentDir} for referenced photos...`);
+  const plan = await findOrphans(config);
+
+  // Without any content every image would look orphaned; far more likely the
+  // content directory is misconfigured
+  if (plan.scan.files.length === 0) {
+    console.error(`❌ No content files found in ${config.contentDir}`);
+    console.error("💡 Check contentDir and scan.include in your project config");
+    process.exitCode = reporter.summary({ succeeded: 0, failed: 1 }, { orphans: true, dry_run: options.dryRun });
+    return;
+  }
+
+  console.log(`📊 ${plan.referenced.size} photos referenced in ${plan.scan.files.length} content files`);
+  await runPlan(plan, options, reporter);
+}
+
+/**
+ * Put back the files and manifest entries of a trash folder, or list the
+ * trash folders when no timestamp is given
+ * @param {object} options - Parsed command line options
+ * @param {Reporter} reporter - Reporter for --json output
+ * @returns {Promise<void>}
+ */
+async function restoreFromTrash(options, reporter) {
+  if (!options.restore) {
+    const trashes = await Trash.list(CONFIG.downloadDir);
+    if (trashes.length === 0) {
+      console.log(`✅ The trash in ${CONFIG.downloadDir} is empty`);
+    } else {
+      console.log(`♻️  Trash folders in ${CONFIG.downloadDir}:`);
+    }
+
+    for (const trash of trashes) {
+      const bytes = trash.files.reduce((sum, file) => sum + file.bytes, 0);
+      const entries = trash.manifestEntries.reduce((sum, entry) => sum + Object.keys(entry.images).length, 0);
+      console.log(`   ${trash.timestamp}  ${trash.files.length} files (${formatFileSize(bytes)}), ${entries} manifest entries`);
+      reporter.event("trash", {
+        timestamp: trash.timestamp,
+        created_at: trash.data.created_at,
+        files: trash.files.length,
+        bytes,
+        manifest_entries: entries,
+      });
+    }
+
+    if (trashes.length > 0) {
+      console.log("\n💡 Restore one with: unsplash clean --restore <timestamp>");
+    }
+    process.exitCode = reporter.summary({ succeeded: trashes.length, failed: 0 }, { trash_folders: trashes.length });
+    return;
+  }
+
+  const trash = await Trash.open(CONFIG.downloadDir, options.restore);
+  if (!trash) {
+    console.error(`❌ No trash folder "${options.restore}" in ${CONFIG.downloadDir}`);
+    console.error("💡 Run 'unsplash clean --restore' to list the trash folders");
+    process.exitCode = reporter.summary({ succeeded: 0, failed: 1 }, { trash: options.restore });
+    return;
+  }
+
+  console.log(`♻️  Restoring ${trash.timestamp}...`);
+  const results = await trash.restore({
+    onFile: (entry, status, error) => {
+      const filePath = trash.absolute(entry.original);
+      if (status === "exists") {
+        console.warn(`⚠️  ${entry.original} exists again - left in the trash`);
+      } else if (status === "failed") {
+        console.warn(`⚠️  Could not restore ${entry.original}: ${error.message}`);
+      }
+      reporter.event("file", {
+        path: filePath,
+        status,
+        bytes: entry.bytes,
+        ...(error ? { error: error.message } : {}),
+      });
+    },
+    onManifestEntries: (entry, status, error) => {
+      if (error) {
+        console.warn(`⚠️  Could not update ${entry.manifest}: ${error.message}`);
+      }
+      for (const photoId of Object.keys(entry.images)) {
+        reporter.event("manifest_entry", {
+          photo_id: photoId,
+          manifest: trash.absolute(entry.manifest),
+          status,
+          ...(error ? { error: error.message } : {}),
+        });
+      }
+    },
+  });
+
+  console.log("\n📊 Restore Results:");
+  console.log(`   ♻️  Restored: ${results.restored}`);
+  if (results.skipped > 0) console.log(`   ⏭️  Left in the trash: ${results.skipped}`);
+  if (results.failed > 0) console.log(`   ❌ Failed: ${results.failed}`);
+
+  process.exitCode = reporter.summary(
+    { succeeded: results.restored, failed: results.failed + results.skipped },
+    { trash: trash.timestamp, restored: results.restored, skipped: results.skipped }
+  );
+}
+
+// Main cleaning function
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArguments(argv);
+  const reporter = new Reporter({ command: "clean", json: options.json });
+
+  // Handle script interruption gracefully
+  process.on("SIGINT", () => {
+    console.log("\n\n⏹️  Cleanup interrupted by user");
+    process.exit(0);
+  });
+
+  process.on("SIGTERM", () => {
+    console.log("\n\n⏹️  Cleanup terminated");
+    process.exit(0);
+  });
+
+  console.log("🧹 Unsplash Images Cleanup Tool\n");
+
+  const config = await loadCliConfig({ configPath: options.config, quiet: options.json });
+  if (!config) {
     process.exit(1);
   }
+  CONFIG.downloadDir = config.downloadDir;
+  CONFIG.localManifestPath = getLocalManifestPath(config.downloadDir);
+
+  if (options.restore !== null) {
+    await restoreFromTrash(options, reporter);
+    return;
+  }
+
+  if (options.orphans) {
+    await cleanOrphans(config, options, reporter);
+    return;
+  }
+
+  // Check if download directory exists
+  try {
+    await fs.access(CONFIG.downloadDir);
+  } catch (error) {
+    console.log("✅ No images directory found - nothing to clean!");
+    console.log(`📁 Directory would be: ${CONFIG.downloadDir}`);
+    process.exitCode = reporter.summary(
+      { succeeded: 0, failed: 0 },
+      { removed: 0, bytes_freed: 0, directory: CONFIG.downloadDir }
+    );
+    return;
+  }
+
+  // Get stats before cleaning
+  console.log("📊 Analyzing current state...");
+  const plan = await planFullClean();
+  const images = plan.files.filter((file) => !file.manifest);
+
+  console.log(`📁 Directory: ${CONFIG.downloadDir}`);
+  console.log(`📄 Files found: ${images.length}`);
+  console.log(`💾 Total size: ${formatFileSize(plan.files.reduce((sum, file) => sum + file.bytes, 0))}`);
+  console.log(`📋 Local manifest: ${images.length < plan.files.length ? "exists" : "not found"}`);
+
+  await runPlan(plan, options, reporter);
 }
 
-// Handle script interruption gracefully
-process.on("SIGINT", () => {
-  console.log("\n\n⏹️  Cleanup interrupted by user");
-  process.exit(0);
-});
-
-process.on("SIGTERM", () => {
-  console.log("\n\n⏹️  Cleanup terminated");
-  process.exit(0);
-});
-
-main().catch((error) => {
-  console.error("\n❌ Script failed:", error.message);
-  console.error(error.stack);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("\n❌ Script failed:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArguments,
+  main,
+};
@@ -0,0 +1,132 @@
+/**
+ * Command Registry
+ *
+ * The subcommands of the unified `unsplash` CLI. Each entry points at one of
+ * the standalone scripts in this directory, which stay available under their
+ * old bin names. Help and shell completion are generated from this list.
+ */
+
+// Flags understood by every subcommand
+const GLOBAL_OPTIONS = [
+  { flag: "--config=<path>", description: "Project config file (default: nearest unsplash.config.js or .unsplashrc.json)" },
+  { flag: "--cwd=<dir>", description: "Run as if started in <dir>" },
+  { flag: "--json", description: "Machine readable output (NDJSON events and a summary)" },
+  { flag: "--quiet, -q", description: "Only print warnings and errors" },
+  { flag: "--verbose", description: "Print extra details, and stack traces on failure" },
+  { flag: "--help, -h", description: "Show help for the command" },
+  { flag: "--version", description: "Show the package version" },
+];
+
+const COMMANDS = {
+  "build-cache": {
+    bin: "unsplash-build-cache",
+    summary: "Build the image manifest from the Unsplash URLs in your content",
+    options: ["--retry-failed", "--max-age=", "--refresh", "--concurrency=", "--content-dir=", "--manifest="],
+    json: true,
+    run: (args) => require("./build-cache.js").main(args),
+  },
+  cache: {
+    bin: "unsplash-cache",
+    summary: "Populate a cache (file, Redis, Upstash or a dev server) with photo data",
+    options: [
+      "--cache=",
+      "--cache-file=",
+      "--ttl=",
+      "--server=",
+      "--cache-route=",
+      "--photo-route=",
+      "--scaffold-next-route",
+      "--content-dir=",
+    ],
+    json: true,
+    run: (args) => require("./cache.js").main(args),
+  },
+  download: {
+    bin: "unsplash-download",
+    summary: "Download every image in the manifest for self-hosting",
+    options: [
+      "--manifest=",
+      "--out=",
+      "--concurrency=",
+      "--retries=",
+      "--timeout=",
+      "--only",
+      "--exclude",
+      "--force",
+    ],
+    json: true,
+    run: (args) => require("./download.js").main(args),
+  },
+  clean: {
+    bin: "unsplash-clean",
+    summary: "Remove downloaded images and their local manifest",
+    options: ["--orphans", "--dry-run", "--yes", "--trash", "--restore"],
+    json: true,
+    run: (args) => require("./clean.js").main(args),
+  },
+  get: {
+    bin: "unsplash-image-downloader",
+    summary: "Download a single image by URL",
+    options: [
+      "--size=",
+      "--width=",
+      "--height=",
+      "--output=",
+      "--filename=",
+      "--format=",
+      "--quality=",
+    ],
+    json: true,
+    run: (args) => require("./image-downloader.js").main(args),
+  },
+  "download-url": {
+    bin: "unsplash-url-to-download",
+    summary: "Convert a photo page URL to its direct download URL",
+    options: ["--no-ixid"],
+    json: true,
+    run: (args) => require("./url-to-download.js").runCLI(args),
+  },
+  where: {
+    bin: "unsplash-where",
+    summary: "List the content files and lines that use a photo",
+    options: ["--scan"],
+    json: true,
+    run: (args) => require("./where.js").main(args),
+  },
+  manifest: {
+    bin: "unsplash-manifest",
+    summary: "Validate, diff and merge the build and local manifests",
+    options: ["validate", "diff", "merge", "--kind=", "--exit-code", "--output=", "--base="],
+    json: true,
+    run: (args) => require("./manifest.js").main(args),
+  },
+  verify: {
+    bin: "unsplash-verify",
+    summary: "Check your API keys, rate limits and Unsplash+ access",
+    options: [],
+    json: true,
+    run: (args) => require("./verify.js").main(args),
+  },
+  "verify-files": {
+    bin: "unsplash-verify-files",
+    summary: "Check downloaded images against the hashes in the local manifest",
+    options: ["--out="],
+    json: true,
+    run: (args) => require("./verify-files.js").main(args),
+  },
+};
+
+/**
+ * Look up a command by name
+ * @param {string} name - Command name, e.g. "build-cache"
+ * @returns {object|null} - The command (with its name), or null if unknown
+ */
+function findCommand(name) {
+  return Object.hasOwn(COMMANDS, name) ? { name, ...COMMANDS[name] } : null;
+}
+
+module.exports = {
+  GLOBAL_OPTIONS,
+  COMMANDS,
+  findCommand,
+};
@@ -0,0 +1,130 @@
+/**
+ * Shell Completion
+ *
+ * Generates completion scripts for the `unsplash` command from the command
+ * registry, so new commands and flags are picked up without editing them.
+ *
+ * Install with e.g.:
+ *   unsplash completion bash >> ~/.bashrc
+ *   unsplash completion zsh >> ~/.zshrc
+ *   unsplash completion fish > ~/.config/fish/completions/unsplash.fish
+ */
+
+const { COMMANDS } = require("./commands.js");
+
+const COMPLETION_SHELLS = ["bash", "zsh", "fish"];
+
+// Commands handled by the dispatcher itself
+const BUILTIN_COMMANDS = {
+  help: { summary: "Show help for a command", options: [] },
+  completion: { summary: `Print a shell completion script (${COMPLETION_SHELLS.join(", ")})`, options: [] },
+};
+
+const GLOBAL_FLAGS = ["--config=", "--cwd=", "--json", "--quiet", "--verbose", "--help", "--version"];
+
+function allCommands() {
+  return { ...COMMANDS, ...BUILTIN_COMMANDS };
+}
+
+function commandFlags(command) {
+  return [...command.options, ...(command.json ? ["--json"] : []), ...GLOBAL_FLAGS].filter(
+    (flag, index, flags) => flags.indexOf(flag) === index
+  );
+}
+
+function bashCompletion() {
+  const commands = allCommands();
+  const cases = Object.entries(COMMANDS)
+    .map(([name, command]) => `    ${name}) words="${commandFlags(command).join(" ")}" ;;`)
+    .join("\n");
+
+  return `# unsplash bash completion
+_unsplash_completion() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local command="" words="" i
+
+  for ((i = 1; i < COMP_CWORD; i++)); do
+    case "\${COMP_WORDS[i]}" in
+      -*) ;;
+      *) command="\${COMP_WORDS[i]}"; break ;;
+    esac
+  done
+
+  case "$command" in
+    "") words="${Object.keys(commands).join(" ")} ${GLOBAL_FLAGS.join(" ")}" ;;
+    help) words="${Object.keys(COMMANDS).join(" ")}" ;;
+    completion) words="${COMPLETION_SHELLS.join(" ")}" ;;
+${cases}
+  esac
+
+  COMPREPLY=($(compgen -W "$words" -- "$cur"))
+  [[ \${COMPREPLY[0]} == *= ]] && compopt -o nospace 2>/dev/null
+}
+complete -o default -F _unsplash_completion unsplash
+`;
+}
+
+function zshCompletion() {
+  // zsh runs the bash completion through its compatibility layer
+  return `# unsplash zsh completion
+autoload -U +X compinit && compinit
+autoload -U +X bashcompinit && bashcompinit
+${bashCompletion().replace("# unsplash bash completion\n", "")}`;
+}
+
+function fishCompletion() {
+  const commands = allCommands();
+  const names = Object.keys(commands).join(" ");
+  const lines = [
+    "# unsplash fish completion",
+    "complete -c unsplash -f",
+    ...GLOBAL_FLAGS.map((flag) => fishFlag(flag, "")),
+    ...Object.entries(commands).map(
+      ([name, command]) =>
+        `complete -c unsplash -n "not __fish_seen_subcommand_from ${names}" -a ${name} -d ${JSON.stringify(command.summary)}`
+    ),
+    `complete -c unsplash -n "__fish_seen_subcommand_from help" -a "${Object.keys(COMMANDS).join(" ")}"`,
+    `complete -c unsplash -n "__fish_seen_subcommand_from completion" -a "${COMPLETION_SHELLS.join(" ")}"`,
+  ];
+
+  for (const [name, command] of Object.entries(commands)) {
+    for (const flag of command.options) {
+      lines.push(fishFlag(flag, `-n "__fish_seen_subcommand_from ${name}"`));
+    }
+    if (command.json) {
+      lines.push(fishFlag("--json", `-n "__fish_seen_subcommand_from ${name}"`));
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function fishFlag(flag, condition) {
+  const name = flag.replace(/^--/, "").replace(/=$/, "");
+  const takesValue = flag.endsWith("=") ? " -r" : "";
+  return `complete -c unsplash ${condition ? `${condition} ` : ""}-l ${name}${takesValue}`;
+}
+
+/**
+ * Generate the completion script for a shell
+ * @param {string} shell - One of bash, zsh or fish
+ * @returns {string} - The completion script
+ */
+function generateCompletion(shell) {
+  switch (shell) {
+    case "bash":
+      return bashCompletion();
+    case "zsh":
+      return zshCompletion();
+    case "fish":
+      return fishCompletion();
+    default:
+      throw new Error(`Unsupported shell: ${shell}. Supported: ${COMPLETION_SHELLS.join(", ")}`);
+  }
+}
+
+module.exports = {
+  BUILTIN_COMMANDS,
+  COMPLETION_SHELLS,
+  generateCompletion,
+};
@@ -6,136 +6,393 @@
  * This script reads the unsplash-manifest.json and systematically downloads
  * all optimized images to the public/images directory for local self-serving
  * when the fallback API doesn't work.
+ *
+ * Paths, concurrency, retries and timeout come from the project config
+ * (unsplash.config.js / .unsplashrc.json) and environment variables, and can
+ * be overridden with flags. --only and --exclude pick a subset of the
+ * manifest, and --force downloads images again that already exist - or,
+ * for files served with an ETag or Last-Modified, the ones that changed.
+ * Interrupted downloads are resumed where they stopped.
+ *
+ * Images are downloaded by a pool of parallel workers. On a terminal, a live
+ * display shows every download in flight with its bytes received, and the
+ * overall throughput and ETA; elsewhere (CI logs) a progress line is printed
+ * every few seconds.
+ *
+ * With `renditions` widths in the project config, every photo is downloaded
+ * in each configured width and format instead, from Unsplash's imgix CDN,
+ * as `<photo-id>-<width>w.<format>`.
+ *
+ * The local manifest (local-manifest.json in the download directory) maps
+ * each photo ID to its downloaded file, or files when there are renditions.
+ *
+ * With --json, one JSON object per image and a final summary are written to
+ * stdout instead of the usual output. Exits with 2 when some downloads
+ * failed, 1 when all of them did.
+ *
+ * Usage:
+ *   unsplash-download [--manifest=<path>] [--out=<dir>] [--concurrency=<n>]
+ *                     [--retries=<n>] [--timeout=<duration>] [--only <id...>]
+ *                     [--exclude <id...>] [--force] [--json] [--config=<path>]
  */
 
 const fs = require("fs").promises;
 const path = require("path");
-const { createWriteStream } = require("fs");
-const { pipeline } = require("stream/promises");
 const {
   constructDownloadUrl,
   extractIxidFromUrl,
   sanitizeFilename,
   getImageExtension,
-  createProgressBar,
+  expandRenditions,
+  getRenditionUrl,
+  getRenditionFilename,
+  downloadImageFile,
+  checkImageFile,
+  extractUnsplashPhotoId,
+  parseDuration,
+  DownloadProgress,
+  getOutputLevel,
+  runPool,
+  createManifest,
+  readManifest,
+  readLocalManifest,
+  writeManifest,
+  getLocalManifestPath,
+  LEGACY_LOCAL_MANIFEST_FILENAME,
+  loadCliConfig,
+  Reporter,
   checkFetchAvailable,
  } = require("../lib/index.js");
 
-// Configuration
+// Configuration, filled in from the project config by main()
 const CONFIG = {
-  manifestPath: path.join(process.cwd(), "public", "unsplash-manifest.json"),
-  downloadDir: path.join(process.cwd(), "public", "images", "unsplash"),
-  concurrency: 3, // Number of simultaneous downloads
-  retries: 3, // Number of retry attempts for failed downloads
-  timeout: 30000, // 30 seconds timeout per download
+  manifestPath: null,
+  downloadDir: null,
+  publicDir: null, // Local paths in the manifest are relative to this
+  concurrency: null, // Number of simultaneous downloads
+  retries: null, // Number of retry attempts for failed downloads
+  timeout: null, // Timeout per download in ms
+  renditions: [], // Expanded renditions; empty for one file per photo
 };
 
-// Download function with timeout and retry logic
-async function downloadImage(url, filepath, retries = CONFIG.retries) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
-
-      const response = await fetch(url, {
-        signal: controller.signal,
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; Image-Downloader/1.0)",
-        },
-      });
+/**
+ * Read the photo IDs of a list flag: --flag=a,b or --flag a b (up to the
+ * next flag). URLs are accepted in place of IDs.
+ * @param {string[]} args - All arguments
+ * @param {number} i - Index of the flag
+ * @returns {object} - Object with ids and next (index of the last argument used)
+ */
+function readIdList(args, i) {
+  const [, ...rest] = args[i].split("=");
+  const inputs = rest.length > 0 ? rest.join("=").split(",") : [];
+  while (rest.length === 0 && i + 1 < args.length && !args[i + 1].startsWith("-")) {
+    inputs.push(args[++i]);
+  }
+  const ids = inputs.filter(Boolean).map((input) => extractUnsplashPhotoId(input) || input.trim());
+  return { ids, next: i };
+}
 
-      clearTimeout(timeoutId);
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🖼️  Unsplash Image Download Tool
+
+Usage: unsplash-download [options]
+
+Options:
+  --manifest=<path>     Build manifest to download from (default:
+                        public/unsplash-manifest.json)
+  --out=<dir>           Download directory (default: public/images/unsplash)
+  --concurrency=<n>     Simultaneous downloads (default: 3)
+  --retries=<n>         Attempts per image before giving up (default: 3)
+  --timeout=<duration>  Give up on a download attempt after this long without
+                        data, e.g. 45s or 2m (default: 30s)
+  --only <id...>        Download only these photos (IDs or URLs); also
+                        --only=<id>,<id>
+  --exclude <id...>     Leave these photos out; also --exclude=<id>,<id>
+  --force               Download images again even if the file exists
+  --config=<path>       Project config file (default: nearest unsplash.config.js
+                        or .unsplashrc.json)
+  --json                Write NDJSON events and a summary instead of logs
+  --help, -h            Show this help message
+
+Defaults come from the project config. Images left out by --only or --exclude
+keep their entries in the local manifest.
+`);
+    process.exit(0);
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  const options = {
+    config: null,
+    json: false,
+    only: null,
+    exclude: [],
+    force: false,
+    overrides: {},
+  };
 
-      // Ensure directory exists
-      await fs.mkdir(path.dirname(filepath), { recursive: true });
-
-      // Stream the image to file
-      const fileStream = createWriteStream(filepath);
-      await pipeline(response.body, fileStream);
-
-      return { success: true, filepath };
-    } catch (error) {
-      if (attempt === retries) {
-        return {
-          success: false,
-          error: error.message,
-          filepath,
-        };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [key, ...rest] = arg.replace(/^--/, "").split("=");
+    const value = rest.join("=");
+
+    switch (key) {
+      case "config":
+        options.config = value;
+        break;
+      case "json":
+        options.json = true;
+        break;
+      case "manifest":
+        options.overrides.manifestPath = value;
+        break;
+      case "out":
+        options.overrides.downloadDir = value;
+        break;
+      case "concurrency":
+      case "retries":
+        options.overrides[key] = parseInt(value, 10);
+        if (!(options.overrides[key] > 0)) {
+          console.error(`❌ --${key} must be a positive number, got "${value}"`);
+          process.exit(1);
+        }
+        break;
+      case "timeout":
+        options.overrides.timeout = parseDuration(value);
+        if (!options.overrides.timeout) {
+          console.error(`❌ --timeout must be a duration such as 45s or 2m, got "${value}"`);
+          process.exit(1);
+        }
+        break;
+      case "only":
+      case "exclude": {
+        const { ids, next } = readIdList(args, i);
+        i = next;
+        if (ids.length === 0) {
+          console.error(`❌ --${key} needs at least one photo ID or URL`);
+          process.exit(1);
+        }
+        options[key] = [...(options[key] || []), ...ids];
+        break;
       }
-
-      // Wait before retry (exponential backoff)
-      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      case "force":
+        options.force = true;
+        break;
+      default:
+        console.warn(`⚠️  Unknown option: ${arg}`);
+        break;
     }
   }
+
+  return options;
+}
+
+/**
+ * Pick the manifest entries to download
+ * @param {Array} imageEntries - [photoId, imageData] pairs of the manifest
+ * @param {object} options - Parsed arguments, with only and exclude
+ * @returns {object} - Object with entries (to download) and unknown (IDs
+ *   given to --only or --exclude that aren't in the manifest)
+ */
+function selectEntries(imageEntries, { only, exclude }) {
+  const ids = new Set(imageEntries.map(([photoId]) => photoId));
+  const unknown = [...new Set([...(only || []), ...exclude])].filter((id) => !ids.has(id));
+
+  const entries = imageEntries.filter(
+    ([photoId]) => (!only || only.includes(photoId)) && !exclude.includes(photoId)
+  );
+  return { entries, unknown };
+}
+
+/**
+ * Download a file with timeout and retry logic. Retries (and reruns) resume
+ * the partial file where the server supports it.
+ * @param {string} url - URL to download
+ * @param {string} filepath - Where to save it
+ * @param {object} [options={}] - Options
+ * @param {object} [options.cached] - Object with etag and last_modified of the
+ *   file already at filepath; it is only downloaded again if it changed
+ * @param {Function} [options.onAttempt] - Called with the attempt number
+ *   before every attempt
+ * @param {Function} [options.onProgress] - Called with (bytes received, size
+ *   or null) as the body streams in
+ * @returns {Promise<object>} - Object with success, filepath and error, or
+ *   the result of downloadImageFile (status, bytes, sha256, etag, ...)
+ */
+async function downloadImage(url, filepath, options = {}) {
+  try {
+    const result = await downloadImageFile(url, filepath, {
+      timeout: CONFIG.timeout,
+      retries: CONFIG.retries,
+      headers: {
+        "User-Agent": "Mozilla/5.0 (compatible; Image-Downloader/1.0)",
+      },
+      ...options,
+    });
+    return { success: true, filepath, ...result };
+  } catch (error) {
+    return { success: false, error: error.message, filepath };
+  }
+}
+
+// Path of a downloaded file as served, relative to publicDir
+function toLocalPath(filepath) {
+  const relativePath = path.relative(CONFIG.publicDir, filepath);
+  return `/${relativePath.replace(/\\/g, "/")}`; // Ensure forward slashes for web
 }
 
-// Process images in batches to avoid overwhelming the system
-async function downloadImagesBatch(imageEntries, progressBar) {
+/**
+ * Work out the file to download for a photo, or one of its renditions
+ * @param {string} photoId - The photo ID
+ * @param {object} imageData - Its build manifest entry
+ * @param {object|null} rendition - Object with width, format and quality, or
+ *   null for the single file downloaded without renditions
+ * @returns {object} - Object with filename, url and unwatermarked
+ */
+function planFile(photoId, imageData, rendition) {
+  const baseName = sanitizeFilename(photoId);
+
+  // Renditions are resized by the imgix CDN, starting from the raw image
+  if (rendition) {
+    return {
+      filename: getRenditionFilename(baseName, rendition),
+      url: getRenditionUrl(imageData.urls?.raw || imageData.optimized_url, rendition),
+      unwatermarked: false,
+    };
+  }
+
+  // Extract ixid from the optimized_url to construct download URL; fall back
+  // to optimized_url if we can't
+  const ixid = extractIxidFromUrl(imageData.optimized_url);
+  return {
+    filename: `${baseName}.${getImageExtension(imageData.optimized_url)}`,
+    url: ixid ? constructDownloadUrl(photoId, ixid) : imageData.optimized_url,
+    unwatermarked: Boolean(ixid),
+  };
+}
+
+// What the local manifest of the last run recorded about a file of a photo:
+// the photo's entry or one of its renditions
+function findRecorded(previousManifest, photoId, localPath) {
+  const previous = previousManifest?.images[photoId];
+  return [...(previous?.renditions || []), previous].find((entry) => entry?.local_path === localPath) || null;
+}
+
+// Download images with a pool of CONFIG.concurrency workers, one file per
+// photo or per rendition. Files that already exist are checked against the
+// local manifest of the last run (previousManifest) and kept if complete;
+// with force, they are all downloaded again.
+async function downloadImages(imageEntries, progress, reporter, { force = false, previousManifest = null } = {}) {
   const results = {
     successful: [],
     failed: [],
     skipped: [],
   };
 
-  for (let i = 0; i < imageEntries.length; i += CONFIG.concurrency) {
-    const batch = imageEntries.slice(i, i + CONFIG.concurrency);
-
-    const batchPromises = batch.map(async ([photoId, imageData]) => {
-      // Determine which URL to use for downloading
-      let downloadUrl;
-      let isUnwatermarked = false;
+  const files = imageEntries.flatMap(([photoId, imageData]) =>
+    (CONFIG.renditions.length > 0 ? CONFIG.renditions : [null]).map((rendition) => ({ photoId, imageData, rendition }))
+  );
 
-      // Extract ixid from the optimized_url to construct download URL
-      const ixid = extractIxidFromUrl(imageData.optimized_url);
+  await runPool(
+    files,
+    async ({ photoId, imageData, rendition }) => {
+      const { filename, url: downloadUrl, unwatermarked: isUnwatermarked } = planFile(photoId, imageData, rendition);
+      const filepath = path.join(CONFIG.downloadDir, filename);
+      const renditionInfo = rendition ? { width: rendition.width, format: rendition.format } : {};
 
-      if (ixid) {
-        // Use unwatermarked download URL
-        downloadUrl = constructDownloadUrl(photoId, ixid);
-        isUnwatermarked = true;
-      } else {
-        // Fallback to optimized_url if we can't extract ixid
-        downloadUrl = imageData.optimized_url;
-        console.warn(
+      if (!rendition && !isUnwatermarked) {
+        progress.warn(
           `⚠️  Could not extract ixid for ${photoId}, using optimized URL`
         );
       }
 
-      const extension = getImageExtension(imageData.optimized_url);
-      const filename = `${sanitizeFilename(photoId)}.${extension}`;
-      const filepath = path.join(CONFIG.downloadDir, filename);
+      const skip = (reason) => {
+        results.skipped.push({ photoId, rendition, filepath, reason });
+        reporter.event("download", { id: photoId, ...renditionInfo, status: "skipped", path: filepath, reason });
+        progress.finish(filename, "skipped");
+      };
+
+      const recorded = findRecorded(previousManifest, photoId, toLocalPath(filepath)) || {};
+
+      // Skip files that already exist, unless forced. Empty, truncated or
+      // broken files (e.g. from older versions, which wrote in place) are
+      // downloaded again.
+      if (!force) {
+        const problem = await checkImageFile(filepath, { bytes: recorded.bytes }).then(() => null, (error) => error);
+
+        if (!problem) {
+          skip("Already exists");
+          return;
+        }
+        if (problem.problem !== "missing") {
+          progress.warn(`♻️  ${filename} is broken (${problem.message}), downloading it again`);
+        }
+      }
 
-      // Check if file already exists
-      try {
-        await fs.access(filepath);
-        results.skipped.push({
-          photoId,
-          filepath,
-          reason: "Already exists",
-        });
-        progressBar.update();
-        return;
-      } catch {
-        // File doesn't exist, proceed with download
+      // Forced downloads of intact files ask the server whether the image
+      // changed since, by the ETag or Last-Modified recorded for it
+      let cached = null;
+      if (force && (recorded.etag || recorded.last_modified) && recorded.download_url === downloadUrl) {
+        const intact = await checkImageFile(filepath, { bytes: recorded.bytes, sha256: recorded.sha256 }).then(
+          () => Boolean(recorded.sha256),
+          () => false
+        );
+        if (intact) {
+          cached = { etag: recorded.etag, last_modified: recorded.last_modified };
+        }
       }
 
-      const result = await downloadImage(downloadUrl, filepath);
+      const result = await downloadImage(downloadUrl, filepath, {
+        cached,
+        onAttempt: () => progress.start(filename, filename),
+        onProgress: (received, size) => progress.update(filename, received, size),
+      });
+
+      if (result.success && result.status === "not_modified") {
+        skip("Not modified");
+        return;
+      }
 
       if (result.success) {
+        reporter.event("download", {
+          id: photoId,
+          ...renditionInfo,
+          status: "downloaded",
+          path: result.filepath,
+          bytes: result.bytes,
+          sha256: result.sha256,
+          resumed_from: result.resumed_from,
+          url: downloadUrl,
+          unwatermarked: isUnwatermarked,
+        });
         results.successful.push({
           photoId,
+          rendition,
           filepath: result.filepath,
+          bytes: result.bytes,
+          sha256: result.sha256,
+          etag: result.etag,
+          last_modified: result.last_modified,
           author: imageData.image_author,
           url: downloadUrl,
           unwatermarked: isUnwatermarked,
           original_url: imageData.optimized_url,
         });
       } else {
+        reporter.event("download", {
+          id: photoId,
+          ...renditionInfo,
+          status: "failed",
+          path: result.filepath,
+          error: result.error,
+          url: downloadUrl,
+        });
         results.failed.push({
           photoId,
+          rendition,
           filepath: result.filepath,
           error: result.error,
           url: downloadUrl,
@@ -144,27 +401,81 @@ async function downloadImagesBatch(imageEntries, progressBar) {
         });
       }
 
-      progressBar.update();
-    });
+      progress.finish(filename, result.success ? "downloaded" : "failed");
+    },
+    { concurrency: CONFIG.concurrency }
+  );
+
+  return results;
+}
 
-    await Promise.all(batchPromises);
+// The local manifest fields about one downloaded file
+function toFileEntry(item) {
+  return {
+    local_path: toLocalPath(item.filepath),
+    bytes: item.bytes,
+    sha256: item.sha256,
+    ...(item.etag && { etag: item.etag }),
+    ...(item.last_modified && { last_modified: item.last_modified }),
+    download_url: item.url,
+  };
+}
 
-    // Small delay between batches to be respectful
-    if (i + CONFIG.concurrency < imageEntries.length) {
-      await new Promise((resolve) => setTimeout(resolve, 100));
+/**
+ * Local manifest entries of the renditions of every photo, in the order of
+ * CONFIG.renditions. Renditions that were skipped, or failed to download,
+ * keep their entry from the last run if they have one.
+ * @param {object} results - Download results
+ * @param {object|null} previousManifest - The local manifest of the last run
+ * @returns {object} - Rendition entries by photo ID
+ */
+function collectRenditions(results, previousManifest) {
+  const renditions = {};
+  const add = (item, entry) => {
+    if (entry) {
+      renditions[item.photoId] = [...(renditions[item.photoId] || []), entry];
     }
+  };
+  const previousEntry = (item) => {
+    const recorded = findRecorded(previousManifest, item.photoId, toLocalPath(item.filepath));
+    return recorded && !recorded.skipped ? recorded : null;
+  };
+
+  for (const item of results.successful.filter((result) => result.rendition)) {
+    const { width, format } = item.rendition;
+    add(item, { width, format, ...toFileEntry(item), downloaded_at: new Date().toISOString() });
+  }
+  for (const item of results.skipped.filter((result) => result.rendition)) {
+    const { width, format } = item.rendition;
+    add(
+      item,
+      previousEntry(item) || { width, format, local_path: toLocalPath(item.filepath), skipped: true, reason: item.reason }
+    );
+  }
+  for (const item of results.failed.filter((result) => result.rendition)) {
+    add(item, previousEntry(item));
   }
 
-  return results;
+  const order = (entry) =>
+    CONFIG.renditions.findIndex((rendition) => rendition.width === entry.width && rendition.format === entry.format);
+  for (const entries of Object.values(renditions)) {
+    entries.sort((a, b) => order(a) - order(b));
+  }
+  return renditions;
 }
 
-// Create a manifest mapping photo IDs to local file paths
-async function createManifest(results, originalManifest) {
-  const manifest = {
-    generated_at: new Date().toISOString(),
-    version: "1.0.0",
+/**
+ * Write the local manifest mapping photo IDs to local file paths
+ * @param {object} results - Download results
+ * @param {object} originalManifest - The build manifest
+ * @param {object|null} previousManifest - The local manifest of the last run;
+ *   files skipped because they exist, and images left out of this run by
+ *   --only or --exclude, keep their entry from it
+ * @returns {Promise<object>} - Object with manifest and manifestPath
+ */
+async function writeLocalManifest(results, originalManifest, previousManifest) {
+  const manifest = createManifest("local", {
     source_manifest: originalManifest.generated_at,
-    images: {},
     stats: {
       total_images:
         results.successful.length +
@@ -174,17 +485,12 @@ async function createManifest(results, originalManifest) {
       failed: results.failed.length,
       skipped: results.skipped.length,
     },
-  };
+  });
 
   // Add successful downloads
-  results.successful.forEach((item) => {
-    const relativePath = path.relative(
-      path.join(process.cwd(), "public"),
-      item.filepath
-    );
+  results.successful.filter((item) => !item.rendition).forEach((item) => {
     manifest.images[item.photoId] = {
-      local_path: `/${relativePath.replace(/\\/g, "/")}`, // Ensure forward slashes for web
-      download_url: item.url,
+      ...toFileEntry(item),
       optimized_url: item.original_url,
       author: item.author,
       downloaded_at: new Date().toISOString(),
@@ -193,76 +499,145 @@ async function createManifest(results, originalManifest) {
   });
 
   // Add skipped files (they exist locally)
-  results.skipped.forEach((item) => {
-    const relativePath = path.relative(
-      path.join(process.cwd(), "public"),
-      item.filepath
-    );
-    manifest.images[item.photoId] = {
-      local_path: `/${relativePath.replace(/\\/g, "/")}`, // Ensure forward slashes for web
-      skipped: true,
-      reason: item.reason,
-    };
+  results.skipped.filter((item) => !item.rendition).forEach((item) => {
+    const localPath = toLocalPath(item.filepath);
+    const previous = previousManifest?.images[item.photoId];
+
+    manifest.images[item.photoId] =
+      previous && previous.local_path === localPath && !previous.skipped
+        ? previous
+        : { local_path: localPath, skipped: true, reason: item.reason };
   });
 
-  const manifestPath = path.join(
-    CONFIG.downloadDir,
-    "manifest.json"
-  );
-  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  // Photos with renditions point at the widest one in the first format
+  for (const [photoId, renditions] of Object.entries(collectRenditions(results, previousManifest))) {
+    const imageData = originalManifest.images[photoId];
+    const defaultRendition = renditions.filter((entry) => entry.format === renditions[0].format).pop();
+
+    manifest.images[photoId] = {
+      local_path: defaultRendition.local_path,
+      renditions,
+      optimized_url: imageData.optimized_url,
+      author: imageData.image_author,
+    };
+  }
+
+  // Keep what earlier runs downloaded of the images this run left out
+  for (const photoId of Object.keys(originalManifest.images)) {
+    const previous = previousManifest?.images[photoId];
+    if (!(photoId in manifest.images) && previous) {
+      manifest.images[photoId] = previous;
+    }
+  }
+
+  const manifestPath = getLocalManifestPath(CONFIG.downloadDir);
+  await writeManifest(manifestPath, manifest, "local");
+
+  // Older versions wrote the local manifest as manifest.json
+  await fs.rm(path.join(CONFIG.downloadDir, LEGACY_LOCAL_MANIFEST_FILENAME), { force: true });
 
   return { manifest, manifestPath };
 }
 
 // Main function
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArguments(argv);
+  const reporter = new Reporter({ command: "download", json: options.json });
+
   console.log("🖼️  Unsplash Image Download Tool\n");
 
-  // Check if manifest exists
-  try {
-    await fs.access(CONFIG.manifestPath);
-  } catch (error) {
-    console.error("❌ Unsplash manifest not found at:", CONFIG.manifestPath);
-    console.log("💡 Run the build cache script first:");
-    console.log("   pnpm run build:cache-images");
+  const config = await loadCliConfig({ configPath: options.config, overrides: options.overrides });
+  if (!config) {
     process.exit(1);
   }
+  Object.assign(CONFIG, {
+    manifestPath: config.manifestPath,
+    downloadDir: config.downloadDir,
+    publicDir: config.publicDir,
+    concurrency: config.concurrency,
+    retries: config.retries,
+    timeout: config.timeout,
+    renditions: expandRenditions(config.renditions),
+  });
 
   // Load the manifest
   console.log("📄 Loading manifest...");
-  const manifestContent = await fs.readFile(CONFIG.manifestPath, "utf-8");
-  const manifest = JSON.parse(manifestContent);
+  let manifest;
+  try {
+    manifest = await readManifest(CONFIG.manifestPath, "build");
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error("💡 Rebuild it with: pnpm run build:cache-images");
+    process.exit(1);
+  }
 
-  const imageEntries = Object.entries(manifest.images);
+  if (!manifest) {
+    console.error("❌ Unsplash manifest not found at:", CONFIG.manifestPath);
+    console.error("💡 Run the build cache script first:");
+    console.error("   pnpm run build:cache-images");
+    process.exit(1);
+  }
+
+  const { entries: imageEntries, unknown } = selectEntries(Object.entries(manifest.images), options);
+  for (const photoId of unknown) {
+    console.warn(`⚠️  ${photoId} is not in the manifest`);
+  }
 
   if (imageEntries.length === 0) {
-    console.log("⚠️  No images found in manifest");
-    process.exit(0);
+    console.log(
+      Object.keys(manifest.images).length === 0
+        ? "⚠️  No images found in manifest"
+        : "⚠️  No images left to download after --only/--exclude"
+    );
+    process.exitCode = reporter.summary({ succeeded: 0, failed: 0 }, { total: 0 });
+    return;
   }
 
+  // One file per photo, or one per rendition of it
+  const fileCount = imageEntries.length * Math.max(CONFIG.renditions.length, 1);
+  reporter.event("start", { total: fileCount, download_dir: CONFIG.downloadDir });
+
   console.log(`📊 Found ${imageEntries.length} images to process`);
+  if (CONFIG.renditions.length > 0) {
+    const { widths, formats } = config.renditions;
+    console.log(`🖼️  Renditions: ${widths.join("w, ")}w × ${formats.join(", ")} (${fileCount} files)`);
+  }
   console.log(`📁 Download directory: ${CONFIG.downloadDir}`);
   console.log(`🔧 Concurrency: ${CONFIG.concurrency} simultaneous downloads`);
   console.log(`⏱️  Timeout: ${CONFIG.timeout / 1000}s per download`);
   console.log(`🔄 Retries: ${CONFIG.retries} attempts per image`);
   console.log(
-    `🎨 Mode: Downloading unwatermarked versions via Unsplash download API\n`
+    CONFIG.renditions.length > 0
+      ? `🎨 Mode: Downloading renditions resized by the Unsplash image CDN\n`
+      : `🎨 Mode: Downloading unwatermarked versions via Unsplash download API\n`
   );
 
   // Create download directory
   await fs.mkdir(CONFIG.downloadDir, { recursive: true });
 
+  // The last run's local manifest says what complete files look like
+  let previousManifest = null;
+  try {
+    previousManifest = await readLocalManifest(CONFIG.downloadDir);
+  } catch (error) {
+    console.warn(`⚠️  Replacing unreadable local manifest: ${error.message}`);
+  }
+
   // Start downloads with progress tracking
   console.log("🚀 Starting downloads...\n");
-  const progressBar = createProgressBar(imageEntries.length);
-  const results = await downloadImagesBatch(imageEntries, progressBar);
+  const progress = new DownloadProgress({
+    total: fileCount,
+    quiet: options.json || getOutputLevel() === "quiet",
+  });
+  const results = await downloadImages(imageEntries, progress, reporter, {
+    force: options.force,
+    previousManifest,
+  });
+  progress.stop();
 
   // Create local manifest
   console.log("\n📝 Creating manifest...");
-  const { manifest: localManifest, manifestPath } = await createManifest(
-    results,
-    manifest
-  );
+  const { manifestPath } = await writeLocalManifest(results, manifest, previousManifest);
 
   // Display results
   console.log("\n📊 Download Results:");
@@ -273,20 +648,13 @@ async function main() {
   if (results.failed.length > 0) {
     console.log("\n❌ Failed Downloads:");
     results.failed.forEach((item) => {
-      console.log(`   • ${item.photoId}: ${item.error}`);
+      const file = item.rendition ? ` (${path.basename(item.filepath)})` : "";
+      console.log(`   • ${item.photoId}${file}: ${item.error}`);
     });
   }
 
   // Calculate storage used
-  let totalSize = 0;
-  for (const item of results.successful) {
-    try {
-      const stats = await fs.stat(item.filepath);
-      totalSize += stats.size;
-    } catch (error) {
-      // Ignore errors getting file size
-    }
-  }
+  const totalSize = results.successful.reduce((sum, item) => sum + item.bytes, 0);
 
   const sizeInMB = (totalSize / (1024 * 1024)).toFixed(2);
   console.log(`\n💾 Storage Used: ${sizeInMB} MB`);
@@ -300,17 +668,38 @@ async function main() {
     console.log(
       "\n⚠️  Some downloads failed. You may want to run this script again."
     );
-    process.exit(1);
   }
+
+  process.exitCode = reporter.summary(
+    {
+      succeeded: results.successful.length + results.skipped.length,
+      failed: results.failed.length,
+    },
+    {
+      total: fileCount,
+      downloaded: results.successful.length,
+      skipped: results.skipped.length,
+      bytes: totalSize,
+      manifest: manifestPath,
+    }
+  );
 }
 
-// Check if fetch is available (Node.js 18+)
-if (!checkFetchAvailable()) {
-  process.exit(1);
+if (require.main === module) {
+  // Check if fetch is available (Node.js 18+)
+  if (!checkFetchAvailable()) {
+    process.exit(1);
+  }
+
+  main().catch((error) => {
+    console.error("\n❌ Script failed:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  });
 }
 
-main().catch((error) => {
-  console.error("\n❌ Script failed:", error.message);
-  console.error(error.stack);
-  process.exit(1);
-});
+module.exports = {
+  parseArguments,
+  selectEntries,
+  main,
+};
@@ -9,6 +9,9 @@
  * - Premium watermark-free downloads for subscribers
  * - Proper filename handling and directory creation
  *
+ * With --json, a "download" event and a final summary are written to stdout
+ * as NDJSON instead of the usual output.
+ *
  * Usage:
  *   node unsplash-image-downloader.js <url> [options]
  *
@@ -29,14 +32,13 @@ const {
   logSuccess,
   logError,
   logWarning,
-  logInfo
+  logInfo,
+  loadCliConfig,
+  Reporter
 } = require('../lib/index.js');
 
-// Configuration
+// Configuration (output directory, timeout and retries come from the project config)
 const CONFIG = {
-  defaultOutputDir: './downloads',
-  timeout: 30000, // 30 seconds
-  retries: 3,
   sizes: {
     raw: 'raw',        // Original full resolution
     full: 'full',      // 2048px on longest edge
@@ -51,9 +53,7 @@ const CONFIG = {
 /**
  * Parse command line arguments
  */
-function parseArguments() {
-  const args = process.argv.slice(2);
-
+function parseArguments(args = process.argv.slice(2)) {
   // Check for help first
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
     console.log(`
@@ -69,10 +69,14 @@ Options:
                       Default: ${CONFIG.defaultSize}
   --width=<width>     Custom width (only with --size=custom)
   --height=<height>   Custom height (only with --size=custom)
-  --output=<dir>      Output directory (default: ${CONFIG.defaultOutputDir})
+  --output=<dir>      Output directory (default: outputDir from the project
+                      config, or ./downloads)
   --filename=<name>   Custom filename (without extension)
   --format=<format>   Image format: jpg, png, webp (default: jpg)
   --quality=<quality> Image quality 1-100 (default: 80)
+  --config=<path>     Project config file (default: nearest unsplash.config.js
+                      or .unsplashrc.json)
+  --json              Write NDJSON events and a summary instead of logs
   --help, -h          Show this help message
 
 Examples:
@@ -91,21 +95,21 @@ Examples:
     process.exit(0);
   }
 
-  const url = args[0];
+  const url = args.find((arg) => !arg.startsWith('--'));
   const options = {
     size: CONFIG.defaultSize,
-    output: CONFIG.defaultOutputDir,
+    output: null,
+    config: null,
     filename: null,
     width: null,
     height: null,
     format: 'jpg',
-    quality: 80
+    quality: 80,
+    json: false
   };
 
   // Parse options
-  for (let i = 1; i < args.length; i++) {
-    const arg = args[i];
-
+  for (const arg of args) {
     if (arg.startsWith('--')) {
       const [key, value] = arg.slice(2).split('=');
 
@@ -138,6 +142,12 @@ Examples:
         case 'filename':
           options.filename = value;
           break;
+        case 'config':
+          options.config = value;
+          break;
+        case 'json':
+          options.json = true;
+          break;
         case 'format':
           if (['jpg', 'jpeg', 'png', 'webp'].includes(value.toLowerCase())) {
             options.format = value.toLowerCase();
@@ -173,17 +183,28 @@ Examples:
 /**
  * Main function
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
   // Check Node.js version and fetch availability
   if (!checkFetchAvailable()) {
     process.exit(1);
   }
 
   // Parse command line arguments
-  const { url, options } = parseArguments();
+  const { url, options } = parseArguments(argv);
+  const reporter = new Reporter({ command: 'get', json: options.json });
 
   console.log('🖼️  Unsplash Image Downloader\n');
 
+  const config = await loadCliConfig({
+    configPath: options.config,
+    quiet: options.json,
+    overrides: { outputDir: options.output || undefined }
+  });
+  if (!config) {
+    process.exit(1);
+  }
+  options.output = config.outputDir;
+
   try {
     // Extract photo ID from URL
     const photoId = extractPhotoId(url);
@@ -191,7 +212,9 @@ async function main() {
       logError('Could not extract photo ID from URL');
       logInfo('Please provide a valid Unsplash photo URL');
       logInfo('Example: https://unsplash.com/photos/4BEVxOv8pkk');
-      process.exit(1);
+      reporter.event('download', { url, status: 'failed', error: 'Could not extract photo ID from URL' });
+      process.exitCode = reporter.summary({ succeeded: 0, failed: 1 });
+      return;
     }
 
     logSuccess(`Extracted photo ID: ${photoId}`);
@@ -223,8 +246,8 @@ async function main() {
       quality: options.quality,
       width: options.width,
       height: options.height,
-      timeout: CONFIG.timeout,
-      retries: CONFIG.retries
+      timeout: config.timeout,
+      retries: config.retries
     };
 
     // Download the image using the library function
@@ -239,9 +262,19 @@ async function main() {
       if (result.hasIxid) {
         logSuccess('✨ Downloaded unwatermarked Unsplash+ version');
       }
+
+      reporter.event('download', {
+        photo_id: photoId,
+        status: 'downloaded',
+        path: result.filepath,
+        bytes: result.size,
+        unwatermarked: Boolean(result.hasIxid)
+      });
+      process.exitCode = reporter.summary({ succeeded: 1, failed: 0 }, { bytes: result.size });
     } else {
       logError(`Download failed: ${result.error}`);
-      process.exit(1);
+      reporter.event('download', { photo_id: photoId, status: 'failed', error: result.error });
+      process.exitCode = reporter.summary({ succeeded: 0, failed: 1 });
     }
 
   } catch (error) {
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+
+/**
+ * Unsplash Manifest Tool
+ *
+ * Subcommands for working with the build manifest and the local manifest:
+ *
+ *   validate    Check manifests against the JSON Schemas shipped in
+ *               src/schemas and list every problem with its path
+ *   diff        List the photos added, removed and changed between two
+ *               manifests, field by field
+ *   merge       Combine manifests built on different branches, e.g. as a
+ *               git merge driver
+ *
+ * Without files, validate checks the build manifest and local manifest of the
+ * project config. It exits with 1 when every manifest is invalid and 2 when
+ * some are, so any invalid manifest fails a pre-commit hook.
+ *
+ * With --json, one JSON object per manifest, problem, photo or conflict and a
+ * final summary are written to stdout instead of the usual output.
+ *
+ * Usage:
+ *   unsplash-manifest validate [<file>...] [--kind=build|local] [--json] [--config=<path>]
+ *   unsplash-manifest diff <a> <b> [--exit-code] [--json]
+ *   unsplash-manifest merge <file>... --output=<file> [--base=<file>] [--json]
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const {
+  validateManifestFile,
+  readManifest,
+  writeManifest,
+  diffManifests,
+  mergeManifests,
+  getLocalManifestPath,
+  BUILD_MANIFEST_VERSION,
+  LOCAL_MANIFEST_VERSION,
+  loadCliConfig,
+  Reporter,
+} = require("../lib/index.js");
+
+const SUBCOMMANDS = ["validate", "diff", "merge"];
+const SCHEMA_VERSIONS = { build: BUILD_MANIFEST_VERSION, local: LOCAL_MANIFEST_VERSION };
+
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.length === 0 || args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🧾 Unsplash Manifest Tool
+
+Usage: unsplash-manifest <command> [options]
+
+Commands:
+  validate [<file>...]  Check manifests against their JSON Schema and list
+                        every invalid entry (default: the build manifest and
+                        local manifest of the project config)
+  diff <a> <b>          List the photos added, removed and changed from a to b
+  merge <file>...       Combine manifests; photos from all of them are kept,
+                        and the freshest entry wins where they disagree
+
+Options:
+  --kind=<kind>       Treat the files as "build" or "local" manifests
+                      (default: from their kind field, or their name)
+  --exit-code         diff: exit with 1 when the manifests differ
+  --output=<file>     merge: where to write the merged manifest (required)
+  --base=<file>       merge: the manifest the others were built from; photos
+                      removed from one of them are then removed
+  --config=<path>     Project config file (default: nearest unsplash.config.js
+                      or .unsplashrc.json)
+  --json              Write NDJSON events and a summary instead of logs
+  --help, -h          Show this help message
+
+Examples:
+  unsplash-manifest validate
+  unsplash-manifest validate public/unsplash-manifest.json --json
+  unsplash-manifest diff main-manifest.json public/unsplash-manifest.json
+  unsplash-manifest merge ours.json theirs.json --base=base.json --output=ours.json
+`);
+    process.exit(0);
+  }
+
+  const options = {
+    command: null,
+    files: [],
+    kind: null,
+    config: null,
+    json: false,
+    exitCode: false,
+    output: null,
+    base: null,
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith("--kind=")) {
+      options.kind = arg.slice("--kind=".length);
+    } else if (arg.startsWith("--output=")) {
+      options.output = arg.slice("--output=".length);
+    } else if (arg.startsWith("--base=")) {
+      options.base = arg.slice("--base=".length);
+    } else if (arg === "--exit-code") {
+      options.exitCode = true;
+    } else if (arg.startsWith("--config=")) {
+      options.config = arg.slice("--config=".length);
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg.startsWith("-")) {
+      console.warn(`⚠️  Unknown option: ${arg}`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (!SUBCOMMANDS.includes(options.command)) {
+    console.error(`❌ Unknown command: ${options.command} (expected ${SUBCOMMANDS.join(", ")})`);
+    process.exit(1);
+  }
+
+  if (options.kind && !Object.hasOwn(SCHEMA_VERSIONS, options.kind)) {
+    console.error(`❌ --kind must be "build" or "local", got "${options.kind}"`);
+    process.exit(1);
+  }
+
+  if (options.command === "diff" && options.files.length !== 2) {
+    console.error("❌ diff needs exactly two manifests: unsplash-manifest diff <a> <b>");
+    process.exit(1);
+  }
+
+  if (options.command === "merge") {
+    if (options.files.length < 2) {
+      console.error("❌ merge needs at least two manifests");
+      process.exit(1);
+    }
+    if (!options.output) {
+      console.error("❌ merge needs --output=<file>");
+      process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Validate the given manifests, or the ones of the project config
+ * @param {object} config - Project config
+ * @param {object} options - Parsed command line options
+ * @param {Reporter} reporter - Reporter for --json output
+ * @returns {Promise<void>}
+ */
+async function validate(config, options, reporter) {
+  const explicit = options.files.length > 0;
+  const targets = explicit
+    ? options.files.map((file) => ({ file: path.resolve(file), kind: options.kind }))
+    : [
+        { file: config.manifestPath, kind: "build" },
+        { file: getLocalManifestPath(config.downloadDir), kind: "local" },
+      ];
+
+  let valid = 0;
+  let invalid = 0;
+
+  for (const target of targets) {
+    const result = await validateManifestFile(target.file, { kind: target.kind || undefined });
+    const display = path.relative(process.cwd(), result.path) || result.path;
+
+    // Only the manifests named on the command line have to exist
+    if (!explicit && result.problems.length === 1 && result.problems[0].message === "file not found") {
+      console.log(`➖ ${display} (${result.kind}): not found, skipped`);
+      continue;
+    }
+
+    reporter.event("manifest", {
+      path: result.path,
+      kind: result.kind,
+      valid: result.valid,
+      problems: result.problems.length,
+      migrated_from: result.migrated ? result.fromVersion : null,
+    });
+
+    if (result.valid) {
+      valid++;
+      console.log(`✅ ${display} (${result.kind}, schema ${SCHEMA_VERSIONS[result.kind]})`);
+      if (result.migrated) {
+        console.log(
+          `   ♻️  Written with schema ${result.fromVersion}; it is upgraded the next time it's written`
+        );
+      }
+      continue;
+    }
+
+    invalid++;
+    const count = result.problems.length;
+    console.log(`❌ ${display} (${result.kind}): ${count} problem${count === 1 ? "" : "s"}`);
+    for (const problem of result.problems) {
+      console.log(`   ${problem.path || "(manifest)"}: ${problem.message}`);
+      reporter.event("problem", { file: result.path, path: problem.path, message: problem.message });
+    }
+  }
+
+  if (valid + invalid === 0) {
+    console.error("❌ No manifests found - run build-cache first, or pass the files to check");
+    process.exitCode = reporter.summary({ succeeded: 0, failed: 1 }, { files: 0, valid: 0, invalid: 0 });
+    return;
+  }
+
+  console.log(
+    invalid === 0
+      ? `\n🎉 ${valid} manifest${valid === 1 ? "" : "s"} valid`
+      : `\n⚠️  ${invalid} of ${valid + invalid} manifests invalid`
+  );
+  process.exitCode = reporter.summary(
+    { succeeded: valid, failed: invalid },
+    { files: valid + invalid, valid, invalid }
+  );
+}
+
+/**
+ * Read a manifest named on the command line
+ * @param {string} file - Path of the manifest
+ * @param {string|null} kind - --kind, if given
+ * @returns {Promise<object>} - The manifest, migrated to the current schema
+ * @throws {Error} - If the file doesn't exist or isn't a valid manifest
+ */
+async function readInputManifest(file, kind) {
+  const manifest = await readManifest(path.resolve(file), kind || undefined);
+  if (!manifest) {
+    throw new Error(`${file} not found`);
+  }
+  return manifest;
+}
+
+// Keep diff output on one line per field
+function formatValue(value) {
+  if (value === undefined) return "(none)";
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * List the photos added, removed and changed between two manifests
+ * @param {object} options - Parsed command line options
+ * @param {Reporter} reporter - Reporter for --json output
+ * @returns {Promise<void>}
+ */
+async function diff(options, reporter) {
+  const [fileA, fileB] = options.files;
+  const before = await readInputManifest(fileA, options.kind);
+  const after = await readInputManifest(fileB, options.kind || before.kind);
+  if (before.kind !== after.kind) {
+    throw new Error(`Can't compare a ${before.kind} manifest with a ${after.kind} manifest`);
+  }
+
+  const { added, removed, changed } = diffManifests(before, after);
+  console.log(`🔍 ${fileA} → ${fileB} (${before.kind})\n`);
+
+  for (const id of added) {
+    console.log(`➕ ${id}`);
+    reporter.event("photo", { id, change: "added" });
+  }
+  for (const id of removed) {
+    console.log(`➖ ${id}`);
+    reporter.event("photo", { id, change: "removed" });
+  }
+  for (const { id, fields } of changed) {
+    console.log(`✏️  ${id}`);
+    for (const field of fields) {
+      console.log(`   ${field.path}: ${formatValue(field.before)} → ${formatValue(field.after)}`);
+    }
+    reporter.event("photo", { id, change: "changed", fields });
+  }
+
+  const total = added.length + removed.length + changed.length;
+  console.log(
+    total === 0
+      ? "✅ No photos changed"
+      : `\n📊 ${added.length} added, ${removed.length} removed, ${changed.length} changed`
+  );
+
+  const exitCode = reporter.summary(
+    { succeeded: 1, failed: 0 },
+    { added: added.length, removed: removed.length, changed: changed.length }
+  );
+  process.exitCode = options.exitCode && total > 0 ? 1 : exitCode;
+}
+
+/**
+ * Combine manifests and write the result
+ * @param {object} options - Parsed command line options
+ * @param {Reporter} reporter - Reporter for --json output
+ * @returns {Promise<void>}
+ */
+async function merge(options, reporter) {
+  const manifests = [];
+  for (const file of options.files) {
+    manifests.push(await readInputManifest(file, options.kind || manifests[0]?.kind));
+  }
+
+  // git passes an empty base when both branches added the manifest
+  const hasBase = options.base && (await fs.stat(options.base)).size > 0;
+  const base = hasBase ? await readInputManifest(options.base, manifests[0].kind) : null;
+
+  const { manifest, conflicts, removed } = mergeManifests(manifests, { base });
+  const output = path.resolve(options.output);
+  await writeManifest(output, manifest, manifest.kind);
+
+  for (const id of conflicts) {
+    console.log(`⚠️  ${id}: the manifests disagree, kept the most recent entry`);
+    reporter.event("conflict", { id });
+  }
+  for (const id of removed) {
+    console.log(`➖ ${id}: removed since the base`);
+    reporter.event("photo", { id, change: "removed" });
+  }
+
+  const photos = Object.keys(manifest.images).length;
+  console.log(`✅ Merged ${manifests.length} ${manifest.kind} manifests (${photos} photos) into ${options.output}`);
+  process.exitCode = reporter.summary(
+    { succeeded: manifests.length, failed: 0 },
+    { output, photos, conflicts: conflicts.length, removed: removed.length }
+  );
+}
+
+// Main function
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArguments(argv);
+  const reporter = new Reporter({ command: "manifest", json: options.json });
+
+  console.log("🧾 Unsplash Manifest Tool\n");
+
+  if (options.command === "diff") {
+    return diff(options, reporter);
+  }
+  if (options.command === "merge") {
+    return merge(options, reporter);
+  }
+
+  const config = await loadCliConfig({ configPath: options.config, quiet: options.json });
+  if (!config) {
+    process.exit(1);
+  }
+
+  await validate(config, options, reporter);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("\n❌ Script failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArguments,
+  main,
+};
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * Unsplash CLI
+ *
+ * Single entry point for all tools in this package:
+ *
+ *   unsplash build-cache       (unsplash-build-cache)
+ *   unsplash cache             (unsplash-cache)
+ *   unsplash download          (unsplash-download)
+ *   unsplash clean             (unsplash-clean)
+ *   unsplash get <url>         (unsplash-image-downloader)
+ *   unsplash download-url <url> (unsplash-url-to-download)
+ *   unsplash where <id|url>    (unsplash-where)
+ *   unsplash manifest validate|diff|merge (unsplash-manifest)
+ *   unsplash verify            (unsplash-verify)
+ *   unsplash verify-files      (unsplash-verify-files)
+ *
+ * Global flags (--config, --json, --quiet, --verbose, --cwd) may appear
+ * before or after the command. The old bin names keep working as aliases.
+ *
+ * Usage:
+ *   unsplash <command> [options]
+ *   unsplash help [command]
+ *   unsplash completion <bash|zsh|fish>
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { GLOBAL_OPTIONS, COMMANDS, findCommand } = require("./commands.js");
+const { BUILTIN_COMMANDS, COMPLETION_SHELLS, generateCompletion } = require("./completion.js");
+const {
+  setOutputLevel,
+  logError,
+  logWarning,
+  logVerbose,
+  silenceStdout,
+  checkFetchAvailable,
+} = require("../lib/index.js");
+const { version } = require("../../package.json");
+
+/**
+ * Split the command line into the command, its own arguments and the global flags
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {object} - Object with command, args, cwd, config, json, quiet,
+ *   verbose, help and version
+ */
+function parseGlobalArguments(argv) {
+  const result = {
+    command: null,
+    args: [],
+    cwd: null,
+    config: null,
+    json: false,
+    quiet: false,
+    verbose: false,
+    help: false,
+    version: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // Everything after -- belongs to the command
+    if (arg === "--") {
+      result.args.push(...argv.slice(i + 1));
+      break;
+    }
+
+    const [flag, ...rest] = arg.split("=");
+    switch (flag) {
+      case "--cwd":
+      case "--config": {
+        const value = rest.length > 0 ? rest.join("=") : argv[++i];
+        if (!value) {
+          throw new Error(`${flag} requires a value, e.g. ${flag}=${flag === "--cwd" ? "./site" : "unsplash.config.js"}`);
+        }
+        result[flag.slice(2)] = value;
+        continue;
+      }
+      case "--json":
+        result.json = true;
+        continue;
+      case "--quiet":
+      case "-q":
+        result.quiet = true;
+        continue;
+      case "--verbose":
+        result.verbose = true;
+        continue;
+      case "--help":
+      case "-h":
+      case "--version":
+        // After a command these are the command's own flags
+        if (!result.command) {
+          result[flag === "--version" ? "version" : "help"] = true;
+          continue;
+        }
+        break;
+    }
+
+    if (!result.command && !arg.startsWith("-")) {
+      result.command = arg;
+    } else {
+      result.args.push(arg);
+    }
+  }
+
+  if (result.quiet && result.verbose) {
+    throw new Error("--quiet and --verbose can't be used together");
+  }
+
+  return result;
+}
+
+/**
+ * Generate the top level help text from the command registry
+ * @returns {string} - The help text
+ */
+function formatHelp() {
+  const pad = (text, width) => text + " ".repeat(Math.max(width - text.length, 1));
+  const commandLines = Object.entries(COMMANDS).map(
+    ([name, command]) => `  ${pad(name, 20)}${command.summary}`
+  );
+  const builtinLines = [
+    `  ${pad("help [command]", 20)}${BUILTIN_COMMANDS.help.summary}`,
+    `  ${pad("completion <shell>", 20)}${BUILTIN_COMMANDS.completion.summary}`,
+  ];
+  const optionLines = GLOBAL_OPTIONS.map(({ flag, description }) => `  ${pad(flag, 20)}${description}`);
+  const aliases = Object.entries(COMMANDS).map(([name, command]) => `  ${pad(command.bin, 28)}unsplash ${name}`);
+
+  return `
+📸 Unsplash CLI v${version}
+
+Usage: unsplash <command> [options]
+
+Commands:
+${commandLines.join("\n")}
+${builtinLines.join("\n")}
+
+Global options:
+${optionLines.join("\n")}
+
+Run 'unsplash <command> --help' for the options of a command.
+
+The standalone commands still work as aliases:
+${aliases.join("\n")}
+`;
+}
+
+/**
+ * Make console output follow --quiet/--verbose
+ * @param {object} options - Parsed global arguments
+ * @returns {Function} - Gives stdout back after --quiet
+ */
+function applyOutputLevel(options) {
+  if (options.verbose) {
+    setOutputLevel("verbose");
+  } else if (options.quiet) {
+    setOutputLevel("quiet");
+    // The scripts print their progress to stdout; warnings and errors go to
+    // stderr and stay visible. JSON output is never silenced.
+    if (!options.json) {
+      return silenceStdout();
+    }
+  }
+  return () => {};
+}
+
+/**
+ * Run the unified CLI
+ * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
+ * @returns {Promise<void>}
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseGlobalArguments(argv);
+  } catch (error) {
+    logError(error.message);
+    process.exit(1);
+  }
+
+  if (options.version) {
+    console.log(version);
+    return;
+  }
+
+  if (options.command === "help" || (!options.command && (options.help || argv.length === 0))) {
+    const topic = options.command === "help" ? options.args[0] : null;
+    if (!topic) {
+      console.log(formatHelp());
+      return;
+    }
+    // Let the command print its own help
+    options.command = topic;
+    options.args = ["--help"];
+  }
+
+  if (options.command === "completion") {
+    const shell = options.args[0];
+    if (!COMPLETION_SHELLS.includes(shell)) {
+      logError(`Usage: unsplash completion <${COMPLETION_SHELLS.join("|")}>`);
+      process.exit(1);
+    }
+    process.stdout.write(generateCompletion(shell));
+    return;
+  }
+
+  const command = options.command ? findCommand(options.command) : null;
+  if (!command) {
+    logError(options.command ? `Unknown command: ${options.command}` : "No command given");
+    console.error("💡 Run 'unsplash help' for the list of commands");
+    process.exit(1);
+  }
+
+  if (options.cwd) {
+    const cwd = path.resolve(options.cwd);
+    if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) {
+      logError(`--cwd directory not found: ${cwd}`);
+      process.exit(1);
+    }
+    process.chdir(cwd);
+  }
+
+  if (options.json && !command.json) {
+    logWarning(`--json is not supported by '${command.name}', ignoring it`);
+    options.json = false;
+  }
+
+  const restoreStdout = applyOutputLevel(options);
+
+  const args = [...options.args];
+  if (options.config) {
+    args.push(`--config=${options.config}`);
+  }
+  if (options.json) {
+    args.push("--json");
+  }
+
+  logVerbose(`Running: unsplash ${command.name} ${args.join(" ")}`.trim());
+  logVerbose(`Working directory: ${process.cwd()}`);
+
+  // Check if fetch is available (Node.js 18+)
+  if (!checkFetchAvailable()) {
+    process.exit(1);
+  }
+
+  try {
+    await command.run(args);
+  } catch (error) {
+    restoreStdout();
+    logError(`${command.name} failed: ${error.message}`);
+    if (options.verbose && error.stack) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+  restoreStdout();
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseGlobalArguments,
+  formatHelp,
+  applyOutputLevel,
+  main,
+};
@@ -15,6 +15,9 @@
  *   - Generates direct download URLs (unwatermarked)
  *   - Supports both CLI and programmatic usage
  *   - JSON output option for scripting
+ *
+ * The --json output stays a single object (not NDJSON events like the other
+ * commands), but the exit code follows them: 1 when the conversion failed.
  */
 
 // Load environment variables
@@ -26,38 +29,50 @@ const {
   fetchIxidFromPage,
   convertToDownloadUrl,
   checkFetchAvailable,
+  loadCliConfig,
+  EXIT_CODES,
 } = require("../lib/index.js");
 
 /**
  * CLI interface
  */
-async function runCLI() {
-  const args = process.argv.slice(2);
-
+async function runCLI(args = process.argv.slice(2)) {
   if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
     console.log(`
 Unsplash URL to Download URL Converter
 
 Usage:
-  node ${process.argv[1].split("/").pop()} [options] <unsplash-url>
+  unsplash-url-to-download [options] <unsplash-url>
 
 Options:
   -j, --json     Output result as JSON
   -n, --no-ixid  Skip fetching ixid (faster but less optimal)
+  --config=<path>
+                 Project config file (default: nearest unsplash.config.js
+                 or .unsplashrc.json)
   -h, --help     Show this help message
 
 Examples:
-  node ${process.argv[1].split("/").pop()} "https://unsplash.com/photos/ocean-view-abc123"
-  node ${process.argv[1].split("/").pop()} --json "https://unsplash.com/photos/mountain-def456"
-  node ${process.argv[1].split("/").pop()} --no-ixid "https://unsplash.com/photos/forest-ghi789"
+  unsplash-url-to-download "https://unsplash.com/photos/ocean-view-abc123"
+  unsplash-url-to-download --json "https://unsplash.com/photos/mountain-def456"
+  unsplash-url-to-download --no-ixid "https://unsplash.com/photos/forest-ghi789"
 `);
     return;
   }
 
   const jsonOutput = args.includes("-j") || args.includes("--json");
   const skipIxid = args.includes("-n") || args.includes("--no-ixid");
+  const configArg = args.find((arg) => arg.startsWith("--config="));
   const url = args.find((arg) => !arg.startsWith("-"));
 
+  const config = await loadCliConfig({
+    configPath: configArg ? configArg.slice("--config=".length) : null,
+    quiet: jsonOutput,
+  });
+  if (!config) {
+    process.exit(1);
+  }
+
   if (!url) {
     console.error("❌ Please provide an Unsplash URL");
     process.exit(1);
@@ -72,6 +87,9 @@ Examples:
 
     if (jsonOutput) {
       console.log(JSON.stringify(result, null, 2));
+      if (!result.success) {
+        process.exitCode = EXIT_CODES.failure;
+      }
     } else {
       if (result.success) {
         console.log("✅ Conversion successful!\n");
@@ -89,7 +107,7 @@ Examples:
       } else {
         console.log("❌ Conversion failed!");
         console.log(`Error: ${result.error}`);
-        process.exit(1);
+        process.exit(EXIT_CODES.failure);
       }
     }
   } catch (error) {
@@ -118,6 +136,7 @@ module.exports = {
   generateDownloadUrl,
   convertToDownloadUrl,
   fetchIxidFromPage,
+  runCLI,
 };
 
 // Run CLI if this script is executed directly
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Verify Downloaded Images
+ *
+ * This script rechecks every file listed in the local manifest against the
+ * size and SHA-256 recorded when it was downloaded, and checks it still
+ * starts like a JPEG, PNG, WebP or AVIF image. Files downloaded by older
+ * versions have no recorded hash; they are only checked for being images.
+ * Photos downloaded in several renditions have each of them checked.
+ *
+ * With --json, one JSON object per file and a final summary are written to
+ * stdout. Exits with 2 when some files are missing or changed, 1 when all
+ * of them are.
+ *
+ * Usage:
+ *   unsplash-verify-files [--out=<dir>] [--json] [--config=<path>]
+ */
+
+const path = require("path");
+const { checkImageFile, readLocalManifest, runPool, loadCliConfig, Reporter } = require("../lib/index.js");
+
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🔐 Unsplash Downloaded Image Verifier
+
+Usage: unsplash-verify-files [options]
+
+Options:
+  --out=<dir>         Download directory to verify (default:
+                      public/images/unsplash)
+  --config=<path>     Project config file (default: nearest unsplash.config.js
+                      or .unsplashrc.json)
+  --json              Write NDJSON events and a summary instead of logs
+  --help, -h          Show this help message
+
+Files that are missing or changed can be downloaded again with:
+  unsplash-download --only <id...> --force
+`);
+    process.exit(0);
+  }
+
+  const options = { config: null, json: false, overrides: {} };
+
+  for (const arg of args) {
+    if (arg.startsWith("--config=")) {
+      options.config = arg.slice("--config=".length);
+    } else if (arg.startsWith("--out=")) {
+      options.overrides.downloadDir = arg.slice("--out=".length);
+    } else if (arg === "--json") {
+      options.json = true;
+    } else {
+      console.warn(`⚠️  Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Check one local manifest entry
+ * @param {string} filepath - The file on disk
+ * @param {object} entry - Its local manifest entry
+ * @returns {Promise<object>} - Object with status ("ok", "unverified" when
+ *   no hash was recorded, "missing" or "corrupt") and error
+ */
+async function verifyEntry(filepath, entry) {
+  try {
+    await checkImageFile(filepath, { bytes: entry.bytes, sha256: entry.sha256 });
+    return { status: entry.sha256 ? "ok" : "unverified", error: null };
+  } catch (error) {
+    return { status: error.problem === "missing" ? "missing" : "corrupt", error: error.message };
+  }
+}
+
+// Main function
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArguments(argv);
+  const reporter = new Reporter({ command: "verify-files", json: options.json });
+
+  console.log("🔐 Unsplash Downloaded Image Verifier\n");
+
+  const config = await loadCliConfig({
+    configPath: options.config,
+    overrides: options.overrides,
+    quiet: options.json,
+  });
+  if (!config) {
+    process.exit(1);
+  }
+
+  const manifest = await readLocalManifest(config.downloadDir);
+  if (!manifest) {
+    console.error(`❌ No local manifest in ${config.downloadDir}`);
+    console.error("💡 Download the images first: unsplash download");
+    process.exit(1);
+  }
+
+  // One file per photo, or one per rendition
+  const entries = Object.entries(manifest.images).flatMap(([photoId, entry]) =>
+    (entry.renditions || [entry]).map((file) => [photoId, file])
+  );
+  console.log(`🔍 Checking ${entries.length} files in ${path.relative(process.cwd(), config.downloadDir) || "."}...\n`);
+
+  const results = await runPool(
+    entries,
+    async ([photoId, entry]) => {
+      const filepath = path.join(config.publicDir, entry.local_path);
+      const { status, error } = await verifyEntry(filepath, entry);
+      const rendition = entry.width ? { width: entry.width, format: entry.format } : {};
+      reporter.event("file", { id: photoId, ...rendition, status, path: filepath, ...(error && { error }) });
+      return { photoId, filepath, status, error };
+    },
+    { concurrency: config.concurrency }
+  );
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const broken = results.filter((result) => result.status === "missing" || result.status === "corrupt");
+
+  for (const { photoId, filepath, status, error } of broken) {
+    console.log(`❌ ${photoId} (${path.relative(process.cwd(), filepath)}): ${status} - ${error}`);
+  }
+  if (count("unverified") > 0) {
+    console.log(`⚠️  ${count("unverified")} files have no recorded hash (downloaded by an older version)`);
+  }
+
+  console.log("\n📊 Verification Results:");
+  console.log(`   ✅ Intact: ${count("ok")}`);
+  console.log(`   ⚠️  Not verifiable: ${count("unverified")}`);
+  console.log(`   ❌ Missing: ${count("missing")}`);
+  console.log(`   ❌ Corrupt: ${count("corrupt")}`);
+
+  if (broken.length > 0) {
+    console.log("\n💡 Download them again with:");
+    const photoIds = [...new Set(broken.map((result) => result.photoId))];
+    console.log(`   unsplash download --only ${photoIds.join(" ")} --force`);
+  }
+
+  process.exitCode = reporter.summary(
+    { succeeded: results.length - broken.length, failed: broken.length },
+    {
+      total: results.length,
+      ok: count("ok"),
+      unverified: count("unverified"),
+      missing: count("missing"),
+      corrupt: count("corrupt"),
+    }
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("\n❌ Script failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArguments,
+  main,
+};
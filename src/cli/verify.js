@@ -5,6 +5,15 @@
  *
  * This script verifies your Unsplash account status and API access levels
  * to help diagnose Unsplash+ premium access issues.
+ *
+ * API requests use the api settings of the project config (base URL,
+ * timeout, retries).
+ *
+ * With --json, one JSON object per check and a final summary are written to
+ * stdout instead of the report.
+ *
+ * Usage:
+ *   unsplash-verify [--json] [--config=<path>]
  */
 
 const {
@@ -16,7 +25,11 @@ const {
   logWarning,
   logInfo,
   makeApiRequest,
+  getRateLimitStatus,
+  formatDuration,
+  loadCliConfig,
   checkFetchAvailable,
+  Reporter,
 } = require("../lib/index.js");
 
 require("dotenv").config();
@@ -27,11 +40,68 @@ const UNSPLASH_SECRET_KEY = process.env.UNSPLASH_SECRET_KEY;
 // Alias for backwards compatibility with existing code
 const makeRequest = makeApiRequest;
 
+// Outcome of each check, filled in as the steps run
+const RESULTS = {
+  reporter: null,
+  passed: 0,
+  failed: 0,
+};
+
+/**
+ * Record the outcome of one check
+ * @param {string} name - Check name, e.g. "basic_api_access"
+ * @param {boolean} ok - Whether the check passed
+ * @param {object} [detail={}] - Extra fields for the "check" event
+ */
+function recordCheck(name, ok, detail = {}) {
+  if (ok) {
+    RESULTS.passed++;
+  } else {
+    RESULTS.failed++;
+  }
+  RESULTS.reporter?.event("check", { name, ok, ...detail });
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+🔍 Unsplash Account Verification Tool
+
+Usage: unsplash-verify [options]
+
+Options:
+  --config=<path>     Project config file (default: nearest unsplash.config.js
+                      or .unsplashrc.json)
+  --json              Write NDJSON events and a summary instead of the report
+  --help, -h          Show this help message
+`);
+    process.exit(0);
+  }
+
+  const options = { config: null, json: false };
+
+  for (const arg of args) {
+    if (arg.startsWith("--config=")) {
+      options.config = arg.slice("--config=".length);
+    } else if (arg === "--json") {
+      options.json = true;
+    } else {
+      logWarning(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
 async function verifyEnvironmentVariables() {
   logSection("Environment Variables");
 
   if (!UNSPLASH_ACCESS_KEY) {
     logError("UNSPLASH_ACCESS_KEY is not set");
+    recordCheck("environment", false, { error: "UNSPLASH_ACCESS_KEY is not set" });
     return false;
   }
   logSuccess(`UNSPLASH_ACCESS_KEY: ${UNSPLASH_ACCESS_KEY.substring(0, 8)}...`);
@@ -44,6 +114,7 @@ async function verifyEnvironmentVariables() {
     );
   }
 
+  recordCheck("environment", true, { secret_key: Boolean(UNSPLASH_SECRET_KEY) });
   return true;
 }
 
@@ -52,7 +123,7 @@ async function verifyBasicApiAccess() {
 
   // Test basic API access by fetching photos (doesn't require OAuth)
   const result = await makeRequest(
-    "https://api.unsplash.com/photos?per_page=1",
+    "/photos?per_page=1",
     {
       headers: {
         Authorization: `Client-ID ${UNSPLASH_ACCESS_KEY}`,
@@ -62,6 +133,10 @@ async function verifyBasicApiAccess() {
 
   if (!result.ok) {
     logError(`API access failed: ${result.data?.errors || result.error}`);
+    recordCheck("basic_api_access", false, {
+      http_status: result.status,
+      error: String(result.data?.errors || result.error),
+    });
     return false;
   }
 
@@ -84,25 +159,36 @@ async function verifyBasicApiAccess() {
     }
   }
 
+  recordCheck("basic_api_access", true);
   return true;
 }
 
-async function checkRateLimits(headers) {
+async function checkRateLimits() {
   logSection("Rate Limits");
 
-  const rateLimit = headers["x-ratelimit-limit"];
-  const remaining = headers["x-ratelimit-remaining"];
+  // The shared scheduler tracks the budget reported by every API response
+  const status = getRateLimitStatus();
 
-  if (rateLimit && remaining) {
-    logInfo(`Rate Limit: ${remaining}/${rateLimit} requests remaining`);
+  if (status && status.limit !== null) {
+    const rateLimit = status.limit;
+    logInfo(`Rate Limit: ${Math.max(status.remaining, 0)}/${rateLimit} requests remaining`);
+    if (status.msUntilReset > 0) {
+      logInfo(`Budget resets in about ${formatDuration(status.msUntilReset)}`);
+    }
 
-    if (parseInt(rateLimit) > 50) {
+    if (rateLimit > 50) {
       logSuccess("You have elevated rate limits (likely premium access)");
     } else {
       logWarning("You have basic rate limits (50/hour)");
     }
+    recordCheck("rate_limits", true, {
+      limit: rateLimit,
+      remaining: Math.max(status.remaining, 0),
+      elevated: rateLimit > 50,
+    });
   } else {
     logWarning("Could not determine rate limits");
+    recordCheck("rate_limits", false, { error: "Could not determine rate limits" });
   }
 }
 
@@ -115,7 +201,7 @@ async function testPremiumPhoto() {
   logInfo(`Testing premium photo: ${premiumPhotoId}`);
 
   const result = await makeRequest(
-    `https://api.unsplash.com/photos/${premiumPhotoId}`,
+    `/photos/${premiumPhotoId}`,
     {
       headers: {
         Authorization: `Client-ID ${UNSPLASH_ACCESS_KEY}`,
@@ -127,6 +213,11 @@ async function testPremiumPhoto() {
     logError(
       `Failed to fetch premium photo: ${result.data?.errors || result.error}`
     );
+    recordCheck("premium_photo", false, {
+      photo_id: premiumPhotoId,
+      http_status: result.status,
+      error: String(result.data?.errors || result.error),
+    });
     return false;
   }
 
@@ -139,6 +230,7 @@ async function testPremiumPhoto() {
   } else {
     logWarning("Photo does not appear to be premium content");
   }
+  recordCheck("premium_photo", true, { photo_id: premiumPhotoId, premium: isPremium });
 
   return { photo, isPremium };
 }
@@ -152,7 +244,7 @@ async function testDownloadTracking() {
 
   // Test with Client-ID
   const clientIdResult = await makeRequest(
-    `https://api.unsplash.com/photos/${premiumPhotoId}/download`,
+    `/photos/${premiumPhotoId}/download`,
     {
       headers: {
         Authorization: `Client-ID ${UNSPLASH_ACCESS_KEY}`,
@@ -165,10 +257,16 @@ async function testDownloadTracking() {
     logInfo(
       `Download URL available: ${clientIdResult.data.url ? "Yes" : "No"}`
     );
+    recordCheck("download_tracking", true, { auth: "client_id" });
   } else {
     logError(
       `Download tracking failed with Client-ID: ${clientIdResult.data?.errors || clientIdResult.error}`
     );
+    recordCheck("download_tracking", false, {
+      auth: "client_id",
+      http_status: clientIdResult.status,
+      error: String(clientIdResult.data?.errors || clientIdResult.error),
+    });
   }
 
   // Test with Bearer token if available
@@ -176,7 +274,7 @@ async function testDownloadTracking() {
     logInfo("Testing with Bearer token...");
 
     const bearerResult = await makeRequest(
-      `https://api.unsplash.com/photos/${premiumPhotoId}/download`,
+      `/photos/${premiumPhotoId}/download`,
       {
         headers: {
           Authorization: `Bearer ${UNSPLASH_SECRET_KEY}`,
@@ -189,10 +287,16 @@ async function testDownloadTracking() {
       logInfo(
         `Download URL available: ${bearerResult.data.url ? "Yes" : "No"}`
       );
+      recordCheck("download_tracking", true, { auth: "bearer" });
     } else {
       logError(
         `Download tracking failed with Bearer token: ${bearerResult.data?.errors || bearerResult.error}`
       );
+      recordCheck("download_tracking", false, {
+        auth: "bearer",
+        http_status: bearerResult.status,
+        error: String(bearerResult.data?.errors || bearerResult.error),
+      });
     }
   }
 }
@@ -207,16 +311,16 @@ async function checkApplicationInfo() {
   const tests = [
     {
       name: "Public Photos",
-      endpoint: "https://api.unsplash.com/photos?per_page=1",
+      endpoint: "/photos?per_page=1",
     },
     {
       name: "Search Photos",
       endpoint:
-        "https://api.unsplash.com/search/photos?query=nature&per_page=1",
+        "/search/photos?query=nature&per_page=1",
     },
     {
       name: "Collections",
-      endpoint: "https://api.unsplash.com/collections?per_page=1",
+      endpoint: "/collections?per_page=1",
     },
   ];
 
@@ -229,10 +333,16 @@ async function checkApplicationInfo() {
 
     if (result.ok) {
       logSuccess(`${test.name}: ✅ Access granted`);
+      recordCheck("permission", true, { endpoint: test.name });
     } else {
       logError(
         `${test.name}: ❌ Access denied - ${result.data?.errors || result.error}`
       );
+      recordCheck("permission", false, {
+        endpoint: test.name,
+        http_status: result.status,
+        error: String(result.data?.errors || result.error),
+      });
     }
   }
 
@@ -281,31 +391,48 @@ async function generateReport() {
   console.log("   - Verify premium images load without watermarks\n");
 }
 
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArguments(argv);
+  const reporter = new Reporter({ command: "verify", json: options.json });
+  RESULTS.reporter = reporter;
+
   console.log(
     `${colors.bold}${colors.cyan}🔍 Unsplash Account Verification Tool${colors.reset}\n`
   );
 
+  // Checks that failed badly enough to stop here count as a total failure
+  const finish = (stopped = false) => {
+    process.exitCode = reporter.summary(
+      { succeeded: stopped ? 0 : RESULTS.passed, failed: stopped ? Math.max(RESULTS.failed, 1) : RESULTS.failed },
+      { checks: RESULTS.passed + RESULTS.failed }
+    );
+  };
+
+  // Check if fetch is available (Node.js 18+)
+  if (!checkFetchAvailable()) {
+    return finish(true);
+  }
+
+  const config = await loadCliConfig({ configPath: options.config, quiet: options.json });
+  if (!config) {
+    return finish(true);
+  }
+
   try {
     // Step 1: Verify environment variables
     const hasEnvVars = await verifyEnvironmentVariables();
     if (!hasEnvVars) {
-      process.exit(1);
+      return finish(true);
     }
 
     // Step 2: Test basic API access
     const userInfo = await verifyBasicApiAccess();
     if (!userInfo) {
-      process.exit(1);
+      return finish(true);
     }
 
     // Step 3: Check rate limits
-    const basicResult = await makeRequest("https://api.unsplash.com/photos", {
-      headers: { Authorization: `Client-ID ${UNSPLASH_ACCESS_KEY}` },
-    });
-    if (basicResult.ok) {
-      await checkRateLimits(basicResult.headers);
-    }
+    await checkRateLimits();
 
     // Step 4: Test premium photo access
     await testPremiumPhoto();
@@ -318,15 +445,19 @@ async function main() {
 
     // Step 7: Generate report
     await generateReport();
+
+    finish();
   } catch (error) {
     logError(`Script failed: ${error.message}`);
-    process.exit(1);
+    finish(true);
   }
 }
 
-// Check if fetch is available (Node.js 18+)
-if (!checkFetchAvailable()) {
-  process.exit(1);
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {
+  parseArguments,
+  main,
+};
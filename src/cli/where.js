@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Find Where a Photo Is Used
+ *
+ * This script lists every content file (and line) that references a photo,
+ * so you can find the posts using an image before removing or replacing it.
+ *
+ * It reads the reference index written by build-cache next to the manifest.
+ * Without an index, or with --scan, the content is scanned on the spot.
+ *
+ * With --json, one JSON object per reference and a final summary are written
+ * to stdout. Exits with 1 when the photo isn't used anywhere.
+ *
+ * Usage:
+ *   unsplash-where <photo-id|url> [--scan] [--json] [--config=<path>]
+ */
+
+const path = require("path");
+const {
+  scanContent,
+  getReferenceIndexPath,
+  buildReferenceIndex,
+  readReferenceIndex,
+  findPhotoReferences,
+  loadCliConfig,
+  Reporter,
+} = require("../lib/index.js");
+
+/**
+ * Parse command line arguments
+ */
+function parseArguments(args = process.argv.slice(2)) {
+  if (args.length === 0 || args.includes("--help") || args.includes("-h")) {
+    console.log(`
+📍 Unsplash Photo Usage Finder
+
+Usage: unsplash-where <photo-id|url> [options]
+
+Arguments:
+  photo-id|url        A photo ID, or any Unsplash URL of the photo
+
+Options:
+  --scan              Scan the content now instead of reading the index
+                      written by build-cache
+  --config=<path>     Project config file (default: nearest unsplash.config.js
+                      or .unsplashrc.json)
+  --json              Write NDJSON events and a summary instead of logs
+  --help, -h          Show this help message
+
+Examples:
+  unsplash-where abc123xyz45
+  unsplash-where "https://unsplash.com/photos/a-mountain-lake-abc123xyz45"
+`);
+    process.exit(0);
+  }
+
+  const options = { photo: null, scan: false, config: null, json: false };
+
+  for (const arg of args) {
+    if (arg === "--scan") {
+      options.scan = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg.startsWith("--config=")) {
+      options.config = arg.slice("--config=".length);
+    } else if (arg.startsWith("-")) {
+      console.warn(`⚠️  Unknown option: ${arg}`);
+    } else if (!options.photo) {
+      options.photo = arg;
+    } else {
+      console.warn(`⚠️  Ignoring extra argument: ${arg}`);
+    }
+  }
+
+  if (!options.photo) {
+    console.error("❌ Please provide a photo ID or Unsplash URL");
+    process.exit(1);
+  }
+
+  return options;
+}
+
+/**
+ * Load the reference index, or build one by scanning the content
+ * @param {object} config - Project config
+ * @param {boolean} forceScan - Scan even if an index exists
+ * @returns {Promise<object>} - Object with index and indexPath
+ */
+async function loadIndex(config, forceScan) {
+  const indexPath = getReferenceIndexPath(config.manifestPath);
+
+  if (!forceScan) {
+    const index = await readReferenceIndex(indexPath);
+    if (index) {
+      console.log(`🗂️  Using reference index from ${index.generated_at}`);
+      return { index, indexPath };
+    }
+    console.log("🗂️  No reference index found (run build-cache to create one)");
+  }
+
+  console.log("🔍 Scanning content for Unsplash images...");
+  const scan = await scanContent(config.contentDir, config.scan);
+  for (const { file, message } of scan.warnings) {
+    console.warn(`⚠️  ${file}: ${message}`);
+  }
+  return { index: buildReferenceIndex(scan, indexPath), indexPath };
+}
+
+// Main function
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArguments(argv);
+  const reporter = new Reporter({ command: "where", json: options.json });
+
+  const config = await loadCliConfig({ configPath: options.config, quiet: options.json });
+  if (!config) {
+    process.exit(1);
+  }
+
+  const { index, indexPath } = await loadIndex(config, options.scan);
+  const { photoId, references } = findPhotoReferences(index, options.photo);
+  const contentDir = path.resolve(path.dirname(indexPath), index.content_dir);
+
+  if (references.length === 0) {
+    console.log(`\n🤷 ${photoId} is not used in any content file`);
+  } else {
+    console.log(`\n📍 ${photoId} is used in ${references.length} place${references.length === 1 ? "" : "s"}:`);
+  }
+
+  for (const reference of references) {
+    const file = path.relative(process.cwd(), path.join(contentDir, reference.file));
+    const where = reference.key ? `${reference.source}: ${reference.key}` : reference.source;
+    console.log(`   ${file}:${reference.line}  (${where})`);
+    reporter.event("reference", { photo_id: photoId, ...reference, path: file });
+  }
+
+  const files = new Set(references.map((reference) => reference.file));
+  process.exitCode = reporter.summary(
+    { succeeded: references.length, failed: references.length === 0 ? 1 : 0 },
+    { photo_id: photoId, found: references.length > 0, files: files.size }
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("\n❌ Script failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArguments,
+  main,
+};
@@ -0,0 +1,130 @@
+/**
+ * Cache Base Class
+ *
+ * Common interface shared by every cache backend: get/set/has/delete/clear
+ * and stats, with keys namespaced and TTLs given in seconds. Backends only
+ * implement the storage primitives (_get, _set, _has, _delete, _clear, _size).
+ */
+
+class Cache {
+  /**
+   * @param {object} [options] - Cache options
+   * @param {string} [options.namespace='unsplash:'] - Prefix added to every key
+   * @param {number|null} [options.defaultTtl=null] - TTL in seconds used when set() is given none
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor(options = {}) {
+    this.backend = "base";
+    this.namespace = options.namespace ?? "unsplash:";
+    this.defaultTtl = options.defaultTtl ?? null;
+    this.now = options.now || Date.now;
+    this.counters = { hits: 0, misses: 0, sets: 0, deletes: 0 };
+  }
+
+  /**
+   * Apply the namespace to a key
+   * @param {string} key - The caller's key
+   * @returns {string} - The stored key
+   */
+  key(key) {
+    return `${this.namespace}${key}`;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - The key
+   * @returns {Promise<*>} - The cached value, or null on a miss
+   */
+  async get(key) {
+    const value = await this._get(this.key(key));
+    if (value === undefined) {
+      this.counters.misses++;
+      return null;
+    }
+    this.counters.hits++;
+    return value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - The key
+   * @param {*} value - Any JSON-serializable value
+   * @param {number|null} [ttl] - Time to live in seconds (null for no expiry)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = this.defaultTtl) {
+    await this._set(this.key(key), value, ttl && ttl > 0 ? ttl : null);
+    this.counters.sets++;
+  }
+
+  /**
+   * Check whether a key is cached
+   * @param {string} key - The key
+   * @returns {Promise<boolean>} - True if present and not expired
+   */
+  async has(key) {
+    return this._has(this.key(key));
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - The key
+   * @returns {Promise<boolean>} - True if the key existed
+   */
+  async delete(key) {
+    const deleted = await this._delete(this.key(key));
+    if (deleted) this.counters.deletes++;
+    return deleted;
+  }
+
+  /**
+   * Remove every key in this cache's namespace
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._clear();
+  }
+
+  /**
+   * Get usage statistics
+   * @returns {Promise<object>} - Object with backend, size, hits, misses, sets, deletes and hit_rate
+   */
+  async stats() {
+    const { hits, misses } = this.counters;
+    const lookups = hits + misses;
+    return {
+      backend: this.backend,
+      size: await this._size(),
+      ...this.counters,
+      hit_rate: lookups > 0 ? ((hits / lookups) * 100).toFixed(2) + "%" : "0.00%",
+    };
+  }
+
+  /**
+   * Release any resources held by the backend
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Compute the expiry timestamp for a TTL
+   * @param {number|null} ttl - TTL in seconds
+   * @returns {number|null} - Epoch milliseconds or null for no expiry
+   */
+  expiresAt(ttl) {
+    return ttl ? this.now() + ttl * 1000 : null;
+  }
+
+  /**
+   * Check whether a stored entry has expired
+   * @param {object} entry - Entry with an expires_at field
+   * @returns {boolean} - True if expired
+   */
+  isExpired(entry) {
+    return entry.expires_at !== null && entry.expires_at <= this.now();
+  }
+}
+
+module.exports = {
+  Cache,
+};
@@ -0,0 +1,95 @@
+/**
+ * Filesystem Cache Backend
+ *
+ * Persists entries to a single JSON file, so cached photo data survives
+ * between runs without any external service. Writes are atomic.
+ */
+
+const path = require("path");
+const { Cache } = require("./base.js");
+const { readJsonFile, writeJsonAtomic } = require("../json-file.js");
+
+class FileCache extends Cache {
+  /**
+   * @param {object} [options] - Options accepted by Cache, plus:
+   * @param {string} [options.filePath='.cache/unsplash-cache.json'] - Cache file location
+   */
+  constructor(options = {}) {
+    super(options);
+    this.backend = "file";
+    this.filePath =
+      options.filePath ||
+      path.join(process.cwd(), ".cache", "unsplash-cache.json");
+    this.entries = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.entries) {
+      const data = await readJsonFile(this.filePath, {});
+      this.entries = data.entries || {};
+    }
+    return this.entries;
+  }
+
+  /**
+   * Persist the entries, one write at a time. A failed write rejects its own
+   * caller only; the next one tries again.
+   */
+  persist() {
+    const write = this.writeQueue.then(() => {
+      // Drop expired entries while we're writing anyway
+      for (const [key, entry] of Object.entries(this.entries)) {
+        if (this.isExpired(entry)) delete this.entries[key];
+      }
+      return writeJsonAtomic(this.filePath, { version: 1, entries: this.entries });
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async _get(key) {
+    const entries = await this.load();
+    const entry = entries[key];
+    if (!entry || this.isExpired(entry)) return undefined;
+    return structuredClone(entry.value);
+  }
+
+  async _set(key, value, ttl) {
+    const entries = await this.load();
+    entries[key] = { value: structuredClone(value), expires_at: this.expiresAt(ttl) };
+    await this.persist();
+  }
+
+  async _has(key) {
+    return (await this._get(key)) !== undefined;
+  }
+
+  async _delete(key) {
+    const existed = await this._has(key);
+    if (this.entries[key]) {
+      delete this.entries[key];
+      await this.persist();
+    }
+    return existed;
+  }
+
+  async _clear() {
+    const entries = await this.load();
+    for (const key of Object.keys(entries)) {
+      if (key.startsWith(this.namespace)) delete entries[key];
+    }
+    await this.persist();
+  }
+
+  async _size() {
+    const entries = await this.load();
+    return Object.entries(entries).filter(
+      ([key, entry]) => key.startsWith(this.namespace) && !this.isExpired(entry)
+    ).length;
+  }
+}
+
+module.exports = {
+  FileCache,
+};
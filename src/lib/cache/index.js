@@ -0,0 +1,64 @@
+/**
+ * Cache Backends
+ *
+ * Entry point for the cache module. All backends share the interface of the
+ * Cache base class (get/set/has/delete/clear/stats with TTLs in seconds).
+ */
+
+const { Cache } = require("./base.js");
+const { MemoryCache } = require("./memory.js");
+const { FileCache } = require("./file.js");
+const { RedisCache } = require("./redis.js");
+const { UpstashCache } = require("./upstash.js");
+
+const CACHE_BACKENDS = {
+  memory: MemoryCache,
+  file: FileCache,
+  redis: RedisCache,
+  upstash: UpstashCache,
+};
+
+/**
+ * Pick a backend from the environment: Redis when REDIS_URL is set, Upstash
+ * when UPSTASH_REDIS_REST_URL is set, otherwise the fallback
+ * @param {string} [fallback='memory'] - Backend to use without either variable
+ * @returns {string} - The backend name
+ */
+function detectCacheBackend(fallback = "memory") {
+  if (process.env.REDIS_URL) return "redis";
+  if (process.env.UPSTASH_REDIS_REST_URL) return "upstash";
+  return fallback;
+}
+
+/**
+ * Create a cache
+ * @param {object} [options] - Options passed to the backend, plus:
+ * @param {string} [options.backend='auto'] - memory, file, redis, upstash or auto
+ * @param {string} [options.fallback='memory'] - Backend 'auto' picks when
+ *   neither REDIS_URL nor UPSTASH_REDIS_REST_URL is set
+ * @returns {Cache} - The cache instance
+ */
+function createCache(options = {}) {
+  const { backend = "auto", fallback = "memory", ...backendOptions } = options;
+  const name = backend === "auto" ? detectCacheBackend(fallback) : backend;
+  const CacheClass = CACHE_BACKENDS[name];
+
+  if (!CacheClass) {
+    throw new Error(
+      `Unknown cache backend: ${name}. Supported: auto, ${Object.keys(CACHE_BACKENDS).join(", ")}`
+    );
+  }
+
+  return new CacheClass(backendOptions);
+}
+
+module.exports = {
+  Cache,
+  MemoryCache,
+  FileCache,
+  RedisCache,
+  UpstashCache,
+  CACHE_BACKENDS,
+  createCache,
+  detectCacheBackend,
+};
@@ -0,0 +1,66 @@
+/**
+ * In-memory Cache Backend
+ *
+ * Keeps entries in a Map for the lifetime of the process.
+ */
+
+const { Cache } = require("./base.js");
+
+class MemoryCache extends Cache {
+  /**
+   * @param {object} [options] - Options accepted by Cache
+   */
+  constructor(options = {}) {
+    super(options);
+    this.backend = "memory";
+    this.entries = new Map();
+  }
+
+  async _get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return structuredClone(entry.value);
+  }
+
+  async _set(key, value, ttl) {
+    // Store a copy so later mutations by the caller don't leak into the cache
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expires_at: this.expiresAt(ttl),
+    });
+  }
+
+  async _has(key) {
+    return (await this._get(key)) !== undefined;
+  }
+
+  async _delete(key) {
+    const existed = await this._has(key);
+    this.entries.delete(key);
+    return existed;
+  }
+
+  async _clear() {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(this.namespace)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async _size() {
+    let size = 0;
+    for (const [key, entry] of this.entries) {
+      if (key.startsWith(this.namespace) && !this.isExpired(entry)) size++;
+    }
+    return size;
+  }
+}
+
+module.exports = {
+  MemoryCache,
+};
@@ -0,0 +1,106 @@
+/**
+ * Redis Cache Backend
+ *
+ * Stores entries in Redis through ioredis (a peer dependency), using native
+ * key expiry for TTLs. Pass an existing client to share a connection, or a
+ * URL (defaults to REDIS_URL) to let the cache open its own.
+ */
+
+const { Cache } = require("./base.js");
+
+class RedisCache extends Cache {
+  /**
+   * @param {object} [options] - Options accepted by Cache, plus:
+   * @param {object} [options.client] - An ioredis-compatible client
+   * @param {string} [options.url] - Redis URL (defaults to REDIS_URL)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.backend = "redis";
+    this.ownsClient = !options.client;
+    this.client = options.client || createRedisClient(options.url || process.env.REDIS_URL);
+  }
+
+  async _get(key) {
+    const raw = await this.client.get(key);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async _set(key, value, ttl) {
+    const raw = JSON.stringify(value);
+    if (ttl) {
+      await this.client.set(key, raw, "EX", ttl);
+    } else {
+      await this.client.set(key, raw);
+    }
+  }
+
+  async _has(key) {
+    return (await this.client.exists(key)) > 0;
+  }
+
+  async _delete(key) {
+    return (await this.client.del(key)) > 0;
+  }
+
+  /**
+   * Collect every key in the namespace with SCAN (never KEYS, which blocks)
+   */
+  async scanKeys() {
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await this.client.scan(
+        cursor,
+        "MATCH",
+        `${this.namespace}*`,
+        "COUNT",
+        100
+      );
+      cursor = String(next);
+      keys.push(...batch);
+    } while (cursor !== "0");
+    return keys;
+  }
+
+  async _clear() {
+    const keys = await this.scanKeys();
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+
+  async _size() {
+    return (await this.scanKeys()).length;
+  }
+
+  async close() {
+    if (this.ownsClient) {
+      await this.client.quit();
+    }
+  }
+}
+
+/**
+ * Open an ioredis connection
+ * @param {string} url - Redis URL
+ * @returns {object} - The ioredis client
+ */
+function createRedisClient(url) {
+  if (!url) {
+    throw new Error("RedisCache needs a client, a url option or the REDIS_URL environment variable");
+  }
+
+  let Redis;
+  try {
+    Redis = require("ioredis");
+  } catch (error) {
+    throw new Error("RedisCache requires the ioredis package: npm install ioredis");
+  }
+
+  return new Redis(url, { maxRetriesPerRequest: 2 });
+}
+
+module.exports = {
+  RedisCache,
+};
@@ -0,0 +1,125 @@
+/**
+ * Upstash Redis REST Cache Backend
+ *
+ * Talks to Upstash Redis over its REST API with fetch, for serverless
+ * deployments that can't hold a TCP connection open. Each command is sent as
+ * a JSON array (e.g. ["SET", key, value, "EX", 60]) to the database URL and
+ * answered with { result } or { error }.
+ */
+
+const { Cache } = require("./base.js");
+
+class UpstashCache extends Cache {
+  /**
+   * @param {object} [options] - Options accepted by Cache, plus:
+   * @param {string} [options.url] - REST URL (defaults to UPSTASH_REDIS_REST_URL)
+   * @param {string} [options.token] - REST token (defaults to UPSTASH_REDIS_REST_TOKEN)
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super(options);
+    this.backend = "upstash";
+    this.url = (options.url || process.env.UPSTASH_REDIS_REST_URL || "").replace(/\/+$/, "");
+    this.token = options.token || process.env.UPSTASH_REDIS_REST_TOKEN;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.timeout = options.timeout ?? 10000;
+
+    if (!this.url || !this.token) {
+      throw new Error(
+        "UpstashCache needs url and token options or the UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN environment variables"
+      );
+    }
+  }
+
+  /**
+   * Run a single Redis command
+   * @param {Array} command - Command and arguments, e.g. ["GET", "key"]
+   * @returns {Promise<*>} - The command result
+   */
+  async command(command) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await this.fetch(this.url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(command.map(String)),
+        signal: controller.signal,
+      });
+
+      let body;
+      try {
+        body = await response.json();
+      } catch {
+        body = {};
+      }
+
+      if (!response.ok || body.error) {
+        throw new Error(
+          `Upstash ${command[0]} failed: ${body.error || `HTTP ${response.status}`}`
+        );
+      }
+
+      return body.result;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async _get(key) {
+    const raw = await this.command(["GET", key]);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async _set(key, value, ttl) {
+    const command = ["SET", key, JSON.stringify(value)];
+    if (ttl) command.push("EX", ttl);
+    await this.command(command);
+  }
+
+  async _has(key) {
+    return (await this.command(["EXISTS", key])) > 0;
+  }
+
+  async _delete(key) {
+    return (await this.command(["DEL", key])) > 0;
+  }
+
+  async scanKeys() {
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await this.command([
+        "SCAN",
+        cursor,
+        "MATCH",
+        `${this.namespace}*`,
+        "COUNT",
+        100,
+      ]);
+      cursor = String(next);
+      keys.push(...batch);
+    } while (cursor !== "0");
+    return keys;
+  }
+
+  async _clear() {
+    const keys = await this.scanKeys();
+    if (keys.length > 0) {
+      await this.command(["DEL", ...keys]);
+    }
+  }
+
+  async _size() {
+    return (await this.scanKeys()).length;
+  }
+}
+
+module.exports = {
+  UpstashCache,
+};
@@ -0,0 +1,144 @@
+/**
+ * Build Checkpoint
+ *
+ * Sidecar file that build-cache updates after every photo, so an interrupted
+ * run (rate limit, Ctrl-C, network drop) can pick up where it stopped. It
+ * holds the image data fetched so far and the photo IDs that failed, with
+ * the reason for each failure.
+ */
+
+const fs = require("fs").promises;
+const { readJsonFile, writeJsonAtomic } = require("./json-file.js");
+
+const CHECKPOINT_VERSION = 1;
+
+class BuildCheckpoint {
+  /**
+   * @param {string} filePath - Path of the checkpoint file
+   * @param {object} [data] - Previously saved checkpoint content
+   */
+  constructor(filePath, data = null) {
+    this.filePath = filePath;
+    this.resumed = !!data;
+    this.data = data || {
+      version: CHECKPOINT_VERSION,
+      started_at: new Date().toISOString(),
+      updated_at: null,
+      images: {},
+      failed: {},
+    };
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the checkpoint at the given path, or start an empty one
+   * @param {string} filePath - Path of the checkpoint file
+   * @returns {Promise<BuildCheckpoint>} - The checkpoint
+   */
+  static async load(filePath) {
+    let data = null;
+    try {
+      data = await readJsonFile(filePath);
+    } catch (error) {
+      // A corrupt checkpoint is not worth failing the build over
+      data = null;
+    }
+    if (data && data.version !== CHECKPOINT_VERSION) {
+      data = null;
+    }
+    return new BuildCheckpoint(filePath, data);
+  }
+
+  /**
+   * Image data fetched by previous (interrupted) runs
+   * @returns {object} - Map of photo ID to image data
+   */
+  get images() {
+    return this.data.images;
+  }
+
+  /**
+   * Photo IDs that failed, with the reason
+   * @returns {object} - Map of photo ID to { reason, status, rate_limited, attempts, last_attempt }
+   */
+  get failed() {
+    return this.data.failed;
+  }
+
+  /**
+   * Get the failure recorded for a photo
+   * @param {string} photoId - The photo ID
+   * @returns {object|null} - The failure record or null
+   */
+  getFailure(photoId) {
+    return this.data.failed[photoId] || null;
+  }
+
+  /**
+   * Record fetched image data for a photo
+   * @param {string} photoId - The photo ID
+   * @param {object} imageData - The image data
+   */
+  recordSuccess(photoId, imageData) {
+    this.data.images[photoId] = imageData;
+    delete this.data.failed[photoId];
+  }
+
+  /**
+   * Record a failed fetch for a photo
+   * @param {string} photoId - The photo ID
+   * @param {object} failure - Failure details
+   * @param {string} failure.reason - Human readable reason
+   * @param {number} [failure.status] - HTTP status, if the API answered
+   * @param {boolean} [failure.rateLimited] - Whether the rate limit caused the failure
+   */
+  recordFailure(photoId, { reason, status = null, rateLimited = false }) {
+    const previous = this.data.failed[photoId];
+    this.data.failed[photoId] = {
+      reason,
+      status,
+      rate_limited: rateLimited,
+      attempts: previous ? previous.attempts + 1 : 1,
+      last_attempt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Drop the checkpointed image data once it has been written to the
+   * manifest, keeping only the failures for a later --retry-failed run
+   */
+  keepFailuresOnly() {
+    this.data.images = {};
+  }
+
+  /**
+   * Write the checkpoint to disk atomically. Saves made while another one is
+   * in progress (e.g. from parallel fetches) are written one after the other,
+   * so the last save always wins.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const write = async () => {
+      this.data.updated_at = new Date().toISOString();
+      await writeJsonAtomic(this.filePath, this.data);
+    };
+    const saved = this.saving.then(write);
+    this.saving = saved.catch(() => {});
+    return saved;
+  }
+
+  /**
+   * Delete the checkpoint file once a run has completed cleanly
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    await fs.unlink(this.filePath).catch((error) => {
+      if (error.code !== "ENOENT") throw error;
+    });
+  }
+}
+
+module.exports = {
+  BuildCheckpoint,
+  CHECKPOINT_VERSION,
+};
@@ -0,0 +1,208 @@
+/**
+ * Unsplash API Client
+ *
+ * A configurable client for the Unsplash REST API. Every instance carries its
+ * own credentials, base URL, fetch implementation, timeout and retry policy,
+ * so one process can talk to the API with several keys, and tests can point a
+ * client at a local mock server.
+ */
+
+const { RateLimiter, RateLimitError } = require("./rate-limiter.js");
+
+const DEFAULT_BASE_URL = "https://api.unsplash.com";
+
+// Status codes that are worth retrying: throttling and transient server errors
+const DEFAULT_RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+class UnsplashClient {
+  /**
+   * Create a new API client
+   * @param {object} [options] - Client options
+   * @param {string} [options.accessKey] - Access key (defaults to UNSPLASH_ACCESS_KEY)
+   * @param {string} [options.secretKey] - Secret key (defaults to UNSPLASH_SECRET_KEY)
+   * @param {string} [options.baseUrl='https://api.unsplash.com'] - API base URL
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   * @param {number} [options.timeout=10000] - Per-attempt timeout in milliseconds
+   * @param {number} [options.retries=2] - Retry attempts after the first request
+   * @param {number} [options.retryDelay=1000] - Base delay between retries (multiplied by attempt)
+   * @param {number[]} [options.retryOn] - HTTP statuses that trigger a retry
+   * @param {string} [options.userAgent] - User-Agent header sent with every request
+   * @param {RateLimiter|null} [options.rateLimiter] - Scheduler for this key's budget
+   *   (a new RateLimiter by default; pass null to disable scheduling)
+   */
+  constructor(options = {}) {
+    this.accessKey =
+      options.accessKey !== undefined
+        ? options.accessKey
+        : process.env.UNSPLASH_ACCESS_KEY;
+    this.secretKey =
+      options.secretKey !== undefined
+        ? options.secretKey
+        : process.env.UNSPLASH_SECRET_KEY;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.timeout = options.timeout ?? 10000;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.retryOn = options.retryOn || DEFAULT_RETRY_STATUSES;
+    this.userAgent = options.userAgent || null;
+    this.rateLimiter =
+      options.rateLimiter !== undefined ? options.rateLimiter : new RateLimiter();
+  }
+
+  /**
+   * Resolve an endpoint path against the base URL (absolute URLs pass through)
+   * @param {string} endpoint - Path such as "/photos/abc" or a full URL
+   * @returns {string} - The absolute request URL
+   */
+  buildUrl(endpoint) {
+    if (/^https?:\/\//i.test(endpoint)) {
+      return endpoint;
+    }
+    return `${this.baseUrl}/${endpoint.replace(/^\/+/, "")}`;
+  }
+
+  /**
+   * Make a request to the API with timeout and retry handling
+   * @param {string} endpoint - Path relative to the base URL, or a full URL
+   * @param {object} [options={}] - fetch options (headers are merged with the defaults)
+   * @returns {Promise<object>} - Response object with ok, status, statusText, data, headers, rateLimited, error
+   *   (and resetIn when the rate limiter refused to wait for the budget to reset)
+   */
+  async request(endpoint, options = {}) {
+    const url = this.buildUrl(endpoint);
+    const headers = {
+      Accept: "application/json",
+      ...(this.userAgent ? { "User-Agent": this.userAgent } : {}),
+      ...(this.accessKey ? { Authorization: `Client-ID ${this.accessKey}` } : {}),
+      ...(options.headers || {}),
+    };
+
+    let lastResult = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(this.retryDelay * attempt);
+      }
+
+      if (this.rateLimiter) {
+        try {
+          await this.rateLimiter.acquire();
+        } catch (error) {
+          if (error instanceof RateLimitError) {
+            return {
+              ok: false,
+              rateLimited: true,
+              resetIn: error.resetIn,
+              error: error.message,
+            };
+          }
+          throw error;
+        }
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+      try {
+        const response = await this.fetch(url, {
+          ...options,
+          headers,
+          signal: controller.signal,
+        });
+        const text = await response.text();
+        clearTimeout(timeoutId);
+
+        let data = text;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch {
+          // Not JSON (e.g. "Rate Limit Exceeded"), keep the raw text
+        }
+
+        lastResult = {
+          ok: response.ok,
+          status: response.status,
+          statusText: response.statusText,
+          data,
+          headers: Object.fromEntries(response.headers.entries()),
+          rateLimited: isRateLimited(response.status, text),
+        };
+
+        if (this.rateLimiter) {
+          this.rateLimiter.update(lastResult.headers);
+          if (lastResult.rateLimited) {
+            this.rateLimiter.markExhausted();
+          }
+        }
+
+        if (response.ok || !this.retryOn.includes(response.status)) {
+          return lastResult;
+        }
+      } catch (error) {
+        clearTimeout(timeoutId);
+        lastResult = {
+          ok: false,
+          error:
+            error.name === "AbortError"
+              ? `Request timed out after ${this.timeout}ms`
+              : error.message,
+        };
+      }
+    }
+
+    return lastResult;
+  }
+
+  /**
+   * Get a single photo
+   * @param {string} photoId - The photo ID
+   * @returns {Promise<object>} - Response object (see request)
+   */
+  getPhoto(photoId) {
+    return this.request(`/photos/${encodeURIComponent(photoId)}`);
+  }
+
+  /**
+   * Hit the download endpoint for a photo. This both tracks the download, as
+   * required by the API terms, and returns the signed download URL.
+   * @param {string} photoId - The photo ID
+   * @returns {Promise<object>} - Response object (see request)
+   */
+  getDownloadUrl(photoId) {
+    return this.request(`/photos/${encodeURIComponent(photoId)}/download`);
+  }
+
+  /**
+   * Trigger download tracking for a photo
+   * @param {string} photoId - The photo ID
+   * @returns {Promise<boolean>} - True if the API acknowledged the download
+   */
+  async trackDownload(photoId) {
+    const result = await this.getDownloadUrl(photoId);
+    return result.ok;
+  }
+}
+
+/**
+ * Detect an Unsplash rate limit response
+ * @param {number} status - HTTP status
+ * @param {string} body - Raw response body
+ * @returns {boolean} - True if the response signals an exhausted rate limit
+ */
+function isRateLimited(status, body) {
+  return (
+    status === 429 ||
+    (status === 403 && typeof body === "string" && body.includes("Rate Limit Exceeded"))
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  UnsplashClient,
+  DEFAULT_BASE_URL,
+  isRateLimited,
+};
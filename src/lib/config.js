@@ -0,0 +1,406 @@
+/**
+ * Project Configuration
+ *
+ * Loads the settings shared by all CLIs. Values are merged in this order,
+ * later sources winning:
+ *
+ *   1. Built-in defaults
+ *   2. Project config file (unsplash.config.js / .unsplashrc.json, found by
+ *      walking up from the working directory)
+ *   3. Environment variables (UNSPLASH_CONTENT_DIR, UNSPLASH_CONCURRENCY, ...)
+ *   4. Command line flags passed in as overrides
+ *
+ * Relative paths in the config file are resolved against its directory; those
+ * from environment variables and flags against the working directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { DEFAULT_FRONTMATTER_KEYS, DEFAULT_SCAN_INCLUDE, DEFAULT_SCAN_EXCLUDE } = require("./scanner.js");
+const { IMAGE_FORMATS } = require("./renditions.js");
+
+const CONFIG_FILE_NAMES = [
+  "unsplash.config.js",
+  "unsplash.config.cjs",
+  "unsplash.config.mjs",
+  ".unsplashrc.json",
+  ".unsplashrc",
+];
+
+const DEFAULT_PROJECT_CONFIG = {
+  contentDir: "content",
+  publicDir: "public",
+  manifestPath: "public/unsplash-manifest.json",
+  downloadDir: "public/images/unsplash",
+  outputDir: "downloads",
+  concurrency: 3,
+  retries: 3,
+  timeout: 30000,
+  api: {
+    baseUrl: "https://api.unsplash.com",
+    timeout: 10000,
+    retries: 2,
+    rateLimitDelay: 100,
+  },
+  cache: {
+    backend: "auto",
+    file: ".cache/unsplash-cache.json",
+    ttl: 7 * 24 * 60 * 60,
+  },
+  server: {
+    url: null,
+    cacheRoute: "/api/cache",
+    photoRoute: "/api/unsplash",
+  },
+  scan: {
+    include: DEFAULT_SCAN_INCLUDE,
+    exclude: DEFAULT_SCAN_EXCLUDE,
+    frontmatterKeys: DEFAULT_FRONTMATTER_KEYS,
+  },
+  // Widths (in pixels) and formats to download every photo in; with no
+  // widths, each photo is downloaded once as optimized_url
+  renditions: {
+    widths: [],
+    formats: ["jpg"],
+    quality: 80,
+  },
+};
+
+// Expected type of every option; nested objects list their own keys
+const CONFIG_SCHEMA = {
+  contentDir: "path",
+  publicDir: "path",
+  manifestPath: "path",
+  downloadDir: "path",
+  outputDir: "path",
+  concurrency: "positiveInteger",
+  retries: "positiveInteger",
+  timeout: "positiveInteger",
+  api: {
+    baseUrl: "url",
+    timeout: "positiveInteger",
+    retries: "nonNegativeInteger",
+    rateLimitDelay: "nonNegativeInteger",
+  },
+  cache: {
+    backend: ["auto", "memory", "file", "redis", "upstash"],
+    file: "path",
+    ttl: "positiveInteger",
+  },
+  server: {
+    url: "url?",
+    cacheRoute: "string",
+    photoRoute: "string",
+  },
+  scan: {
+    include: "stringArray",
+    exclude: "stringArray",
+    frontmatterKeys: "stringArray",
+  },
+  renditions: {
+    widths: "positiveIntegerArray",
+    formats: "imageFormatArray",
+    quality: "percentage",
+  },
+};
+
+// Environment variables mapped to config key paths
+const ENV_VARS = {
+  UNSPLASH_CONTENT_DIR: "contentDir",
+  UNSPLASH_PUBLIC_DIR: "publicDir",
+  UNSPLASH_MANIFEST_PATH: "manifestPath",
+  UNSPLASH_DOWNLOAD_DIR: "downloadDir",
+  UNSPLASH_OUTPUT_DIR: "outputDir",
+  UNSPLASH_CONCURRENCY: "concurrency",
+  UNSPLASH_RETRIES: "retries",
+  UNSPLASH_TIMEOUT: "timeout",
+  UNSPLASH_API_URL: "api.baseUrl",
+  UNSPLASH_CACHE_BACKEND: "cache.backend",
+  UNSPLASH_CACHE_FILE: "cache.file",
+  UNSPLASH_CACHE_TTL: "cache.ttl",
+  UNSPLASH_CACHE_SERVER: "server.url",
+  UNSPLASH_CACHE_ROUTE: "server.cacheRoute",
+  UNSPLASH_PHOTO_ROUTE: "server.photoRoute",
+};
+
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string[]} [problems=[]] - Individual validation problems
+   */
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join("\n  - ")}` : message);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Find the nearest project config file, walking up from a directory
+ * @param {string} [startDir=process.cwd()] - Directory to start from
+ * @returns {string|null} - Path of the config file, or null if there is none
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read a config file (JSON, CommonJS or ES module). JS configs may export an
+ * object, or a (possibly async) function returning one.
+ * @param {string} filePath - Path of the config file
+ * @returns {Promise<object>} - The raw config
+ */
+async function readConfigFile(filePath) {
+  let config;
+
+  try {
+    if (filePath.endsWith(".json") || path.basename(filePath) === ".unsplashrc") {
+      config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } else if (filePath.endsWith(".mjs")) {
+      const module = await import(pathToFileURL(filePath).href);
+      config = module.default;
+    } else {
+      config = require(filePath);
+    }
+
+    if (typeof config === "function") {
+      config = await config();
+    }
+  } catch (error) {
+    throw new ConfigError(`Could not load config file ${filePath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigError(`Config file ${filePath} must export an object`);
+  }
+
+  return config;
+}
+
+/**
+ * Collect config values from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object} - Partial config
+ */
+function configFromEnv(env) {
+  const config = {};
+
+  for (const [name, keyPath] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === "") continue;
+
+    // Numbers are converted here; anything unparseable is left for validation to report
+    const type = getSchemaType(keyPath);
+    const number = Number(env[name]);
+    const value = /Integer$/.test(type) && !isNaN(number) ? number : env[name];
+    setKeyPath(config, keyPath, value);
+  }
+
+  return config;
+}
+
+/**
+ * Deep merge plain objects; undefined values in later sources are ignored
+ * @param {...object} sources - Objects to merge
+ * @returns {object} - The merged object
+ */
+function mergeConfig(...sources) {
+  const result = {};
+
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value === undefined) continue;
+
+      if (isPlainObject(value) && isPlainObject(result[key])) {
+        result[key] = mergeConfig(result[key], value);
+      } else {
+        result[key] = value;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate a merged config against the schema
+ * @param {object} config - Merged config
+ * @throws {ConfigError} - If any value is unknown or has the wrong type
+ */
+function validateConfig(config) {
+  const problems = [];
+
+  function check(value, schema, prefix) {
+    for (const [key, entry] of Object.entries(value)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const expected = schema[key];
+
+      if (expected === undefined) {
+        problems.push(`${keyPath}: unknown option`);
+      } else if (isPlainObject(expected)) {
+        if (!isPlainObject(entry)) {
+          problems.push(`${keyPath}: expected an object`);
+        } else {
+          check(entry, expected, keyPath);
+        }
+      } else {
+        const problem = checkType(entry, expected);
+        if (problem) problems.push(`${keyPath}: ${problem}, got ${JSON.stringify(entry)}`);
+      }
+    }
+  }
+
+  check(config, CONFIG_SCHEMA, "");
+
+  if (problems.length > 0) {
+    throw new ConfigError("Invalid configuration", problems);
+  }
+}
+
+/**
+ * Load the project configuration
+ * @param {object} [options] - Loader options
+ * @param {string} [options.cwd=process.cwd()] - Directory to search from
+ * @param {string} [options.configPath] - Explicit config file (skips the search)
+ * @param {object} [options.overrides={}] - Values from command line flags
+ * @param {object} [options.env=process.env] - Environment variables
+ * @returns {Promise<object>} - The resolved config, with absolute paths and
+ *   root/configFile describing where it came from
+ * @throws {ConfigError} - If the config file can't be read or is invalid
+ */
+async function loadConfig(options = {}) {
+  const { cwd = process.cwd(), overrides = {}, env = process.env } = options;
+
+  let configFile = null;
+  if (options.configPath) {
+    configFile = path.resolve(cwd, options.configPath);
+    if (!fs.existsSync(configFile)) {
+      throw new ConfigError(`Config file not found: ${configFile}`);
+    }
+  } else {
+    configFile = findConfigFile(cwd);
+  }
+
+  // Defaults and paths from the file are relative to the project root (the
+  // config file's directory); paths from the environment and flags to cwd
+  const root = configFile ? path.dirname(configFile) : path.resolve(cwd);
+  const fileConfig = configFile ? await readConfigFile(configFile) : {};
+  const merged = mergeConfig(
+    resolvePaths(DEFAULT_PROJECT_CONFIG, root),
+    resolvePaths(fileConfig, root),
+    resolvePaths(configFromEnv(env), cwd),
+    resolvePaths(overrides, cwd)
+  );
+
+  validateConfig(merged);
+
+  return { ...merged, root, configFile };
+}
+
+/**
+ * Copy a (partial) config with its path options made absolute
+ * @param {object} config - Partial config
+ * @param {string} base - Directory relative paths are resolved against
+ * @param {object} [schema=CONFIG_SCHEMA] - Schema for this level
+ * @returns {object} - The resolved copy
+ */
+function resolvePaths(config, base, schema = CONFIG_SCHEMA) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(config)) {
+    const expected = schema[key];
+    if (isPlainObject(expected) && isPlainObject(value)) {
+      result[key] = resolvePaths(value, base, expected);
+    } else if (expected === "path" && typeof value === "string" && value) {
+      result[key] = path.resolve(base, value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function checkType(value, expected) {
+  if (Array.isArray(expected)) {
+    return expected.includes(value) ? null : `expected one of ${expected.join(", ")}`;
+  }
+
+  const optional = expected.endsWith("?");
+  const type = expected.replace(/\?$/, "");
+  if (optional && value === null) return null;
+
+  switch (type) {
+    case "path":
+    case "string":
+      return typeof value === "string" && value.length > 0 ? null : "expected a non-empty string";
+    case "url":
+      try {
+        new URL(value);
+        return null;
+      } catch {
+        return "expected a URL";
+      }
+    case "stringArray":
+      return Array.isArray(value) && value.every((item) => typeof item === "string" && item.length > 0)
+        ? null
+        : "expected an array of non-empty strings";
+    case "positiveIntegerArray":
+      return Array.isArray(value) && value.every((item) => Number.isInteger(item) && item > 0)
+        ? null
+        : "expected an array of positive integers";
+    case "imageFormatArray":
+      return Array.isArray(value) && value.length > 0 && value.every((item) => IMAGE_FORMATS.includes(item))
+        ? null
+        : `expected a non-empty array of ${IMAGE_FORMATS.join(", ")}`;
+    case "percentage":
+      return Number.isInteger(value) && value >= 1 && value <= 100 ? null : "expected an integer from 1 to 100";
+    case "positiveInteger":
+      return Number.isInteger(value) && value > 0 ? null : "expected a positive integer";
+    case "nonNegativeInteger":
+      return Number.isInteger(value) && value >= 0 ? null : "expected a non-negative integer";
+    default:
+      return null;
+  }
+}
+
+function getSchemaType(keyPath) {
+  return keyPath.split(".").reduce((schema, key) => schema[key], CONFIG_SCHEMA);
+}
+
+function setKeyPath(target, keyPath, value) {
+  const keys = keyPath.split(".");
+  let current = target;
+  for (const key of keys.slice(0, -1)) {
+    current[key] = current[key] || {};
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  DEFAULT_PROJECT_CONFIG,
+  ConfigError,
+  findConfigFile,
+  loadConfig,
+  mergeConfig,
+  validateConfig,
+};
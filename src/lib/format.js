@@ -0,0 +1,62 @@
+/**
+ * Formatting
+ *
+ * Durations and file sizes as shown in the CLIs' output, and durations as
+ * given on the command line.
+ */
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Human readable duration, e.g. "12m 5s"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration given on the command line
+ * @param {string} value - e.g. "30d", "12h", "90m", "2w" (a bare number is seconds)
+ * @returns {number|null} - Duration in milliseconds, or null if it can't be parsed
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[(match[2] || "s").toLowerCase()]);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} - e.g. "1.5 MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes === 0) return "0 B";
+  const k = 1024;
+  const sizes = ["B", "KB", "MB", "GB"];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+}
+
+module.exports = {
+  formatDuration,
+  parseDuration,
+  formatFileSize,
+};
@@ -0,0 +1,75 @@
+/**
+ * Frontmatter
+ *
+ * Parses the YAML (---) or TOML (+++) frontmatter block at the top of a
+ * Markdown/MDX file and reads values from it by key path. Windows line
+ * endings and a leading byte order mark are accepted.
+ */
+
+const YAML = require("yaml");
+const TOML = require("smol-toml");
+
+const FRONTMATTER_PATTERNS = {
+  yaml: /^(?:\uFEFF)?---[ \t]*\r?\n([\s\S]*?)\r?\n?^---[ \t]*(?:\r?\n|$)/m,
+  toml: /^(?:\uFEFF)?\+\+\+[ \t]*\r?\n([\s\S]*?)\r?\n?^\+\+\+[ \t]*(?:\r?\n|$)/m,
+};
+
+/**
+ * Find and parse the frontmatter of a document
+ * @param {string} text - The whole file
+ * @returns {object|null} - Object with format ("yaml" or "toml"), data (the
+ *   parsed values), raw (the frontmatter text), length (characters up to the
+ *   end of the closing delimiter) and bodyLine (line number the body starts
+ *   on), or null when the file has no frontmatter
+ * @throws {Error} - If the frontmatter is not valid YAML/TOML
+ */
+function parseFrontmatter(text) {
+  for (const [format, pattern] of Object.entries(FRONTMATTER_PATTERNS)) {
+    const match = text.match(pattern);
+    // The pattern is multiline, so make sure the block opens the file
+    if (!match || match.index !== 0) continue;
+
+    const raw = match[1];
+    const data = format === "yaml" ? YAML.parse(raw) : TOML.parse(raw);
+
+    return {
+      format,
+      data: data && typeof data === "object" ? data : {},
+      raw,
+      length: match[0].length,
+      bodyLine: match[0].split("\n").length,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Collect the string values at a key path. Arrays are walked on the way, so
+ * "gallery" matches every item of a list and "gallery.src" the src of every
+ * object in it.
+ * @param {object} data - Parsed frontmatter
+ * @param {string} keyPath - Dotted key path, e.g. "cover.image"
+ * @returns {string[]} - The string values found (none if the path is missing)
+ */
+function getKeyPathValues(data, keyPath) {
+  let current = [data];
+
+  for (const key of keyPath.split(".")) {
+    current = flatten(current)
+      .filter((value) => value !== null && typeof value === "object")
+      .map((value) => value[key])
+      .filter((value) => value !== undefined);
+  }
+
+  return flatten(current).filter((value) => typeof value === "string");
+}
+
+function flatten(values) {
+  return values.flatMap((value) => (Array.isArray(value) ? flatten(value) : [value]));
+}
+
+module.exports = {
+  parseFrontmatter,
+  getKeyPathValues,
+};
@@ -0,0 +1,92 @@
+/**
+ * Glob Matching
+ *
+ * Minimal glob support for the content scanner's include/exclude patterns:
+ *
+ *   *       any characters except "/"
+ *   ?       one character except "/"
+ *   **      any number of directories (as a whole path segment)
+ *   {a,b}   either alternative
+ *
+ * Paths are matched relative to the scanned directory, with "/" separators.
+ * A pattern without a "/" is matched against the file name only, so "*.md"
+ * behaves like "**\/*.md".
+ */
+
+const path = require("path");
+
+// Compiled patterns; the same few are tested against every file
+const patternCache = new Map();
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern, e.g. "posts/**\/*.{md,mdx}"
+ * @returns {RegExp} - Expression matching the whole relative path
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        const atStart = i === 0 || pattern[i - 1] === "/";
+        const next = pattern[i + 2];
+        if (atStart && next === "/") {
+          // "**/" matches zero or more directories
+          source += "(?:.*/)?";
+          i += 2;
+        } else if (atStart && next === undefined) {
+          // A trailing "**" matches everything below, including nothing
+          source = source.endsWith("/") ? `${source.slice(0, -1)}(?:/.*)?` : `${source}.*`;
+          i += 1;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a relative path against a list of glob patterns
+ * @param {string} relativePath - Path relative to the scanned directory
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} - Whether any pattern matches
+ */
+function matchesGlob(relativePath, patterns) {
+  const normalized = relativePath.split("\\").join("/");
+  const basename = path.posix.basename(normalized);
+
+  return patterns.some((pattern) => {
+    if (!patternCache.has(pattern)) {
+      patternCache.set(pattern, globToRegExp(pattern));
+    }
+    const target = pattern.includes("/") ? normalized : basename;
+    return patternCache.get(pattern).test(target);
+  });
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+};
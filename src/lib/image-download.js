@@ -0,0 +1,232 @@
+/**
+ * Image Downloads
+ *
+ * Fetches an image to disk with retries that don't start over. When a
+ * transfer breaks off, its `.part` file is kept along with the validator the
+ * server sent (a strong ETag, or Last-Modified), and the next attempt - or
+ * the next run - asks for the rest with a `Range` request. `If-Range` makes
+ * the server send the whole image instead if it changed in the meantime.
+ *
+ * With the ETag and Last-Modified recorded for a file that is already
+ * downloaded, the request is conditional instead, and a 304 answer means the
+ * file on disk is still current.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { readJsonFile, writeJsonAtomic } = require("./json-file.js");
+const { getPartialPath, writeImageFile } = require("./image-file.js");
+
+/**
+ * Path of the file that says how to resume a partial download
+ * @param {string} filepath - Where the image goes
+ * @returns {string} - Path of the JSON file next to the `.part` file
+ */
+function getPartialInfoPath(filepath) {
+  return `${getPartialPath(filepath)}.json`;
+}
+
+/**
+ * The validator to send in If-Range: weak ETags aren't allowed there
+ * @param {Headers} headers - Response headers
+ * @returns {string|null} - A strong ETag or the Last-Modified date
+ */
+function getRangeValidator(headers) {
+  const etag = headers.get("etag");
+  if (etag && !etag.startsWith("W/")) {
+    return etag;
+  }
+  return headers.get("last-modified");
+}
+
+/**
+ * Parse a Content-Range header, e.g. "bytes 100-199/1000"
+ * @param {string|null} header - The header value
+ * @returns {object|null} - Object with start and total (null when "*")
+ */
+function parseContentRange(header) {
+  const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(header || "");
+  if (!match) return null;
+  return { start: Number(match[1]), total: match[2] === "*" ? null : Number(match[2]) };
+}
+
+/**
+ * Find a partial download of url that can be resumed; partial files of
+ * another URL, or without a validator, are removed
+ * @returns {Promise<object|null>} - Object with bytes and validator
+ */
+async function findPartial(url, filepath) {
+  const partialPath = getPartialPath(filepath);
+  const info = await readJsonFile(getPartialInfoPath(filepath)).catch(() => null);
+  const bytes = await fs.stat(partialPath).then((stats) => stats.size, () => 0);
+
+  if (bytes > 0 && info && info.url === url && info.validator) {
+    return { bytes, validator: info.validator };
+  }
+  await discardPartial(filepath);
+  return null;
+}
+
+async function discardPartial(filepath) {
+  await fs.rm(getPartialPath(filepath), { force: true });
+  await fs.rm(getPartialInfoPath(filepath), { force: true });
+}
+
+// Aborts a request once nothing has arrived for timeout ms: first the
+// response, then each chunk of its body, so a stalled body can't hang forever
+function createIdleTimeout(timeout) {
+  const controller = new AbortController();
+  let timeoutId = null;
+  const reset = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(
+      () => controller.abort(new Error(`No data received for ${timeout}ms`)),
+      timeout
+    );
+  };
+  reset();
+  return { signal: controller.signal, reset, clear: () => clearTimeout(timeoutId) };
+}
+
+// One request, resuming or conditional where possible
+async function attemptDownload(url, filepath, options) {
+  const idle = createIdleTimeout(options.timeout);
+  try {
+    return await requestImage(url, filepath, options, idle);
+  } finally {
+    idle.clear();
+  }
+}
+
+async function requestImage(url, filepath, options, idle) {
+  const { headers, cached, onProgress } = options;
+  const partial = await findPartial(url, filepath);
+
+  const requestHeaders = { ...headers };
+  if (partial) {
+    requestHeaders.Range = `bytes=${partial.bytes}-`;
+    requestHeaders["If-Range"] = partial.validator;
+  } else if (cached) {
+    if (cached.etag) requestHeaders["If-None-Match"] = cached.etag;
+    if (cached.last_modified) requestHeaders["If-Modified-Since"] = cached.last_modified;
+  }
+
+  const response = await fetch(url, { signal: idle.signal, headers: requestHeaders });
+
+  if (response.status === 304 && !partial && cached) {
+    await response.body?.cancel();
+    return {
+      status: "not_modified",
+      etag: response.headers.get("etag") || cached.etag || null,
+      last_modified: response.headers.get("last-modified") || cached.last_modified || null,
+      resumed_from: 0,
+    };
+  }
+  if (response.status === 416 && partial) {
+    // The partial file doesn't fit the image (any more): start over
+    await response.body?.cancel();
+    await discardPartial(filepath);
+    return attemptDownload(url, filepath, options);
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const contentLength = parseInt(response.headers.get("content-length"), 10);
+  let resumedFrom = 0;
+  let expectedSize = Number.isNaN(contentLength) ? null : contentLength;
+
+  if (response.status === 206) {
+    const range = parseContentRange(response.headers.get("content-range"));
+    if (!partial || !range || range.start !== partial.bytes) {
+      await response.body?.cancel();
+      await discardPartial(filepath);
+      throw new Error(`Unexpected partial response (${response.headers.get("content-range")})`);
+    }
+    resumedFrom = partial.bytes;
+    expectedSize = range.total ?? (expectedSize === null ? null : resumedFrom + expectedSize);
+  }
+
+  // Remember how to resume this transfer if it breaks off
+  const validator = getRangeValidator(response.headers);
+  if (validator) {
+    await writeJsonAtomic(getPartialInfoPath(filepath), { url, validator });
+  } else {
+    await fs.rm(getPartialInfoPath(filepath), { force: true });
+  }
+
+  const written = await writeImageFile(response.body, filepath, {
+    expectedSize,
+    resume: resumedFrom > 0,
+    keepPartial: Boolean(validator),
+    onProgress: (received) => {
+      idle.reset();
+      onProgress(received, expectedSize);
+    },
+  });
+  await fs.rm(getPartialInfoPath(filepath), { force: true });
+
+  return {
+    status: "downloaded",
+    ...written,
+    etag: response.headers.get("etag"),
+    last_modified: response.headers.get("last-modified"),
+    resumed_from: resumedFrom,
+  };
+}
+
+/**
+ * Download an image to a file, resuming partial transfers
+ * @param {string} url - URL of the image
+ * @param {string} filepath - Where to save it
+ * @param {object} [options={}] - Options
+ * @param {number} [options.timeout=30000] - Milliseconds to wait for the
+ *   response, and then for each chunk of its body
+ * @param {number} [options.retries=3] - Attempts before giving up
+ * @param {number} [options.retryDelay=1000] - Wait before the second attempt;
+ *   it grows with every attempt
+ * @param {object} [options.headers={}] - Extra request headers
+ * @param {object} [options.cached] - Object with etag and/or last_modified of
+ *   the current file at filepath, to make the request conditional
+ * @param {Function} [options.onAttempt] - Called with the attempt number
+ *   before every attempt
+ * @param {Function} [options.onProgress] - Called with (bytes of the file so
+ *   far, expected size or null) as the body streams in
+ * @returns {Promise<object>} - Object with status ("downloaded", or
+ *   "not_modified" when the cached file is current), etag, last_modified,
+ *   resumed_from (bytes reused from an earlier attempt) and, when
+ *   downloaded, bytes, sha256 and type
+ * @throws {Error} - The error of the last attempt
+ */
+async function downloadImageFile(url, filepath, options = {}) {
+  const {
+    timeout = 30000,
+    retries = 3,
+    retryDelay = 1000,
+    headers = {},
+    cached = null,
+    onAttempt = () => {},
+    onProgress = () => {},
+  } = options;
+
+  await fs.mkdir(path.dirname(filepath), { recursive: true });
+
+  for (let attempt = 1; ; attempt++) {
+    onAttempt(attempt);
+    try {
+      return await attemptDownload(url, filepath, { timeout, headers, cached, onProgress });
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      // Wait before retry (exponential backoff)
+      await new Promise((resolve) => setTimeout(resolve, retryDelay * attempt));
+    }
+  }
+}
+
+module.exports = {
+  getPartialInfoPath,
+  downloadImageFile,
+};
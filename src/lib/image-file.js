@@ -0,0 +1,229 @@
+/**
+ * Image Files
+ *
+ * Writing downloaded images safely and checking them later. A download is
+ * streamed to `<file>.part` and only renamed into place once it is complete:
+ * as many bytes as the content-length promised, starting with the magic
+ * bytes of an image format. Its SHA-256 is computed on the way through, so
+ * the local manifest can record it and `unsplash verify-files` can tell when
+ * a file changed on disk. A transfer that broke off can leave its `.part`
+ * file behind to be resumed, appending the rest of the bytes to it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const { createReadStream } = require("fs");
+
+// Bytes needed to recognize every format below
+const HEADER_LENGTH = 64;
+
+class ImageFileError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} problem - What is wrong: "missing", "empty", "size",
+   *   "not-an-image" or "hash"
+   */
+  constructor(message, problem) {
+    super(message);
+    this.name = "ImageFileError";
+    this.problem = problem;
+  }
+}
+
+/**
+ * Recognize an image format from the first bytes of a file
+ * @param {Buffer} header - The start of the file
+ * @returns {string|null} - "jpeg", "png", "webp" or "avif", or null
+ */
+function detectImageType(header) {
+  if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return "jpeg";
+  }
+  if (header.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "png";
+  }
+  if (header.length >= 12 && header.toString("latin1", 0, 4) === "RIFF" && header.toString("latin1", 8, 12) === "WEBP") {
+    return "webp";
+  }
+
+  // AVIF is an ISO-BMFF file whose ftyp box lists an AVIF brand: the major
+  // brand at offset 8, or one of the compatible brands from offset 16 on
+  if (header.length >= 12 && header.toString("latin1", 4, 8) === "ftyp") {
+    const boxEnd = Math.min(header.readUInt32BE(0), header.length);
+    const brands = [header.toString("latin1", 8, 12)];
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+      brands.push(header.toString("latin1", offset, offset + 4));
+    }
+    if (brands.includes("avif") || brands.includes("avis")) return "avif";
+  }
+
+  return null;
+}
+
+/**
+ * Check what was received is a complete image
+ * @param {object} content - Object with bytes (the size) and header
+ * @param {number|null} [expectedSize] - Size it should have
+ * @returns {string} - The image type
+ * @throws {ImageFileError} - If it isn't
+ */
+function checkContent({ bytes, header }, expectedSize) {
+  if (bytes === 0) {
+    throw new ImageFileError("Received an empty file", "empty");
+  }
+  if (expectedSize !== null && expectedSize !== undefined && bytes !== expectedSize) {
+    throw new ImageFileError(`Expected ${expectedSize} bytes, got ${bytes}`, "size");
+  }
+  const type = detectImageType(header);
+  if (!type) {
+    throw new ImageFileError("Not a JPEG, PNG, WebP or AVIF image", "not-an-image");
+  }
+  return type;
+}
+
+// Counts, hashes and keeps the header of the bytes passed to add()
+function createInspector() {
+  const hash = crypto.createHash("sha256");
+  const state = { bytes: 0, header: Buffer.alloc(0) };
+
+  function add(chunk) {
+    hash.update(chunk);
+    state.bytes += chunk.length;
+    if (state.header.length < HEADER_LENGTH) {
+      state.header = Buffer.concat([state.header, chunk]).subarray(0, HEADER_LENGTH);
+    }
+  }
+
+  return { state, add, digest: () => hash.digest("hex") };
+}
+
+/**
+ * Path of the temp file a download of filepath is written to
+ * @param {string} filepath - Where the image goes
+ * @returns {string} - The temp file path
+ */
+function getPartialPath(filepath) {
+  return `${filepath}.part`;
+}
+
+/**
+ * Stream an image to disk, renaming it into place only once it checks out
+ * @param {AsyncIterable<Uint8Array>} source - The body, e.g. a fetch
+ *   response's
+ * @param {string} filepath - Where the image goes
+ * @param {object} [options={}] - Options
+ * @param {number|null} [options.expectedSize=null] - Size of the whole file
+ *   (from content-length, or content-range when resuming)
+ * @param {Function} [options.onProgress] - Called with the bytes of the file
+ *   so far, including the ones resumed from
+ * @param {boolean} [options.resume=false] - Append source to the partial file
+ *   left by an earlier attempt instead of starting over
+ * @param {boolean} [options.keepPartial=false] - If reading source fails,
+ *   keep the partial file so a later attempt can resume it
+ * @returns {Promise<object>} - Object with bytes, sha256 and type
+ * @throws {ImageFileError} - If the file is incomplete or not an image; the
+ *   partial file is removed and nothing is written to filepath
+ */
+async function writeImageFile(source, filepath, options = {}) {
+  const { expectedSize = null, onProgress = () => {}, resume = false, keepPartial = false } = options;
+  const tempPath = getPartialPath(filepath);
+  const inspector = createInspector();
+  let transferred = false;
+
+  try {
+    if (resume) {
+      for await (const chunk of createReadStream(tempPath)) {
+        inspector.add(chunk);
+      }
+    }
+
+    // Every chunk is written before the next is read, so when the source
+    // breaks off, the partial file holds exactly the bytes received
+    const handle = await fs.open(tempPath, resume ? "a" : "w");
+    try {
+      for await (const chunk of source) {
+        await handle.write(chunk);
+        inspector.add(chunk);
+        onProgress(inspector.state.bytes);
+      }
+    } finally {
+      await handle.close();
+    }
+    transferred = true;
+
+    const type = checkContent(inspector.state, expectedSize);
+    await fs.rename(tempPath, filepath);
+    return { bytes: inspector.state.bytes, sha256: inspector.digest(), type };
+  } catch (error) {
+    if (transferred || !keepPartial) {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check an image file on disk
+ * @param {string} filepath - The file
+ * @param {object} [expected={}] - What the local manifest recorded about it
+ * @param {number} [expected.bytes] - Size to compare
+ * @param {string} [expected.sha256] - Hash to compare; the whole file is only
+ *   read when this is given
+ * @returns {Promise<object>} - Object with bytes, type and, when hashed, sha256
+ * @throws {ImageFileError} - If the file is missing, incomplete, not an
+ *   image or has changed
+ */
+async function checkImageFile(filepath, expected = {}) {
+  let handle;
+  try {
+    handle = await fs.open(filepath, "r");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ImageFileError("File not found", "missing");
+    }
+    throw error;
+  }
+
+  let bytes;
+  let header;
+  try {
+    bytes = (await handle.stat()).size;
+    header = Buffer.alloc(Math.min(bytes, HEADER_LENGTH));
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  const type = checkContent({ bytes, header }, expected.bytes);
+  if (!expected.sha256) {
+    return { bytes, type };
+  }
+
+  const sha256 = await hashFile(filepath);
+  if (sha256 !== expected.sha256) {
+    throw new ImageFileError(`SHA-256 is ${sha256}, expected ${expected.sha256}`, "hash");
+  }
+  return { bytes, type, sha256 };
+}
+
+/**
+ * SHA-256 of a file
+ * @param {string} filepath - The file
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashFile(filepath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of createReadStream(filepath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+module.exports = {
+  ImageFileError,
+  detectImageType,
+  getPartialPath,
+  writeImageFile,
+  checkImageFile,
+  hashFile,
+};
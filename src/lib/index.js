@@ -6,11 +6,87 @@
  */
 
 const fs = require("fs").promises;
-const { createWriteStream } = require("fs");
 const path = require("path");
 const https = require("https");
-const { pipeline } = require("stream/promises");
 const { URL } = require("url");
+const { UnsplashClient } = require("./client.js");
+const { RateLimiter, RateLimitError } = require("./rate-limiter.js");
+const { runPool } = require("./pool.js");
+const { formatDuration, parseDuration, formatFileSize } = require("./format.js");
+const { DownloadProgress } = require("./progress.js");
+const { readJsonFile, writeJsonAtomic } = require("./json-file.js");
+const {
+  ImageFileError,
+  detectImageType,
+  writeImageFile,
+  checkImageFile,
+  getPartialPath,
+  hashFile,
+} = require("./image-file.js");
+const { downloadImageFile } = require("./image-download.js");
+const {
+  IMAGE_FORMATS,
+  expandRenditions,
+  getRenditionUrl,
+  getRenditionFilename,
+  parseRenditionFilename,
+} = require("./renditions.js");
+const { BuildCheckpoint } = require("./checkpoint.js");
+const { EXIT_CODES, getExitCode, Reporter, silenceStdout } = require("./reporter.js");
+const { extractPhotoId, extractCdnImageId } = require("./photo-id.js");
+const { parseFrontmatter, getKeyPathValues } = require("./frontmatter.js");
+const {
+  DEFAULT_FRONTMATTER_KEYS,
+  DEFAULT_SCAN_INCLUDE,
+  DEFAULT_SCAN_EXCLUDE,
+  DEFAULT_EXTRACTORS,
+  findUnsplashUrls,
+  scanContent,
+  getFetchablePhotos,
+} = require("./scanner.js");
+const {
+  getReferenceIndexPath,
+  buildReferenceIndex,
+  writeReferenceIndex,
+  readReferenceIndex,
+  findPhotoReferences,
+} = require("./reference-index.js");
+const {
+  BUILD_MANIFEST_VERSION,
+  LOCAL_MANIFEST_VERSION,
+  LOCAL_MANIFEST_FILENAME,
+  LEGACY_LOCAL_MANIFEST_FILENAME,
+  MANIFEST_SCHEMA_DIR,
+  ManifestError,
+  getLocalManifestPath,
+  getManifestSchema,
+  createManifest,
+  detectManifestKind,
+  migrateManifest,
+  sortManifest,
+  validateManifest,
+  validateManifestFile,
+  readManifest,
+  readLocalManifest,
+  writeManifest,
+} = require("./manifest.js");
+const { diffManifests, mergeManifests } = require("./manifest-merge.js");
+const { Trash, formatTrashTimestamp, getTrashDir } = require("./trash.js");
+const {
+  CONFIG_FILE_NAMES,
+  DEFAULT_PROJECT_CONFIG,
+  ConfigError,
+  findConfigFile,
+  loadConfig,
+} = require("./config.js");
+const {
+  Cache,
+  MemoryCache,
+  FileCache,
+  RedisCache,
+  UpstashCache,
+  createCache,
+} = require("./cache/index.js");
 
 // Configuration constants
 const CONFIG = {
@@ -18,74 +94,16 @@ const CONFIG = {
   userAgent: "Mozilla/5.0 (compatible; Unsplash-Script-Library/1.0)",
   retries: 2,
   rateLimitDelay: 100, // ms between API calls
+  cacheTtl: 7 * 24 * 60 * 60, // seconds photo data stays in a cache
 };
 
+// Shared client behind the module-level API functions (see getDefaultClient)
+let defaultClient = null;
+
 // =============================================================================
 // PHOTO ID EXTRACTION
 // =============================================================================
 
-/**
- * Extract photo ID from various Unsplash URL formats
- * @param {string} url - The Unsplash URL
- * @returns {string|null} - The photo ID or null if not found
- */
-function extractPhotoId(url) {
-  if (!url || !url.includes("unsplash.com")) return null;
-
-  // Clean the URL by removing any trailing punctuation
-  const cleanUrl = url.replace(/["'.,;:!?]+$/, "");
-
-  // Handle plus.unsplash.com URLs: https://plus.unsplash.com/premium_photo-1679355751483-edb1fa0d8336
-  const plusUrlMatch = cleanUrl.match(
-    /https:\/\/plus\.unsplash\.com\/premium_photo-([a-zA-Z0-9_-]+)(?:[\?#]|$)/
-  );
-  if (plusUrlMatch) {
-    return plusUrlMatch[1];
-  }
-
-  // Handle plus.unsplash.com with direct image IDs: https://plus.unsplash.com/{id}
-  const plusSimpleMatch = cleanUrl.match(
-    /https:\/\/plus\.unsplash\.com\/([a-zA-Z0-9_-]{11})(?:[\?#]|$)/
-  );
-  if (plusSimpleMatch) {
-    return plusSimpleMatch[1];
-  }
-
-  // Handle page URLs: https://unsplash.com/photos/{slug}-{id}
-  const pageUrlMatch = cleanUrl.match(
-    /https:\/\/unsplash\.com\/photos\/.*-([a-zA-Z0-9_-]{11})(?:[\?#]|$)/
-  );
-  if (pageUrlMatch) {
-    return pageUrlMatch[1];
-  }
-
-  // Handle simple page URLs: https://unsplash.com/photos/{id}
-  const simplePageMatch = cleanUrl.match(
-    /https:\/\/unsplash\.com\/photos\/([a-zA-Z0-9_-]{11})(?:[\?#]|$)/
-  );
-  if (simplePageMatch) {
-    return simplePageMatch[1];
-  }
-
-  // Handle download URLs: https://unsplash.com/photos/{id}/download
-  const downloadUrlMatch = cleanUrl.match(
-    /https:\/\/unsplash\.com\/photos\/([a-zA-Z0-9_-]{11})\/download(?:[\?#]|$)/
-  );
-  if (downloadUrlMatch) {
-    return downloadUrlMatch[1];
-  }
-
-  // Handle URLs where the ID is at the end of the path (without slug)
-  const endMatch = cleanUrl.match(
-    /https:\/\/unsplash\.com\/photos\/[^/]*([a-zA-Z0-9_-]{11})$/
-  );
-  if (endMatch) {
-    return endMatch[1];
-  }
-
-  return null;
-}
-
 // Alias for backwards compatibility
 const extractUnsplashPhotoId = extractPhotoId;
 
@@ -133,16 +151,25 @@ function extractIxidFromUrl(url) {
  * @param {string} photoId - The photo ID
  * @param {number} [width=1200] - Desired width
  * @param {number} [quality=80] - Desired quality
+ * @param {object} [credentials] - API credentials (default to the environment)
+ * @param {string} [credentials.accessKey] - Access key used as client_id
+ * @param {string} [credentials.secretKey] - Secret key enabling premium URLs
  * @returns {string} - The optimized URL
  */
 function createPremiumUnsplashUrl(
   baseUrl,
   photoId,
   width = 1200,
-  quality = 80
+  quality = 80,
+  credentials = {}
 ) {
+  const {
+    accessKey = process.env.UNSPLASH_ACCESS_KEY,
+    secretKey = process.env.UNSPLASH_SECRET_KEY,
+  } = credentials;
+
   // If we don't have a secret key, return the regular URL
-  if (!process.env.UNSPLASH_SECRET_KEY) {
+  if (!secretKey) {
     return baseUrl;
   }
 
@@ -164,7 +191,7 @@ function createPremiumUnsplashUrl(
       }
 
       // Add our authentication
-      cleanUrl.searchParams.set("client_id", process.env.UNSPLASH_ACCESS_KEY);
+      cleanUrl.searchParams.set("client_id", accessKey);
 
       // Add minimal optimization parameters
       cleanUrl.searchParams.set("w", width.toString());
@@ -180,7 +207,7 @@ function createPremiumUnsplashUrl(
       url.searchParams.set("crop", "entropy");
       url.searchParams.set("cs", "tinysrgb");
       url.searchParams.set("fm", "jpg");
-      url.searchParams.set("client_id", process.env.UNSPLASH_ACCESS_KEY);
+      url.searchParams.set("client_id", accessKey);
     }
 
     return url.toString();
@@ -236,73 +263,153 @@ function fetchIxidFromPage(pageUrl) {
   });
 }
 
+/**
+ * Get the shared client used by the module-level API functions.
+ * It is created on first use so that environment variables loaded by
+ * dotenv after this module is required are still picked up.
+ * @returns {UnsplashClient} - The default client
+ */
+function getDefaultClient() {
+  if (!defaultClient) {
+    defaultClient = new UnsplashClient({
+      timeout: CONFIG.timeout,
+      retries: CONFIG.retries,
+      userAgent: CONFIG.userAgent,
+      rateLimiter: new RateLimiter({ minInterval: CONFIG.rateLimitDelay }),
+    });
+  }
+  return defaultClient;
+}
+
+/**
+ * Replace the shared client used by the module-level API functions
+ * @param {UnsplashClient|null} client - The new default client (null resets it)
+ */
+function setDefaultClient(client) {
+  defaultClient = client;
+}
+
+/**
+ * Create a client from the api section of a project config
+ * @param {object} config - Project config (see loadConfig)
+ * @returns {UnsplashClient} - The configured client
+ */
+function createClientFromConfig(config) {
+  const api = config.api || DEFAULT_PROJECT_CONFIG.api;
+  return new UnsplashClient({
+    baseUrl: api.baseUrl,
+    timeout: api.timeout,
+    retries: api.retries,
+    userAgent: CONFIG.userAgent,
+    rateLimiter: new RateLimiter({ minInterval: api.rateLimitDelay }),
+  });
+}
+
+/**
+ * Load the project config and make the default client use its API settings.
+ * This is what the CLIs call on startup.
+ * @param {object} [options] - Options passed to loadConfig (cwd, configPath, overrides, env)
+ * @returns {Promise<object>} - The resolved project config
+ * @throws {ConfigError} - If the config file can't be read or is invalid
+ */
+async function loadProjectConfig(options = {}) {
+  const config = await loadConfig(options);
+  setDefaultClient(createClientFromConfig(config));
+  return config;
+}
+
+/**
+ * Get the rate limit budget of a client, as reported by the most recent
+ * API responses
+ * @param {UnsplashClient} [client] - Client to inspect (defaults to the default client)
+ * @returns {object|null} - Object with limit, remaining, resetAt, msUntilReset and
+ *   exhausted, or null if the client does not schedule requests
+ */
+function getRateLimitStatus(client = getDefaultClient()) {
+  return client.rateLimiter ? client.rateLimiter.getStatus() : null;
+}
+
 /**
  * Make a request to the Unsplash API with proper error handling
- * @param {string} url - The API endpoint URL
+ * @param {string} url - The API endpoint URL (absolute, or relative to the client base URL)
  * @param {object} [options={}] - Fetch options
+ * @param {UnsplashClient} [options.client] - Client to use instead of the default
  * @returns {Promise<object>} - Response object with ok, status, data, headers, error
  */
 async function makeApiRequest(url, options = {}) {
-  try {
-    const response = await fetch(url, options);
-    const data = await response.json();
-    return {
-      ok: response.ok,
-      status: response.status,
-      data,
-      headers: Object.fromEntries(response.headers.entries()),
-    };
-  } catch (error) {
-    return {
-      ok: false,
-      error: error.message,
-    };
-  }
+  const { client = getDefaultClient(), ...fetchOptions } = options;
+  return client.request(url, fetchOptions);
 }
 
 /**
- * Fetch image data from Unsplash API
+ * Fetch image data from Unsplash API, reporting why a fetch failed
  * @param {string} photoId - The photo ID
- * @returns {Promise<object|null>} - The image data or null
+ * @param {object} [options={}] - Options
+ * @param {UnsplashClient} [options.client] - Client to use instead of the default
+ * @param {Cache} [options.cache] - Cache consulted before, and filled after, the API call
+ * @param {number} [options.cacheTtl] - TTL in seconds for cached data (defaults to CONFIG.cacheTtl)
+ * @returns {Promise<object>} - Object with imageData (null on failure) and fromCache,
+ *   and on failure error, status and rateLimited
  */
-async function fetchImageData(photoId) {
-  try {
-    console.log(`🔄 Fetching photo: ${photoId}`);
-    const response = await fetch(`https://api.unsplash.com/photos/${photoId}`, {
-      headers: {
-        Authorization: `Client-ID ${process.env.UNSPLASH_ACCESS_KEY}`,
-        Accept: "application/json",
-      },
-    });
-
-    if (!response.ok) {
-      const text = await response.text();
-      if (response.status === 403 && text.includes("Rate Limit Exceeded")) {
-        console.log(`⚠️ Rate limit exceeded for ${photoId}`);
-      } else {
-        console.log(
-          `❌ API error for ${photoId}: ${response.status} ${response.statusText}`
-        );
-      }
-      return null;
+async function fetchImageDataWithStatus(photoId, options = {}) {
+  const client = options.client || getDefaultClient();
+  const { cache, cacheTtl = CONFIG.cacheTtl } = options;
+
+  if (cache) {
+    const cached = await cache.get(`photo:${photoId}`);
+    if (cached) {
+      console.log(`📦 Using cached data for photo: ${photoId}`);
+      return { imageData: cached, fromCache: true };
     }
+  }
 
-    const photo = await response.json();
-    if (!photo) {
-      console.log(`❌ No photo data for ${photoId}`);
-      return null;
+  console.log(`🔄 Fetching photo: ${photoId}`);
+  const result = await client.getPhoto(photoId);
+
+  if (!result.ok) {
+    let error;
+    if (result.rateLimited) {
+      const resetIn = result.resetIn ?? getRateLimitStatus(client)?.msUntilReset;
+      error = "Rate limit exceeded";
+      console.log(
+        `⚠️ Rate limit exceeded for ${photoId}` +
+          (resetIn ? ` (budget resets in ${formatDuration(resetIn)})` : "")
+      );
+    } else if (result.error) {
+      error = result.error;
+      console.log(`❌ Error fetching ${photoId}: ${result.error}`);
+    } else {
+      error = `HTTP ${result.status}: ${result.statusText}`;
+      console.log(
+        `❌ API error for ${photoId}: ${result.status} ${result.statusText}`
+      );
     }
+    return {
+      imageData: null,
+      error,
+      status: result.status ?? null,
+      rateLimited: !!result.rateLimited,
+    };
+  }
 
+  const photo = result.data;
+  if (!photo || typeof photo !== "object") {
+    console.log(`❌ No photo data for ${photoId}`);
+    return { imageData: null, error: "No photo data", status: result.status, rateLimited: false };
+  }
+
+  try {
     // Create premium watermark-free URL
     const premiumUrl = createPremiumUnsplashUrl(
       photo.urls.regular,
       photo.id,
       1200,
-      80
+      80,
+      { accessKey: client.accessKey, secretKey: client.secretKey }
     );
 
     // Trigger download tracking as required by Unsplash API terms
-    await triggerDownloadTracking(photo.id);
+    await triggerDownloadTracking(photo.id, { client });
 
     const imageData = {
       id: photo.id,
@@ -321,27 +428,43 @@ async function fetchImageData(photoId) {
       cached_at: Date.now(),
     };
 
+    if (cache) {
+      await cache.set(`photo:${photoId}`, imageData, cacheTtl);
+    }
+
     console.log(`✅ Fetched photo: ${photoId} - ${imageData.image_author}`);
-    return imageData;
+    return { imageData, fromCache: false };
   } catch (error) {
     console.log(`❌ Error fetching ${photoId}: ${error.message}`);
-    return null;
+    return { imageData: null, error: error.message, status: result.status, rateLimited: false };
   }
 }
 
+/**
+ * Fetch image data from Unsplash API
+ * @param {string} photoId - The photo ID
+ * @param {object} [options={}] - Options
+ * @param {UnsplashClient} [options.client] - Client to use instead of the default
+ * @param {Cache} [options.cache] - Cache consulted before, and filled after, the API call
+ * @param {number} [options.cacheTtl] - TTL in seconds for cached data
+ * @returns {Promise<object|null>} - The image data or null
+ */
+async function fetchImageData(photoId, options = {}) {
+  const { imageData } = await fetchImageDataWithStatus(photoId, options);
+  return imageData;
+}
+
 /**
  * Trigger download tracking as required by Unsplash API terms
  * @param {string} photoId - The photo ID
+ * @param {object} [options={}] - Options
+ * @param {UnsplashClient} [options.client] - Client to use instead of the default
  * @returns {Promise<void>}
  */
-async function triggerDownloadTracking(photoId) {
-  try {
-    await fetch(`https://api.unsplash.com/photos/${photoId}/download`, {
-      headers: {
-        Authorization: `Client-ID ${process.env.UNSPLASH_ACCESS_KEY}`,
-      },
-    });
-  } catch (error) {
+async function triggerDownloadTracking(photoId, options = {}) {
+  const client = options.client || getDefaultClient();
+  const tracked = await client.trackDownload(photoId);
+  if (!tracked) {
     // Download tracking failed, but continue serving the image
     console.warn("Download tracking failed for photo:", photoId);
   }
@@ -350,42 +473,38 @@ async function triggerDownloadTracking(photoId) {
 /**
  * Get unwatermarked download URL with ixid from Unsplash API
  * @param {string} photoId - The photo ID
+ * @param {object} [options={}] - Options
+ * @param {UnsplashClient} [options.client] - Client to use instead of the default
  * @returns {Promise<object>} - Object with download URL and ixid
  */
-async function getUnwatermarkedDownloadUrl(photoId) {
-  try {
-    console.log(`🔄 Getting unwatermarked download URL for: ${photoId}`);
-    const response = await fetch(`https://api.unsplash.com/photos/${photoId}/download`, {
-      headers: {
-        Authorization: `Client-ID ${process.env.UNSPLASH_ACCESS_KEY}`,
-        Accept: "application/json",
-      },
-    });
+async function getUnwatermarkedDownloadUrl(photoId, options = {}) {
+  const client = options.client || getDefaultClient();
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.log(`❌ Download API error for ${photoId}: ${response.status} ${response.statusText}`);
-      return { success: false, error: `HTTP ${response.status}: ${response.statusText}` };
-    }
+  console.log(`🔄 Getting unwatermarked download URL for: ${photoId}`);
+  const result = await client.getDownloadUrl(photoId);
 
-    const data = await response.json();
-    if (!data.url) {
-      return { success: false, error: 'No download URL returned from API' };
+  if (!result.ok) {
+    if (result.error) {
+      console.log(`❌ Error getting download URL for ${photoId}: ${result.error}`);
+      return { success: false, error: result.error };
     }
+    console.log(`❌ Download API error for ${photoId}: ${result.status} ${result.statusText}`);
+    return { success: false, error: `HTTP ${result.status}: ${result.statusText}` };
+  }
 
-    // Extract ixid from the returned download URL
-    const ixid = extractIxidFromUrl(data.url);
-
-    return {
-      success: true,
-      downloadUrl: data.url,
-      ixid: ixid,
-      hasIxid: !!ixid
-    };
-  } catch (error) {
-    console.log(`❌ Error getting download URL for ${photoId}: ${error.message}`);
-    return { success: false, error: error.message };
+  if (!result.data || !result.data.url) {
+    return { success: false, error: 'No download URL returned from API' };
   }
+
+  // Extract ixid from the returned download URL
+  const ixid = extractIxidFromUrl(result.data.url);
+
+  return {
+    success: true,
+    downloadUrl: result.data.url,
+    ixid: ixid,
+    hasIxid: !!ixid
+  };
 }
 
 // =============================================================================
@@ -405,8 +524,14 @@ async function getUnwatermarkedDownloadUrl(photoId) {
  * @param {number} [options.width] - Custom width (required for size=custom)
  * @param {number} [options.height] - Custom height (required for size=custom)
  * @param {number} [options.timeout=30000] - Download timeout in milliseconds
- * @param {number} [options.retries=3] - Number of download retry attempts
- * @returns {Promise<object>} - Download result with success status and file info
+ * @param {number} [options.retries=3] - Number of download attempts; each one
+ *   resumes the partial file left by the last, if the server allows
+ * @param {object} [options.renditions] - Object with widths, formats and
+ *   quality: download the photo in every width and format instead, as
+ *   `<filename>-<width>w.<format>` (size, format and quality are ignored)
+ * @param {UnsplashClient} [options.client] - API client to use instead of the default
+ * @returns {Promise<object>} - Download result with success status and file
+ *   info; with renditions, success and renditions (a result per rendition)
  */
 async function downloadUnsplashImage(photoId, ixid = null, options = {}) {
   // Default options
@@ -422,6 +547,11 @@ async function downloadUnsplashImage(photoId, ixid = null, options = {}) {
     retries: options.retries || 3,
   };
 
+  const renditions = expandRenditions(options.renditions);
+  if (renditions.length > 0) {
+    return downloadUnsplashRenditions(photoId, renditions, downloadOptions, options.client);
+  }
+
   // Validate custom size options
   if (downloadOptions.size === 'custom' && (!downloadOptions.width || !downloadOptions.height)) {
     return {
@@ -441,7 +571,7 @@ async function downloadUnsplashImage(photoId, ixid = null, options = {}) {
       downloadUrl = generateDownloadUrl(photoId, ixid);
     } else {
       // Fetch image data to get size-specific URLs and apply custom parameters
-      const imageData = await fetchImageData(photoId);
+      const imageData = await fetchImageData(photoId, { client: options.client });
       if (!imageData || !imageData.urls) {
         // Fallback to basic download URL if API fails
         downloadUrl = generateDownloadUrl(photoId, ixid);
@@ -548,91 +678,105 @@ async function downloadUnsplashImage(photoId, ixid = null, options = {}) {
     if (err.code !== 'EEXIST') throw err;
   });
 
-  // Download the image with retry logic
-  for (let attempt = 1; attempt <= downloadOptions.retries; attempt++) {
-    try {
-      // Set up timeout controller
-      const controller = new AbortController();
-      const timeoutId = setTimeout(
-        () => controller.abort(), 
-        downloadOptions.timeout
-      );
+  const reportedOptions = {
+    size: downloadOptions.size,
+    format: downloadOptions.format,
+    quality: downloadOptions.quality,
+    width: downloadOptions.width,
+    height: downloadOptions.height
+  };
 
-      // Fetch the image
-      const response = await fetch(downloadUrl, {
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; Unsplash-Node-Utilities/1.0)',
-          'Accept': 'image/*,*/*;q=0.8',
-        }
-      });
+  // Download the image; retries resume where the last attempt stopped
+  try {
+    const written = await downloadImageFile(downloadUrl, filepath, {
+      timeout: downloadOptions.timeout,
+      retries: downloadOptions.retries,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; Unsplash-Node-Utilities/1.0)',
+        'Accept': 'image/*,*/*;q=0.8',
+      },
+    });
 
-      clearTimeout(timeoutId);
+    // Name the file after the format it turned out to be
+    const detectedExtension = written.type === 'jpeg' ? 'jpg' : written.type;
+    if (path.extname(filepath).slice(1) !== detectedExtension) {
+      const renamed = filepath.replace(path.extname(filepath), `.${detectedExtension}`);
+      await fs.rename(filepath, renamed);
+      filepath = renamed;
+    }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    const sizeInMB = (written.bytes / (1024 * 1024)).toFixed(2);
+
+    return { 
+      success: true, 
+      filepath,
+      size: written.bytes,
+      sizeFormatted: `${sizeInMB} MB`,
+      sha256: written.sha256,
+      url: downloadUrl,
+      hasIxid: !!finalIxid,
+      downloadOptions: reportedOptions
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      filepath,
+      url: downloadUrl,
+      downloadOptions: reportedOptions
+    };
+  }
+}
 
-      // Get content type for file extension validation
-      const contentType = response.headers.get('content-type');
-      let detectedExtension = fileExtension; // use requested format as default
-      
-      if (contentType) {
-        if (contentType.includes('png')) detectedExtension = 'png';
-        else if (contentType.includes('webp')) detectedExtension = 'webp';
-        else if (contentType.includes('jpeg') || contentType.includes('jpg')) detectedExtension = 'jpg';
-      }
+/**
+ * Download every rendition of a photo, resized by the imgix CDN from its raw
+ * image (for downloadUnsplashImage)
+ * @param {string} photoId - The Unsplash photo ID
+ * @param {object[]} renditions - Expanded renditions, see expandRenditions
+ * @param {object} downloadOptions - Object with outputDir, filename, timeout and retries
+ * @param {UnsplashClient} [client] - API client to use instead of the default
+ * @returns {Promise<object>} - Object with success (every rendition
+ *   downloaded), photoId, hasIxid and renditions: width, format, success,
+ *   filepath, url and size and sha256, or error
+ */
+async function downloadUnsplashRenditions(photoId, renditions, downloadOptions, client) {
+  const imageData = await fetchImageData(photoId, { client });
+  const baseUrl = imageData?.urls?.raw;
+  if (!baseUrl) {
+    return { success: false, error: 'Could not fetch the image URLs of the photo', photoId };
+  }
 
-      // Update filepath with correct extension if needed
-      const currentExt = path.extname(filepath).slice(1);
-      if (currentExt !== detectedExtension) {
-        filepath = filepath.replace(path.extname(filepath), `.${detectedExtension}`);
-      }
+  const baseName = downloadOptions.filename
+    ? sanitizeFilename(downloadOptions.filename)
+    : `unsplash-${sanitizeFilename(photoId)}`;
+  const results = [];
 
-      // Stream the image to file
-      const fileStream = createWriteStream(filepath);
-      await pipeline(response.body, fileStream);
-
-      // Get file size for reporting
-      const stats = await fs.stat(filepath);
-      const sizeInMB = (stats.size / (1024 * 1024)).toFixed(2);
-
-      return { 
-        success: true, 
-        filepath,
-        size: stats.size,
-        sizeFormatted: `${sizeInMB} MB`,
-        url: downloadUrl,
-        hasIxid: !!finalIxid,
-        downloadOptions: {
-          size: downloadOptions.size,
-          format: downloadOptions.format,
-          quality: downloadOptions.quality,
-          width: downloadOptions.width,
-          height: downloadOptions.height
-        }
-      };
-    } catch (error) {
-      if (attempt === downloadOptions.retries) {
-        return {
-          success: false,
-          error: error.message,
-          filepath,
-          url: downloadUrl,
-          downloadOptions: {
-            size: downloadOptions.size,
-            format: downloadOptions.format,
-            quality: downloadOptions.quality,
-            width: downloadOptions.width,
-            height: downloadOptions.height
-          }
-        };
-      }
+  for (const rendition of renditions) {
+    const { width, format } = rendition;
+    const url = getRenditionUrl(baseUrl, rendition);
+    const filepath = path.join(downloadOptions.outputDir, getRenditionFilename(baseName, rendition));
 
-      // Wait before retry (exponential backoff)
-      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    try {
+      const written = await downloadImageFile(url, filepath, {
+        timeout: downloadOptions.timeout,
+        retries: downloadOptions.retries,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; Unsplash-Node-Utilities/1.0)',
+          'Accept': 'image/*,*/*;q=0.8',
+        },
+      });
+      results.push({ width, format, success: true, filepath, url, size: written.bytes, sha256: written.sha256 });
+    } catch (error) {
+      results.push({ width, format, success: false, filepath, url, error: error.message });
     }
   }
+
+  return {
+    success: results.every((result) => result.success),
+    photoId,
+    hasIxid: !!extractIxidFromUrl(baseUrl),
+    renditions: results,
+  };
 }
 
 // =============================================================================
@@ -640,63 +784,21 @@ async function downloadUnsplashImage(photoId, ixid = null, options = {}) {
 // =============================================================================
 
 /**
- * Scan MDX files for Unsplash image URLs
+ * Scan content files for Unsplash image URLs
+ * @deprecated Use scanContent, which also reports where each photo is used
  * @param {string} [contentDir] - Directory to scan (defaults to ./content)
- * @returns {Promise<string[]>} - Array of unique Unsplash URLs
- */
-async function scanMdxFiles(contentDir = null) {
-  const scanDir = contentDir || path.join(process.cwd(), "content");
-  const imageUrls = new Set();
-
-  async function scanDirectory(dir) {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-
-      if (entry.isDirectory()) {
-        await scanDirectory(fullPath);
-      } else if (entry.name.endsWith(".mdx")) {
-        const content = await fs.readFile(fullPath, "utf-8");
-
-        // Extract frontmatter
-        const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-        if (frontmatterMatch) {
-          const frontmatter = frontmatterMatch[1];
-
-          // Look for image_url in frontmatter
-          const imageUrlMatch = frontmatter.match(
-            /image_url:\s*["']([^"']+)["']/
-          );
-          if (imageUrlMatch) {
-            const imageUrl = imageUrlMatch[1];
-            if (imageUrl.includes("unsplash.com")) {
-              imageUrls.add(imageUrl);
-              console.log(`📄 Found image in ${fullPath}: ${imageUrl}`);
-            }
-          }
-        }
-
-        // Also look for Unsplash URLs in content body
-        const unsplashUrls = content.match(
-          /https:\/\/unsplash\.com\/photos\/[^\s\)"']+/g
-        );
-        if (unsplashUrls) {
-          unsplashUrls.forEach((url) => {
-            // Clean up any trailing punctuation that might have been captured
-            const cleanUrl = url.replace(/["'.,;:!?]+$/, "");
-            imageUrls.add(cleanUrl);
-            console.log(
-              `📄 Found image in content of ${fullPath}: ${cleanUrl}`
-            );
-          });
-        }
-      }
-    }
-  }
-
-  await scanDirectory(scanDir);
-  return Array.from(imageUrls);
+ * @param {object} [options] - Scan options (include, exclude, extractors), see scanContent
+ * @returns {Promise<string[]>} - One URL per unique photo (CDN image URLs,
+ *   which can't be fetched by photo ID, are left out)
+ */
+async function scanMdxFiles(contentDir = null, options = {}) {
+  const result = await scanContent(contentDir, {
+    ...options,
+    onReference: (reference) => {
+      console.log(`📄 Found image in ${reference.file}:${reference.line}: ${reference.url}`);
+    },
+  });
+  return getFetchablePhotos(result).urls;
 }
 
 /**
@@ -734,12 +836,37 @@ const colors = {
   bold: "\x1b[1m",
 };
 
+// How much the log helpers print: "quiet" (warnings and errors only),
+// "normal" or "verbose" (also logVerbose messages)
+const OUTPUT_LEVELS = ["quiet", "normal", "verbose"];
+let outputLevel = "normal";
+
+/**
+ * Set how much the log helpers print
+ * @param {string} level - One of "quiet", "normal" or "verbose"
+ */
+function setOutputLevel(level) {
+  if (!OUTPUT_LEVELS.includes(level)) {
+    throw new Error(`Unknown output level: ${level}. Valid: ${OUTPUT_LEVELS.join(", ")}`);
+  }
+  outputLevel = level;
+}
+
+/**
+ * Get the current output level
+ * @returns {string} - One of "quiet", "normal" or "verbose"
+ */
+function getOutputLevel() {
+  return outputLevel;
+}
+
 /**
  * Log a message with optional color
  * @param {string} message - The message to log
  * @param {string} [color] - The color code
  */
 function log(message, color = colors.reset) {
+  if (outputLevel === "quiet") return;
   console.log(`${color}${message}${colors.reset}`);
 }
 
@@ -748,6 +875,7 @@ function log(message, color = colors.reset) {
  * @param {string} title - The section title
  */
 function logSection(title) {
+  if (outputLevel === "quiet") return;
   console.log("\n" + "=".repeat(60));
   log(`${colors.bold}${colors.cyan}${title}${colors.reset}`);
   console.log("=".repeat(60));
@@ -766,7 +894,7 @@ function logSuccess(message) {
  * @param {string} message - The error message
  */
 function logError(message) {
-  log(`❌ ${message}`, colors.red);
+  console.error(`${colors.red}❌ ${message}${colors.reset}`);
 }
 
 /**
@@ -774,7 +902,7 @@ function logError(message) {
  * @param {string} message - The warning message
  */
 function logWarning(message) {
-  log(`⚠️  ${message}`, colors.yellow);
+  console.warn(`${colors.yellow}⚠️  ${message}${colors.reset}`);
 }
 
 /**
@@ -785,6 +913,15 @@ function logInfo(message) {
   log(`ℹ️  ${message}`, colors.blue);
 }
 
+/**
+ * Log a detail message, only shown at the verbose output level
+ * @param {string} message - The detail message
+ */
+function logVerbose(message) {
+  if (outputLevel !== "verbose") return;
+  console.log(`🔎 ${message}`);
+}
+
 // =============================================================================
 // PROGRESS TRACKING UTILITIES
 // =============================================================================
@@ -800,6 +937,8 @@ function createProgressBar(total) {
   return {
     update() {
       completed++;
+      if (outputLevel === "quiet") return;
+
       const percentage = ((completed / total) * 100).toFixed(1);
       const filled = Math.floor((completed / total) * 40);
       const empty = 40 - filled;
@@ -853,6 +992,29 @@ function checkEnvironmentVariables(requireSecretKey = false) {
   return true;
 }
 
+/**
+ * Load the project config for a CLI, reporting problems instead of throwing
+ * @param {object} [options] - Options passed to loadProjectConfig
+ * @param {boolean} [options.quiet=false] - Don't mention which config file is used
+ * @returns {Promise<object|null>} - The resolved config, or null if it is invalid
+ */
+async function loadCliConfig(options = {}) {
+  try {
+    const config = await loadProjectConfig(options);
+    if (config.configFile && !options.quiet) {
+      logInfo(`Using config: ${path.relative(process.cwd(), config.configFile)}`);
+    }
+    logVerbose(`Project root: ${config.root}`);
+    logVerbose(`Content: ${config.contentDir}, manifest: ${config.manifestPath}`);
+    logVerbose(`Downloads: ${config.downloadDir}, API: ${config.api.baseUrl}`);
+    return config;
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    logError(error.message);
+    return null;
+  }
+}
+
 // =============================================================================
 // URL CONVERSION UTILITIES
 // =============================================================================
@@ -903,10 +1065,31 @@ async function convertToDownloadUrl(unsplashUrl, fetchIxid = true) {
 module.exports = {
   // Configuration
   CONFIG,
+  CONFIG_FILE_NAMES,
+  DEFAULT_PROJECT_CONFIG,
+  ConfigError,
+  findConfigFile,
+  loadConfig,
+  loadProjectConfig,
+
+  // API client
+  UnsplashClient,
+  getDefaultClient,
+  setDefaultClient,
+  createClientFromConfig,
+
+  // Rate limiting
+  RateLimiter,
+  RateLimitError,
+  getRateLimitStatus,
+
+  // Concurrency
+  runPool,
 
   // Photo ID extraction
   extractPhotoId,
   extractUnsplashPhotoId, // Backwards compatibility alias
+  extractCdnImageId,
 
   // URL construction and manipulation
   generateDownloadUrl,
@@ -919,17 +1102,87 @@ module.exports = {
   fetchIxidFromPage,
   makeApiRequest,
   fetchImageData,
+  fetchImageDataWithStatus,
   triggerDownloadTracking,
   getUnwatermarkedDownloadUrl,
 
+  // Caching
+  Cache,
+  MemoryCache,
+  FileCache,
+  RedisCache,
+  UpstashCache,
+  createCache,
+
   // Download utilities
   downloadUnsplashImage,
+  downloadImageFile,
+  ImageFileError,
+  detectImageType,
+  writeImageFile,
+  checkImageFile,
+  getPartialPath,
+  hashFile,
+
+  // Renditions
+  IMAGE_FORMATS,
+  expandRenditions,
+  getRenditionUrl,
+  getRenditionFilename,
+  parseRenditionFilename,
 
   // File system utilities
+  readJsonFile,
+  writeJsonAtomic,
+  BuildCheckpoint,
   scanMdxFiles,
   sanitizeFilename,
   getImageExtension,
 
+  // Content scanning
+  DEFAULT_FRONTMATTER_KEYS,
+  DEFAULT_SCAN_INCLUDE,
+  DEFAULT_SCAN_EXCLUDE,
+  DEFAULT_EXTRACTORS,
+  findUnsplashUrls,
+  scanContent,
+  getFetchablePhotos,
+  parseFrontmatter,
+  getKeyPathValues,
+
+  // Manifests
+  BUILD_MANIFEST_VERSION,
+  LOCAL_MANIFEST_VERSION,
+  LOCAL_MANIFEST_FILENAME,
+  LEGACY_LOCAL_MANIFEST_FILENAME,
+  MANIFEST_SCHEMA_DIR,
+  ManifestError,
+  getLocalManifestPath,
+  getManifestSchema,
+  createManifest,
+  detectManifestKind,
+  migrateManifest,
+  sortManifest,
+  validateManifest,
+  validateManifestFile,
+  readManifest,
+  readLocalManifest,
+  writeManifest,
+  diffManifests,
+  mergeManifests,
+
+  // Photo reference index
+  getReferenceIndexPath,
+  buildReferenceIndex,
+  writeReferenceIndex,
+  readReferenceIndex,
+  findPhotoReferences,
+
+  // Clean trash
+  Trash,
+  formatTrashTimestamp,
+  getTrashDir,
+
   // Console output utilities
   colors,
   log,
@@ -938,11 +1191,25 @@ module.exports = {
   logError,
   logWarning,
   logInfo,
+  logVerbose,
+  setOutputLevel,
+  getOutputLevel,
+  formatDuration,
+  parseDuration,
+  formatFileSize,
 
   // Progress tracking
   createProgressBar,
+  DownloadProgress,
+
+  // Machine readable output
+  Reporter,
+  EXIT_CODES,
+  getExitCode,
+  silenceStdout,
 
   // Validation utilities
   checkFetchAvailable,
   checkEnvironmentVariables,
+  loadCliConfig,
 };
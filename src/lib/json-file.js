@@ -0,0 +1,61 @@
+/**
+ * JSON File Utilities
+ *
+ * Reading and atomic writing of the JSON files (manifests, checkpoints,
+ * caches) that the scripts keep on disk.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+// Keeps the temporary files of concurrent writes within one process apart
+let tempCounter = 0;
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path to the file
+ * @param {*} [fallback=null] - Value returned when the file does not exist
+ * @returns {Promise<*>} - The parsed content or the fallback
+ */
+async function readJsonFile(filePath, fallback = null) {
+  try {
+    const content = await fs.readFile(filePath, "utf-8");
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically. The content is written to a temporary file in
+ * the same directory and renamed over the target, so readers (and a rerun
+ * after a crash) never see a half-written file.
+ * @param {string} filePath - Path to the file
+ * @param {*} data - Value to serialize
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.${++tempCounter}.tmp`
+  );
+
+  await fs.mkdir(dir, { recursive: true });
+
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonAtomic,
+};
@@ -0,0 +1,213 @@
+/**
+ * Manifest Diff and Merge
+ *
+ * Compare two manifests photo by photo, and combine manifests built on
+ * different branches. Only images are compared and merged: generated_at,
+ * stats and metadata change on every build-cache run, so the merged manifest
+ * derives them from its inputs instead. The result of a merge doesn't depend
+ * on the order of its inputs.
+ */
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The field that says how fresh an entry is, per manifest kind
+const ENTRY_TIMESTAMPS = {
+  build: (entry) => (typeof entry.cached_at === "number" ? entry.cached_at : 0),
+  local: (entry) => Date.parse(entry.downloaded_at) || 0,
+};
+
+/**
+ * Flatten an entry into dotted paths and leaf values,
+ * e.g. { "user.name": "Ada", width: 4000 }
+ */
+function flattenEntry(value, prefix = "", fields = {}) {
+  if (isObject(value) && Object.keys(value).length > 0) {
+    for (const key of Object.keys(value)) {
+      flattenEntry(value[key], prefix ? `${prefix}.${key}` : key, fields);
+    }
+  } else {
+    fields[prefix] = value;
+  }
+  return fields;
+}
+
+// Serialize with sorted keys, so equal entries compare equal
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(",")}]`;
+  }
+  if (isObject(value)) {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sameEntry(a, b) {
+  return canonical(a) === canonical(b);
+}
+
+/**
+ * Compare the images of two manifests
+ * @param {object} before - The old manifest
+ * @param {object} after - The new manifest
+ * @returns {object} - Object with added and removed (photo IDs) and changed
+ *   (entries with id and fields, each with path, before and after; a field
+ *   missing on one side is undefined there), all sorted by photo ID
+ */
+function diffManifests(before, after) {
+  const oldImages = before.images || {};
+  const newImages = after.images || {};
+  const diff = { added: [], removed: [], changed: [] };
+
+  const ids = [...new Set([...Object.keys(oldImages), ...Object.keys(newImages)])].sort();
+  for (const id of ids) {
+    if (!(id in oldImages)) {
+      diff.added.push(id);
+    } else if (!(id in newImages)) {
+      diff.removed.push(id);
+    } else if (!sameEntry(oldImages[id], newImages[id])) {
+      const oldFields = flattenEntry(oldImages[id]);
+      const newFields = flattenEntry(newImages[id]);
+      const paths = [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])].sort();
+
+      diff.changed.push({
+        id,
+        fields: paths
+          .filter((field) => canonical(oldFields[field]) !== canonical(newFields[field]))
+          .map((field) => ({ path: field, before: oldFields[field], after: newFields[field] })),
+      });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Pick one of several different entries for the same photo: the most
+ * recently cached or downloaded one, and of equally fresh ones the one that
+ * sorts last, so the choice doesn't depend on the order of the manifests
+ */
+function pickEntry(entries, kind) {
+  const timestamp = ENTRY_TIMESTAMPS[kind];
+  return entries.reduce((best, entry) => {
+    const difference = timestamp(entry) - timestamp(best);
+    if (difference !== 0) return difference > 0 ? entry : best;
+    return canonical(entry) > canonical(best) ? entry : best;
+  });
+}
+
+function latest(values) {
+  return values.filter((value) => typeof value === "string").sort().pop() ?? null;
+}
+
+// Stats of the merged images. Photos that failed aren't entries, so the
+// inputs' failure counts can't be carried over and are left out.
+function mergedStats(images, kind) {
+  const entries = Object.values(images);
+  if (kind === "local") {
+    const skipped = entries.filter((entry) => entry.skipped).length;
+    return { total_images: entries.length, downloaded: entries.length - skipped, skipped };
+  }
+  const unavailable = entries.filter((entry) => entry.unavailable).length;
+  const cached = entries.length - unavailable;
+  return {
+    total_found: entries.length,
+    successfully_cached: cached,
+    unavailable,
+    success_rate: entries.length > 0 ? ((cached / entries.length) * 100).toFixed(1) + "%" : "0%",
+  };
+}
+
+/**
+ * Combine manifests of the same kind. Photos from every manifest are kept;
+ * when manifests disagree about a photo, the most recently cached (build) or
+ * downloaded (local) entry wins. With a base - the manifest the others were
+ * built from, as in a three-way merge - photos removed from one manifest and
+ * left alone in the others are removed, and a photo changed in only one
+ * manifest takes that change.
+ * @param {object[]} manifests - Manifests in the current schema
+ * @param {object} [options={}] - Options
+ * @param {object} [options.base] - Common ancestor of the manifests
+ * @returns {object} - Object with manifest (generated_at is the latest of the
+ *   inputs, stats count the merged images, without failures), conflicts (photo IDs whose
+ *   entries differed and were picked by freshness, or that were changed in
+ *   one manifest and removed from another) and removed (photo IDs dropped
+ *   because of the base)
+ * @throws {TypeError} - If there are no manifests, or they differ in kind
+ */
+function mergeManifests(manifests, options = {}) {
+  if (manifests.length === 0) {
+    throw new TypeError("Nothing to merge");
+  }
+  const kind = manifests[0].kind;
+  const mismatch = [...manifests, ...(options.base ? [options.base] : [])].find(
+    (manifest) => manifest.kind !== kind
+  );
+  if (mismatch) {
+    throw new TypeError(`Can't merge a ${mismatch.kind} manifest with a ${kind} manifest`);
+  }
+
+  const baseImages = options.base ? options.base.images : null;
+  const images = {};
+  const conflicts = [];
+  const removed = [];
+
+  const ids = [...new Set(manifests.flatMap((manifest) => Object.keys(manifest.images)))];
+  if (baseImages) {
+    ids.push(...Object.keys(baseImages).filter((id) => !ids.includes(id)));
+  }
+
+  for (const id of ids.sort()) {
+    const present = manifests.filter((manifest) => id in manifest.images).map((manifest) => manifest.images[id]);
+    const base = baseImages && id in baseImages ? baseImages[id] : undefined;
+
+    // Changes relative to the base; without one, every entry counts
+    let candidates = present;
+    let deletedAndChanged = false;
+    if (base !== undefined) {
+      candidates = present.filter((entry) => !sameEntry(entry, base));
+      const deleted = present.length < manifests.length;
+      if (candidates.length === 0) {
+        if (deleted) {
+          removed.push(id);
+        } else {
+          images[id] = base;
+        }
+        continue;
+      }
+      // Removed on one side, changed on another: keep the change
+      deletedAndChanged = deleted;
+    }
+
+    const distinct = candidates.filter(
+      (entry, index) => candidates.findIndex((other) => sameEntry(other, entry)) === index
+    );
+    if (distinct.length > 1 || deletedAndChanged) {
+      conflicts.push(id);
+    }
+    images[id] = pickEntry(distinct, kind);
+  }
+
+  const manifest = {
+    schema_version: manifests[0].schema_version,
+    kind,
+    generated_at: latest(manifests.map((entry) => entry.generated_at)),
+    images,
+    stats: mergedStats(images, kind),
+  };
+  if (kind === "local") {
+    manifest.source_manifest = latest(manifests.map((entry) => entry.source_manifest));
+  } else {
+    manifest.metadata = {
+      merged_from: manifests.map((entry) => entry.generated_at).sort(),
+    };
+  }
+
+  return { manifest, conflicts, removed };
+}
+
+module.exports = {
+  diffManifests,
+  mergeManifests,
+};
@@ -0,0 +1,433 @@
+/**
+ * Manifests
+ *
+ * Reading, validating, migrating and writing the two manifests the scripts
+ * share:
+ *
+ * - the build manifest (public/unsplash-manifest.json), written by
+ *   build-cache: photo ID → image data fetched from the API
+ * - the local manifest (<downloadDir>/local-manifest.json), written by
+ *   download: photo ID → the downloaded file
+ *
+ * Both carry a kind and an integer schema_version, and are validated against
+ * the JSON Schemas in src/schemas. Files written by older versions
+ * (build_version "2.0.0" or none, local version "1.0.0", and the local
+ * manifest's old manifest.json name) are migrated when read. Manifests are
+ * written with their keys in a stable order, so rebuilding one only changes
+ * the lines whose data changed.
+ */
+
+const path = require("path");
+const Ajv = require("ajv").default;
+const { readJsonFile, writeJsonAtomic } = require("./json-file.js");
+
+const BUILD_MANIFEST_VERSION = 3;
+const LOCAL_MANIFEST_VERSION = 2;
+const LOCAL_MANIFEST_FILENAME = "local-manifest.json";
+// download wrote its manifest under this name before schema version 2
+const LEGACY_LOCAL_MANIFEST_FILENAME = "manifest.json";
+const MANIFEST_SCHEMA_DIR = path.join(__dirname, "..", "schemas");
+
+class ManifestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string[]} [problems=[]] - Individual validation problems
+   */
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join("\n  - ")}` : message);
+    this.name = "ManifestError";
+    this.problems = problems;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const MANIFEST_TYPES = {
+  build: {
+    version: BUILD_MANIFEST_VERSION,
+    schema: "build-manifest.schema.json",
+    detectVersion: (data) => {
+      if (data.build_version === undefined) return 1;
+      return parseInt(String(data.build_version), 10) || 1;
+    },
+    migrations: {
+      // Legacy manifests: empty ones were written without a success rate
+      1: (data) => {
+        const stats = data.stats || {};
+        const found = stats.total_found || 0;
+        return {
+          ...data,
+          stats: {
+            ...stats,
+            success_rate:
+              stats.success_rate ||
+              (found > 0 ? (((stats.successfully_cached || 0) / found) * 100).toFixed(1) + "%" : "0%"),
+          },
+        };
+      },
+      // 2.0.0: the version moved from build_version to schema_version
+      2: ({ build_version: _buildVersion, ...data }) => data,
+    },
+  },
+
+  local: {
+    version: LOCAL_MANIFEST_VERSION,
+    schema: "local-manifest.schema.json",
+    detectVersion: () => 1,
+    migrations: {
+      // 1.0.0: the version moved from version to schema_version
+      1: ({ version: _version, ...data }) => data,
+    },
+  },
+};
+
+function getManifestType(kind) {
+  const type = MANIFEST_TYPES[kind];
+  if (!type) {
+    throw new TypeError(`Unknown manifest kind: ${kind} (expected ${Object.keys(MANIFEST_TYPES).join(" or ")})`);
+  }
+  return type;
+}
+
+// Compiled on first use, one validator per kind
+const validators = {};
+let ajv = null;
+
+function getValidator(kind) {
+  if (!validators[kind]) {
+    ajv = ajv || new Ajv({ allErrors: true, verbose: true });
+    validators[kind] = ajv.compile(getManifestSchema(kind));
+  }
+  return validators[kind];
+}
+
+/**
+ * The JSON Schema a manifest is validated against
+ * @param {string} kind - "build" or "local"
+ * @returns {object} - The schema (src/schemas/<kind>-manifest.schema.json)
+ */
+function getManifestSchema(kind) {
+  return require(path.join(MANIFEST_SCHEMA_DIR, getManifestType(kind).schema));
+}
+
+/**
+ * Turn an Ajv error into a problem with a dotted path,
+ * e.g. { path: "images.abc123xyz45.width", message: "expected an integer" }
+ */
+function toProblem(error) {
+  const segments = error.instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+  const a = (type) => `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`;
+
+  switch (error.keyword) {
+    case "required":
+      return { path: [...segments, error.params.missingProperty].join("."), message: "is required" };
+    case "type":
+      return {
+        path: segments.join("."),
+        message: `expected ${[].concat(error.params.type).map(a).join(" or ")}`,
+      };
+    case "const":
+      return {
+        path: segments.join("."),
+        message: `expected ${JSON.stringify(error.params.allowedValue)}, got ${JSON.stringify(error.data)}`,
+      };
+    default:
+      return { path: segments.join("."), message: error.message };
+  }
+}
+
+/**
+ * Check a manifest against the schema of its kind
+ * @param {object} manifest - The manifest
+ * @param {string} kind - "build" or "local"
+ * @returns {object[]} - Problems found, each with path (dotted, "" for the
+ *   whole manifest) and message; empty when the manifest is valid
+ */
+function getManifestProblems(manifest, kind) {
+  const validate = getValidator(kind);
+  return validate(manifest) ? [] : validate.errors.map(toProblem);
+}
+
+/**
+ * Path of the local manifest in a download directory
+ * @param {string} downloadDir - The download directory
+ * @returns {string} - <downloadDir>/local-manifest.json
+ */
+function getLocalManifestPath(downloadDir) {
+  return path.join(downloadDir, LOCAL_MANIFEST_FILENAME);
+}
+
+/**
+ * Start a manifest in the current schema
+ * @param {string} kind - "build" or "local"
+ * @param {object} [fields={}] - images, stats and the other fields of the kind
+ * @returns {object} - The manifest
+ */
+function createManifest(kind, fields = {}) {
+  const type = getManifestType(kind);
+  return {
+    schema_version: type.version,
+    kind,
+    generated_at: new Date().toISOString(),
+    images: {},
+    ...fields,
+  };
+}
+
+/**
+ * Bring a manifest written by an older version up to the current schema
+ * @param {object} data - Parsed manifest
+ * @param {string} kind - "build" or "local"
+ * @returns {object} - Object with manifest, fromVersion and migrated
+ * @throws {ManifestError} - If the manifest is from a newer version
+ */
+function migrateManifest(data, kind) {
+  const type = getManifestType(kind);
+  if (!isObject(data)) {
+    throw new ManifestError(`Invalid ${kind} manifest`, ["expected a JSON object"]);
+  }
+
+  const fromVersion = typeof data.schema_version === "number" ? data.schema_version : type.detectVersion(data);
+  if (fromVersion > type.version) {
+    throw new ManifestError(
+      `The ${kind} manifest has schema version ${fromVersion}, but this version only understands up to ${type.version}; please upgrade`
+    );
+  }
+
+  let manifest = data;
+  for (let version = fromVersion; version < type.version; version++) {
+    manifest = type.migrations[version] ? type.migrations[version](manifest) : manifest;
+  }
+
+  // Keep schema_version and kind first, as in freshly written manifests
+  const { schema_version: _schemaVersion, kind: _kind, ...rest } = manifest;
+  return {
+    manifest: { schema_version: type.version, kind, ...rest },
+    fromVersion,
+    migrated: fromVersion !== type.version,
+  };
+}
+
+/**
+ * Check a manifest against the current schema
+ * @param {object} manifest - The manifest
+ * @param {string} kind - "build" or "local"
+ * @returns {string[]} - Problems found as "<path>: <message>" (empty when the
+ *   manifest is valid)
+ */
+function validateManifest(manifest, kind) {
+  return getManifestProblems(manifest, kind).map(
+    (problem) => `${problem.path || "(manifest)"}: ${problem.message}`
+  );
+}
+
+/**
+ * Guess the kind of a manifest file from its kind field, or else its name
+ * @param {object|null} data - Parsed manifest, if it could be parsed
+ * @param {string} filePath - Path of the manifest
+ * @returns {string} - "build" or "local"
+ */
+function detectManifestKind(data, filePath) {
+  if (isObject(data) && Object.hasOwn(MANIFEST_TYPES, data.kind)) {
+    return data.kind;
+  }
+  const name = path.basename(filePath);
+  return name === LOCAL_MANIFEST_FILENAME || name === LEGACY_LOCAL_MANIFEST_FILENAME ? "local" : "build";
+}
+
+/**
+ * Validate a manifest file, e.g. from a pre-commit hook. Manifests written
+ * by older versions are migrated first, so they count as valid if they can
+ * still be read.
+ * @param {string} filePath - Path of the manifest
+ * @param {object} [options={}] - Options
+ * @param {string} [options.kind] - "build" or "local" (default: from the
+ *   file's kind field, or its name)
+ * @returns {Promise<object>} - Object with path, kind, valid, problems (each
+ *   with path and message), fromVersion and migrated
+ */
+async function validateManifestFile(filePath, options = {}) {
+  const result = (kind, problems, extra = {}) => ({
+    path: filePath,
+    kind,
+    valid: problems.length === 0,
+    problems,
+    fromVersion: null,
+    migrated: false,
+    ...extra,
+  });
+
+  let data;
+  try {
+    data = await readJsonFile(filePath);
+  } catch (error) {
+    const message = error instanceof SyntaxError ? `invalid JSON: ${error.message}` : error.message;
+    return result(options.kind || detectManifestKind(null, filePath), [{ path: "", message }]);
+  }
+
+  const kind = options.kind || detectManifestKind(data, filePath);
+  if (data === null) {
+    return result(kind, [{ path: "", message: "file not found" }]);
+  }
+
+  try {
+    const { manifest, fromVersion, migrated } = migrateManifest(data, kind);
+    return result(kind, getManifestProblems(manifest, kind), { fromVersion, migrated });
+  } catch (error) {
+    if (!(error instanceof ManifestError)) throw error;
+    return result(kind, [{ path: "", message: error.problems[0] || error.message }]);
+  }
+}
+
+// Written first, in this order; everything else follows alphabetically
+const HEADER_KEYS = ["schema_version", "kind", "generated_at"];
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (!isObject(value)) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((key) => [key, sortKeys(value[key])])
+  );
+}
+
+/**
+ * Put a manifest's keys in a stable order: schema_version, kind and
+ * generated_at first, then the other fields, photo IDs and the fields of
+ * every entry alphabetically
+ * @param {object} manifest - The manifest
+ * @returns {object} - A sorted copy
+ */
+function sortManifest(manifest) {
+  const header = HEADER_KEYS.filter((key) => key in manifest).map((key) => [key, manifest[key]]);
+  const rest = Object.keys(manifest)
+    .filter((key) => !HEADER_KEYS.includes(key))
+    .sort()
+    .map((key) => [key, sortKeys(manifest[key])]);
+  return Object.fromEntries([...header, ...rest]);
+}
+
+/**
+ * Drop the image entries that fail validation, leaving the rest
+ * @param {object} manifest - Manifest in the current schema
+ * @param {string} kind - "build" or "local"
+ * @param {Function} onInvalidImage - Called with the ID and problems of each
+ *   dropped entry
+ * @returns {object} - The manifest, or a copy without the invalid entries
+ */
+function dropInvalidImages(manifest, kind, onInvalidImage) {
+  const validate = getValidator(kind);
+  if (!isObject(manifest.images) || validate(manifest)) {
+    return manifest;
+  }
+
+  const invalid = new Map();
+  for (const error of validate.errors) {
+    const [, field, id] = error.instancePath.split("/");
+    if (field !== "images" || id === undefined) continue;
+    const problem = toProblem(error);
+    invalid.set(id, [...(invalid.get(id) || []), `${problem.path}: ${problem.message}`]);
+  }
+
+  const images = { ...manifest.images };
+  for (const [id, problems] of invalid) {
+    delete images[id];
+    onInvalidImage(id, problems);
+  }
+  return { ...manifest, images };
+}
+
+/**
+ * Read a manifest, migrating it to the current schema and validating it
+ * @param {string} filePath - Path of the manifest
+ * @param {string} [kind] - "build" or "local" (default: from the file's kind
+ *   field, or its name)
+ * @param {object} [options={}] - Options
+ * @param {Function} [options.onInvalidImage] - Drop image entries that fail
+ *   validation instead of rejecting the manifest, calling this with the ID
+ *   and problems of each
+ * @returns {Promise<object|null>} - The manifest, or null if there is none
+ * @throws {ManifestError} - If the file isn't valid JSON or fails validation
+ */
+async function readManifest(filePath, kind, options = {}) {
+  let data;
+  try {
+    data = await readJsonFile(filePath);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    throw new ManifestError(`Could not parse ${filePath}: ${error.message}`);
+  }
+  if (data === null) {
+    return null;
+  }
+
+  kind = kind || detectManifestKind(data, filePath);
+  let { manifest } = migrateManifest(data, kind);
+  if (options.onInvalidImage) {
+    manifest = dropInvalidImages(manifest, kind, options.onInvalidImage);
+  }
+  const problems = validateManifest(manifest, kind);
+  if (problems.length > 0) {
+    throw new ManifestError(`Invalid ${kind} manifest ${filePath}`, problems);
+  }
+  return manifest;
+}
+
+/**
+ * Read the local manifest of a download directory, falling back to the
+ * manifest.json written by older versions
+ * @param {string} downloadDir - The download directory
+ * @returns {Promise<object|null>} - The manifest, or null if there is none
+ * @throws {ManifestError} - If the manifest is invalid
+ */
+async function readLocalManifest(downloadDir) {
+  const manifest = await readManifest(getLocalManifestPath(downloadDir), "local");
+  if (manifest) {
+    return manifest;
+  }
+  return readManifest(path.join(downloadDir, LEGACY_LOCAL_MANIFEST_FILENAME), "local");
+}
+
+/**
+ * Validate and atomically write a manifest, with its keys sorted
+ * @param {string} filePath - Path of the manifest
+ * @param {object} manifest - Manifest in the current schema
+ * @param {string} kind - "build" or "local"
+ * @returns {Promise<void>}
+ * @throws {ManifestError} - If the manifest fails validation
+ */
+async function writeManifest(filePath, manifest, kind) {
+  const problems = validateManifest(manifest, kind);
+  if (problems.length > 0) {
+    throw new ManifestError(`Refusing to write an invalid ${kind} manifest to ${filePath}`, problems);
+  }
+  await writeJsonAtomic(filePath, sortManifest(manifest));
+}
+
+module.exports = {
+  BUILD_MANIFEST_VERSION,
+  LOCAL_MANIFEST_VERSION,
+  LOCAL_MANIFEST_FILENAME,
+  LEGACY_LOCAL_MANIFEST_FILENAME,
+  MANIFEST_SCHEMA_DIR,
+  ManifestError,
+  getLocalManifestPath,
+  getManifestSchema,
+  createManifest,
+  detectManifestKind,
+  migrateManifest,
+  sortManifest,
+  validateManifest,
+  validateManifestFile,
+  readManifest,
+  readLocalManifest,
+  writeManifest,
+};
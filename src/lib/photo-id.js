@@ -0,0 +1,88 @@
+/**
+ * Photo IDs
+ *
+ * Extracts the photo ID from the different kinds of Unsplash URLs: photo
+ * pages, download links and plus.unsplash.com URLs. Image URLs on the CDN
+ * (images.unsplash.com/photo-..., plus.unsplash.com/premium_photo-...) only
+ * name the image file, not the photo: extractCdnImageId recognizes those.
+ */
+
+/**
+ * Extract photo ID from various Unsplash URL formats
+ * @param {string} url - The Unsplash URL
+ * @returns {string|null} - The photo ID or null if not found
+ */
+function extractPhotoId(url) {
+  if (!url || !url.includes("unsplash.com")) return null;
+
+  // Clean the URL by removing any trailing punctuation
+  const cleanUrl = url.replace(/["'.,;:!?]+$/, "");
+
+  // Handle plus.unsplash.com URLs: https://plus.unsplash.com/premium_photo-1679355751483-edb1fa0d8336
+  const plusUrlMatch = cleanUrl.match(
+    /https:\/\/plus\.unsplash\.com\/premium_photo-([a-zA-Z0-9_-]+)(?:[\?#]|$)/
+  );
+  if (plusUrlMatch) {
+    return plusUrlMatch[1];
+  }
+
+  // Handle plus.unsplash.com with direct image IDs: https://plus.unsplash.com/{id}
+  const plusSimpleMatch = cleanUrl.match(
+    /https:\/\/plus\.unsplash\.com\/([a-zA-Z0-9_-]{11})(?:[\?#]|$)/
+  );
+  if (plusSimpleMatch) {
+    return plusSimpleMatch[1];
+  }
+
+  // Handle page URLs: https://unsplash.com/photos/{slug}-{id}
+  const pageUrlMatch = cleanUrl.match(
+    /https:\/\/unsplash\.com\/photos\/.*-([a-zA-Z0-9_-]{11})(?:[\?#]|$)/
+  );
+  if (pageUrlMatch) {
+    return pageUrlMatch[1];
+  }
+
+  // Handle simple page URLs: https://unsplash.com/photos/{id}
+  const simplePageMatch = cleanUrl.match(
+    /https:\/\/unsplash\.com\/photos\/([a-zA-Z0-9_-]{11})(?:[\?#]|$)/
+  );
+  if (simplePageMatch) {
+    return simplePageMatch[1];
+  }
+
+  // Handle download URLs: https://unsplash.com/photos/{id}/download
+  const downloadUrlMatch = cleanUrl.match(
+    /https:\/\/unsplash\.com\/photos\/([a-zA-Z0-9_-]{11})\/download(?:[\?#]|$)/
+  );
+  if (downloadUrlMatch) {
+    return downloadUrlMatch[1];
+  }
+
+  // Handle URLs where the ID is at the end of the path (without slug)
+  const endMatch = cleanUrl.match(
+    /https:\/\/unsplash\.com\/photos\/[^/]*([a-zA-Z0-9_-]{11})$/
+  );
+  if (endMatch) {
+    return endMatch[1];
+  }
+
+  return null;
+}
+
+/**
+ * Extract the image file name from an Unsplash CDN URL
+ * @param {string} url - e.g. https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800
+ * @returns {string|null} - e.g. "photo-1506905925346-21bda4d32df4", or null
+ *   if it isn't a CDN image URL. The API can't look a photo up by this name.
+ */
+function extractCdnImageId(url) {
+  const match = (url || "").match(
+    /^https:\/\/(?:images|plus)\.unsplash\.com\/((?:premium_)?photo-[a-zA-Z0-9_-]+)(?:[?#]|$)/
+  );
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  extractPhotoId,
+  extractCdnImageId,
+};
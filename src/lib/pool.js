@@ -0,0 +1,58 @@
+/**
+ * Worker Pool
+ *
+ * Runs an async function over a list of items with a bounded number of calls
+ * in flight. Each worker picks up the next item as soon as its current one
+ * finishes, so one slow item only holds up its own worker rather than a whole
+ * batch. API calls made by the workers still go through the client's rate
+ * limiter, which spaces them out and pauses when the budget runs low.
+ */
+
+/**
+ * Run a function over items, at most `concurrency` at a time
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {object} [options={}] - Options
+ * @param {number} [options.concurrency=1] - Maximum calls in flight
+ * @param {Function} [options.onStart] - Called with (item, index) when a
+ *   worker picks an item up
+ * @param {Function} [options.onSettled] - Called with (item, index, result,
+ *   error) when an item is done
+ * @returns {Promise<Array>} - Results in the order of the items
+ * @throws {Error} - The first error thrown by the worker; no new items are
+ *   started after it, and the ones in flight are waited for
+ */
+async function runPool(items, worker, options = {}) {
+  const { onStart = () => {}, onSettled = () => {} } = options;
+  const concurrency = Math.max(1, Math.floor(options.concurrency || 1));
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function work() {
+    while (next < items.length && !failure) {
+      const index = next++;
+      const item = items[index];
+      onStart(item, index);
+      try {
+        results[index] = await worker(item, index);
+        onSettled(item, index, results[index], null);
+      } catch (error) {
+        failure = failure || error;
+        onSettled(item, index, undefined, error);
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, work);
+  await Promise.all(workers);
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+}
+
+module.exports = {
+  runPool,
+};
@@ -0,0 +1,201 @@
+/**
+ * Download Progress
+ *
+ * Live progress for parallel downloads. On a terminal, a block of lines is
+ * redrawn in place: the overall progress with throughput and ETA, then one
+ * line per file in flight with the bytes received so far (and the size from
+ * its content-length, when the server sends one). When stdout is not a
+ * terminal (CI logs, pipes), a plain summary line is printed every few
+ * seconds instead, as carriage returns and cursor movement would only
+ * clutter the log.
+ */
+
+const { formatDuration, formatFileSize } = require("./format.js");
+
+const BAR_WIDTH = 20;
+
+function bar(fraction, width = BAR_WIDTH) {
+  const filled = Math.max(0, Math.min(width, Math.floor(fraction * width)));
+  return "█".repeat(filled) + "░".repeat(width - filled);
+}
+
+class DownloadProgress {
+  /**
+   * @param {object} options - Progress options
+   * @param {number} options.total - Number of files to process
+   * @param {NodeJS.WritableStream} [options.stream=process.stdout] - Where to draw
+   * @param {boolean} [options.tty=stream.isTTY] - Redraw in place; otherwise
+   *   print a line every `interval`
+   * @param {boolean} [options.quiet=false] - Draw nothing at all
+   * @param {number} [options.interval] - Milliseconds between redraws (100 on
+   *   a terminal) or log lines (5000 otherwise)
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ total, stream = process.stdout, tty = !!stream.isTTY, quiet = false, interval, now = Date.now }) {
+    this.total = total;
+    this.stream = stream;
+    this.tty = tty;
+    this.quiet = quiet;
+    this.interval = interval ?? (tty ? 100 : 5000);
+    this.now = now;
+
+    this.startedAt = now();
+    this.completed = 0;
+    this.skipped = 0;
+    this.failed = 0;
+    this.bytes = 0; // Received by finished and in-flight downloads
+    this.active = new Map(); // id -> { name, received, size }
+    this.drawnLines = 0;
+    this.lastDraw = 0;
+    this.timer = null;
+  }
+
+  /**
+   * A download started (again, on a retry)
+   * @param {string} id - Key of the download, e.g. the photo ID
+   * @param {string} name - Shown on its line, e.g. the file name
+   */
+  start(id, name) {
+    const previous = this.active.get(id);
+    if (previous) {
+      this.bytes -= previous.received;
+    }
+    this.active.set(id, { name, received: 0, size: null });
+    this.startTimer();
+    this.draw();
+  }
+
+  /**
+   * Bytes arrived for a download
+   * @param {string} id - Key of the download
+   * @param {number} received - Bytes received so far
+   * @param {number|null} size - Expected size from content-length, if known
+   */
+  update(id, received, size = null) {
+    const file = this.active.get(id);
+    if (!file) return;
+    this.bytes += received - file.received;
+    file.received = received;
+    file.size = size;
+    this.draw();
+  }
+
+  /**
+   * A file is done
+   * @param {string} id - Key of the download
+   * @param {string} status - "downloaded", "skipped" or "failed"
+   */
+  finish(id, status) {
+    this.active.delete(id);
+    this.completed++;
+    if (status === "skipped") this.skipped++;
+    if (status === "failed") this.failed++;
+    this.draw();
+  }
+
+  /**
+   * Print a warning without breaking the block drawn on a terminal: the block
+   * is cleared, the warning printed above it, and the block drawn again
+   * @param {string} message - The warning
+   */
+  warn(message) {
+    if (this.tty && !this.quiet && this.drawnLines > 0) {
+      this.stream.write(`\x1b[${this.drawnLines}A\r\x1b[0J`);
+      this.drawnLines = 0;
+      console.warn(message);
+      this.draw(true);
+    } else {
+      console.warn(message);
+    }
+  }
+
+  /**
+   * Draw the final state and stop the periodic output
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.draw(true);
+  }
+
+  /**
+   * Aggregate throughput and the estimated time left
+   * @returns {object} - Object with bytesPerSecond and eta (ms, null until
+   *   there is enough to go on)
+   */
+  getRate() {
+    const elapsed = Math.max(this.now() - this.startedAt, 1);
+    const bytesPerSecond = (this.bytes / elapsed) * 1000;
+
+    // Skipped files finish instantly, so only downloads set the pace; files
+    // in flight count with the share of their bytes received
+    let partial = 0;
+    for (const file of this.active.values()) {
+      if (file.size) partial += Math.min(file.received / file.size, 1);
+    }
+    const done = this.completed - this.skipped + partial;
+    const remaining = this.total - this.completed - partial;
+    const eta = done > 0 ? (elapsed / done) * remaining : null;
+
+    return { bytesPerSecond, eta };
+  }
+
+  draw(force = false) {
+    if (this.quiet) return;
+    const now = this.now();
+    if (!force && now - this.lastDraw < this.interval) return;
+    this.lastDraw = now;
+
+    if (this.tty) {
+      this.redraw();
+    } else {
+      this.stream.write(`📥 ${this.describe()}\n`);
+    }
+  }
+
+  describe() {
+    const { bytesPerSecond, eta } = this.getRate();
+    const percentage = this.total > 0 ? ((this.completed / this.total) * 100).toFixed(1) : "100.0";
+    const parts = [
+      `${this.completed}/${this.total} files (${percentage}%)`,
+      formatFileSize(this.bytes),
+      `${formatFileSize(Math.round(bytesPerSecond))}/s`,
+    ];
+    if (this.completed < this.total && eta !== null) {
+      parts.push(`ETA ${formatDuration(eta)}`);
+    }
+    if (this.failed > 0) {
+      parts.push(`${this.failed} failed`);
+    }
+    return parts.join(", ");
+  }
+
+  redraw() {
+    const fraction = this.total > 0 ? this.completed / this.total : 1;
+    const lines = [`📥 [${bar(fraction, 40)}] ${this.describe()}`];
+
+    for (const file of this.active.values()) {
+      const size = file.size
+        ? `${formatFileSize(file.received)} / ${formatFileSize(file.size)}`
+        : formatFileSize(file.received);
+      const progress = file.size ? bar(file.received / file.size) : " ".repeat(BAR_WIDTH);
+      lines.push(`   ${file.name.padEnd(24).slice(0, 24)} ${progress} ${size}`);
+    }
+
+    // Move back to the top of the previous block and clear it
+    const up = this.drawnLines > 0 ? `\x1b[${this.drawnLines}A` : "";
+    this.stream.write(`${up}\r\x1b[0J${lines.join("\n")}\n`);
+    this.drawnLines = lines.length;
+  }
+
+  startTimer() {
+    // Keeps the rate and ETA moving while no bytes arrive
+    if (this.timer || this.quiet) return;
+    this.timer = setInterval(() => this.draw(), this.interval);
+    this.timer.unref();
+  }
+}
+
+module.exports = {
+  DownloadProgress,
+};
@@ -0,0 +1,202 @@
+/**
+ * Rate Limiter
+ *
+ * Schedules Unsplash API requests against the budget reported in the
+ * X-Ratelimit-Limit / X-Ratelimit-Remaining response headers. Requests are
+ * spaced by a minimum interval, and once the remaining budget drops to the
+ * reserve the limiter holds further requests until the window resets.
+ *
+ * Unsplash does not send a reset header, so the reset time is estimated from
+ * the start of the current window (the first response seen in it) plus the
+ * window length, which is one hour for the public API.
+ */
+
+const EventEmitter = require("events");
+
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+class RateLimitError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} resetIn - Milliseconds until the budget resets
+   */
+  constructor(message, resetIn) {
+    super(message);
+    this.name = "RateLimitError";
+    this.resetIn = resetIn;
+  }
+}
+
+class RateLimiter extends EventEmitter {
+  /**
+   * Create a new rate limiter
+   * @param {object} [options] - Limiter options
+   * @param {number} [options.minInterval=100] - Minimum milliseconds between requests
+   * @param {number} [options.reserve=0] - Requests to hold back; pause when remaining reaches this
+   * @param {number} [options.windowMs=3600000] - Length of the rate limit window
+   * @param {number} [options.maxWait=Infinity] - Longest pause allowed before failing with RateLimitError
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   * @param {Function} [options.sleep] - Delay function (ms) => Promise, injectable for tests
+   */
+  constructor(options = {}) {
+    super();
+    this.minInterval = options.minInterval ?? 100;
+    this.reserve = options.reserve ?? 0;
+    this.windowMs = options.windowMs ?? DEFAULT_WINDOW_MS;
+    this.maxWait = options.maxWait ?? Infinity;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || sleep;
+
+    this.limit = null;
+    this.remaining = null;
+    this.reported = null;
+    this.windowStart = null;
+    this.resetAt = null;
+    this.lastRequestAt = 0;
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Record the budget reported by an API response
+   * @param {object|Headers} headers - Response headers (plain object or Headers)
+   */
+  update(headers) {
+    if (!headers) return;
+
+    const get = (name) =>
+      typeof headers.get === "function" ? headers.get(name) : headers[name];
+    const limit = parseInt(get("x-ratelimit-limit"), 10);
+    const remaining = parseInt(get("x-ratelimit-remaining"), 10);
+
+    if (Number.isNaN(limit) || Number.isNaN(remaining)) return;
+
+    const now = this.now();
+    const budgetRestored = this.reported !== null && remaining > this.reported;
+
+    if (this.windowStart === null || budgetRestored || now >= this.getResetAt()) {
+      // First response of a new window; assume it opened with this request
+      this.windowStart = now;
+    }
+
+    this.limit = limit;
+    this.remaining = remaining;
+    this.reported = remaining;
+
+    const reset = parseInt(get("x-ratelimit-reset"), 10);
+    this.resetAt = Number.isNaN(reset) ? null : reset * 1000;
+  }
+
+  /**
+   * Record that the API rejected a request for exceeding the rate limit
+   */
+  markExhausted() {
+    if (this.windowStart === null) {
+      this.windowStart = this.now();
+    }
+    this.remaining = 0;
+    this.reported = 0;
+  }
+
+  /**
+   * Estimated time the current window resets
+   * @returns {number|null} - Epoch milliseconds, or null if no window is known
+   */
+  getResetAt() {
+    if (this.resetAt) return this.resetAt;
+    if (this.windowStart === null) return null;
+    return this.windowStart + this.windowMs;
+  }
+
+  /**
+   * Milliseconds until the budget resets
+   * @returns {number} - 0 if unknown or already reset
+   */
+  msUntilReset() {
+    const resetAt = this.getResetAt();
+    return resetAt === null ? 0 : Math.max(0, resetAt - this.now());
+  }
+
+  /**
+   * Get the current budget
+   * @returns {object} - Object with limit, remaining, resetAt, msUntilReset and exhausted
+   */
+  getStatus() {
+    return {
+      limit: this.limit,
+      remaining: this.remaining,
+      resetAt: this.getResetAt(),
+      msUntilReset: this.msUntilReset(),
+      exhausted: this.remaining !== null && this.remaining <= this.reserve,
+    };
+  }
+
+  /**
+   * Wait for permission to send the next request. Calls are granted one at a
+   * time, in the order they were made.
+   * @returns {Promise<void>} - Resolves when the request may be sent
+   */
+  acquire() {
+    const turn = this.tail.then(() => this.waitForTurn());
+    // Keep the queue moving even if one caller is rejected
+    this.tail = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Run a function once the limiter grants a slot
+   * @param {Function} fn - Async function performing the request
+   * @returns {Promise<*>} - The function's result
+   */
+  async schedule(fn) {
+    await this.acquire();
+    return fn();
+  }
+
+  async waitForTurn() {
+    if (this.remaining !== null && this.remaining <= this.reserve) {
+      const resetIn = this.msUntilReset();
+
+      if (resetIn > 0) {
+        if (resetIn > this.maxWait) {
+          throw new RateLimitError(
+            `Rate limit budget exhausted (${this.remaining}/${this.limit} remaining)`,
+            resetIn
+          );
+        }
+        this.emit("wait", {
+          ms: resetIn,
+          reason: "budget",
+          status: this.getStatus(),
+        });
+        await this.sleep(resetIn);
+      }
+
+      // The window has passed; the next response will report the real budget
+      this.remaining = null;
+      this.reported = null;
+      this.windowStart = null;
+      this.resetAt = null;
+      this.emit("reset", this.getStatus());
+    }
+
+    const gap = this.lastRequestAt + this.minInterval - this.now();
+    if (gap > 0) {
+      await this.sleep(gap);
+    }
+
+    this.lastRequestAt = this.now();
+    if (this.remaining !== null) {
+      // Count the request against the budget until its response arrives
+      this.remaining--;
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  RateLimiter,
+  RateLimitError,
+};
@@ -0,0 +1,101 @@
+/**
+ * Photo Reference Index
+ *
+ * Reverse index from photo ID to the content files that use it, written by
+ * build-cache next to the manifest (unsplash-manifest.references.json) and
+ * read by `unsplash where`. Each reference keeps the file (relative to the
+ * content directory), line, frontmatter key and the URL as written.
+ */
+
+const path = require("path");
+const { readJsonFile, writeJsonAtomic } = require("./json-file.js");
+const { extractPhotoId, extractCdnImageId } = require("./photo-id.js");
+
+const REFERENCE_INDEX_VERSION = 1;
+
+/**
+ * Path of the reference index that belongs to a manifest
+ * @param {string} manifestPath - Path of the manifest
+ * @returns {string} - e.g. public/unsplash-manifest.references.json
+ */
+function getReferenceIndexPath(manifestPath) {
+  return manifestPath.replace(/(\.json)?$/, ".references.json");
+}
+
+/**
+ * Build the reference index from a scan
+ * @param {object} scan - Result of scanContent
+ * @param {string} indexPath - Where the index will be written; the content
+ *   directory is stored relative to it
+ * @returns {object} - The index
+ */
+function buildReferenceIndex(scan, indexPath) {
+  const photos = {};
+
+  for (const photoId of Object.keys(scan.photos).sort()) {
+    photos[photoId] = scan.photos[photoId].references.map(({ file, line, source, key, url, fetchable }) => ({
+      file,
+      line,
+      source,
+      ...(key ? { key } : {}),
+      url,
+      ...(fetchable === false ? { fetchable } : {}),
+    }));
+  }
+
+  return {
+    version: REFERENCE_INDEX_VERSION,
+    generated_at: new Date().toISOString(),
+    content_dir: toPosix(path.relative(path.dirname(path.resolve(indexPath)), scan.root)) || ".",
+    files_scanned: scan.files.length,
+    photos,
+  };
+}
+
+/**
+ * Write the reference index atomically
+ * @param {string} indexPath - Path of the index file
+ * @param {object} index - Index from buildReferenceIndex
+ * @returns {Promise<void>}
+ */
+async function writeReferenceIndex(indexPath, index) {
+  await writeJsonAtomic(indexPath, index);
+}
+
+/**
+ * Read a reference index
+ * @param {string} indexPath - Path of the index file
+ * @returns {Promise<object|null>} - The index, or null if there is none (or
+ *   it was written by an incompatible version)
+ */
+async function readReferenceIndex(indexPath) {
+  const index = await readJsonFile(indexPath);
+  if (!index || index.version !== REFERENCE_INDEX_VERSION) {
+    return null;
+  }
+  return index;
+}
+
+/**
+ * Look up where a photo is used
+ * @param {object} index - Reference index
+ * @param {string} photoIdOrUrl - A photo ID or any Unsplash URL for it, or
+ *   a CDN image URL (looked up by its file name)
+ * @returns {object} - Object with photoId and references (empty when unused)
+ */
+function findPhotoReferences(index, photoIdOrUrl) {
+  const photoId = extractCdnImageId(photoIdOrUrl) || extractPhotoId(photoIdOrUrl) || photoIdOrUrl.trim();
+  return { photoId, references: index.photos[photoId] || [] };
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+module.exports = {
+  getReferenceIndexPath,
+  buildReferenceIndex,
+  writeReferenceIndex,
+  readReferenceIndex,
+  findPhotoReferences,
+};
@@ -0,0 +1,80 @@
+/**
+ * Renditions
+ *
+ * Several sizes and formats of each photo for responsive images. The
+ * `renditions` config lists widths and formats; every combination becomes
+ * one file, fetched from Unsplash's imgix CDN with the matching URL
+ * parameters and saved as `<photo-id>-<width>w.<format>`.
+ */
+
+const IMAGE_FORMATS = ["jpg", "png", "webp", "avif"];
+
+// Query parameters that decide the size and encoding of an imgix image
+const SIZING_PARAMS = ["w", "h", "fm", "q", "auto", "fit", "crop", "dpr"];
+
+/**
+ * Expand a renditions config into the files to create
+ * @param {object} [renditions] - Object with widths, formats and quality
+ * @returns {object[]} - One object with width, format and quality per file,
+ *   by format (in config order) and then width; empty when no widths are set
+ */
+function expandRenditions(renditions) {
+  if (!renditions || !renditions.widths || renditions.widths.length === 0) {
+    return [];
+  }
+  const { formats = ["jpg"], quality = 80 } = renditions;
+  const widths = [...new Set(renditions.widths)].sort((a, b) => a - b);
+
+  return [...new Set(formats)].flatMap((format) => widths.map((width) => ({ width, format, quality })));
+}
+
+/**
+ * Build the imgix URL of a rendition
+ * @param {string} baseUrl - An images.unsplash.com URL of the photo, ideally
+ *   urls.raw; its own sizing parameters are replaced, others (ixid) kept
+ * @param {object} rendition - Object with width, format and quality
+ * @returns {string} - The URL
+ */
+function getRenditionUrl(baseUrl, { width, format, quality }) {
+  const url = new URL(baseUrl);
+  for (const param of SIZING_PARAMS) {
+    url.searchParams.delete(param);
+  }
+  url.searchParams.set("w", String(width));
+  url.searchParams.set("fm", format);
+  url.searchParams.set("q", String(quality));
+  url.searchParams.set("fit", "max"); // Never upscale past the original
+  return url.toString();
+}
+
+/**
+ * File name of a rendition
+ * @param {string} baseName - Name the renditions share, e.g. the sanitized photo ID
+ * @param {object} rendition - Object with width and format
+ * @returns {string} - e.g. "abc123xyz45-640w.webp"
+ */
+function getRenditionFilename(baseName, { width, format }) {
+  return `${baseName}-${width}w.${format}`;
+}
+
+/**
+ * Take a rendition file name apart
+ * @param {string} filename - e.g. "abc123xyz45-640w.webp"
+ * @returns {object|null} - Object with baseName, width and format, or null
+ *   if it isn't named like a rendition
+ */
+function parseRenditionFilename(filename) {
+  const match = /^(.+)-(\d+)w\.([a-z]+)$/.exec(filename);
+  if (!match || !IMAGE_FORMATS.includes(match[3])) {
+    return null;
+  }
+  return { baseName: match[1], width: Number(match[2]), format: match[3] };
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  expandRenditions,
+  getRenditionUrl,
+  getRenditionFilename,
+  parseRenditionFilename,
+};
@@ -0,0 +1,126 @@
+/**
+ * CLI Reporter
+ *
+ * Machine readable output for the CLIs' --json mode. Each line written to
+ * stdout is one JSON object (NDJSON): per-item events while the command runs,
+ * then a final "summary" event. Until the summary, all other stdout output
+ * (emoji logs, progress bars) is suppressed in JSON mode; warnings and errors
+ * still go to stderr.
+ *
+ * Exit codes are shared by all CLIs, in both modes:
+ *   0 - everything succeeded (or there was nothing to do)
+ *   1 - total failure: nothing succeeded, or the command could not run
+ *   2 - partial failure: some items succeeded and some failed
+ */
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  partialFailure: 2,
+};
+
+/**
+ * Work out the exit code for a run
+ * @param {object} counts - Item counts
+ * @param {number} counts.succeeded - Items that succeeded (including skipped ones)
+ * @param {number} counts.failed - Items that failed
+ * @returns {number} - One of EXIT_CODES
+ */
+function getExitCode({ succeeded, failed }) {
+  if (failed === 0) return EXIT_CODES.success;
+  if (succeeded === 0) return EXIT_CODES.failure;
+  return EXIT_CODES.partialFailure;
+}
+
+class Reporter {
+  /**
+   * @param {object} options - Reporter options
+   * @param {string} options.command - Command name included in every event
+   * @param {boolean} [options.json=false] - Emit NDJSON instead of human output
+   * @param {NodeJS.WritableStream} [options.stream=process.stdout] - Where events go
+   * @param {Function} [options.now=Date.now] - Clock, used for durations
+   */
+  constructor({ command, json = false, stream = process.stdout, now = Date.now }) {
+    this.command = command;
+    this.json = json;
+    this.now = now;
+    this.startedAt = now();
+
+    if (json) {
+      // Keep a handle on the real stream before silencing everything else
+      const write = stream.write.bind(stream);
+      this.write = (line) => write(`${line}\n`);
+      if (stream === process.stdout) {
+        this.restoreStdout = silenceStdout();
+      }
+    }
+  }
+
+  /**
+   * Emit one event (JSON mode only)
+   * @param {string} type - Event type, e.g. "photo" or "download"
+   * @param {object} [data={}] - Event fields
+   */
+  event(type, data = {}) {
+    if (!this.json) return;
+    this.write(JSON.stringify({ event: type, command: this.command, ...data }));
+  }
+
+  /**
+   * Emit the final summary, restore stdout and work out the exit code
+   * @param {object} counts - Object with succeeded and failed counts
+   * @param {object} [data={}] - Extra summary fields (totals, paths, ...)
+   * @returns {number} - The exit code for the run
+   */
+  summary(counts, data = {}) {
+    const exitCode = getExitCode(counts);
+    this.event("summary", {
+      ok: exitCode === EXIT_CODES.success,
+      exit_code: exitCode,
+      succeeded: counts.succeeded,
+      failed: counts.failed,
+      ...data,
+      duration_ms: this.now() - this.startedAt,
+    });
+    this.close();
+    return exitCode;
+  }
+
+  /**
+   * Give stdout back to console.log and friends. Called by summary(); call it
+   * yourself when a run ends without one. Safe to call more than once.
+   */
+  close() {
+    if (this.restoreStdout) {
+      this.restoreStdout();
+      this.restoreStdout = null;
+    }
+  }
+}
+
+/**
+ * Send console.log, console.info and direct stdout writes nowhere: everything
+ * but the reporter's own writes for --json, and the scripts' progress for
+ * --quiet
+ * @returns {Function} - Puts the original functions back
+ */
+function silenceStdout() {
+  const { log, info } = console;
+  const { write } = process.stdout;
+  console.log = () => {};
+  console.info = () => {};
+  process.stdout.write = () => true;
+
+  return () => {
+    console.log = log;
+    console.info = info;
+    process.stdout.write = write;
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  getExitCode,
+  Reporter,
+  silenceStdout,
+};
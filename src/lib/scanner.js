@@ -0,0 +1,366 @@
+/**
+ * Content Scanner
+ *
+ * Finds Unsplash photo references in a project's content: Markdown/MDX
+ * posts, HTML and Astro pages, JSON and YAML data files, and JS/TS sources.
+ *
+ * Files are picked with include/exclude globs (see glob.js) and read by the
+ * extractor registered for their extension. An extractor turns the file's
+ * text into references ({ url, line, source, key }), and gets a context with
+ * the file name, the frontmatter keys to read and a warn() callback. The
+ * scanner adds the photo ID and file, and groups the references by photo.
+ *
+ * Extractors can be replaced or added through the `extractors` option:
+ *
+ *   scanContent("content", {
+ *     extractors: {
+ *       csv: { extensions: ["csv"], extract: (text) => findUnsplashUrls(text) },
+ *     },
+ *   });
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { matchesGlob } = require("./glob.js");
+const { extractPhotoId, extractCdnImageId } = require("./photo-id.js");
+const { parseFrontmatter, getKeyPathValues } = require("./frontmatter.js");
+
+const DEFAULT_SCAN_INCLUDE = [
+  "**/*.{md,mdx,markdown,html,htm,astro,json,yaml,yml,js,jsx,mjs,cjs,ts,tsx}",
+];
+
+const DEFAULT_SCAN_EXCLUDE = [
+  "**/node_modules/**",
+  "**/.git/**",
+  "**/.next/**",
+  "**/.cache/**",
+  "**/unsplash-manifest.json",
+  "**/*.checkpoint.json",
+  "**/*.references.json",
+  "**/local-manifest.json",
+];
+
+// Frontmatter keys read by the Markdown extractor. Arrays are walked, so
+// "gallery" covers a list of URLs and "gallery.src" a list of objects.
+const DEFAULT_FRONTMATTER_KEYS = [
+  "image_url",
+  "image",
+  "cover",
+  "cover.image",
+  "cover_image",
+  "hero",
+  "hero.image",
+  "hero_image",
+  "og_image",
+  "og.image",
+  "thumbnail",
+  "gallery",
+  "gallery.src",
+  "gallery.url",
+  "images",
+];
+
+// Page URLs, and image URLs on the CDN and Unsplash+. Stops at whitespace,
+// quotes, brackets and backslashes so surrounding syntax isn't captured.
+const UNSPLASH_URL_PATTERN =
+  /https:\/\/(?:unsplash\.com\/photos\/|images\.unsplash\.com\/(?:premium_)?photo-|plus\.unsplash\.com\/)[^\s"'`<>()[\]{}\\|^]+/g;
+
+/**
+ * Find the Unsplash URLs in a piece of text
+ * @param {string} text - Text to search
+ * @param {object} [options] - Search options
+ * @param {number} [options.firstLine=1] - Line number of the text's first line
+ * @param {string} [options.source="body"] - Where in the file the text came from
+ * @returns {object[]} - References with url, line and source
+ */
+function findUnsplashUrls(text, { firstLine = 1, source = "body" } = {}) {
+  const references = [];
+  let line = firstLine;
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(UNSPLASH_URL_PATTERN)) {
+    line += countNewlines(text, lastIndex, match.index);
+    lastIndex = match.index;
+
+    // Clean up any trailing punctuation that might have been captured
+    const url = match[0].replace(/[.,;:!?*_~]+$/, "");
+    references.push({ url, line, source });
+  }
+
+  return references;
+}
+
+// Markdown and MDX: the configured frontmatter keys, then the body
+const markdownExtractor = {
+  extensions: ["md", "mdx", "markdown"],
+  extract(text, context = {}) {
+    let frontmatter;
+    try {
+      frontmatter = parseFrontmatter(text);
+    } catch (error) {
+      context.warn?.(`Could not parse frontmatter: ${error.message}`);
+      return findUnsplashUrls(decodeHtmlEntities(text));
+    }
+    if (!frontmatter) {
+      return findUnsplashUrls(decodeHtmlEntities(text));
+    }
+
+    const keys = context.frontmatterKeys || DEFAULT_FRONTMATTER_KEYS;
+    const references = findFrontmatterUrls(frontmatter, keys);
+
+    return references.concat(
+      findUnsplashUrls(decodeHtmlEntities(text.slice(frontmatter.length)), { firstLine: frontmatter.bodyLine })
+    );
+  },
+};
+
+/**
+ * Find the Unsplash URLs under the given frontmatter keys
+ * @param {object} frontmatter - Parsed frontmatter (see parseFrontmatter)
+ * @param {string[]} keys - Key paths to read, e.g. ["image_url", "cover.image"]
+ * @returns {object[]} - References with url, line, source and key
+ */
+function findFrontmatterUrls(frontmatter, keys) {
+  const lines = frontmatter.raw.split(/\r?\n/);
+  const references = [];
+  const seen = new Set();
+
+  for (const key of keys) {
+    for (const value of getKeyPathValues(frontmatter.data, key)) {
+      for (const { url } of findUnsplashUrls(decodeHtmlEntities(value))) {
+        // The same URL listed twice under one key is a single reference
+        if (seen.has(`${key}\0${url}`)) continue;
+        seen.add(`${key}\0${url}`);
+
+        // The parsers don't keep positions; the first line mentioning the URL
+        // is close enough (frontmatter content starts on line 2)
+        const index = lines.findIndex((line) => line.includes(url));
+        references.push({ url, line: index === -1 ? 1 : index + 2, source: "frontmatter", key });
+      }
+    }
+  }
+
+  return references;
+}
+
+// HTML, Astro and similar templates: src, srcset, style and script contents
+const htmlExtractor = {
+  extensions: ["html", "htm", "astro"],
+  extract(text) {
+    return findUnsplashUrls(decodeHtmlEntities(text));
+  },
+};
+
+// JSON data files; escaped slashes ("https:\/\/...") are allowed in strings
+const jsonExtractor = {
+  extensions: ["json"],
+  extract(text) {
+    return findUnsplashUrls(text.replace(/\\\//g, "/"), { source: "data" });
+  },
+};
+
+// YAML data files, attributed to the key of the line the URL is on
+const yamlExtractor = {
+  extensions: ["yaml", "yml"],
+  extract(text) {
+    const lines = text.split(/\r?\n/);
+    return findUnsplashUrls(text, { source: "data" }).map((reference) => ({
+      ...reference,
+      key: findYamlKey(lines, reference.line - 1),
+    }));
+  },
+};
+
+// JavaScript and TypeScript sources: string and template literals
+const scriptExtractor = {
+  extensions: ["js", "jsx", "mjs", "cjs", "ts", "tsx"],
+  extract(text) {
+    return findUnsplashUrls(text, { source: "code" });
+  },
+};
+
+const DEFAULT_EXTRACTORS = {
+  markdown: markdownExtractor,
+  html: htmlExtractor,
+  json: jsonExtractor,
+  yaml: yamlExtractor,
+  script: scriptExtractor,
+};
+
+/**
+ * Scan a content directory for Unsplash photo references
+ * @param {string} [contentDir] - Directory to scan (defaults to ./content)
+ * @param {object} [options] - Scan options
+ * @param {string[]} [options.include=DEFAULT_SCAN_INCLUDE] - Globs of files to scan
+ * @param {string[]} [options.exclude=DEFAULT_SCAN_EXCLUDE] - Globs of files and
+ *   directories to skip
+ * @param {string[]} [options.frontmatterKeys=DEFAULT_FRONTMATTER_KEYS] - Key
+ *   paths read from Markdown frontmatter
+ * @param {object} [options.extractors] - Extractors by name, merged over
+ *   DEFAULT_EXTRACTORS; set one to null to disable it
+ * @param {Function} [options.onReference] - Called with each reference as it is found
+ * @returns {Promise<object>} - Object with root, files (relative paths scanned),
+ *   references (each with photoId, url, file, line, source and key), photos
+ *   (references grouped by photo ID, with the first URL seen) and warnings
+ *   (files that could only be partly read, with file and message). CDN image
+ *   URLs are keyed by their file name (e.g. "photo-1506905925346-21bda4d32df4")
+ *   and have fetchable: false, on the reference and the photo, as the API
+ *   only knows photo IDs
+ */
+async function scanContent(contentDir = null, options = {}) {
+  const root = path.resolve(contentDir || path.join(process.cwd(), "content"));
+  const include = options.include || DEFAULT_SCAN_INCLUDE;
+  const exclude = options.exclude || DEFAULT_SCAN_EXCLUDE;
+  const extractorsByExtension = indexExtractors({ ...DEFAULT_EXTRACTORS, ...options.extractors });
+
+  const result = { root, files: [], references: [], photos: {}, warnings: [] };
+
+  async function scanDirectory(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(root, fullPath).split(path.sep).join("/");
+
+      if (entry.isDirectory()) {
+        if (!matchesGlob(`${relativePath}/`, exclude)) {
+          await scanDirectory(fullPath);
+        }
+        continue;
+      }
+
+      if (!entry.isFile() || !matchesGlob(relativePath, include) || matchesGlob(relativePath, exclude)) {
+        continue;
+      }
+
+      const extractor = extractorsByExtension.get(path.extname(entry.name).slice(1).toLowerCase());
+      if (!extractor) continue;
+
+      const text = await fs.readFile(fullPath, "utf-8");
+      result.files.push(relativePath);
+
+      const context = {
+        file: relativePath,
+        path: fullPath,
+        frontmatterKeys: options.frontmatterKeys,
+        warn: (message) => result.warnings.push({ file: relativePath, message }),
+      };
+
+      for (const found of extractor.extract(text, context)) {
+        // CDN image URLs are keyed by their file name, which the API can't
+        // look up: they are recorded but flagged as not fetchable
+        const cdnImageId = extractCdnImageId(found.url);
+        const photoId = cdnImageId || extractPhotoId(found.url);
+        if (!photoId) continue;
+
+        const reference = {
+          photoId,
+          url: found.url,
+          file: relativePath,
+          line: found.line,
+          source: found.source || "body",
+          ...(found.key ? { key: found.key } : {}),
+          ...(cdnImageId ? { fetchable: false } : {}),
+        };
+        result.references.push(reference);
+
+        if (!result.photos[photoId]) {
+          result.photos[photoId] = { url: found.url, references: [], ...(cdnImageId ? { fetchable: false } : {}) };
+        }
+        result.photos[photoId].references.push(reference);
+
+        if (options.onReference) {
+          options.onReference(reference);
+        }
+      }
+    }
+  }
+
+  await scanDirectory(root);
+  return result;
+}
+
+/**
+ * Split the photos of a scan into the ones the API can fetch and the CDN
+ * image URLs it can't
+ * @param {object} scan - Result of scanContent
+ * @returns {object} - Object with urls (the first URL seen of every fetchable
+ *   photo) and unfetchable (id, url and references of every CDN image)
+ */
+function getFetchablePhotos(scan) {
+  const urls = [];
+  const unfetchable = [];
+
+  for (const [id, photo] of Object.entries(scan.photos)) {
+    if (photo.fetchable === false) {
+      unfetchable.push({ id, url: photo.url, references: photo.references });
+    } else {
+      urls.push(photo.url);
+    }
+  }
+
+  return { urls, unfetchable };
+}
+
+function indexExtractors(extractors) {
+  const byExtension = new Map();
+  for (const extractor of Object.values(extractors)) {
+    if (!extractor) continue;
+    for (const extension of extractor.extensions) {
+      byExtension.set(extension.toLowerCase(), extractor);
+    }
+  }
+  return byExtension;
+}
+
+function countNewlines(text, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (text.charCodeAt(i) === 10) count++;
+  }
+  return count;
+}
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&amp;|&#0*38;|&#x0*26;/gi, "&");
+}
+
+/**
+ * Work out the key path a YAML line belongs to from its indentation, e.g.
+ * "cover.image" for a URL under "cover:" / "  image:"
+ * @param {string[]} lines - The YAML lines
+ * @param {number} index - Index of the line holding the URL
+ * @returns {string|null} - Dotted key path, or null at the top level
+ */
+function findYamlKey(lines, index) {
+  const keys = [];
+  let indent = Infinity;
+
+  for (let i = index; i >= 0 && indent > 0; i--) {
+    const match = lines[i].match(/^(\s*)(-\s+)?(?:["']?([\w$-]+)["']?\s*:(?:\s|$))?/);
+    const dashIndent = match[1].length;
+    const keyIndent = dashIndent + (match[2] || "").length;
+
+    if (match[3] && (i === index || keyIndent < indent)) {
+      keys.unshift(match[3]);
+      indent = keyIndent;
+    }
+    // A list item's dash sits left of its keys
+    if (match[2] && dashIndent < indent) {
+      indent = dashIndent;
+    }
+  }
+
+  return keys.length > 0 ? keys.join(".") : null;
+}
+
+module.exports = {
+  DEFAULT_FRONTMATTER_KEYS,
+  DEFAULT_SCAN_INCLUDE,
+  DEFAULT_SCAN_EXCLUDE,
+  DEFAULT_EXTRACTORS,
+  findUnsplashUrls,
+  scanContent,
+  getFetchablePhotos,
+};
@@ -0,0 +1,278 @@
+/**
+ * Trash
+ *
+ * Undo support for unsplash-clean. Instead of being deleted, files are moved
+ * into a timestamped folder under <downloadDir>/.trash, and manifest entries
+ * removed along the way are kept in that folder's trash.json. Restoring a
+ * trash folder moves the files back and merges the entries into the
+ * manifests again.
+ *
+ * trash.json is written as soon as the folder is created and after every
+ * change, so a clean that is interrupted halfway can still be undone.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { readJsonFile, writeJsonAtomic } = require("./json-file.js");
+const { createManifest, readManifest, writeManifest } = require("./manifest.js");
+
+const TRASH_DIR = ".trash";
+const TRASH_INDEX = "trash.json";
+const TRASH_VERSION = 1;
+
+/**
+ * Timestamp used as the name of a trash folder, safe on every file system
+ * @param {Date} [date=new Date()] - When the files were trashed
+ * @returns {string} - e.g. 2024-05-01T09-30-00Z
+ */
+function formatTrashTimestamp(date = new Date()) {
+  return date.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+}
+
+/**
+ * Path of the trash directory for a download directory
+ * @param {string} baseDir - The download directory
+ * @returns {string} - <baseDir>/.trash
+ */
+function getTrashDir(baseDir) {
+  return path.join(baseDir, TRASH_DIR);
+}
+
+class Trash {
+  /**
+   * @param {string} baseDir - Directory the trash belongs to; paths in
+   *   trash.json are stored relative to it
+   * @param {string} timestamp - Name of the trash folder
+   * @param {object} [data] - Previously saved trash.json content
+   */
+  constructor(baseDir, timestamp, data = null) {
+    this.baseDir = baseDir;
+    this.timestamp = timestamp;
+    this.dir = path.join(getTrashDir(baseDir), timestamp);
+    this.data = data || {
+      version: TRASH_VERSION,
+      created_at: new Date().toISOString(),
+      files: [],
+      manifest_entries: [],
+    };
+  }
+
+  /**
+   * Create a new, empty trash folder. A second folder created within the
+   * same second gets a numeric suffix.
+   * @param {string} baseDir - The download directory
+   * @param {Date} [date=new Date()] - Used for the folder name
+   * @returns {Promise<Trash>} - The trash
+   */
+  static async create(baseDir, date = new Date()) {
+    const base = formatTrashTimestamp(date);
+    await fs.mkdir(getTrashDir(baseDir), { recursive: true });
+
+    for (let attempt = 0; ; attempt++) {
+      const timestamp = attempt === 0 ? base : `${base}-${attempt}`;
+      try {
+        await fs.mkdir(path.join(getTrashDir(baseDir), timestamp));
+        const trash = new Trash(baseDir, timestamp);
+        await trash.save();
+        return trash;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+    }
+  }
+
+  /**
+   * Open an existing trash folder
+   * @param {string} baseDir - The download directory
+   * @param {string} timestamp - Folder name, or "latest" for the newest one
+   * @returns {Promise<Trash|null>} - The trash, or null if there is no such folder
+   */
+  static async open(baseDir, timestamp) {
+    if (timestamp === "latest") {
+      const all = await Trash.list(baseDir);
+      if (all.length === 0) return null;
+      timestamp = all[all.length - 1].timestamp;
+    }
+
+    // Only plain folder names, so the argument can't point outside the trash
+    if (!timestamp || timestamp !== path.basename(timestamp)) {
+      return null;
+    }
+
+    const data = await readJsonFile(path.join(getTrashDir(baseDir), timestamp, TRASH_INDEX));
+    if (!data || data.version !== TRASH_VERSION) {
+      return null;
+    }
+    return new Trash(baseDir, timestamp, data);
+  }
+
+  /**
+   * List the trash folders of a download directory, oldest first
+   * @param {string} baseDir - The download directory
+   * @returns {Promise<Trash[]>} - The trash folders
+   */
+  static async list(baseDir) {
+    let items = [];
+    try {
+      items = await fs.readdir(getTrashDir(baseDir), { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    const trashes = [];
+    for (const item of items.filter((entry) => entry.isDirectory())) {
+      const trash = await Trash.open(baseDir, item.name);
+      if (trash) trashes.push(trash);
+    }
+    return trashes.sort((a, b) => a.data.created_at.localeCompare(b.data.created_at));
+  }
+
+  /**
+   * Files held by this trash
+   * @returns {object[]} - Entries with original (relative to baseDir), trashed
+   *   (name inside the folder) and bytes
+   */
+  get files() {
+    return this.data.files;
+  }
+
+  /**
+   * Manifest entries held by this trash
+   * @returns {object[]} - Entries with manifest (path relative to baseDir),
+   *   kind ("build" or "local") and images (photo ID to the removed entry)
+   */
+  get manifestEntries() {
+    return this.data.manifest_entries;
+  }
+
+  /**
+   * Move a file into the trash, and record it in trash.json right away
+   * @param {string} filePath - File to move
+   * @param {number} [bytes=0] - Size of the file, kept for the listing
+   * @returns {Promise<string>} - Path of the file inside the trash
+   */
+  async moveFile(filePath, bytes = 0) {
+    const trashed = path.basename(filePath);
+    const target = path.join(this.dir, trashed);
+
+    await fs.rename(filePath, target);
+    this.data.files.push({ original: this.relative(filePath), trashed, bytes });
+    await this.save();
+    return target;
+  }
+
+  /**
+   * Keep manifest entries that are about to be removed. They are saved before
+   * the manifest is written, so they can't get lost in between.
+   * @param {string} manifestPath - Manifest the entries come from
+   * @param {object} images - Map of photo ID to the entry
+   * @param {string} kind - "build" or "local"
+   * @returns {Promise<object>} - The trash entry, for removeManifestEntries
+   */
+  async addManifestEntries(manifestPath, images, kind) {
+    const entry = { manifest: this.relative(manifestPath), kind, images };
+    this.data.manifest_entries.push(entry);
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Forget manifest entries kept by addManifestEntries, when removing them
+   * from the manifest failed after all
+   * @param {object} entry - The trash entry
+   * @returns {Promise<void>}
+   */
+  async removeManifestEntries(entry) {
+    this.data.manifest_entries = this.data.manifest_entries.filter((item) => item !== entry);
+    await this.save();
+  }
+
+  /**
+   * Write trash.json
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await writeJsonAtomic(path.join(this.dir, TRASH_INDEX), this.data);
+  }
+
+  /**
+   * Put everything back. Files whose original path exists again are left in
+   * the trash; manifest entries are merged without replacing entries the
+   * manifest already has (a manifest that was deleted meanwhile is created
+   * again). The folder is removed once it is empty.
+   * @param {object} [options={}] - Options
+   * @param {Function} [options.onFile] - Called with (entry, status, error)
+   *   for every file; status is restored, exists or failed
+   * @param {Function} [options.onManifestEntries] - Called with (entry,
+   *   status, error) for every manifest; status is restored or failed
+   * @returns {Promise<object>} - Object with restored, skipped and failed counts
+   */
+  async restore({ onFile = () => {}, onManifestEntries = () => {} } = {}) {
+    const results = { restored: 0, skipped: 0, failed: 0 };
+    const remainingFiles = [];
+    const remainingEntries = [];
+
+    for (const entry of this.data.files) {
+      const original = this.absolute(entry.original);
+      try {
+        const exists = await fs.access(original).then(() => true, () => false);
+        if (exists) {
+          results.skipped++;
+          remainingFiles.push(entry);
+          onFile(entry, "exists");
+          continue;
+        }
+
+        await fs.mkdir(path.dirname(original), { recursive: true });
+        await fs.rename(path.join(this.dir, entry.trashed), original);
+        results.restored++;
+        onFile(entry, "restored");
+      } catch (error) {
+        results.failed++;
+        remainingFiles.push(entry);
+        onFile(entry, "failed", error);
+      }
+    }
+
+    for (const entry of this.data.manifest_entries) {
+      const manifestPath = this.absolute(entry.manifest);
+      try {
+        const manifest = (await readManifest(manifestPath, entry.kind)) || createManifest(entry.kind);
+        manifest.images = { ...entry.images, ...manifest.images };
+        await writeManifest(manifestPath, manifest, entry.kind);
+        results.restored += Object.keys(entry.images).length;
+        onManifestEntries(entry, "restored");
+      } catch (error) {
+        results.failed += Object.keys(entry.images).length;
+        remainingEntries.push(entry);
+        onManifestEntries(entry, "failed", error);
+      }
+    }
+
+    this.data.files = remainingFiles;
+    this.data.manifest_entries = remainingEntries;
+
+    if (remainingFiles.length === 0 && remainingEntries.length === 0) {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    } else {
+      await this.save();
+    }
+
+    return results;
+  }
+
+  relative(filePath) {
+    return path.relative(this.baseDir, filePath).split(path.sep).join("/");
+  }
+
+  absolute(relativePath) {
+    return path.resolve(this.baseDir, relativePath);
+  }
+}
+
+module.exports = {
+  TRASH_DIR,
+  Trash,
+  formatTrashTimestamp,
+  getTrashDir,
+};
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for build-cache
+ *
+ * Covers --max-age and --refresh, flagging photos the API no longer has,
+ * refetching invalid manifest entries, skipping CDN image URLs, and fetching
+ * in parallel. The API is a local mock server (UNSPLASH_API_URL).
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const {
+  parseDuration,
+  createManifest,
+  writeManifest,
+  readManifest,
+  readReferenceIndex,
+  getReferenceIndexPath,
+} = require("../lib/index.js");
+const { parseArguments, getRefreshReason } = require("../cli/build-cache.js");
+const { createTestRunner, startMockServer, sendJson, createImageData } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli", "build-cache.js");
+const DAY = 24 * 60 * 60 * 1000;
+
+const runner = createTestRunner("Testing build-cache");
+
+/**
+ * Answer /photos/<id> like the API; IDs in gone get a 404
+ * @returns {Promise<object>} - The mock server, with maxInFlight
+ */
+async function startMockApi({ gone = [], delay = 0 } = {}) {
+  let inFlight = 0;
+  const server = await startMockServer((req, res) => {
+    const [, id, download] = req.url.match(/^\/photos\/([^/?]+)(\/download)?/) || [];
+    if (download) return sendJson(res, 200, {});
+    if (gone.includes(id)) return sendJson(res, 404, { errors: ["Couldn't find Photo"] });
+
+    inFlight++;
+    server.maxInFlight = Math.max(server.maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      sendJson(res, 200, {
+        id,
+        urls: { regular: `https://images.unsplash.com/photo-1-${id}` },
+        user: { name: "Fresh Name", username: "fresh" },
+        width: 5000,
+        height: 4000,
+      });
+    }, delay);
+  });
+  server.maxInFlight = 0;
+  return server;
+}
+
+async function runBuildCache(args, dir, api) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+      cwd: dir,
+      timeout: 30000,
+      env: { ...process.env, UNSPLASH_ACCESS_KEY: "test-key", UNSPLASH_API_URL: api.url },
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+// A project whose content uses photoIds, with images already in the manifest
+async function withProject(photoIds, images, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-build-cache-"));
+  try {
+    await fs.mkdir(path.join(dir, "content"));
+    await fs.writeFile(
+      path.join(dir, "content", "post.md"),
+      photoIds.map((id) => `![](https://unsplash.com/photos/${id})`).join("\n")
+    );
+    await writeManifest(
+      path.join(dir, "public", "unsplash-manifest.json"),
+      createManifest("build", { images }),
+      "build"
+    );
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("parses durations", async () => {
+  assert.strictEqual(parseDuration("30d"), 30 * DAY);
+  assert.strictEqual(parseDuration("12h"), 12 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration("2w"), 14 * DAY);
+  assert.strictEqual(parseDuration("90"), 90 * 1000);
+  assert.strictEqual(parseDuration("soon"), null);
+  assert.strictEqual(parseDuration("-1d"), null);
+});
+
+runner.test("picks the entries to refresh", async () => {
+  const options = parseArguments([
+    "--max-age=30d",
+    "--refresh",
+    "AAAAAAAAAAA",
+    "https://unsplash.com/photos/BBBBBBBBBBB",
+    "--json",
+  ]);
+  assert.deepStrictEqual(options.refresh, ["AAAAAAAAAAA", "BBBBBBBBBBB"]);
+  assert.strictEqual(options.json, true);
+  assert.deepStrictEqual(parseArguments(["--refresh=AAAAAAAAAAA,CCCCCCCCCCC"]).refresh, [
+    "AAAAAAAAAAA",
+    "CCCCCCCCCCC",
+  ]);
+
+  const now = Date.now();
+  assert.strictEqual(getRefreshReason("AAAAAAAAAAA", { cached_at: now }, options, now), "requested");
+  assert.strictEqual(getRefreshReason("CCCCCCCCCCC", { cached_at: now - 31 * DAY }, options, now), "stale");
+  assert.strictEqual(getRefreshReason("CCCCCCCCCCC", {}, options, now), "stale");
+  assert.strictEqual(getRefreshReason("CCCCCCCCCCC", { cached_at: now - DAY }, options, now), null);
+  assert.strictEqual(getRefreshReason("CCCCCCCCCCC", {}, parseArguments([]), now), null);
+});
+
+runner.test("refreshes stale entries and flags photos that are gone", async () => {
+  const old = Date.now() - 40 * DAY;
+  const cached = {
+    AAAAAAAAAAA: createImageData("AAAAAAAAAAA", { cached_at: old }),
+    BBBBBBBBBBB: createImageData("BBBBBBBBBBB", { cached_at: old }),
+    CCCCCCCCCCC: createImageData("CCCCCCCCCCC", { cached_at: Date.now() }),
+  };
+  const api = await startMockApi({ gone: ["BBBBBBBBBBB"] });
+
+  try {
+    await withProject(Object.keys(cached), cached, async (dir) => {
+      const manifestPath = path.join(dir, "public", "unsplash-manifest.json");
+
+      const first = await runBuildCache(["--max-age=30d"], dir, api);
+      assert.strictEqual(first.code, 2, first.stderr);
+      assert.match(first.stdout, /Photos no longer on Unsplash[\s\S]*BBBBBBBBBBB/);
+
+      const { images, stats } = await readManifest(manifestPath, "build");
+      assert.strictEqual(images.AAAAAAAAAAA.user.name, "Fresh Name");
+      assert.strictEqual(images.BBBBBBBBBBB.user.name, "Test Author");
+      assert.strictEqual(images.BBBBBBBBBBB.unavailable.status, 404);
+      assert.strictEqual(images.CCCCCCCCCCC.user.name, "Test Author");
+      assert.strictEqual(stats.unavailable, 1);
+
+      // Flagged photos stay flagged without failing the run again, and
+      // --refresh refetches fresh entries
+      const second = await runBuildCache(["--refresh", "CCCCCCCCCCC", "--json"], dir, api);
+      assert.strictEqual(second.code, 0, second.stderr);
+      const events = second.stdout.trim().split("\n").map((line) => JSON.parse(line));
+      const statuses = Object.fromEntries(
+        events.filter((event) => event.event === "photo").map((event) => [event.id, event.status])
+      );
+      assert.deepStrictEqual(statuses, {
+        AAAAAAAAAAA: "cached",
+        BBBBBBBBBBB: "unavailable",
+        CCCCCCCCCCC: "refreshed",
+      });
+      assert.strictEqual(events[events.length - 1].unavailable, 1);
+      assert.strictEqual(events[events.length - 1].failed, 0);
+
+      const refreshed = await readManifest(manifestPath, "build");
+      assert.strictEqual(refreshed.images.CCCCCCCCCCC.user.name, "Fresh Name");
+      assert.strictEqual(refreshed.images.BBBBBBBBBBB.unavailable.since, images.BBBBBBBBBBB.unavailable.since);
+
+      // Refreshing a flagged photo that is still gone doesn't fail either
+      const third = await runBuildCache(["--refresh", "BBBBBBBBBBB"], dir, api);
+      assert.strictEqual(third.code, 0, third.stderr);
+    });
+  } finally {
+    await api.close();
+  }
+});
+
+runner.test("refetches only the manifest entries that are invalid", async () => {
+  const now = Date.now();
+  const cached = {
+    AAAAAAAAAAA: createImageData("AAAAAAAAAAA", { cached_at: now }),
+    BBBBBBBBBBB: createImageData("BBBBBBBBBBB", { cached_at: now }),
+  };
+  const api = await startMockApi();
+
+  try {
+    await withProject(Object.keys(cached), cached, async (dir) => {
+      const manifestPath = path.join(dir, "public", "unsplash-manifest.json");
+      const { optimized_url: _optimizedUrl, ...corrupted } = cached.BBBBBBBBBBB;
+      const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+      manifest.images.BBBBBBBBBBB = corrupted;
+      await fs.writeFile(manifestPath, JSON.stringify(manifest));
+
+      const result = await runBuildCache([], dir, api);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stderr, /Refetching BBBBBBBBBBB, its manifest entry is invalid: images\.BBBBBBBBBBB\.optimized_url: is required/);
+      assert.deepStrictEqual(
+        api.requests.filter((request) => !request.url.includes("/download")).map((request) => request.url.split("?")[0]),
+        ["/photos/BBBBBBBBBBB"]
+      );
+
+      const { images } = await readManifest(manifestPath, "build");
+      assert.strictEqual(images.AAAAAAAAAAA.user.name, "Test Author");
+      assert.strictEqual(images.BBBBBBBBBBB.user.name, "Fresh Name");
+    });
+  } finally {
+    await api.close();
+  }
+});
+
+runner.test("skips CDN image URLs but keeps them in the reference index", async () => {
+  const cdnUrl = "https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800";
+  const api = await startMockApi();
+
+  try {
+    await withProject([], {}, async (dir) => {
+      await fs.writeFile(path.join(dir, "content", "post.md"), `![Lake](${cdnUrl})\n`);
+      const manifestPath = path.join(dir, "public", "unsplash-manifest.json");
+
+      const result = await runBuildCache([], dir, api);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stderr, /Skipping https:\/\/images\.unsplash\.com\/photo-1506905925346-21bda4d32df4\?w=800 \(post\.md:1\)/);
+      assert.deepStrictEqual(api.requests, []);
+
+      const { images } = await readManifest(manifestPath, "build");
+      assert.deepStrictEqual(images, {});
+
+      const index = await readReferenceIndex(getReferenceIndexPath(manifestPath));
+      assert.deepStrictEqual(index.photos["photo-1506905925346-21bda4d32df4"], [
+        { file: "post.md", line: 1, source: "body", url: cdnUrl, fetchable: false },
+      ]);
+    });
+  } finally {
+    await api.close();
+  }
+});
+
+runner.test("fetches photos in parallel", async () => {
+  const ids = ["AAAAAAAAAAA", "BBBBBBBBBBB", "CCCCCCCCCCC", "DDDDDDDDDDD", "EEEEEEEEEEE", "FFFFFFFFFFF"];
+  const api = await startMockApi({ delay: 300 });
+
+  try {
+    await withProject(ids, {}, async (dir) => {
+      const result = await runBuildCache(["--concurrency=3"], dir, api);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok(api.maxInFlight > 1 && api.maxInFlight <= 3, `${api.maxInFlight} requests in flight`);
+
+      const { images } = await readManifest(path.join(dir, "public", "unsplash-manifest.json"), "build");
+      assert.deepStrictEqual(Object.keys(images), ids);
+    });
+  } finally {
+    await api.close();
+  }
+});
+
+runner.run();
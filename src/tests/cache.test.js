@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Cache Backends
+ *
+ * Runs the same checks against the memory, file, Redis and Upstash backends.
+ * Redis uses an in-memory fake of the ioredis commands we rely on, plus a real
+ * server when REDIS_URL is set (e.g. REDIS_URL=redis://localhost:6379).
+ * Upstash talks to a local HTTP stand-in for its REST API.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  MemoryCache,
+  FileCache,
+  RedisCache,
+  UpstashCache,
+  createCache,
+  fetchImageData,
+  UnsplashClient,
+} = require("../lib/index.js");
+const { createTestRunner, startMockServer, sendJson } = require("./helpers.js");
+
+/**
+ * Minimal in-memory stand-in for an ioredis client
+ */
+class FakeRedis {
+  constructor(now) {
+    this.now = now;
+    this.store = new Map();
+  }
+
+  live(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, mode, ttl) {
+    const expiresAt = mode === "EX" ? this.now() + ttl * 1000 : null;
+    this.store.set(key, { value, expiresAt });
+    return "OK";
+  }
+
+  async exists(key) {
+    return this.live(key) ? 1 : 0;
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this.live(key)) removed++;
+      this.store.delete(key);
+    }
+    return removed;
+  }
+
+  async scan(cursor, match, pattern) {
+    const prefix = pattern.replace(/\*$/, "");
+    const keys = [...this.store.keys()].filter((key) => key.startsWith(prefix) && this.live(key));
+    return ["0", keys];
+  }
+
+  async quit() {}
+}
+
+/**
+ * Start a local stand-in for the Upstash REST API, backed by FakeRedis
+ * @param {Function} now - Clock
+ * @param {string} token - Expected bearer token
+ */
+function startUpstashStandIn(now, token) {
+  const redis = new FakeRedis(now);
+
+  return startMockServer(async (req, res, body) => {
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return sendJson(res, 401, { error: "Unauthorized" });
+    }
+
+    const [name, ...args] = JSON.parse(body);
+    switch (name) {
+      case "GET":
+        return sendJson(res, 200, { result: await redis.get(args[0]) });
+      case "SET":
+        await redis.set(args[0], args[1], args[2], Number(args[3]));
+        return sendJson(res, 200, { result: "OK" });
+      case "EXISTS":
+        return sendJson(res, 200, { result: await redis.exists(args[0]) });
+      case "DEL":
+        return sendJson(res, 200, { result: await redis.del(...args) });
+      case "SCAN":
+        return sendJson(res, 200, { result: await redis.scan(args[0], args[1], args[2]) });
+      default:
+        return sendJson(res, 400, { error: `ERR unknown command '${name}'` });
+    }
+  });
+}
+
+const runner = createTestRunner("Testing Cache Backends");
+
+/**
+ * Register the shared interface checks for one backend
+ * @param {string} name - Backend label
+ * @param {Function} setup - async (clock) => { cache, cleanup }
+ * @param {object} [capabilities] - { fakeClock: boolean }
+ */
+function describeBackend(name, setup, { fakeClock = true } = {}) {
+  const withCache = (fn) => async () => {
+    const clock = { now: 1_000_000 };
+    const { cache, cleanup } = await setup(() => clock.now);
+    try {
+      await cache.clear();
+      await fn(cache, clock);
+    } finally {
+      await cache.clear();
+      await cleanup();
+    }
+  };
+
+  runner.test(`${name}: get/set round trip`, withCache(async (cache) => {
+    assert.strictEqual(await cache.get("photo:a"), null);
+    await cache.set("photo:a", { id: "a", width: 10 });
+    assert.deepStrictEqual(await cache.get("photo:a"), { id: "a", width: 10 });
+  }));
+
+  runner.test(`${name}: has and delete`, withCache(async (cache) => {
+    await cache.set("photo:a", { id: "a" });
+    assert.strictEqual(await cache.has("photo:a"), true);
+    assert.strictEqual(await cache.delete("photo:a"), true);
+    assert.strictEqual(await cache.has("photo:a"), false);
+    assert.strictEqual(await cache.delete("photo:a"), false);
+  }));
+
+  runner.test(`${name}: clear and stats`, withCache(async (cache) => {
+    await cache.set("photo:a", 1);
+    await cache.set("photo:b", 2);
+    await cache.get("photo:a");
+    await cache.get("photo:missing");
+
+    const stats = await cache.stats();
+    assert.strictEqual(stats.backend, name);
+    assert.strictEqual(stats.size, 2);
+    assert.strictEqual(stats.hits, 1);
+    assert.strictEqual(stats.misses, 1);
+    assert.strictEqual(stats.hit_rate, "50.00%");
+
+    await cache.clear();
+    assert.strictEqual((await cache.stats()).size, 0);
+  }));
+
+  if (fakeClock) {
+    runner.test(`${name}: entries expire after their TTL`, withCache(async (cache, clock) => {
+      await cache.set("photo:short", "x", 60);
+      await cache.set("photo:forever", "y");
+
+      clock.now += 59 * 1000;
+      assert.strictEqual(await cache.get("photo:short"), "x");
+
+      clock.now += 2 * 1000;
+      assert.strictEqual(await cache.get("photo:short"), null);
+      assert.strictEqual(await cache.has("photo:short"), false);
+      assert.strictEqual(await cache.get("photo:forever"), "y");
+    }));
+  }
+}
+
+describeBackend("memory", async (now) => ({
+  cache: new MemoryCache({ now }),
+  cleanup: async () => {},
+}));
+
+describeBackend("file", async (now) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-cache-"));
+  return {
+    cache: new FileCache({ now, filePath: path.join(dir, "cache.json") }),
+    cleanup: () => fs.rm(dir, { recursive: true, force: true }),
+  };
+});
+
+describeBackend("redis", async (now) => ({
+  cache: new RedisCache({ now, client: new FakeRedis(now) }),
+  cleanup: async () => {},
+}));
+
+describeBackend("upstash", async (now) => {
+  const server = await startUpstashStandIn(now, "test-token");
+  return {
+    cache: new UpstashCache({ now, url: server.url, token: "test-token" }),
+    cleanup: () => server.close(),
+  };
+});
+
+if (process.env.REDIS_URL) {
+  describeBackend(
+    "redis",
+    async () => {
+      const cache = new RedisCache({ namespace: `unsplash-test:${process.pid}:` });
+      return { cache, cleanup: () => cache.close() };
+    },
+    { fakeClock: false }
+  );
+}
+
+runner.test("file: entries persist across instances", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-cache-"));
+  try {
+    const filePath = path.join(dir, "cache.json");
+    await new FileCache({ filePath }).set("photo:a", { id: "a" }, 3600);
+    assert.deepStrictEqual(await new FileCache({ filePath }).get("photo:a"), { id: "a" });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test("file: a failed write doesn't stop later ones", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-cache-"));
+  try {
+    const filePath = path.join(dir, "cache.json");
+    const cache = new FileCache({ filePath });
+    await cache.set("photo:a", { id: "a" }, 3600);
+
+    // A directory in the way makes the next write fail
+    await fs.rm(filePath);
+    await fs.mkdir(path.join(filePath, "blocker"), { recursive: true });
+    await assert.rejects(cache.set("photo:b", { id: "b" }, 3600));
+
+    await fs.rm(filePath, { recursive: true });
+    await cache.set("photo:c", { id: "c" }, 3600);
+    assert.deepStrictEqual(await new FileCache({ filePath }).get("photo:c"), { id: "c" });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test("upstash: speaks the REST wire format", async () => {
+  const server = await startUpstashStandIn(Date.now, "test-token");
+  try {
+    const cache = new UpstashCache({ url: server.url, token: "test-token" });
+    await cache.set("photo:a", { id: "a" }, 60);
+    await cache.get("photo:a");
+
+    assert.strictEqual(server.requests[0].method, "POST");
+    assert.strictEqual(server.requests[0].headers.authorization, "Bearer test-token");
+    assert.deepStrictEqual(JSON.parse(server.requests[0].body), [
+      "SET",
+      "unsplash:photo:a",
+      '{"id":"a"}',
+      "EX",
+      "60",
+    ]);
+    assert.deepStrictEqual(JSON.parse(server.requests[1].body), ["GET", "unsplash:photo:a"]);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("upstash: surfaces REST errors", async () => {
+  const server = await startUpstashStandIn(Date.now, "test-token");
+  try {
+    const cache = new UpstashCache({ url: server.url, token: "wrong-token" });
+    await assert.rejects(cache.get("photo:a"), /Upstash GET failed: Unauthorized/);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("createCache picks backends by name", async () => {
+  assert.ok(createCache({ backend: "memory" }) instanceof MemoryCache);
+  assert.ok(createCache({ backend: "file" }) instanceof FileCache);
+  assert.ok(
+    createCache({ backend: "upstash", url: "http://localhost", token: "t" }) instanceof UpstashCache
+  );
+  assert.throws(() => createCache({ backend: "nope" }), /Unknown cache backend/);
+});
+
+runner.test("createCache 'auto' falls back to the given backend", async () => {
+  const { REDIS_URL, UPSTASH_REDIS_REST_URL } = process.env;
+  delete process.env.REDIS_URL;
+  delete process.env.UPSTASH_REDIS_REST_URL;
+  try {
+    assert.ok(createCache() instanceof MemoryCache);
+    assert.ok(createCache({ fallback: "file" }) instanceof FileCache);
+
+    process.env.UPSTASH_REDIS_REST_URL = "http://localhost";
+    assert.ok(createCache({ fallback: "file", token: "t" }) instanceof UpstashCache);
+  } finally {
+    if (REDIS_URL !== undefined) process.env.REDIS_URL = REDIS_URL;
+    if (UPSTASH_REDIS_REST_URL !== undefined) process.env.UPSTASH_REDIS_REST_URL = UPSTASH_REDIS_REST_URL;
+    else delete process.env.UPSTASH_REDIS_REST_URL;
+  }
+});
+
+runner.test("fetchImageData is served from the cache", async () => {
+  const server = await startMockServer((req, res) =>
+    sendJson(res, 200, {
+      id: "abcdefghijk",
+      urls: { regular: "https://images.unsplash.com/photo-1" },
+      user: { name: "Jane Doe", username: "janedoe" },
+      width: 1,
+      height: 1,
+    })
+  );
+  try {
+    const client = new UnsplashClient({ accessKey: "key", baseUrl: server.url, rateLimiter: null });
+    const cache = new MemoryCache();
+
+    const first = await fetchImageData("abcdefghijk", { client, cache });
+    const second = await fetchImageData("abcdefghijk", { client, cache });
+
+    assert.deepStrictEqual(second, first);
+    // One photo request plus one download tracking request, none for the second call
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.run();
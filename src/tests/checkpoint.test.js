@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Build Checkpoints
+ *
+ * Checks that checkpoints survive a reload, and that atomic JSON writes
+ * leave no temporary files behind.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { BuildCheckpoint, readJsonFile, writeJsonAtomic } = require("../lib/index.js");
+const { createTestRunner } = require("./helpers.js");
+
+const runner = createTestRunner("Testing Build Checkpoints");
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-checkpoint-"));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("writes JSON atomically without leftovers", () =>
+  withTempDir(async (dir) => {
+    const filePath = path.join(dir, "nested", "data.json");
+    await writeJsonAtomic(filePath, { a: 1 });
+    await writeJsonAtomic(filePath, { a: 2 });
+
+    assert.deepStrictEqual(await readJsonFile(filePath), { a: 2 });
+    assert.deepStrictEqual(await fs.readdir(path.dirname(filePath)), ["data.json"]);
+  })
+);
+
+runner.test("returns the fallback for missing files", async () => {
+  assert.deepStrictEqual(await readJsonFile("/nonexistent/file.json", {}), {});
+});
+
+runner.test("resumes fetched images and failures after a reload", () =>
+  withTempDir(async (dir) => {
+    const filePath = path.join(dir, "checkpoint.json");
+
+    const first = await BuildCheckpoint.load(filePath);
+    assert.strictEqual(first.resumed, false);
+    first.recordSuccess("aaaaaaaaaaa", { id: "aaaaaaaaaaa" });
+    first.recordFailure("bbbbbbbbbbb", { reason: "HTTP 404: Not Found", status: 404 });
+    await first.save();
+
+    const second = await BuildCheckpoint.load(filePath);
+    assert.strictEqual(second.resumed, true);
+    assert.deepStrictEqual(second.images, { aaaaaaaaaaa: { id: "aaaaaaaaaaa" } });
+    assert.strictEqual(second.getFailure("bbbbbbbbbbb").status, 404);
+
+    second.recordFailure("bbbbbbbbbbb", { reason: "HTTP 404: Not Found", status: 404 });
+    assert.strictEqual(second.getFailure("bbbbbbbbbbb").attempts, 2);
+
+    second.recordSuccess("bbbbbbbbbbb", { id: "bbbbbbbbbbb" });
+    assert.strictEqual(second.getFailure("bbbbbbbbbbb"), null);
+  })
+);
+
+runner.test("ignores a corrupt checkpoint", () =>
+  withTempDir(async (dir) => {
+    const filePath = path.join(dir, "checkpoint.json");
+    await fs.writeFile(filePath, "{ truncated");
+
+    const checkpoint = await BuildCheckpoint.load(filePath);
+    assert.strictEqual(checkpoint.resumed, false);
+  })
+);
+
+runner.run();
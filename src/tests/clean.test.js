@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for unsplash-clean
+ *
+ * Runs `unsplash clean` against a throwaway project where some of the
+ * downloaded images are no longer referenced by the content: orphan
+ * detection, dry runs, and moving files to the trash and back.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { Trash, readManifest } = require("../lib/index.js");
+const { createTestRunner, createImageData } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli", "unsplash.js");
+
+const runner = createTestRunner("Testing unsplash-clean");
+
+async function runCli(args, options = {}) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+      timeout: 30000,
+      ...options,
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+const buildManifestOf = (...photoIds) => ({
+  schema_version: 3,
+  kind: "build",
+  generated_at: "2024-01-01T00:00:00.000Z",
+  images: Object.fromEntries(
+    photoIds.map((photoId) => [photoId, createImageData(photoId)])
+  ),
+});
+
+const localManifestOf = (...photoIds) => ({
+  schema_version: 2,
+  kind: "local",
+  generated_at: "2024-01-01T00:00:00.000Z",
+  images: Object.fromEntries(
+    photoIds.map((photoId) => [photoId, { local_path: `/images/unsplash/${photoId}.jpg` }])
+  ),
+});
+
+/**
+ * Project where AAAAAAAAAAA is still used and BBBBBBBBBBB no longer is
+ */
+async function withProject(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-clean-"));
+  const imagesDir = path.join(dir, "public", "images", "unsplash");
+  try {
+    await fs.mkdir(path.join(dir, "content"), { recursive: true });
+    await fs.mkdir(imagesDir, { recursive: true });
+    await fs.writeFile(path.join(dir, "content", "post.md"), "![Lake](https://unsplash.com/photos/AAAAAAAAAAA)\n");
+    await fs.writeFile(path.join(imagesDir, "AAAAAAAAAAA.jpg"), "used");
+    await fs.writeFile(path.join(imagesDir, "BBBBBBBBBBB.jpg"), "orphaned");
+    await fs.writeFile(path.join(imagesDir, "notes.txt"), "not an image");
+    await fs.writeFile(
+      path.join(dir, "public", "unsplash-manifest.json"),
+      JSON.stringify(buildManifestOf("AAAAAAAAAAA", "BBBBBBBBBBB"))
+    );
+    await fs.writeFile(
+      path.join(imagesDir, "local-manifest.json"),
+      JSON.stringify(localManifestOf("AAAAAAAAAAA", "BBBBBBBBBBB"))
+    );
+    await fn(dir, imagesDir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const readImages = async (file) => Object.keys(JSON.parse(await fs.readFile(file, "utf8")).images);
+
+runner.test("--orphans --dry-run lists orphans without removing them", () =>
+  withProject(async (dir, imagesDir) => {
+    const result = await runCli(["clean", "--orphans", "--dry-run"], { cwd: dir });
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /BBBBBBBBBBB\.jpg \(8 B\)/);
+    assert.doesNotMatch(result.stdout, /AAAAAAAAAAA\.jpg/);
+    assert.match(result.stdout, /This would free 8 B/);
+
+    assert.deepStrictEqual((await fs.readdir(imagesDir)).sort(), [
+      "AAAAAAAAAAA.jpg",
+      "BBBBBBBBBBB.jpg",
+      "local-manifest.json",
+      "notes.txt",
+    ]);
+    assert.deepStrictEqual(await readImages(path.join(dir, "public", "unsplash-manifest.json")), [
+      "AAAAAAAAAAA",
+      "BBBBBBBBBBB",
+    ]);
+  })
+);
+
+runner.test("--orphans removes only unreferenced images and manifest entries", () =>
+  withProject(async (dir, imagesDir) => {
+    const result = await runCli(["clean", "--orphans", "--json"], { cwd: dir });
+    const events = result.stdout.trim().split("\n").map((line) => JSON.parse(line));
+    const summary = events.pop();
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(
+      events.map((event) => [event.event, event.status, event.photo_id || path.basename(event.path)]),
+      [
+        ["file", "removed", "BBBBBBBBBBB.jpg"],
+        ["manifest_entry", "removed", "BBBBBBBBBBB"],
+        ["manifest_entry", "removed", "BBBBBBBBBBB"],
+      ]
+    );
+    assert.strictEqual(summary.removed, 1);
+    assert.strictEqual(summary.bytes_freed, 8);
+    assert.strictEqual(summary.manifest_entries_removed, 2);
+
+    assert.deepStrictEqual((await fs.readdir(imagesDir)).sort(), ["AAAAAAAAAAA.jpg", "local-manifest.json", "notes.txt"]);
+    assert.deepStrictEqual(await readImages(path.join(dir, "public", "unsplash-manifest.json")), ["AAAAAAAAAAA"]);
+    assert.deepStrictEqual(await readImages(path.join(imagesDir, "local-manifest.json")), ["AAAAAAAAAAA"]);
+  })
+);
+
+runner.test("--orphans removes the renditions of unreferenced images only", () =>
+  withProject(async (dir, imagesDir) => {
+    for (const name of ["AAAAAAAAAAA-640w.webp", "AAAAAAAAAAA-1200w.jpg", "BBBBBBBBBBB-640w.webp"]) {
+      await fs.writeFile(path.join(imagesDir, name), "rendition");
+    }
+    const result = await runCli(["clean", "--orphans", "--json"], { cwd: dir });
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual((await fs.readdir(imagesDir)).sort(), [
+      "AAAAAAAAAAA-1200w.jpg",
+      "AAAAAAAAAAA-640w.webp",
+      "AAAAAAAAAAA.jpg",
+      "local-manifest.json",
+      "notes.txt",
+    ]);
+  })
+);
+
+runner.test("--orphans refuses to run when no content is found", () =>
+  withProject(async (dir, imagesDir) => {
+    await fs.rm(path.join(dir, "content"), { recursive: true });
+
+    const result = await runCli(["clean", "--orphans"], { cwd: dir });
+
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /No content files found/);
+    assert.ok((await fs.readdir(imagesDir)).includes("BBBBBBBBBBB.jpg"));
+  })
+);
+
+runner.test("--dry-run prints the full plan without removing anything", () =>
+  withProject(async (dir, imagesDir) => {
+    const result = await runCli(["clean", "--dry-run"], { cwd: dir });
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    for (const name of ["AAAAAAAAAAA.jpg", "BBBBBBBBBBB.jpg", "notes.txt", "local-manifest.json"]) {
+      assert.match(result.stdout, new RegExp(name.replace(".", "\\.")));
+    }
+    assert.match(result.stdout, /Dry run - nothing was removed/);
+    assert.strictEqual((await fs.readdir(imagesDir)).length, 4);
+  })
+);
+
+runner.test("--trash moves files aside and --restore puts them back", () =>
+  withProject(async (dir, imagesDir) => {
+    const trashed = await runCli(["clean", "--orphans", "--trash", "--json"], { cwd: dir });
+    const summary = JSON.parse(trashed.stdout.trim().split("\n").pop());
+
+    assert.strictEqual(trashed.code, 0, trashed.stderr);
+    assert.match(summary.trash, /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z$/);
+    assert.deepStrictEqual((await fs.readdir(path.join(imagesDir, ".trash", summary.trash))).sort(), [
+      "BBBBBBBBBBB.jpg",
+      "trash.json",
+    ]);
+    assert.deepStrictEqual(await readImages(path.join(dir, "public", "unsplash-manifest.json")), ["AAAAAAAAAAA"]);
+
+    const listed = await runCli(["clean", "--restore"], { cwd: dir });
+    assert.match(listed.stdout, new RegExp(`${summary.trash}  1 files \\(8 B\\), 2 manifest entries`));
+
+    const restored = await runCli(["clean", "--restore", summary.trash], { cwd: dir });
+
+    assert.strictEqual(restored.code, 0, restored.stderr);
+    assert.match(restored.stdout, /Restored: 3/);
+    assert.ok((await fs.readdir(imagesDir)).includes("BBBBBBBBBBB.jpg"));
+    assert.deepStrictEqual(await fs.readdir(path.join(imagesDir, ".trash")), []);
+    assert.deepStrictEqual((await readImages(path.join(imagesDir, "local-manifest.json"))).sort(), [
+      "AAAAAAAAAAA",
+      "BBBBBBBBBBB",
+    ]);
+
+    const missing = await runCli(["clean", "--restore", "latest"], { cwd: dir });
+    assert.strictEqual(missing.code, 1);
+    assert.match(missing.stderr, /No trash folder "latest"/);
+  })
+);
+
+runner.test("--restore recreates a manifest deleted since", () =>
+  withProject(async (dir, imagesDir) => {
+    await runCli(["clean", "--orphans", "--trash"], { cwd: dir });
+    const buildManifestPath = path.join(dir, "public", "unsplash-manifest.json");
+    await fs.rm(buildManifestPath);
+
+    const result = await runCli(["clean", "--restore", "latest"], { cwd: dir });
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    const written = JSON.parse(await fs.readFile(buildManifestPath, "utf8"));
+    assert.strictEqual(written.schema_version, 3);
+    assert.strictEqual(written.kind, "build");
+    const manifest = await readManifest(buildManifestPath, "build");
+    assert.deepStrictEqual(Object.keys(manifest.images), ["BBBBBBBBBBB"]);
+  })
+);
+
+runner.test("trash.json records every move as it happens", () =>
+  withProject(async (dir, imagesDir) => {
+    const trash = await Trash.create(imagesDir);
+    await trash.moveFile(path.join(imagesDir, "BBBBBBBBBBB.jpg"), 8);
+    await trash.addManifestEntries(path.join(imagesDir, "local-manifest.json"), { BBBBBBBBBBB: {} }, "local");
+
+    // As if the clean had been interrupted here
+    const reopened = await Trash.open(imagesDir, "latest");
+    assert.deepStrictEqual(reopened.files, [{ original: "BBBBBBBBBBB.jpg", trashed: "BBBBBBBBBBB.jpg", bytes: 8 }]);
+    assert.deepStrictEqual(reopened.manifestEntries, [
+      { manifest: "local-manifest.json", kind: "local", images: { BBBBBBBBBBB: {} } },
+    ]);
+  })
+);
+
+runner.test("--restore leaves files that exist again in the trash", () =>
+  withProject(async (dir, imagesDir) => {
+    await runCli(["clean", "--trash"], { cwd: dir });
+    assert.deepStrictEqual(await fs.readdir(imagesDir), [".trash"]);
+
+    await fs.writeFile(path.join(imagesDir, "AAAAAAAAAAA.jpg"), "downloaded again");
+    const result = await runCli(["clean", "--restore", "latest"], { cwd: dir });
+
+    assert.strictEqual(result.code, 2);
+    assert.match(result.stderr, /AAAAAAAAAAA\.jpg exists again/);
+    assert.strictEqual(await fs.readFile(path.join(imagesDir, "AAAAAAAAAAA.jpg"), "utf8"), "downloaded again");
+    assert.ok((await fs.readdir(imagesDir)).includes("local-manifest.json"));
+
+    const [folder] = await fs.readdir(path.join(imagesDir, ".trash"));
+    assert.deepStrictEqual((await fs.readdir(path.join(imagesDir, ".trash", folder))).sort(), ["AAAAAAAAAAA.jpg", "trash.json"]);
+  })
+);
+
+runner.run();
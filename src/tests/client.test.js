@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Unsplash API Client
+ *
+ * Points UnsplashClient (and the module-level wrappers) at a local mock
+ * server to check authentication, base URL handling, retries and timeouts.
+ */
+
+const assert = require("assert");
+const {
+  UnsplashClient,
+  fetchImageData,
+  getUnwatermarkedDownloadUrl,
+  makeApiRequest,
+  setDefaultClient,
+} = require("../lib/index.js");
+const { createTestRunner, startMockServer, sendJson } = require("./helpers.js");
+
+const samplePhoto = {
+  id: "abcdefghijk",
+  urls: {
+    raw: "https://images.unsplash.com/photo-1?ixid=RAWIXID",
+    regular: "https://images.unsplash.com/photo-1?ixid=RAWIXID&w=1080",
+  },
+  user: { name: "Jane Doe", username: "janedoe" },
+  description: "A test photo",
+  width: 4000,
+  height: 3000,
+};
+
+const runner = createTestRunner("Testing Unsplash API Client");
+
+runner.test("sends the configured access key to the configured base URL", async () => {
+  const server = await startMockServer((req, res) => sendJson(res, 200, samplePhoto));
+  try {
+    const client = new UnsplashClient({ accessKey: "key-one", baseUrl: server.url });
+    const result = await client.getPhoto("abcdefghijk");
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.data.id, "abcdefghijk");
+    assert.strictEqual(server.requests[0].url, "/photos/abcdefghijk");
+    assert.strictEqual(server.requests[0].headers.authorization, "Client-ID key-one");
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("keeps separate credentials per client", async () => {
+  const server = await startMockServer((req, res) => sendJson(res, 200, samplePhoto));
+  try {
+    const first = new UnsplashClient({ accessKey: "key-one", baseUrl: server.url });
+    const second = new UnsplashClient({ accessKey: "key-two", baseUrl: server.url });
+    await first.getPhoto("abcdefghijk");
+    await second.getPhoto("abcdefghijk");
+
+    assert.deepStrictEqual(
+      server.requests.map((req) => req.headers.authorization),
+      ["Client-ID key-one", "Client-ID key-two"]
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("retries transient server errors", async () => {
+  let calls = 0;
+  const server = await startMockServer((req, res) => {
+    calls++;
+    if (calls < 3) {
+      sendJson(res, 503, { errors: ["unavailable"] });
+    } else {
+      sendJson(res, 200, samplePhoto);
+    }
+  });
+  try {
+    const client = new UnsplashClient({
+      accessKey: "key",
+      baseUrl: server.url,
+      retries: 2,
+      retryDelay: 1,
+    });
+    const result = await client.getPhoto("abcdefghijk");
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(calls, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("does not retry client errors and flags rate limits", async () => {
+  const server = await startMockServer((req, res) => {
+    res.writeHead(403, { "Content-Type": "text/plain" });
+    res.end("Rate Limit Exceeded");
+  });
+  try {
+    const client = new UnsplashClient({ accessKey: "key", baseUrl: server.url, retryDelay: 1 });
+    const result = await client.getPhoto("abcdefghijk");
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 403);
+    assert.strictEqual(result.rateLimited, true);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("times out slow responses", async () => {
+  const server = await startMockServer((req, res) => {
+    setTimeout(() => sendJson(res, 200, samplePhoto), 200);
+  });
+  try {
+    const client = new UnsplashClient({
+      accessKey: "key",
+      baseUrl: server.url,
+      timeout: 20,
+      retries: 0,
+    });
+    const result = await client.getPhoto("abcdefghijk");
+
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /timed out/);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("accepts a custom fetch implementation", async () => {
+  const seen = [];
+  const client = new UnsplashClient({
+    accessKey: "key",
+    fetch: async (url) => {
+      seen.push(url);
+      return new Response(JSON.stringify(samplePhoto), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    },
+  });
+  const result = await client.getPhoto("abcdefghijk");
+
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(seen, ["https://api.unsplash.com/photos/abcdefghijk"]);
+});
+
+runner.test("module-level functions wrap the default client", async () => {
+  const server = await startMockServer((req, res) => {
+    if (req.url.endsWith("/download")) {
+      sendJson(res, 200, { url: "https://unsplash.com/photos/abcdefghijk/download?ixid=DLIXID" });
+    } else {
+      sendJson(res, 200, samplePhoto);
+    }
+  });
+  try {
+    setDefaultClient(new UnsplashClient({ accessKey: "default-key", baseUrl: server.url }));
+
+    const imageData = await fetchImageData("abcdefghijk");
+    assert.strictEqual(imageData.id, "abcdefghijk");
+    assert.strictEqual(imageData.image_author, "Jane Doe");
+
+    const download = await getUnwatermarkedDownloadUrl("abcdefghijk");
+    assert.strictEqual(download.success, true);
+    assert.strictEqual(download.ixid, "DLIXID");
+
+    const raw = await makeApiRequest("/photos?per_page=1");
+    assert.strictEqual(raw.ok, true);
+
+    // fetchImageData also tracks the download
+    assert.deepStrictEqual(
+      server.requests.map((req) => req.url),
+      [
+        "/photos/abcdefghijk",
+        "/photos/abcdefghijk/download",
+        "/photos/abcdefghijk/download",
+        "/photos?per_page=1",
+      ]
+    );
+    assert.ok(server.requests.every((req) => req.headers.authorization === "Client-ID default-key"));
+  } finally {
+    setDefaultClient(null);
+    await server.close();
+  }
+});
+
+runner.test("fetchImageData accepts an explicit client", async () => {
+  const server = await startMockServer((req, res) => sendJson(res, 200, samplePhoto));
+  try {
+    const client = new UnsplashClient({ accessKey: "explicit-key", baseUrl: server.url });
+    const imageData = await fetchImageData("abcdefghijk", { client });
+
+    assert.strictEqual(imageData.id, "abcdefghijk");
+    assert.strictEqual(server.requests[0].headers.authorization, "Client-ID explicit-key");
+  } finally {
+    await server.close();
+  }
+});
+
+runner.run();
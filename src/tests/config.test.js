@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Project Config Loader
+ *
+ * Builds small projects in temporary directories and checks config file
+ * discovery, the precedence of env vars and flags, path resolution and
+ * validation errors.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  loadConfig,
+  loadProjectConfig,
+  getDefaultClient,
+  setDefaultClient,
+  ConfigError,
+  DEFAULT_PROJECT_CONFIG,
+} = require("../lib/index.js");
+const { createTestRunner } = require("./helpers.js");
+
+const runner = createTestRunner("Testing Project Config");
+
+async function withTempDir(fn) {
+  // realpath, as the temp dir may be a symlink (macOS)
+  const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-config-")));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function writeFile(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, typeof content === "string" ? content : JSON.stringify(content));
+}
+
+runner.test("uses the defaults without a config file", () =>
+  withTempDir(async (dir) => {
+    const config = await loadConfig({ cwd: dir, env: {} });
+
+    assert.strictEqual(config.configFile, null);
+    assert.strictEqual(config.root, dir);
+    assert.strictEqual(config.contentDir, path.join(dir, "content"));
+    assert.strictEqual(config.manifestPath, path.join(dir, "public", "unsplash-manifest.json"));
+    assert.strictEqual(config.concurrency, DEFAULT_PROJECT_CONFIG.concurrency);
+    assert.deepStrictEqual(config.api, DEFAULT_PROJECT_CONFIG.api);
+  })
+);
+
+runner.test("finds .unsplashrc.json by walking up from cwd", () =>
+  withTempDir(async (dir) => {
+    await writeFile(path.join(dir, ".unsplashrc.json"), { contentDir: "posts", concurrency: 5 });
+    const nested = path.join(dir, "packages", "site");
+    await fs.mkdir(nested, { recursive: true });
+
+    const config = await loadConfig({ cwd: nested, env: {} });
+
+    assert.strictEqual(config.configFile, path.join(dir, ".unsplashrc.json"));
+    // Relative paths in the file are relative to the file, not to cwd
+    assert.strictEqual(config.contentDir, path.join(dir, "posts"));
+    assert.strictEqual(config.downloadDir, path.join(dir, "public", "images", "unsplash"));
+    assert.strictEqual(config.concurrency, 5);
+  })
+);
+
+runner.test("loads JS configs exporting an object or a function", () =>
+  withTempDir(async (dir) => {
+    await writeFile(
+      path.join(dir, "unsplash.config.js"),
+      "module.exports = { cache: { backend: 'file' } };"
+    );
+    const config = await loadConfig({ cwd: dir, env: {} });
+    assert.strictEqual(config.cache.backend, "file");
+    // Nested options that were not set keep their defaults
+    assert.strictEqual(config.cache.ttl, DEFAULT_PROJECT_CONFIG.cache.ttl);
+
+    const other = path.join(dir, "other.config.js");
+    await writeFile(other, "module.exports = async () => ({ api: { retries: 0 } });");
+    const fromFunction = await loadConfig({ cwd: dir, configPath: other, env: {} });
+    assert.strictEqual(fromFunction.configFile, other);
+    assert.strictEqual(fromFunction.api.retries, 0);
+  })
+);
+
+runner.test("env vars override the file and flags override both", () =>
+  withTempDir(async (dir) => {
+    await writeFile(path.join(dir, ".unsplashrc.json"), {
+      contentDir: "posts",
+      concurrency: 2,
+      server: { url: "http://localhost:3000" },
+    });
+    const env = { UNSPLASH_CONCURRENCY: "4", UNSPLASH_CONTENT_DIR: "articles" };
+
+    const fromEnv = await loadConfig({ cwd: dir, env });
+    assert.strictEqual(fromEnv.concurrency, 4);
+    assert.strictEqual(fromEnv.contentDir, path.join(dir, "articles"));
+    assert.strictEqual(fromEnv.server.url, "http://localhost:3000");
+
+    const fromFlags = await loadConfig({
+      cwd: dir,
+      env,
+      overrides: { concurrency: 8, server: { photoRoute: "/api/photos" } },
+    });
+    assert.strictEqual(fromFlags.concurrency, 8);
+    assert.strictEqual(fromFlags.server.url, "http://localhost:3000");
+    assert.strictEqual(fromFlags.server.photoRoute, "/api/photos");
+  })
+);
+
+runner.test("flag paths are relative to cwd", () =>
+  withTempDir(async (dir) => {
+    await writeFile(path.join(dir, ".unsplashrc.json"), {});
+    const nested = path.join(dir, "site");
+    await fs.mkdir(nested);
+
+    const config = await loadConfig({
+      cwd: nested,
+      env: {},
+      overrides: { contentDir: "content", manifestPath: undefined },
+    });
+
+    assert.strictEqual(config.contentDir, path.join(nested, "content"));
+    assert.strictEqual(config.manifestPath, path.join(dir, "public", "unsplash-manifest.json"));
+  })
+);
+
+runner.test("reports every invalid option", () =>
+  withTempDir(async (dir) => {
+    await writeFile(path.join(dir, ".unsplashrc.json"), {
+      concurrency: 0,
+      contentDirectory: "posts",
+      cache: { backend: "mongo" },
+      scan: { include: "**/*.md" },
+    });
+
+    await assert.rejects(loadConfig({ cwd: dir, env: {} }), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.strictEqual(error.problems.length, 4);
+      assert.match(error.message, /concurrency: expected a positive integer, got 0/);
+      assert.match(error.message, /contentDirectory: unknown option/);
+      assert.match(error.message, /cache\.backend: expected one of auto, memory/);
+      assert.match(error.message, /scan\.include: expected an array of non-empty strings/);
+      return true;
+    });
+  })
+);
+
+runner.test("merges and validates renditions", () =>
+  withTempDir(async (dir) => {
+    await writeFile(path.join(dir, ".unsplashrc.json"), { renditions: { widths: [640, 1200], formats: ["webp"] } });
+    const config = await loadConfig({ cwd: dir, env: {} });
+    assert.deepStrictEqual(config.renditions, { widths: [640, 1200], formats: ["webp"], quality: 80 });
+
+    await writeFile(path.join(dir, ".unsplashrc.json"), {
+      renditions: { widths: [640, "1200"], formats: ["gif"], quality: 0 },
+    });
+    await assert.rejects(loadConfig({ cwd: dir, env: {} }), (error) => {
+      assert.strictEqual(error.problems.length, 3);
+      assert.match(error.message, /renditions\.widths: expected an array of positive integers/);
+      assert.match(error.message, /renditions\.formats: expected a non-empty array of jpg, png, webp, avif/);
+      assert.match(error.message, /renditions\.quality: expected an integer from 1 to 100/);
+      return true;
+    });
+  })
+);
+
+runner.test("reports invalid env vars and missing config files", () =>
+  withTempDir(async (dir) => {
+    await assert.rejects(
+      loadConfig({ cwd: dir, env: { UNSPLASH_TIMEOUT: "soon" } }),
+      /timeout: expected a positive integer, got "soon"/
+    );
+    await assert.rejects(
+      loadConfig({ cwd: dir, env: {}, configPath: "missing.json" }),
+      /Config file not found/
+    );
+  })
+);
+
+runner.test("reports config files that can't be parsed", () =>
+  withTempDir(async (dir) => {
+    await writeFile(path.join(dir, ".unsplashrc.json"), "{ not json");
+
+    await assert.rejects(loadConfig({ cwd: dir, env: {} }), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.match(error.message, /Could not load config file/);
+      return true;
+    });
+  })
+);
+
+runner.test("loadProjectConfig applies the api settings to the default client", () =>
+  withTempDir(async (dir) => {
+    await writeFile(path.join(dir, ".unsplashrc.json"), {
+      api: { baseUrl: "http://localhost:9999", timeout: 500, retries: 0 },
+    });
+    const previous = getDefaultClient();
+    try {
+      await loadProjectConfig({ cwd: dir, env: {} });
+      const client = getDefaultClient();
+      assert.strictEqual(client.baseUrl, "http://localhost:9999");
+      assert.strictEqual(client.timeout, 500);
+      assert.strictEqual(client.retries, 0);
+    } finally {
+      setDefaultClient(previous);
+    }
+  })
+);
+
+runner.run();
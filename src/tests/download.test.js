@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for unsplash-download
+ *
+ * Covers the command line flags: picking photos with --only and --exclude,
+ * --force, and overriding the manifest, download directory and retries;
+ * repairing broken files, renditions, and verify-files. The images come from
+ * a local mock server.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { createManifest, writeManifest, readManifest } = require("../lib/index.js");
+const { parseArguments, selectEntries } = require("../cli/download.js");
+const { createTestRunner, startMockServer, createImageData, JPEG_BYTES } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli", "download.js");
+const VERIFY_CLI = path.join(__dirname, "..", "cli", "verify-files.js");
+const IDS = ["AAAAAAAAAAA", "BBBBBBBBBBB", "CCCCCCCCCCC"];
+
+const runner = createTestRunner("Testing unsplash-download");
+
+// Serves a few bytes for /<id>.jpg (whatever the query), with the ETag
+// "<id>-<version>" (versions default to 1) and 304s for If-None-Match; IDs in
+// broken get a 500, IDs in html an error page
+async function startImageServer({ broken = [], html = [], versions = {} } = {}) {
+  return startMockServer((req, res) => {
+    const id = path.basename(new URL(req.url, "http://localhost").pathname, ".jpg");
+    if (broken.includes(id)) {
+      res.writeHead(500);
+      return res.end();
+    }
+    if (html.includes(id)) {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      return res.end("<html>Rate Limit Exceeded</html>");
+    }
+    const etag = `"${id}-${versions[id] || 1}"`;
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, { ETag: etag });
+      return res.end();
+    }
+    res.writeHead(200, { "Content-Type": "image/jpeg", "Content-Length": JPEG_BYTES.length, ETag: etag });
+    res.end(JPEG_BYTES);
+  });
+}
+
+async function runDownload(args, dir, cli = CLI) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [cli, ...args], {
+      cwd: dir,
+      timeout: 30000,
+    });
+    return { code: 0, stdout };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+const runVerifyFiles = (args, dir) => runDownload(args, dir, VERIFY_CLI);
+
+function parseEvents(stdout) {
+  return stdout.trim().split("\n").map((line) => JSON.parse(line));
+}
+
+function statuses(events) {
+  return Object.fromEntries(
+    events.filter((event) => event.event === "download").map((event) => [event.id, event.status])
+  );
+}
+
+// A project with a build manifest (at manifestPath) of images on the server
+async function withProject(server, manifestPath, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-download-"));
+  try {
+    const images = Object.fromEntries(
+      IDS.map((id) => [id, createImageData(id, { optimized_url: `${server.url}/${id}.jpg` })])
+    );
+    await writeManifest(path.join(dir, manifestPath), createManifest("build", { images }), "build");
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("parses the download flags", async () => {
+  const options = parseArguments([
+    "--only",
+    "AAAAAAAAAAA",
+    "https://unsplash.com/photos/BBBBBBBBBBB",
+    "--exclude=CCCCCCCCCCC",
+    "--force",
+    "--out=static/photos",
+    "--concurrency=5",
+    "--retries=1",
+    "--timeout=2m",
+  ]);
+  assert.deepStrictEqual(options.only, ["AAAAAAAAAAA", "BBBBBBBBBBB"]);
+  assert.deepStrictEqual(options.exclude, ["CCCCCCCCCCC"]);
+  assert.strictEqual(options.force, true);
+  assert.deepStrictEqual(options.overrides, {
+    downloadDir: "static/photos",
+    concurrency: 5,
+    retries: 1,
+    timeout: 120000,
+  });
+
+  const defaults = parseArguments([]);
+  assert.strictEqual(defaults.only, null);
+  assert.deepStrictEqual(defaults.exclude, []);
+  assert.deepStrictEqual(defaults.overrides, {});
+});
+
+runner.test("selects the manifest entries to download", async () => {
+  const entries = IDS.map((id) => [id, {}]);
+
+  const only = selectEntries(entries, { only: ["BBBBBBBBBBB", "ZZZZZZZZZZZ"], exclude: [] });
+  assert.deepStrictEqual(only.entries.map(([id]) => id), ["BBBBBBBBBBB"]);
+  assert.deepStrictEqual(only.unknown, ["ZZZZZZZZZZZ"]);
+
+  const excluded = selectEntries(entries, { only: null, exclude: ["AAAAAAAAAAA"] });
+  assert.deepStrictEqual(excluded.entries.map(([id]) => id), ["BBBBBBBBBBB", "CCCCCCCCCCC"]);
+  assert.deepStrictEqual(excluded.unknown, []);
+});
+
+runner.test("downloads a subset and keeps the other entries", async () => {
+  const versions = {};
+  const server = await startImageServer({ versions });
+
+  try {
+    await withProject(server, "public/unsplash-manifest.json", async (dir) => {
+      const downloadDir = path.join(dir, "public", "images", "unsplash");
+      const localManifestPath = path.join(downloadDir, "local-manifest.json");
+
+      const first = await runDownload(["--exclude", "CCCCCCCCCCC", "--json"], dir);
+      assert.strictEqual(first.code, 0, first.stderr);
+      assert.deepStrictEqual(statuses(parseEvents(first.stdout)), {
+        AAAAAAAAAAA: "downloaded",
+        BBBBBBBBBBB: "downloaded",
+      });
+      await assert.rejects(fs.access(path.join(downloadDir, "CCCCCCCCCCC.jpg")));
+
+      // Redownload one image that changed; the one left out keeps its entry
+      const { images } = await readManifest(localManifestPath, "local");
+      versions.AAAAAAAAAAA = 2;
+      const second = await runDownload(["--only=AAAAAAAAAAA", "--force", "--json"], dir);
+      assert.strictEqual(second.code, 0, second.stderr);
+      assert.deepStrictEqual(statuses(parseEvents(second.stdout)), { AAAAAAAAAAA: "downloaded" });
+
+      const local = await readManifest(localManifestPath, "local");
+      assert.deepStrictEqual(Object.keys(local.images).sort(), ["AAAAAAAAAAA", "BBBBBBBBBBB"]);
+      assert.deepStrictEqual(local.images.BBBBBBBBBBB, images.BBBBBBBBBBB);
+      assert.notStrictEqual(local.images.AAAAAAAAAAA.downloaded_at, images.AAAAAAAAAAA.downloaded_at);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("reads another manifest, writes to another directory", async () => {
+  const server = await startImageServer({ broken: ["BBBBBBBBBBB"] });
+
+  try {
+    await withProject(server, "data/photos.json", async (dir) => {
+      const result = await runDownload(
+        ["--manifest=data/photos.json", "--out=public/photos", "--retries=1", "--concurrency=2", "--json"],
+        dir
+      );
+      assert.strictEqual(result.code, 2, result.stderr);
+
+      const events = parseEvents(result.stdout);
+      assert.strictEqual(events[0].download_dir, path.join(dir, "public", "photos"));
+      assert.strictEqual(statuses(events).BBBBBBBBBBB, "failed");
+      assert.strictEqual(server.requests.filter((req) => req.url === "/BBBBBBBBBBB.jpg").length, 1);
+
+      const local = await readManifest(path.join(dir, "public", "photos", "local-manifest.json"), "local");
+      assert.strictEqual(local.images.AAAAAAAAAAA.local_path, "/photos/AAAAAAAAAAA.jpg");
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("--force only downloads images that changed", async () => {
+  const versions = {};
+  const server = await startImageServer({ versions });
+
+  try {
+    await withProject(server, "public/unsplash-manifest.json", async (dir) => {
+      const localManifestPath = path.join(dir, "public", "images", "unsplash", "local-manifest.json");
+      await runDownload([], dir);
+      const before = await readManifest(localManifestPath, "local");
+      assert.strictEqual(before.images.AAAAAAAAAAA.etag, '"AAAAAAAAAAA-1"');
+
+      versions.BBBBBBBBBBB = 2;
+      const result = await runDownload(["--force", "--json"], dir);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.deepStrictEqual(statuses(parseEvents(result.stdout)), {
+        AAAAAAAAAAA: "skipped",
+        BBBBBBBBBBB: "downloaded",
+        CCCCCCCCCCC: "skipped",
+      });
+
+      const conditional = server.requests.slice(IDS.length);
+      assert.ok(conditional.every((req) => req.headers["if-none-match"]));
+
+      const after = await readManifest(localManifestPath, "local");
+      assert.deepStrictEqual(after.images.AAAAAAAAAAA, before.images.AAAAAAAAAAA);
+      assert.strictEqual(after.images.BBBBBBBBBBB.etag, '"BBBBBBBBBBB-2"');
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("downloads every rendition and lists them per photo", async () => {
+  const server = await startImageServer();
+
+  try {
+    await withProject(server, "public/unsplash-manifest.json", async (dir) => {
+      const downloadDir = path.join(dir, "public", "images", "unsplash");
+      const localManifestPath = path.join(downloadDir, "local-manifest.json");
+      await fs.writeFile(
+        path.join(dir, ".unsplashrc.json"),
+        JSON.stringify({ renditions: { widths: [1200, 640], formats: ["webp", "jpg"] } })
+      );
+
+      const first = await runDownload(["--only=AAAAAAAAAAA", "--json"], dir);
+      assert.strictEqual(first.code, 0, first.stderr);
+      const events = parseEvents(first.stdout);
+      assert.strictEqual(events[0].total, 4);
+      assert.deepStrictEqual(
+        events.filter((event) => event.event === "download").map((event) => event.status),
+        ["downloaded", "downloaded", "downloaded", "downloaded"]
+      );
+      assert.deepStrictEqual((await fs.readdir(downloadDir)).sort(), [
+        "AAAAAAAAAAA-1200w.jpg",
+        "AAAAAAAAAAA-1200w.webp",
+        "AAAAAAAAAAA-640w.jpg",
+        "AAAAAAAAAAA-640w.webp",
+        "local-manifest.json",
+      ]);
+
+      const query = new URL(server.requests[0].url, server.url).searchParams;
+      assert.deepStrictEqual([query.get("w"), query.get("fm"), query.get("q")], ["640", "webp", "80"]);
+
+      const { images } = await readManifest(localManifestPath, "local");
+      assert.strictEqual(images.AAAAAAAAAAA.local_path, "/images/unsplash/AAAAAAAAAAA-1200w.webp");
+      assert.deepStrictEqual(
+        images.AAAAAAAAAAA.renditions.map((rendition) => [rendition.width, rendition.format, rendition.local_path]),
+        [
+          [640, "webp", "/images/unsplash/AAAAAAAAAAA-640w.webp"],
+          [1200, "webp", "/images/unsplash/AAAAAAAAAAA-1200w.webp"],
+          [640, "jpg", "/images/unsplash/AAAAAAAAAAA-640w.jpg"],
+          [1200, "jpg", "/images/unsplash/AAAAAAAAAAA-1200w.jpg"],
+        ]
+      );
+      assert.ok(images.AAAAAAAAAAA.renditions.every((rendition) => rendition.sha256 && rendition.bytes === 4));
+
+      // Existing renditions are kept, and verify-files checks each of them
+      const second = await runDownload(["--only=AAAAAAAAAAA", "--json"], dir);
+      assert.deepStrictEqual(statuses(parseEvents(second.stdout)), { AAAAAAAAAAA: "skipped" });
+      const local = await readManifest(localManifestPath, "local");
+      assert.deepStrictEqual(local.images.AAAAAAAAAAA, images.AAAAAAAAAAA);
+
+      await fs.writeFile(path.join(downloadDir, "AAAAAAAAAAA-640w.jpg"), Buffer.from([0xff, 0xd8, 0xff, 0x00]));
+      const verified = await runVerifyFiles(["--json"], dir);
+      assert.strictEqual(verified.code, 2, verified.stderr);
+      const files = parseEvents(verified.stdout).filter((event) => event.event === "file");
+      assert.strictEqual(files.length, 4);
+      assert.deepStrictEqual(
+        files.filter((event) => event.status !== "ok").map((event) => [event.width, event.format, event.status]),
+        [[640, "jpg", "corrupt"]]
+      );
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("repairs broken files and verifies them by hash", async () => {
+  const server = await startImageServer({ html: ["CCCCCCCCCCC"] });
+
+  try {
+    await withProject(server, "public/unsplash-manifest.json", async (dir) => {
+      const downloadDir = path.join(dir, "public", "images", "unsplash");
+      await fs.mkdir(downloadDir, { recursive: true });
+      await fs.writeFile(path.join(downloadDir, "AAAAAAAAAAA.jpg"), ""); // Left by an interrupted run
+
+      const first = await runDownload(["--retries=1", "--json"], dir);
+      assert.strictEqual(first.code, 2, first.stderr);
+      assert.deepStrictEqual(statuses(parseEvents(first.stdout)), {
+        AAAAAAAAAAA: "downloaded",
+        BBBBBBBBBBB: "downloaded",
+        CCCCCCCCCCC: "failed",
+      });
+      assert.deepStrictEqual((await fs.readdir(downloadDir)).sort(), [
+        "AAAAAAAAAAA.jpg",
+        "BBBBBBBBBBB.jpg",
+        "local-manifest.json",
+      ]);
+
+      const local = await readManifest(path.join(downloadDir, "local-manifest.json"), "local");
+      assert.strictEqual(local.images.AAAAAAAAAAA.bytes, 4);
+      assert.match(local.images.AAAAAAAAAAA.sha256, /^[0-9a-f]{64}$/);
+
+      const intact = await runVerifyFiles(["--json"], dir);
+      assert.strictEqual(intact.code, 0, intact.stderr);
+
+      // Same size and magic bytes, different content: only the hash tells
+      await fs.writeFile(path.join(downloadDir, "BBBBBBBBBBB.jpg"), Buffer.from([0xff, 0xd8, 0xff, 0x00]));
+      const changed = await runVerifyFiles(["--json"], dir);
+      assert.strictEqual(changed.code, 2, changed.stderr);
+      const events = parseEvents(changed.stdout);
+      assert.deepStrictEqual(
+        events.filter((event) => event.event === "file").map((event) => [event.id, event.status]).sort(),
+        [
+          ["AAAAAAAAAAA", "ok"],
+          ["BBBBBBBBBBB", "corrupt"],
+        ]
+      );
+      assert.strictEqual(events[events.length - 1].corrupt, 1);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.run();
@@ -82,7 +82,7 @@ async function testFallback() {
   // Manifest statistics
   console.log("📈 Manifest Statistics:");
   console.log(`   Generated: ${manifest.generated_at}`);
-  console.log(`   Build version: ${manifest.build_version || "legacy"}`);
+  console.log(`   Schema version: ${manifest.schema_version || manifest.build_version || "legacy"}`);
   console.log(`   Total found: ${manifest.stats.total_found}`);
   console.log(`   Successfully cached: ${manifest.stats.successfully_cached}`);
   console.log(`   Failed to cache: ${manifest.stats.failed_to_cache}`);
@@ -0,0 +1,128 @@
+/**
+ * Shared helpers for the test scripts
+ *
+ * Provides a tiny test runner that matches the console output of the other
+ * test scripts, and a local HTTP server for standing in for remote APIs.
+ */
+
+const http = require("http");
+
+/**
+ * Create a test runner
+ * @param {string} title - Title printed before the tests run
+ * @returns {object} - Runner with test() and run() methods
+ */
+function createTestRunner(title) {
+  const tests = [];
+
+  return {
+    /**
+     * Register a test
+     * @param {string} name - Test name
+     * @param {Function} fn - Test body, may be async; throw to fail
+     */
+    test(name, fn) {
+      tests.push({ name, fn });
+    },
+
+    /**
+     * Run all registered tests, print a summary and exit the process
+     */
+    async run() {
+      console.log(`🧪 ${title}\n`);
+
+      let passed = 0;
+      let failed = 0;
+
+      for (const { name, fn } of tests) {
+        try {
+          await fn();
+          console.log(`✅ ${name}`);
+          passed++;
+        } catch (error) {
+          console.log(`❌ ${name}`);
+          console.log(`   ${error.message}`);
+          failed++;
+        }
+      }
+
+      console.log("\n" + "=".repeat(50));
+      console.log(`📋 ${passed} passed, ${failed} failed`);
+      process.exit(failed === 0 ? 0 : 1);
+    },
+  };
+}
+
+/**
+ * Start a local HTTP server on a random port
+ * @param {Function} handler - Request handler (req, res, body) where body is the raw request body
+ * @returns {Promise<object>} - Object with url, requests (log of received requests) and close()
+ */
+function startMockServer(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status
+ * @param {*} body - Value to serialize
+ * @param {object} [headers={}] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// The smallest body that passes the download checks: JPEG start and end markers
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+
+/**
+ * Build manifest entry for a photo, as build-cache writes it
+ * @param {string} photoId - The photo ID
+ * @param {object} [overrides={}] - Fields to replace
+ * @returns {object} - The entry
+ */
+function createImageData(photoId, overrides = {}) {
+  const url = `https://images.unsplash.com/photo-${photoId}`;
+  return {
+    id: photoId,
+    optimized_url: `${url}?w=1200&q=80`,
+    urls: { regular: url },
+    user: { name: "Test Author", username: "test" },
+    image_author: "Test Author",
+    width: 4000,
+    height: 3000,
+    ...overrides,
+  };
+}
+
+module.exports = {
+  createTestRunner,
+  startMockServer,
+  sendJson,
+  createImageData,
+  JPEG_BYTES,
+};
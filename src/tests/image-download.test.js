@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Image Downloads
+ *
+ * Runs downloadImageFile against a local server that supports Range and
+ * conditional requests, and can break a response off or stall it halfway:
+ * retries and reruns resume the partial file, a changed image is downloaded
+ * whole, and a recorded ETag turns into a 304.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { downloadImageFile, getPartialPath } = require("../lib/index.js");
+const { createTestRunner, startMockServer } = require("./helpers.js");
+
+const runner = createTestRunner("Testing Image Downloads");
+
+// A JPEG-looking body big enough to break off in the middle
+function createImage(fill) {
+  return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(64 * 1024, fill), Buffer.from([0xff, 0xd9])]);
+}
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * Serve image at /photo.jpg with a strong ETag. The first `breakOff`
+ * responses stop after half of the bytes they promised; the first `stall`
+ * ones send that half and then nothing more, without closing.
+ */
+async function startImageServer(state) {
+  return startMockServer((req, res) => {
+    const etag = `"${sha256(state.image).slice(0, 16)}"`;
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, { ETag: etag });
+      return res.end();
+    }
+
+    let body = state.image;
+    const headers = { "Content-Type": "image/jpeg", ETag: etag, "Accept-Ranges": "bytes" };
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || "");
+    if (range && req.headers["if-range"] === etag) {
+      const start = Number(range[1]);
+      body = state.image.subarray(start);
+      headers["Content-Range"] = `bytes ${start}-${state.image.length - 1}/${state.image.length}`;
+      res.writeHead(206, { ...headers, "Content-Length": body.length });
+    } else {
+      res.writeHead(200, { ...headers, "Content-Length": body.length });
+    }
+
+    if (state.stall > 0) {
+      state.stall--;
+      return res.write(body.subarray(0, Math.floor(body.length / 2)));
+    }
+    if (state.breakOff > 0) {
+      state.breakOff--;
+      res.write(body.subarray(0, Math.floor(body.length / 2)));
+      return setTimeout(() => res.destroy(), 20);
+    }
+    res.end(body);
+  });
+}
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-image-download-"));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("retries resume where the last attempt stopped", async () => {
+  const state = { image: createImage(1), breakOff: 1 };
+  const server = await startImageServer(state);
+
+  try {
+    await withTempDir(async (dir) => {
+      const filepath = path.join(dir, "photo.jpg");
+      const result = await downloadImageFile(`${server.url}/photo.jpg`, filepath, { retryDelay: 0 });
+
+      assert.strictEqual(result.status, "downloaded");
+      assert.strictEqual(result.resumed_from, state.image.length / 2);
+      assert.strictEqual(result.sha256, sha256(state.image));
+      assert.deepStrictEqual(await fs.readFile(filepath), state.image);
+      assert.deepStrictEqual(await fs.readdir(dir), ["photo.jpg"]);
+
+      const [first, second] = server.requests;
+      assert.strictEqual(first.headers.range, undefined);
+      assert.strictEqual(second.headers.range, `bytes=${state.image.length / 2}-`);
+      assert.strictEqual(second.headers["if-range"], result.etag);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("a body that stalls times out and is resumed", async () => {
+  const state = { image: createImage(1), stall: 1 };
+  const server = await startImageServer(state);
+
+  try {
+    await withTempDir(async (dir) => {
+      const filepath = path.join(dir, "photo.jpg");
+      const attempts = [];
+      const result = await downloadImageFile(`${server.url}/photo.jpg`, filepath, {
+        timeout: 200,
+        retryDelay: 0,
+        onAttempt: (attempt) => attempts.push(attempt),
+      });
+
+      assert.deepStrictEqual(attempts, [1, 2]);
+      assert.strictEqual(result.resumed_from, state.image.length / 2);
+      assert.deepStrictEqual(await fs.readFile(filepath), state.image);
+
+      state.stall = 1;
+      await assert.rejects(
+        downloadImageFile(`${server.url}/photo.jpg`, path.join(dir, "other.jpg"), { timeout: 200, retries: 1 }),
+        /No data received for 200ms/
+      );
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("a rerun resumes the partial file, unless the image changed", async () => {
+  const state = { image: createImage(1), breakOff: 1 };
+  const server = await startImageServer(state);
+  const url = `${server.url}/photo.jpg`;
+
+  try {
+    await withTempDir(async (dir) => {
+      const filepath = path.join(dir, "photo.jpg");
+
+      // An interrupted run leaves the partial file behind
+      await assert.rejects(downloadImageFile(url, filepath, { retries: 1 }));
+      assert.strictEqual((await fs.stat(getPartialPath(filepath))).size, state.image.length / 2);
+      await assert.rejects(fs.access(filepath));
+
+      const resumed = await downloadImageFile(url, filepath, { retries: 1 });
+      assert.strictEqual(resumed.resumed_from, state.image.length / 2);
+      assert.deepStrictEqual(await fs.readFile(filepath), state.image);
+
+      // A partial file of an older version of the image isn't spliced onto
+      await fs.rm(filepath);
+      state.breakOff = 1;
+      await assert.rejects(downloadImageFile(url, filepath, { retries: 1 }));
+      state.image = createImage(2);
+      const replaced = await downloadImageFile(url, filepath, { retries: 1 });
+      assert.strictEqual(replaced.resumed_from, 0);
+      assert.deepStrictEqual(await fs.readFile(filepath), state.image);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("conditional requests only download changed images", async () => {
+  const state = { image: createImage(1), breakOff: 0 };
+  const server = await startImageServer(state);
+  const url = `${server.url}/photo.jpg`;
+
+  try {
+    await withTempDir(async (dir) => {
+      const filepath = path.join(dir, "photo.jpg");
+      const first = await downloadImageFile(url, filepath);
+      const cached = { etag: first.etag, last_modified: first.last_modified };
+
+      const unchanged = await downloadImageFile(url, filepath, { cached });
+      assert.strictEqual(unchanged.status, "not_modified");
+      assert.strictEqual(unchanged.etag, first.etag);
+      assert.strictEqual(server.requests[1].headers["if-none-match"], first.etag);
+      assert.deepStrictEqual(await fs.readFile(filepath), state.image);
+
+      state.image = createImage(3);
+      const changed = await downloadImageFile(url, filepath, { cached });
+      assert.strictEqual(changed.status, "downloaded");
+      assert.notStrictEqual(changed.etag, first.etag);
+      assert.deepStrictEqual(await fs.readFile(filepath), state.image);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.run();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Image File Checks
+ *
+ * Covers recognizing image formats by their magic bytes, writing downloads
+ * through a temp file, and checking files against a recorded size and hash.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { detectImageType, writeImageFile, checkImageFile, hashFile } = require("../lib/index.js");
+const { createTestRunner } = require("./helpers.js");
+
+const runner = createTestRunner("Testing Image File Checks");
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+const WEBP = Buffer.concat([Buffer.from("RIFF"), Buffer.from([0x24, 0, 0, 0]), Buffer.from("WEBPVP8 ")]);
+
+// An ftyp box with the given major and compatible brands
+function ftyp(major, compatible = []) {
+  const box = Buffer.concat([
+    Buffer.alloc(4),
+    Buffer.from("ftyp"),
+    Buffer.from(major),
+    Buffer.alloc(4),
+    ...compatible.map((brand) => Buffer.from(brand)),
+  ]);
+  box.writeUInt32BE(box.length, 0);
+  return box;
+}
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-image-file-"));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("recognizes images by their magic bytes", async () => {
+  assert.strictEqual(detectImageType(JPEG), "jpeg");
+  assert.strictEqual(detectImageType(PNG), "png");
+  assert.strictEqual(detectImageType(WEBP), "webp");
+  assert.strictEqual(detectImageType(ftyp("avif", ["mif1", "miaf"])), "avif");
+  assert.strictEqual(detectImageType(ftyp("mif1", ["miaf", "avif"])), "avif");
+  assert.strictEqual(detectImageType(ftyp("isom", ["mp41"])), null);
+  assert.strictEqual(detectImageType(Buffer.from("<!DOCTYPE html>")), null);
+  assert.strictEqual(detectImageType(Buffer.alloc(0)), null);
+});
+
+runner.test("writes complete images and records their hash", async () => {
+  await withTempDir(async (dir) => {
+    const filepath = path.join(dir, "photo.jpg");
+    const received = [];
+
+    const result = await writeImageFile(Readable.from([JPEG.subarray(0, 2), JPEG.subarray(2)]), filepath, {
+      expectedSize: JPEG.length,
+      onProgress: (bytes) => received.push(bytes),
+    });
+
+    assert.deepStrictEqual(result, { bytes: JPEG.length, sha256: sha256(JPEG), type: "jpeg" });
+    assert.deepStrictEqual(received, [2, JPEG.length]);
+    assert.deepStrictEqual(await fs.readFile(filepath), JPEG);
+    assert.deepStrictEqual(await fs.readdir(dir), ["photo.jpg"]);
+  });
+});
+
+runner.test("leaves the old file alone when a download is incomplete or not an image", async () => {
+  await withTempDir(async (dir) => {
+    const filepath = path.join(dir, "photo.jpg");
+    await fs.writeFile(filepath, PNG);
+
+    await assert.rejects(
+      writeImageFile(Readable.from([JPEG.subarray(0, 5)]), filepath, { expectedSize: JPEG.length }),
+      (error) => error.name === "ImageFileError" && error.problem === "size"
+    );
+    await assert.rejects(
+      writeImageFile(Readable.from([Buffer.from("<html>Rate Limit Exceeded</html>")]), filepath),
+      (error) => error.problem === "not-an-image"
+    );
+    await assert.rejects(writeImageFile(Readable.from([]), filepath), (error) => error.problem === "empty");
+
+    assert.deepStrictEqual(await fs.readFile(filepath), PNG);
+    assert.deepStrictEqual(await fs.readdir(dir), ["photo.jpg"]);
+  });
+});
+
+runner.test("checks files against the recorded size and hash", async () => {
+  await withTempDir(async (dir) => {
+    const filepath = path.join(dir, "photo.png");
+    await fs.writeFile(filepath, PNG);
+
+    assert.strictEqual(await hashFile(filepath), sha256(PNG));
+    assert.deepStrictEqual(await checkImageFile(filepath), { bytes: PNG.length, type: "png" });
+    assert.deepStrictEqual(await checkImageFile(filepath, { bytes: PNG.length, sha256: sha256(PNG) }), {
+      bytes: PNG.length,
+      type: "png",
+      sha256: sha256(PNG),
+    });
+
+    const problem = (promise) => promise.then(() => null, (error) => error.problem);
+    assert.strictEqual(await problem(checkImageFile(filepath, { bytes: 100 })), "size");
+    assert.strictEqual(await problem(checkImageFile(filepath, { sha256: sha256(JPEG) })), "hash");
+    assert.strictEqual(await problem(checkImageFile(path.join(dir, "gone.png"))), "missing");
+
+    await fs.writeFile(filepath, "");
+    assert.strictEqual(await problem(checkImageFile(filepath)), "empty");
+  });
+});
+
+runner.run();
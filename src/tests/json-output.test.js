@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for --json Output and Exit Codes
+ *
+ * Checks the Reporter's NDJSON events, the shared exit codes, and runs the
+ * download and clean commands in JSON mode against a throwaway project and a
+ * local image server.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { Writable } = require("stream");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { Reporter, EXIT_CODES, getExitCode } = require("../lib/index.js");
+const { createTestRunner, startMockServer, createImageData, JPEG_BYTES } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli", "unsplash.js");
+
+const runner = createTestRunner("Testing JSON Output");
+
+/**
+ * Run the CLI, resolving with its exit code and output instead of rejecting
+ */
+async function runCli(args, options = {}) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+      timeout: 30000,
+      ...options,
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+function parseLines(stdout) {
+  return stdout
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+}
+
+async function withProject(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-json-"));
+  try {
+    await fs.mkdir(path.join(dir, "public"), { recursive: true });
+    await fs.writeFile(path.join(dir, ".unsplashrc.json"), JSON.stringify({ retries: 1 }));
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function writeManifest(dir, serverUrl, ids) {
+  const images = {};
+  for (const id of ids) {
+    images[id] = createImageData(id, { optimized_url: `${serverUrl}/${id}.jpg` });
+  }
+  await fs.writeFile(
+    path.join(dir, "public", "unsplash-manifest.json"),
+    JSON.stringify({ generated_at: new Date().toISOString(), images })
+  );
+}
+
+runner.test("exit codes distinguish total and partial failure", async () => {
+  assert.strictEqual(getExitCode({ succeeded: 3, failed: 0 }), EXIT_CODES.success);
+  assert.strictEqual(getExitCode({ succeeded: 0, failed: 0 }), EXIT_CODES.success);
+  assert.strictEqual(getExitCode({ succeeded: 0, failed: 2 }), EXIT_CODES.failure);
+  assert.strictEqual(getExitCode({ succeeded: 1, failed: 2 }), EXIT_CODES.partialFailure);
+});
+
+runner.test("reporter writes one JSON object per line", async () => {
+  let output = "";
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      output += chunk;
+      callback();
+    },
+  });
+  let clock = 1000;
+  const reporter = new Reporter({ command: "test", json: true, stream, now: () => clock });
+
+  reporter.event("photo", { id: "abc", status: "fetched" });
+  clock = 1250;
+  const exitCode = reporter.summary({ succeeded: 1, failed: 1 }, { total: 2 });
+
+  assert.strictEqual(exitCode, EXIT_CODES.partialFailure);
+  assert.deepStrictEqual(parseLines(output), [
+    { event: "photo", command: "test", id: "abc", status: "fetched" },
+    {
+      event: "summary",
+      command: "test",
+      ok: false,
+      exit_code: 2,
+      succeeded: 1,
+      failed: 1,
+      total: 2,
+      duration_ms: 250,
+    },
+  ]);
+});
+
+runner.test("reporter stays silent without --json", async () => {
+  const stream = {
+    write() {
+      throw new Error("should not write");
+    },
+  };
+  const reporter = new Reporter({ command: "test", stream });
+
+  reporter.event("photo", { id: "abc" });
+  assert.strictEqual(reporter.summary({ succeeded: 0, failed: 1 }), EXIT_CODES.failure);
+});
+
+runner.test("reporter silences stdout until the summary", async () => {
+  const { log, info } = console;
+  const realWrite = process.stdout.write;
+  let output = "";
+  const write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+  process.stdout.write = write;
+  try {
+    const reporter = new Reporter({ command: "test", json: true });
+    console.log("hidden");
+    assert.notStrictEqual(process.stdout.write, write);
+
+    reporter.summary({ succeeded: 1, failed: 0 });
+    assert.strictEqual(console.log, log);
+    assert.strictEqual(console.info, info);
+    assert.strictEqual(process.stdout.write, write);
+    assert.strictEqual(JSON.parse(output).event, "summary");
+  } finally {
+    process.stdout.write = realWrite;
+    console.log = log;
+    console.info = info;
+  }
+});
+
+runner.test("download --json reports each image and exits 2 on partial failure", async () => {
+  const server = await startMockServer((req, res) => {
+    if (req.url === "/missing.jpg") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "image/jpeg" });
+    res.end(JPEG_BYTES);
+  });
+
+  try {
+    await withProject(async (dir) => {
+      await writeManifest(dir, server.url, ["present", "missing"]);
+
+      const result = await runCli(["--json", "download"], { cwd: dir });
+      const events = parseLines(result.stdout);
+      const downloads = Object.fromEntries(
+        events.filter((event) => event.event === "download").map((event) => [event.id, event])
+      );
+      const summary = events[events.length - 1];
+
+      assert.strictEqual(result.code, 2, result.stderr);
+      assert.strictEqual(downloads.present.status, "downloaded");
+      assert.strictEqual(downloads.present.bytes, JPEG_BYTES.length);
+      assert.strictEqual(downloads.missing.status, "failed");
+      assert.match(downloads.missing.error, /HTTP 404/);
+      assert.strictEqual(summary.event, "summary");
+      assert.strictEqual(summary.exit_code, 2);
+      assert.strictEqual(summary.succeeded, 1);
+      assert.strictEqual(summary.failed, 1);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("download --json exits 1 when every image fails", async () => {
+  const server = await startMockServer((req, res) => {
+    res.writeHead(500);
+    res.end();
+  });
+
+  try {
+    await withProject(async (dir) => {
+      await writeManifest(dir, server.url, ["broken"]);
+
+      const result = await runCli(["download", "--json"], { cwd: dir });
+      const summary = parseLines(result.stdout).pop();
+
+      assert.strictEqual(result.code, 1, result.stderr);
+      assert.strictEqual(summary.ok, false);
+      assert.strictEqual(summary.failed, 1);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("cache --json counts cache errors as failed photos", async () => {
+  // Stands in for an Upstash database that rejects every command
+  const server = await startMockServer((req, res) => {
+    res.writeHead(503, "Service Unavailable");
+    res.end();
+  });
+
+  try {
+    await withProject(async (dir) => {
+      await fs.mkdir(path.join(dir, "content"));
+      await fs.writeFile(
+        path.join(dir, "content", "post.mdx"),
+        "![A](https://unsplash.com/photos/AAAAAAAAAAA)\n![B](https://unsplash.com/photos/BBBBBBBBBBB)\n"
+      );
+      const { REDIS_URL, ...env } = process.env;
+
+      const result = await runCli(["cache", "--json"], {
+        cwd: dir,
+        env: {
+          ...env,
+          UNSPLASH_ACCESS_KEY: "key",
+          UPSTASH_REDIS_REST_URL: server.url,
+          UPSTASH_REDIS_REST_TOKEN: "token",
+        },
+      });
+      const events = parseLines(result.stdout);
+      const summary = events.pop();
+
+      assert.strictEqual(result.code, 1, result.stderr);
+      assert.deepStrictEqual(
+        events.filter((event) => event.event === "photo").map((event) => [event.id, event.status]),
+        [
+          ["AAAAAAAAAAA", "failed"],
+          ["BBBBBBBBBBB", "failed"],
+        ]
+      );
+      assert.match(events[1].error, /Upstash GET failed/);
+      assert.strictEqual(summary.failed, 2);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.test("cache --scaffold-next-route only writes the route", () =>
+  withProject(async (dir) => {
+    await fs.mkdir(path.join(dir, "content"));
+    await fs.writeFile(path.join(dir, "content", "post.md"), "![A](https://unsplash.com/photos/AAAAAAAAAAA)\n");
+    const { UNSPLASH_ACCESS_KEY, ...env } = process.env;
+
+    const result = await runCli(["cache", "--scaffold-next-route", "--json"], { cwd: dir, env });
+    const events = parseLines(result.stdout);
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(events.map((event) => event.event), ["summary"]);
+    assert.strictEqual(events[0].route, path.join(dir, "src", "app", "api", "cache", "route.ts"));
+    assert.match(await fs.readFile(events[0].route, "utf8"), /unsplashCache\.getStats/);
+  })
+);
+
+runner.test("cache --json ends with a summary when it can't start", () =>
+  withProject(async (dir) => {
+    const { UNSPLASH_ACCESS_KEY, ...env } = process.env;
+
+    const result = await runCli(["cache", "--json"], { cwd: dir, env });
+    const events = parseLines(result.stdout);
+
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /UNSPLASH_ACCESS_KEY/);
+    assert.deepStrictEqual(events.map((event) => event.event), ["summary"]);
+    assert.strictEqual(events[0].ok, false);
+    assert.strictEqual(events[0].failed, 1);
+  })
+);
+
+runner.test("verify --json ends with a summary when the config is broken", () =>
+  withProject(async (dir) => {
+    await fs.writeFile(path.join(dir, ".unsplashrc.json"), "{ not json");
+
+    const result = await runCli(["verify", "--json"], { cwd: dir });
+    const events = parseLines(result.stdout);
+
+    assert.strictEqual(result.code, 1);
+    assert.deepStrictEqual(events.map((event) => event.event), ["summary"]);
+    assert.strictEqual(events[0].ok, false);
+  })
+);
+
+runner.test("clean --json lists removed files and bytes freed", () =>
+  withProject(async (dir) => {
+    const imagesDir = path.join(dir, "public", "images", "unsplash");
+    await fs.mkdir(imagesDir, { recursive: true });
+    await fs.writeFile(path.join(imagesDir, "abcdefghijk.jpg"), "12345");
+
+    const result = await runCli(["clean", "--json"], { cwd: dir });
+    const [removed, summary] = parseLines(result.stdout);
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(removed.event, "file");
+    assert.strictEqual(removed.status, "removed");
+    assert.strictEqual(removed.bytes, 5);
+    assert.strictEqual(summary.removed, 1);
+    assert.strictEqual(summary.bytes_freed, 5);
+  })
+);
+
+runner.run();
@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Manifest Module
+ *
+ * Covers migrating manifests written by older versions, validation against
+ * the JSON Schemas, diffing and merging, the unsplash manifest subcommands,
+ * and the local manifest that download writes and clean removes.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const {
+  ManifestError,
+  createManifest,
+  migrateManifest,
+  validateManifest,
+  validateManifestFile,
+  readManifest,
+  readLocalManifest,
+  writeManifest,
+  diffManifests,
+  mergeManifests,
+} = require("../lib/index.js");
+const { createTestRunner, startMockServer, createImageData, JPEG_BYTES } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli", "unsplash.js");
+
+const runner = createTestRunner("Testing Manifests");
+
+async function runCli(args, options = {}) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+      timeout: 30000,
+      ...options,
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-manifest-"));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const IMAGE = createImageData("AAAAAAAAAAA");
+
+runner.test("migrates legacy and 2.0.0 build manifests", async () => {
+  const legacy = migrateManifest(
+    { generated_at: "2023-01-01T00:00:00.000Z", images: { AAAAAAAAAAA: IMAGE }, stats: { total_found: 0 } },
+    "build"
+  );
+  assert.strictEqual(legacy.fromVersion, 1);
+  assert.strictEqual(legacy.migrated, true);
+  assert.deepStrictEqual(Object.keys(legacy.manifest).slice(0, 2), ["schema_version", "kind"]);
+  assert.strictEqual(legacy.manifest.stats.success_rate, "0%");
+
+  const v2 = migrateManifest(
+    { generated_at: "2024-01-01T00:00:00.000Z", build_version: "2.0.0", images: {}, stats: {} },
+    "build"
+  );
+  assert.strictEqual(v2.fromVersion, 2);
+  assert.strictEqual(v2.manifest.schema_version, 3);
+  assert.strictEqual(v2.manifest.kind, "build");
+  assert.ok(!("build_version" in v2.manifest));
+  assert.deepStrictEqual(validateManifest(v2.manifest, "build"), []);
+
+  const current = migrateManifest(createManifest("build"), "build");
+  assert.strictEqual(current.migrated, false);
+
+  assert.throws(
+    () => migrateManifest({ schema_version: 99, kind: "build", generated_at: "x", images: {} }, "build"),
+    /schema version 99.*please upgrade/
+  );
+});
+
+runner.test("reports every validation problem", async () => {
+  const problems = validateManifest(
+    {
+      schema_version: 3,
+      kind: "local",
+      images: { AAAAAAAAAAA: { width: "wide" }, BBBBBBBBBBB: "nope" },
+    },
+    "build"
+  );
+
+  assert.deepStrictEqual(problems, [
+    "generated_at: is required",
+    'kind: expected "build", got "local"',
+    "images.AAAAAAAAAAA.id: is required",
+    "images.AAAAAAAAAAA.optimized_url: is required",
+    "images.AAAAAAAAAAA.urls: is required",
+    "images.AAAAAAAAAAA.user: is required",
+    "images.AAAAAAAAAAA.height: is required",
+    "images.AAAAAAAAAAA.width: expected an integer",
+    "images.BBBBBBBBBBB: expected an object",
+  ]);
+  assert.throws(() => validateManifest({}, "remote"), /Unknown manifest kind: remote/);
+});
+
+runner.test("reads, validates and writes manifests", () =>
+  withTempDir(async (dir) => {
+    const manifestPath = path.join(dir, "unsplash-manifest.json");
+    assert.strictEqual(await readManifest(manifestPath, "build"), null);
+
+    await writeManifest(manifestPath, createManifest("build", { images: { AAAAAAAAAAA: IMAGE } }), "build");
+    assert.deepStrictEqual((await readManifest(manifestPath, "build")).images, { AAAAAAAAAAA: IMAGE });
+
+    await assert.rejects(
+      writeManifest(manifestPath, createManifest("build", { images: { AAAAAAAAAAA: { ...IMAGE, width: 0 } } }), "build"),
+      (error) =>
+        error instanceof ManifestError && error.problems.join() === "images.AAAAAAAAAAA.width: must be >= 1"
+    );
+
+    const { width: _width, ...broken } = IMAGE;
+    await fs.writeFile(
+      manifestPath,
+      JSON.stringify(createManifest("build", { images: { AAAAAAAAAAA: IMAGE, BBBBBBBBBBB: broken } }))
+    );
+    await assert.rejects(readManifest(manifestPath, "build"), ManifestError);
+    const dropped = [];
+    const { images } = await readManifest(manifestPath, "build", {
+      onInvalidImage: (id, problems) => dropped.push([id, problems]),
+    });
+    assert.deepStrictEqual(images, { AAAAAAAAAAA: IMAGE });
+    assert.deepStrictEqual(dropped, [["BBBBBBBBBBB", ["images.BBBBBBBBBBB.width: is required"]]]);
+
+    await fs.writeFile(manifestPath, "{ not json");
+    await assert.rejects(readManifest(manifestPath, "build"), /Could not parse/);
+  })
+);
+
+runner.test("reads the local manifest from its old manifest.json name", () =>
+  withTempDir(async (dir) => {
+    await fs.writeFile(
+      path.join(dir, "manifest.json"),
+      JSON.stringify({
+        generated_at: "2024-01-01T00:00:00.000Z",
+        version: "1.0.0",
+        source_manifest: "2024-01-01T00:00:00.000Z",
+        images: { AAAAAAAAAAA: { local_path: "/images/unsplash/AAAAAAAAAAA.jpg", skipped: true } },
+      })
+    );
+
+    const manifest = await readLocalManifest(dir);
+    assert.strictEqual(manifest.schema_version, 2);
+    assert.strictEqual(manifest.kind, "local");
+    assert.ok(!("version" in manifest));
+    assert.strictEqual(manifest.images.AAAAAAAAAAA.local_path, "/images/unsplash/AAAAAAAAAAA.jpg");
+  })
+);
+
+runner.test("validates manifest files without throwing", () =>
+  withTempDir(async (dir) => {
+    const buildPath = path.join(dir, "unsplash-manifest.json");
+    await writeManifest(buildPath, createManifest("build", { images: { AAAAAAAAAAA: IMAGE } }), "build");
+    const valid = await validateManifestFile(buildPath);
+    assert.strictEqual(valid.kind, "build");
+    assert.strictEqual(valid.valid, true);
+    assert.strictEqual(valid.migrated, false);
+
+    // Kind from the file name, migrated from the old local format
+    const localPath = path.join(dir, "manifest.json");
+    await fs.writeFile(localPath, JSON.stringify({ version: "1.0.0", generated_at: "x", images: {} }));
+    const legacy = await validateManifestFile(localPath);
+    assert.strictEqual(legacy.kind, "local");
+    assert.strictEqual(legacy.valid, true);
+    assert.strictEqual(legacy.fromVersion, 1);
+    assert.strictEqual(legacy.migrated, true);
+
+    await fs.writeFile(buildPath, "{ not json");
+    const broken = await validateManifestFile(buildPath);
+    assert.strictEqual(broken.valid, false);
+    assert.match(broken.problems[0].message, /^invalid JSON/);
+
+    const missing = await validateManifestFile(path.join(dir, "missing.json"), { kind: "local" });
+    assert.deepStrictEqual(missing.problems, [{ path: "", message: "file not found" }]);
+  })
+);
+
+runner.test("unsplash manifest validate lists problems and fails on invalid manifests", () =>
+  withTempDir(async (dir) => {
+    const manifestPath = path.join(dir, "public", "unsplash-manifest.json");
+    await writeManifest(manifestPath, createManifest("build", { images: { AAAAAAAAAAA: IMAGE } }), "build");
+
+    // The local manifest doesn't exist yet and is skipped
+    const ok = await runCli(["manifest", "validate"], { cwd: dir });
+    assert.strictEqual(ok.code, 0, ok.stderr);
+    assert.match(ok.stdout, /✅ public\/unsplash-manifest\.json \(build, schema 3\)/);
+    assert.match(ok.stdout, /local-manifest\.json \(local\): not found, skipped/);
+
+    const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+    delete manifest.images.AAAAAAAAAAA.width;
+    await fs.writeFile(manifestPath, JSON.stringify(manifest));
+
+    const invalid = await runCli(["manifest", "validate", "--json"], { cwd: dir });
+    assert.strictEqual(invalid.code, 1);
+    const events = invalid.stdout.trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepStrictEqual(
+      events.filter((event) => event.event === "problem").map(({ path: at, message }) => ({ at, message })),
+      [{ at: "images.AAAAAAAAAAA.width", message: "is required" }]
+    );
+    assert.strictEqual(events[events.length - 1].invalid, 1);
+
+    await fs.rm(manifestPath);
+    const none = await runCli(["manifest", "validate"], { cwd: dir });
+    assert.strictEqual(none.code, 1);
+    assert.match(none.stderr, /No manifests found/);
+  })
+);
+
+runner.test("writes manifests with their keys in a stable order", () =>
+  withTempDir(async (dir) => {
+    const manifestPath = path.join(dir, "unsplash-manifest.json");
+    const { id: _id, ...rest } = createImageData("BBBBBBBBBBB");
+    await writeManifest(
+      manifestPath,
+      {
+        stats: {},
+        images: { BBBBBBBBBBB: { ...rest, id: "BBBBBBBBBBB" }, AAAAAAAAAAA: IMAGE },
+        generated_at: "2024-01-01T00:00:00.000Z",
+        kind: "build",
+        schema_version: 3,
+      },
+      "build"
+    );
+
+    const written = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+    assert.deepStrictEqual(Object.keys(written), ["schema_version", "kind", "generated_at", "images", "stats"]);
+    assert.deepStrictEqual(Object.keys(written.images), ["AAAAAAAAAAA", "BBBBBBBBBBB"]);
+    assert.deepStrictEqual(Object.keys(written.images.BBBBBBBBBBB), Object.keys(IMAGE).sort());
+  })
+);
+
+runner.test("diffs manifests photo by photo", async () => {
+  const before = createManifest("build", {
+    images: { AAAAAAAAAAA: IMAGE, BBBBBBBBBBB: createImageData("BBBBBBBBBBB") },
+  });
+  const after = createManifest("build", {
+    generated_at: "2030-01-01T00:00:00.000Z",
+    images: {
+      BBBBBBBBBBB: createImageData("BBBBBBBBBBB", { width: 4200, user: { name: "Bo", username: "bo" } }),
+      CCCCCCCCCCC: createImageData("CCCCCCCCCCC"),
+    },
+  });
+
+  assert.deepStrictEqual(diffManifests(before, after), {
+    added: ["CCCCCCCCCCC"],
+    removed: ["AAAAAAAAAAA"],
+    changed: [
+      {
+        id: "BBBBBBBBBBB",
+        fields: [
+          { path: "user.name", before: IMAGE.user.name, after: "Bo" },
+          { path: "user.username", before: IMAGE.user.username, after: "bo" },
+          { path: "width", before: 4000, after: 4200 },
+        ],
+      },
+    ],
+  });
+  assert.deepStrictEqual(diffManifests(before, { ...before, stats: { total_found: 9 } }), {
+    added: [],
+    removed: [],
+    changed: [],
+  });
+});
+
+runner.test("merges manifests deterministically", async () => {
+  const base = createManifest("build", {
+    generated_at: "2024-01-01T00:00:00.000Z",
+    images: { AAAAAAAAAAA: IMAGE, BBBBBBBBBBB: createImageData("BBBBBBBBBBB", { cached_at: 1 }) },
+  });
+  // ours removes A and adds C; theirs refreshes B and adds D
+  const ours = createManifest("build", {
+    generated_at: "2024-02-01T00:00:00.000Z",
+    images: {
+      BBBBBBBBBBB: base.images.BBBBBBBBBBB,
+      CCCCCCCCCCC: createImageData("CCCCCCCCCCC", { cached_at: 5 }),
+    },
+  });
+  const theirs = createManifest("build", {
+    generated_at: "2024-03-01T00:00:00.000Z",
+    images: {
+      AAAAAAAAAAA: IMAGE,
+      BBBBBBBBBBB: createImageData("BBBBBBBBBBB", { cached_at: 2, width: 4200 }),
+      CCCCCCCCCCC: createImageData("CCCCCCCCCCC", { cached_at: 9 }),
+      DDDDDDDDDDD: createImageData("DDDDDDDDDDD", {
+        unavailable: { status: 404, since: "2024-03-01T00:00:00.000Z" },
+      }),
+    },
+  });
+
+  const merged = mergeManifests([ours, theirs], { base });
+  assert.deepStrictEqual(mergeManifests([theirs, ours], { base }), merged);
+  assert.deepStrictEqual(Object.keys(merged.manifest.images), ["BBBBBBBBBBB", "CCCCCCCCCCC", "DDDDDDDDDDD"]);
+  assert.strictEqual(merged.manifest.images.BBBBBBBBBBB.width, 4200);
+  assert.strictEqual(merged.manifest.images.CCCCCCCCCCC.cached_at, 9);
+  assert.deepStrictEqual(merged.conflicts, ["CCCCCCCCCCC"]);
+  assert.deepStrictEqual(merged.removed, ["AAAAAAAAAAA"]);
+  assert.strictEqual(merged.manifest.generated_at, "2024-03-01T00:00:00.000Z");
+  assert.deepStrictEqual(merged.manifest.stats, {
+    total_found: 3,
+    successfully_cached: 2,
+    unavailable: 1,
+    success_rate: "66.7%",
+  });
+  assert.deepStrictEqual(validateManifest(merged.manifest, "build"), []);
+
+  // Without a base, nothing is removed
+  assert.ok("AAAAAAAAAAA" in mergeManifests([ours, theirs]).manifest.images);
+  assert.throws(() => mergeManifests([ours, createManifest("local")]), /Can't merge a local manifest/);
+});
+
+runner.test("unsplash manifest diff and merge", () =>
+  withTempDir(async (dir) => {
+    const ours = path.join(dir, "ours.json");
+    const theirs = path.join(dir, "theirs.json");
+    await writeManifest(ours, createManifest("build", { images: { AAAAAAAAAAA: IMAGE } }), "build");
+    await writeManifest(
+      theirs,
+      createManifest("build", { images: { BBBBBBBBBBB: createImageData("BBBBBBBBBBB") } }),
+      "build"
+    );
+
+    const diff = await runCli(["manifest", "diff", ours, theirs, "--exit-code"], { cwd: dir });
+    assert.strictEqual(diff.code, 1);
+    assert.match(diff.stdout, /➕ BBBBBBBBBBB/);
+    assert.match(diff.stdout, /➖ AAAAAAAAAAA/);
+
+    const same = await runCli(["manifest", "diff", ours, ours, "--exit-code", "--json"], { cwd: dir });
+    assert.strictEqual(same.code, 0, same.stderr);
+    assert.deepStrictEqual(JSON.parse(same.stdout.trim()).added, 0);
+
+    // As a git merge driver: an empty base and the output written over ours
+    const base = path.join(dir, "base.json");
+    await fs.writeFile(base, "");
+    const merge = await runCli(["manifest", "merge", ours, theirs, `--base=${base}`, `--output=${ours}`], {
+      cwd: dir,
+    });
+    assert.strictEqual(merge.code, 0, merge.stderr);
+    const merged = await readManifest(ours, "build");
+    assert.deepStrictEqual(Object.keys(merged.images), ["AAAAAAAAAAA", "BBBBBBBBBBB"]);
+
+    const missingOutput = await runCli(["manifest", "merge", ours, theirs], { cwd: dir });
+    assert.strictEqual(missingOutput.code, 1);
+    assert.match(missingOutput.stderr, /--output/);
+  })
+);
+
+runner.test("download writes local-manifest.json, which clean removes", async () => {
+  const server = await startMockServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "image/jpeg" });
+    res.end(JPEG_BYTES);
+  });
+
+  try {
+    await withTempDir(async (dir) => {
+      const imagesDir = path.join(dir, "public", "images", "unsplash");
+      await fs.mkdir(imagesDir, { recursive: true });
+      await fs.writeFile(path.join(imagesDir, "manifest.json"), JSON.stringify({ version: "1.0.0", images: {} }));
+      await writeManifest(
+        path.join(dir, "public", "unsplash-manifest.json"),
+        createManifest("build", {
+          images: {
+            AAAAAAAAAAA: createImageData("AAAAAAAAAAA", {
+              optimized_url: `${server.url}/AAAAAAAAAAA.jpg`,
+              image_author: "Ada",
+            }),
+          },
+        }),
+        "build"
+      );
+
+      const first = await runCli(["download"], { cwd: dir });
+      assert.strictEqual(first.code, 0, first.stderr);
+      assert.deepStrictEqual((await fs.readdir(imagesDir)).sort(), ["AAAAAAAAAAA.jpg", "local-manifest.json"]);
+
+      // A second run skips the file but keeps what the first one recorded
+      const second = await runCli(["download"], { cwd: dir });
+      assert.strictEqual(second.code, 0, second.stderr);
+      const { images } = await readLocalManifest(imagesDir);
+      assert.strictEqual(images.AAAAAAAAAAA.local_path, "/images/unsplash/AAAAAAAAAAA.jpg");
+      assert.strictEqual(images.AAAAAAAAAAA.author, "Ada");
+      assert.ok(!images.AAAAAAAAAAA.skipped);
+
+      const clean = await runCli(["clean"], { cwd: dir });
+      assert.strictEqual(clean.code, 0, clean.stderr);
+      assert.match(clean.stdout, /Removed local manifest/);
+      assert.deepStrictEqual(await fs.readdir(imagesDir), []);
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+runner.run();
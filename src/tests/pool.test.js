@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Worker Pool
+ *
+ * Checks that runPool keeps at most `concurrency` calls in flight, starts the
+ * next item as soon as a worker is free, and stops after an error.
+ */
+
+const assert = require("assert");
+const { runPool } = require("../lib/index.js");
+const { createTestRunner } = require("./helpers.js");
+
+const runner = createTestRunner("Testing the Worker Pool");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+runner.test("returns results in item order with bounded concurrency", async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await runPool(
+    [30, 10, 20, 10, 5],
+    async (ms, index) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await sleep(ms);
+      inFlight--;
+      return index * 2;
+    },
+    { concurrency: 2 }
+  );
+
+  assert.deepStrictEqual(results, [0, 2, 4, 6, 8]);
+  assert.strictEqual(maxInFlight, 2);
+  assert.deepStrictEqual(await runPool([], async () => 1, { concurrency: 4 }), []);
+});
+
+runner.test("starts the next item as soon as a worker is free", async () => {
+  const started = [];
+
+  // A fixed batch of two would hold item 2 back until the slow item 0 is done
+  await runPool(
+    [100, 10, 10, 10],
+    async (ms, index) => {
+      started.push(index);
+      await sleep(ms);
+    },
+    { concurrency: 2 }
+  );
+
+  assert.deepStrictEqual(started, [0, 1, 2, 3]);
+
+  const order = [];
+  await runPool(
+    [100, 10, 10],
+    async (ms, index) => {
+      await sleep(ms);
+      order.push(index);
+    },
+    { concurrency: 2 }
+  );
+  assert.deepStrictEqual(order, [1, 2, 0]);
+});
+
+runner.test("stops taking items after an error", async () => {
+  const settled = [];
+
+  await assert.rejects(
+    runPool(
+      [1, 2, 3, 4, 5],
+      async (item) => {
+        await sleep(5);
+        if (item === 2) throw new Error("boom");
+        return item;
+      },
+      {
+        concurrency: 2,
+        onSettled: (item, index, result, error) => settled.push(error ? `${item}!` : item),
+      }
+    ),
+    /boom/
+  );
+
+  // Item 1 was in flight alongside 2 and finished; nothing after 3 started
+  assert.deepStrictEqual(settled.sort(), [1, "2!", 3]);
+});
+
+runner.run();
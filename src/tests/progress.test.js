@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Download Progress Display
+ *
+ * Drives DownloadProgress with a fake clock and stream: redrawing per-file
+ * lines in place on a terminal, periodic plain lines elsewhere, and the
+ * throughput and ETA estimates.
+ */
+
+const assert = require("assert");
+const { DownloadProgress } = require("../lib/index.js");
+const { createTestRunner } = require("./helpers.js");
+
+const runner = createTestRunner("Testing the Download Progress Display");
+
+// A stream that records writes, and a clock the test moves by hand
+function createFixture(options) {
+  const output = [];
+  const clock = { time: 0 };
+  const stream = { write: (chunk) => output.push(chunk) };
+  const progress = new DownloadProgress({ stream, now: () => clock.time, ...options });
+  return { progress, output, clock };
+}
+
+runner.test("redraws the block of per-file lines on a terminal", async () => {
+  const { progress, output, clock } = createFixture({ total: 3, tty: true });
+
+  progress.start("a", "a.jpg");
+  progress.start("b", "b.jpg");
+  clock.time = 1000;
+  progress.update("a", 500, 1000);
+  clock.time = 1200;
+  progress.update("b", 300);
+  progress.stop();
+
+  const [first, ...rest] = output;
+  assert.doesNotMatch(first, /\x1b\[\d+A/);
+  assert.match(first, /0\/3 files/);
+
+  // Every later draw moves up over the lines of the one before
+  const last = rest[rest.length - 1];
+  assert.match(last, /^\x1b\[3A\r\x1b\[0J/);
+  assert.match(last, /a\.jpg\s+█{10}░{10} 500 B \/ 1000 B/);
+  assert.match(last, /b\.jpg\s+300 B\n/);
+});
+
+runner.test("prints plain lines at the interval when not on a terminal", async () => {
+  const { progress, output, clock } = createFixture({ total: 2, tty: false, interval: 5000 });
+
+  progress.start("a", "a.jpg");
+  clock.time = 1000;
+  progress.update("a", 1024, 2048);
+  assert.strictEqual(output.length, 0);
+
+  clock.time = 5000;
+  progress.update("a", 2048, 2048);
+  progress.finish("a", "downloaded");
+  progress.finish("b", "failed");
+  progress.stop();
+
+  assert.strictEqual(output.length, 2);
+  assert.ok(output.every((line) => !line.includes("\x1b") && !line.includes("\r")));
+  assert.strictEqual(output[0], "📥 0/2 files (0.0%), 2 KB, 410 B/s, ETA 5s\n");
+  assert.strictEqual(output[1], "📥 2/2 files (100.0%), 2 KB, 410 B/s, 1 failed\n");
+});
+
+runner.test("estimates throughput and time left", async () => {
+  const { progress, clock } = createFixture({ total: 4, quiet: true });
+
+  // Skipped files don't set the pace
+  progress.finish("a", "skipped");
+  progress.start("b", "b.jpg");
+  clock.time = 2000;
+  progress.update("b", 1000, 1000);
+  progress.finish("b", "downloaded");
+  progress.start("c", "c.jpg");
+  progress.update("c", 500, 1000);
+
+  // 1.5 downloads in 2s, 1.5 files left
+  const { bytesPerSecond, eta } = progress.getRate();
+  assert.strictEqual(bytesPerSecond, 750);
+  assert.strictEqual(eta, 2000);
+
+  // A retry starts the file over
+  progress.start("c", "c.jpg");
+  assert.strictEqual(progress.bytes, 1000);
+});
+
+runner.test("draws nothing when quiet", async () => {
+  const { progress, output } = createFixture({ total: 1, tty: true, quiet: true });
+  progress.start("a", "a.jpg");
+  progress.update("a", 10, 20);
+  progress.finish("a", "downloaded");
+  progress.stop();
+  assert.deepStrictEqual(output, []);
+  assert.strictEqual(progress.timer, null);
+});
+
+runner.run();
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Rate Limiter
+ *
+ * Drives RateLimiter with a fake clock, and checks that UnsplashClient feeds
+ * it the X-Ratelimit headers returned by a local mock server.
+ */
+
+const assert = require("assert");
+const { RateLimiter, UnsplashClient } = require("../lib/index.js");
+const { createTestRunner, startMockServer, sendJson } = require("./helpers.js");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Create a limiter whose clock only moves when it sleeps
+ */
+function createFakeClockLimiter(options = {}) {
+  const clock = { now: 1_000_000, slept: [] };
+  const limiter = new RateLimiter({
+    minInterval: 0,
+    ...options,
+    now: () => clock.now,
+    sleep: async (ms) => {
+      clock.slept.push(ms);
+      clock.now += ms;
+    },
+  });
+  return { limiter, clock };
+}
+
+const runner = createTestRunner("Testing Rate Limiter");
+
+runner.test("reads the budget from response headers", async () => {
+  const { limiter } = createFakeClockLimiter();
+  limiter.update({ "x-ratelimit-limit": "50", "x-ratelimit-remaining": "42" });
+
+  const status = limiter.getStatus();
+  assert.strictEqual(status.limit, 50);
+  assert.strictEqual(status.remaining, 42);
+  assert.strictEqual(status.msUntilReset, HOUR);
+  assert.strictEqual(status.exhausted, false);
+});
+
+runner.test("accepts Headers instances", async () => {
+  const { limiter } = createFakeClockLimiter();
+  limiter.update(new Headers({ "X-Ratelimit-Limit": "5000", "X-Ratelimit-Remaining": "4999" }));
+
+  assert.strictEqual(limiter.getStatus().limit, 5000);
+});
+
+runner.test("spaces requests by the minimum interval", async () => {
+  const { limiter, clock } = createFakeClockLimiter({ minInterval: 100 });
+
+  await limiter.acquire();
+  await limiter.acquire();
+  await limiter.acquire();
+
+  assert.deepStrictEqual(clock.slept, [100, 100]);
+});
+
+runner.test("pauses until the window resets when the budget is spent", async () => {
+  const { limiter, clock } = createFakeClockLimiter();
+  const waits = [];
+  limiter.on("wait", (event) => waits.push(event));
+
+  limiter.update({ "x-ratelimit-limit": "50", "x-ratelimit-remaining": "1" });
+  clock.now += 10 * 60 * 1000;
+
+  await limiter.acquire(); // uses the last request of the budget
+  await limiter.acquire(); // has to wait for the reset
+
+  assert.strictEqual(waits.length, 1);
+  assert.strictEqual(waits[0].ms, 50 * 60 * 1000);
+  assert.deepStrictEqual(clock.slept, [50 * 60 * 1000]);
+});
+
+runner.test("keeps a reserve of requests in hand", async () => {
+  const { limiter } = createFakeClockLimiter({ reserve: 5 });
+  limiter.update({ "x-ratelimit-limit": "50", "x-ratelimit-remaining": "5" });
+
+  assert.strictEqual(limiter.getStatus().exhausted, true);
+});
+
+runner.test("fails fast when the reset is further away than maxWait", async () => {
+  const { limiter } = createFakeClockLimiter({ maxWait: 1000 });
+  limiter.markExhausted();
+
+  await assert.rejects(limiter.acquire(), (error) => {
+    assert.strictEqual(error.name, "RateLimitError");
+    assert.strictEqual(error.resetIn, HOUR);
+    return true;
+  });
+
+  // A rejected caller must not block the queue for the next one
+  limiter.maxWait = Infinity;
+  await limiter.acquire();
+});
+
+runner.test("client reports every response to its limiter", async () => {
+  let remaining = 3;
+  const server = await startMockServer((req, res) => {
+    remaining--;
+    sendJson(res, 200, { id: "abcdefghijk" }, {
+      "X-Ratelimit-Limit": "50",
+      "X-Ratelimit-Remaining": String(remaining),
+    });
+  });
+  try {
+    const limiter = new RateLimiter({ minInterval: 0, maxWait: 1000 });
+    const client = new UnsplashClient({ accessKey: "key", baseUrl: server.url, rateLimiter: limiter });
+
+    await client.getPhoto("abcdefghijk");
+    await client.getPhoto("abcdefghijk");
+    assert.strictEqual(limiter.getStatus().remaining, 1);
+
+    await client.getPhoto("abcdefghijk");
+    const refused = await client.getPhoto("abcdefghijk");
+
+    assert.strictEqual(refused.ok, false);
+    assert.strictEqual(refused.rateLimited, true);
+    assert.ok(refused.resetIn > 0);
+    assert.strictEqual(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+runner.run();
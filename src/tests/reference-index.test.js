@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Photo Reference Index
+ *
+ * Builds an index from a scanned content directory, round-trips it through
+ * the file next to the manifest, and runs `unsplash where` against it.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const {
+  scanContent,
+  getReferenceIndexPath,
+  buildReferenceIndex,
+  writeReferenceIndex,
+  readReferenceIndex,
+  findPhotoReferences,
+} = require("../lib/index.js");
+const { createTestRunner } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli", "unsplash.js");
+
+const runner = createTestRunner("Testing Photo Reference Index");
+
+async function runCli(args, options = {}) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+      timeout: 30000,
+      ...options,
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+async function withProject(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-where-"));
+  try {
+    await fs.mkdir(path.join(dir, "content", "posts"), { recursive: true });
+    await fs.writeFile(
+      path.join(dir, "content", "posts", "lake.md"),
+      "---\nimage_url: https://unsplash.com/photos/a-lake-AAAAAAAAAAA\n---\n\nSee https://unsplash.com/photos/BBBBBBBBBBB\n"
+    );
+    await fs.writeFile(
+      path.join(dir, "content", "posts", "hills.mdx"),
+      "![Hills](https://unsplash.com/photos/AAAAAAAAAAA)\n"
+    );
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("index lives next to the manifest", async () => {
+  assert.strictEqual(
+    getReferenceIndexPath("/site/public/unsplash-manifest.json"),
+    "/site/public/unsplash-manifest.references.json"
+  );
+});
+
+runner.test("maps each photo to its files, lines and keys", () =>
+  withProject(async (dir) => {
+    const indexPath = getReferenceIndexPath(path.join(dir, "public", "unsplash-manifest.json"));
+    const scan = await scanContent(path.join(dir, "content"));
+    await writeReferenceIndex(indexPath, buildReferenceIndex(scan, indexPath));
+
+    const index = await readReferenceIndex(indexPath);
+    assert.strictEqual(index.content_dir, "../content");
+    assert.strictEqual(index.files_scanned, 2);
+    assert.deepStrictEqual(Object.keys(index.photos), ["AAAAAAAAAAA", "BBBBBBBBBBB"]);
+
+    const found = findPhotoReferences(index, "https://unsplash.com/photos/another-slug-AAAAAAAAAAA");
+    assert.strictEqual(found.photoId, "AAAAAAAAAAA");
+    assert.deepStrictEqual(
+      found.references.map(({ file, line, key }) => [file, line, key]),
+      [
+        ["posts/hills.mdx", 1, undefined],
+        ["posts/lake.md", 2, "image_url"],
+      ]
+    );
+
+    assert.deepStrictEqual(findPhotoReferences(index, "ZZZZZZZZZZZ").references, []);
+    assert.strictEqual(await readReferenceIndex(path.join(dir, "missing.json")), null);
+  })
+);
+
+runner.test("unsplash where reads the index, or scans without one", () =>
+  withProject(async (dir) => {
+    const scanned = await runCli(["where", "BBBBBBBBBBB"], { cwd: dir });
+    assert.strictEqual(scanned.code, 0, scanned.stderr);
+    assert.match(scanned.stdout, /No reference index found/);
+    assert.match(scanned.stdout, /BBBBBBBBBBB is used in 1 place:/);
+    assert.match(scanned.stdout, /content[\\/]posts[\\/]lake\.md:5  \(body\)/);
+
+    const indexPath = path.join(dir, "public", "unsplash-manifest.references.json");
+    const scan = await scanContent(path.join(dir, "content"));
+    await writeReferenceIndex(indexPath, buildReferenceIndex(scan, indexPath));
+
+    const result = await runCli(["where", "--json", "https://unsplash.com/photos/AAAAAAAAAAA"], { cwd: dir });
+    const events = result.stdout.trim().split("\n").map((line) => JSON.parse(line));
+    const summary = events.pop();
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(
+      events.map((event) => [event.event, event.file, event.key]),
+      [
+        ["reference", "posts/hills.mdx", undefined],
+        ["reference", "posts/lake.md", "image_url"],
+      ]
+    );
+    assert.strictEqual(summary.found, true);
+    assert.strictEqual(summary.files, 2);
+
+    const unused = await runCli(["where", "ZZZZZZZZZZZ"], { cwd: dir });
+    assert.strictEqual(unused.code, 1);
+    assert.match(unused.stdout, /ZZZZZZZZZZZ is not used in any content file/);
+  })
+);
+
+runner.run();
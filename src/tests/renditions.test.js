@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for Renditions
+ *
+ * Checks how a renditions config expands into files, the imgix URL and file
+ * name of each, and recognizing rendition file names again.
+ */
+
+const assert = require("assert");
+const {
+  expandRenditions,
+  getRenditionUrl,
+  getRenditionFilename,
+  parseRenditionFilename,
+} = require("../lib/index.js");
+const { createTestRunner } = require("./helpers.js");
+
+const runner = createTestRunner("Testing Renditions");
+
+runner.test("expands every width in every format", () => {
+  assert.deepStrictEqual(expandRenditions({ widths: [1200, 320, 1200], formats: ["avif", "jpg"], quality: 70 }), [
+    { width: 320, format: "avif", quality: 70 },
+    { width: 1200, format: "avif", quality: 70 },
+    { width: 320, format: "jpg", quality: 70 },
+    { width: 1200, format: "jpg", quality: 70 },
+  ]);
+  assert.deepStrictEqual(expandRenditions({ widths: [640] }), [{ width: 640, format: "jpg", quality: 80 }]);
+  assert.deepStrictEqual(expandRenditions({ widths: [], formats: ["webp"] }), []);
+  assert.deepStrictEqual(expandRenditions(undefined), []);
+});
+
+runner.test("replaces the sizing parameters of the URL", () => {
+  const url = getRenditionUrl(
+    "https://images.unsplash.com/photo-123?ixid=abc&ixlib=rb-4.0.3&w=1200&h=800&q=80&fm=jpg&auto=format&crop=entropy",
+    { width: 640, format: "webp", quality: 75 }
+  );
+  const { searchParams } = new URL(url);
+
+  assert.ok(url.startsWith("https://images.unsplash.com/photo-123?"));
+  assert.strictEqual(searchParams.get("ixid"), "abc");
+  assert.strictEqual(searchParams.get("ixlib"), "rb-4.0.3");
+  assert.strictEqual(searchParams.get("w"), "640");
+  assert.strictEqual(searchParams.get("fm"), "webp");
+  assert.strictEqual(searchParams.get("q"), "75");
+  assert.strictEqual(searchParams.get("fit"), "max");
+  for (const param of ["h", "auto", "crop"]) {
+    assert.strictEqual(searchParams.has(param), false, param);
+  }
+});
+
+runner.test("names rendition files predictably and parses them back", () => {
+  const filename = getRenditionFilename("abc-DEF_123", { width: 640, format: "webp" });
+  assert.strictEqual(filename, "abc-DEF_123-640w.webp");
+  assert.deepStrictEqual(parseRenditionFilename(filename), { baseName: "abc-DEF_123", width: 640, format: "webp" });
+
+  assert.strictEqual(parseRenditionFilename("abc-DEF_123.jpg"), null);
+  assert.strictEqual(parseRenditionFilename("abc-640w.gif"), null);
+  assert.strictEqual(parseRenditionFilename("-640w.jpg"), null);
+});
+
+runner.run();
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Content Scanner
+ *
+ * Builds a small content directory with one file per supported type and
+ * checks which photos are found, and where. Also covers frontmatter parsing
+ * and the configurable frontmatter keys.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  scanContent,
+  findUnsplashUrls,
+  extractPhotoId,
+  extractCdnImageId,
+  getFetchablePhotos,
+  parseFrontmatter,
+  getKeyPathValues,
+} = require("../lib/index.js");
+const { matchesGlob } = require("../lib/glob.js");
+const { createTestRunner } = require("./helpers.js");
+
+const runner = createTestRunner("Testing Content Scanner");
+
+const FILES = {
+  "posts/hello.mdx": [
+    "---",
+    "title: Hello",
+    "cover:",
+    "  image: https://unsplash.com/photos/a-mountain-lake-AAAAAAAAAAA",
+    "---",
+    "",
+    "![Lake](https://unsplash.com/photos/BBBBBBBBBBB).",
+  ].join("\n"),
+  "posts/notes.md": "Some text\n\n<img src=\"https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800&amp;q=80\">\n",
+  "pages/index.astro": "---\nconst x = 1;\n---\n<img srcset=\"https://plus.unsplash.com/premium_photo-1679355751483-edb1fa0d8336?w=400 400w\" />\n",
+  "data/gallery.json": JSON.stringify({ photos: ["https:\\/\\/unsplash.com\\/photos\\/CCCCCCCCCCC"] }, null, 2).replace(/\\\\/g, "\\"),
+  "data/team.yml": "members:\n  - name: Ada\n    avatar: https://unsplash.com/photos/DDDDDDDDDDD\n",
+  "components/Hero.tsx": "export const hero = `https://unsplash.com/photos/AAAAAAAAAAA`;\n",
+  "node_modules/pkg/readme.md": "https://unsplash.com/photos/EEEEEEEEEEE\n",
+  "drafts/wip.md": "https://unsplash.com/photos/FFFFFFFFFFF\n",
+  "notes.txt": "https://unsplash.com/photos/GGGGGGGGGGG\n",
+};
+
+async function withContent(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-scan-"));
+  try {
+    for (const [name, content] of Object.entries(FILES)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("glob patterns match relative paths", async () => {
+  assert.ok(matchesGlob("posts/2024/hello.mdx", ["**/*.{md,mdx}"]));
+  assert.ok(matchesGlob("hello.md", ["**/*.md"]));
+  assert.ok(matchesGlob("deep/dir/hello.md", ["*.md"]));
+  assert.ok(matchesGlob("node_modules/", ["**/node_modules/**"]));
+  assert.ok(!matchesGlob("drafts/a/b.md", ["drafts/*.md"]));
+  assert.ok(!matchesGlob("posts/hello.mdx", ["**/*.md"]));
+});
+
+runner.test("recognizes page, CDN and Unsplash+ URLs", async () => {
+  assert.strictEqual(extractPhotoId("https://unsplash.com/photos/a-lake-AAAAAAAAAAA"), "AAAAAAAAAAA");
+  assert.strictEqual(extractPhotoId("https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800"), null);
+  assert.strictEqual(
+    extractCdnImageId("https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800"),
+    "photo-1506905925346-21bda4d32df4"
+  );
+  assert.strictEqual(
+    extractCdnImageId("https://plus.unsplash.com/premium_photo-1679355751483-edb1fa0d8336"),
+    "premium_photo-1679355751483-edb1fa0d8336"
+  );
+  assert.strictEqual(extractCdnImageId("https://unsplash.com/photos/a-lake-AAAAAAAAAAA"), null);
+
+  const found = findUnsplashUrls("a\nSee https://unsplash.com/photos/BBBBBBBBBBB.\n(https://unsplash.com/photos/CCCCCCCCCCC)");
+  assert.deepStrictEqual(found, [
+    { url: "https://unsplash.com/photos/BBBBBBBBBBB", line: 2, source: "body" },
+    { url: "https://unsplash.com/photos/CCCCCCCCCCC", line: 3, source: "body" },
+  ]);
+});
+
+runner.test("finds references in every supported file type", () =>
+  withContent(async (dir) => {
+    const result = await scanContent(dir);
+
+    assert.deepStrictEqual(Object.keys(result.photos).sort(), [
+      "AAAAAAAAAAA",
+      "BBBBBBBBBBB",
+      "CCCCCCCCCCC",
+      "DDDDDDDDDDD",
+      "FFFFFFFFFFF",
+      "photo-1506905925346-21bda4d32df4",
+      "premium_photo-1679355751483-edb1fa0d8336",
+    ]);
+    assert.ok(!result.files.includes("notes.txt"));
+    assert.ok(!result.files.some((file) => file.startsWith("node_modules/")));
+
+    const where = (id) => result.photos[id].references.map(({ file, line, source, key }) => ({ file, line, source, key }));
+    assert.deepStrictEqual(where("AAAAAAAAAAA"), [
+      { file: "components/Hero.tsx", line: 1, source: "code", key: undefined },
+      { file: "posts/hello.mdx", line: 4, source: "frontmatter", key: "cover.image" },
+    ]);
+    assert.deepStrictEqual(where("BBBBBBBBBBB"), [{ file: "posts/hello.mdx", line: 7, source: "body", key: undefined }]);
+    assert.deepStrictEqual(where("DDDDDDDDDDD"), [
+      { file: "data/team.yml", line: 3, source: "data", key: "members.avatar" },
+    ]);
+    assert.strictEqual(
+      result.photos["photo-1506905925346-21bda4d32df4"].url,
+      "https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=800&q=80"
+    );
+    assert.strictEqual(result.photos["photo-1506905925346-21bda4d32df4"].fetchable, false);
+    assert.strictEqual(result.photos.AAAAAAAAAAA.fetchable, undefined);
+    assert.deepStrictEqual(getFetchablePhotos(result).unfetchable.map((photo) => photo.id).sort(), [
+      "photo-1506905925346-21bda4d32df4",
+      "premium_photo-1679355751483-edb1fa0d8336",
+    ]);
+    assert.strictEqual(result.photos.CCCCCCCCCCC.references[0].file, "data/gallery.json");
+  })
+);
+
+runner.test("include/exclude globs and custom extractors", () =>
+  withContent(async (dir) => {
+    const result = await scanContent(dir, {
+      include: ["**/*.{md,mdx,txt}"],
+      exclude: ["drafts/**", "**/node_modules/**"],
+      extractors: {
+        text: { extensions: ["txt"], extract: (text) => findUnsplashUrls(text, { source: "text" }) },
+        markdown: null,
+      },
+    });
+
+    assert.deepStrictEqual(result.files, ["notes.txt"]);
+    assert.deepStrictEqual(Object.keys(result.photos), ["GGGGGGGGGGG"]);
+    assert.strictEqual(result.references[0].source, "text");
+  })
+);
+
+runner.test("parses YAML and TOML frontmatter with any line endings", async () => {
+  const yaml = parseFrontmatter("---\r\ntitle: Hi\r\ncover:\r\n  image: https://unsplash.com/photos/AAAAAAAAAAA\r\n---\r\nBody\r\n");
+  assert.strictEqual(yaml.format, "yaml");
+  assert.deepStrictEqual(yaml.data.cover, { image: "https://unsplash.com/photos/AAAAAAAAAAA" });
+  assert.strictEqual(yaml.bodyLine, 6);
+
+  const toml = parseFrontmatter('+++\ntitle = "Hi"\n[hero]\nimage = "https://unsplash.com/photos/BBBBBBBBBBB"\n+++\n');
+  assert.strictEqual(toml.format, "toml");
+  assert.strictEqual(toml.data.hero.image, "https://unsplash.com/photos/BBBBBBBBBBB");
+
+  assert.strictEqual(parseFrontmatter("No frontmatter\n---\nx: 1\n---\n"), null);
+  assert.throws(() => parseFrontmatter("---\ntitle: [unclosed\n---\n"));
+});
+
+runner.test("reads key paths through arrays", async () => {
+  const data = {
+    gallery: ["a", { src: "b" }, ["c"]],
+    slides: [{ image: { src: "d" } }, { image: { src: "e" } }],
+  };
+
+  assert.deepStrictEqual(getKeyPathValues(data, "gallery"), ["a", "c"]);
+  assert.deepStrictEqual(getKeyPathValues(data, "gallery.src"), ["b"]);
+  assert.deepStrictEqual(getKeyPathValues(data, "slides.image.src"), ["d", "e"]);
+  assert.deepStrictEqual(getKeyPathValues(data, "missing.key"), []);
+});
+
+runner.test("finds frontmatter images under the configured keys", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-scan-"));
+  try {
+    await fs.writeFile(
+      path.join(dir, "post.md"),
+      [
+        "---",
+        "image_url: https://unsplash.com/photos/AAAAAAAAAAA",
+        "gallery:",
+        "  - https://unsplash.com/photos/BBBBBBBBBBB",
+        "  - src: https://unsplash.com/photos/CCCCCCCCCCC",
+        "seo:",
+        "  og_image: 'https://unsplash.com/photos/DDDDDDDDDDD'",
+        "unlisted: https://unsplash.com/photos/EEEEEEEEEEE",
+        "---",
+        "Body",
+      ].join("\r\n")
+    );
+    await fs.writeFile(path.join(dir, "broken.md"), "---\ntitle: [unclosed\n---\nhttps://unsplash.com/photos/FFFFFFFFFFF\n");
+    await fs.writeFile(path.join(dir, "page.md"), '+++\ncover = "https://unsplash.com/photos/GGGGGGGGGGG"\n+++\n');
+
+    const defaults = await scanContent(dir);
+    const keys = (result, file) =>
+      result.references.filter((reference) => reference.file === file).map(({ photoId, key, line }) => [photoId, key, line]);
+
+    assert.deepStrictEqual(keys(defaults, "post.md"), [
+      ["AAAAAAAAAAA", "image_url", 2],
+      ["BBBBBBBBBBB", "gallery", 4],
+      ["CCCCCCCCCCC", "gallery.src", 5],
+    ]);
+    assert.deepStrictEqual(keys(defaults, "page.md"), [["GGGGGGGGGGG", "cover", 2]]);
+
+    // Unparseable frontmatter falls back to plain URL matching, with a warning
+    assert.deepStrictEqual(keys(defaults, "broken.md").map(([photoId]) => photoId), ["FFFFFFFFFFF"]);
+    assert.strictEqual(defaults.warnings.length, 1);
+    assert.match(defaults.warnings[0].message, /Could not parse frontmatter/);
+
+    const custom = await scanContent(dir, { include: ["post.md"], frontmatterKeys: ["seo.og_image", "unlisted"] });
+    assert.deepStrictEqual(keys(custom, "post.md"), [
+      ["DDDDDDDDDDD", "seo.og_image", 7],
+      ["EEEEEEEEEEE", "unlisted", 8],
+    ]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+runner.run();
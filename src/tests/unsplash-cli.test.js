@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Test Script for the Unified `unsplash` Command
+ *
+ * Checks global flag parsing, the generated help and completion scripts, and
+ * runs the CLI against a throwaway project for the end to end cases.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { parseGlobalArguments, formatHelp, applyOutputLevel } = require("../cli/unsplash.js");
+const { getOutputLevel, setOutputLevel } = require("../lib/index.js");
+const { COMMANDS } = require("../cli/commands.js");
+const { generateCompletion } = require("../cli/completion.js");
+const packageJson = require("../../package.json");
+const { createTestRunner } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli", "unsplash.js");
+
+const runner = createTestRunner("Testing Unified CLI");
+
+/**
+ * Run the CLI, resolving with its exit code and output instead of rejecting
+ */
+async function runCli(args, options = {}) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+      timeout: 30000,
+      ...options,
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+async function withProject(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "unsplash-cli-"));
+  try {
+    const imagesDir = path.join(dir, "public", "images", "unsplash");
+    await fs.mkdir(imagesDir, { recursive: true });
+    await fs.writeFile(path.join(imagesDir, "abcdefghijk.jpg"), "image");
+    await fn(dir, imagesDir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+runner.test("separates global flags from command arguments", async () => {
+  const parsed = parseGlobalArguments([
+    "--cwd",
+    "site",
+    "get",
+    "https://unsplash.com/photos/abcdefghijk",
+    "--size=full",
+    "--config=unsplash.config.js",
+    "-q",
+  ]);
+
+  assert.strictEqual(parsed.command, "get");
+  assert.deepStrictEqual(parsed.args, ["https://unsplash.com/photos/abcdefghijk", "--size=full"]);
+  assert.strictEqual(parsed.cwd, "site");
+  assert.strictEqual(parsed.config, "unsplash.config.js");
+  assert.strictEqual(parsed.quiet, true);
+});
+
+runner.test("--help after a command belongs to the command", async () => {
+  assert.strictEqual(parseGlobalArguments(["--help"]).help, true);
+
+  const parsed = parseGlobalArguments(["clean", "--help"]);
+  assert.strictEqual(parsed.help, false);
+  assert.deepStrictEqual(parsed.args, ["--help"]);
+
+  assert.throws(() => parseGlobalArguments(["--quiet", "--verbose"]), /can't be used together/);
+  assert.throws(() => parseGlobalArguments(["clean", "--cwd"]), /--cwd requires a value/);
+});
+
+runner.test("help lists every command and its old bin name", async () => {
+  const help = formatHelp();
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    assert.match(help, new RegExp(`^  ${name}\\*? `, "m"));
+    assert.match(help, new RegExp(`${command.bin} +unsplash ${name}$`, "m"));
+  }
+});
+
+runner.test("old bin names stay installed", async () => {
+  assert.strictEqual(packageJson.bin.unsplash, "./src/cli/unsplash.js");
+  for (const command of Object.values(COMMANDS)) {
+    const script = packageJson.bin[command.bin];
+    assert.ok(script, `${command.bin} is missing from package.json bin`);
+    await fs.access(path.join(__dirname, "..", "..", script));
+  }
+});
+
+runner.test("completion scripts cover commands and their flags", async () => {
+  const bash = generateCompletion("bash");
+  assert.match(bash, /complete -o default -F _unsplash_completion unsplash/);
+  assert.match(bash, /build-cache\) words="--retry-failed --max-age= --refresh --concurrency= --content-dir= --manifest= --json --config=/);
+  assert.match(bash, /download-url\) words="--no-ixid --json/);
+
+  assert.match(generateCompletion("zsh"), /bashcompinit/);
+
+  const fish = generateCompletion("fish");
+  assert.match(fish, /-a get -d "Download a single image by URL"/);
+  assert.match(fish, /__fish_seen_subcommand_from cache" -l ttl -r/);
+
+  assert.throws(() => generateCompletion("tcsh"), /Unsupported shell/);
+});
+
+runner.test("runs commands in the --cwd project", () =>
+  withProject(async (dir, imagesDir) => {
+    const result = await runCli(["clean", "--cwd", dir]);
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Files removed: 1/);
+    assert.deepStrictEqual(await fs.readdir(imagesDir), []);
+  })
+);
+
+runner.test("--quiet leaves only warnings and errors", () =>
+  withProject(async (dir) => {
+    await fs.writeFile(path.join(dir, ".unsplashrc.json"), JSON.stringify({ concurrency: "many" }));
+    const result = await runCli(["--quiet", "clean"], { cwd: dir });
+
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.stdout, "");
+    assert.match(result.stderr, /concurrency: expected a positive integer/);
+  })
+);
+
+runner.test("--quiet silences stdout until restored", async () => {
+  const { log } = console;
+  const { write } = process.stdout;
+  const level = getOutputLevel();
+  try {
+    const restore = applyOutputLevel({ quiet: true });
+    assert.notStrictEqual(console.log, log);
+    assert.notStrictEqual(process.stdout.write, write);
+    restore();
+    assert.strictEqual(console.log, log);
+    assert.strictEqual(process.stdout.write, write);
+
+    // JSON output is never silenced
+    applyOutputLevel({ quiet: true, json: true })();
+    assert.strictEqual(console.log, log);
+  } finally {
+    console.log = log;
+    process.stdout.write = write;
+    setOutputLevel(level);
+  }
+});
+
+runner.test("reports unknown commands and bad config", () =>
+  withProject(async (dir) => {
+    const unknown = await runCli(["bulid-cache"]);
+    assert.strictEqual(unknown.code, 1);
+    assert.match(unknown.stderr, /Unknown command: bulid-cache/);
+
+    await fs.writeFile(path.join(dir, ".unsplashrc.json"), JSON.stringify({ retries: -1 }));
+    const invalid = await runCli(["clean"], { cwd: dir });
+    assert.strictEqual(invalid.code, 1);
+    assert.match(invalid.stderr, /retries: expected a positive integer/);
+  })
+);
+
+runner.run();